@@ -40,6 +40,8 @@ async function showCollectionAction(db, [collectionName], options) {
   
   const limit = parseInt(options.limit || '10', 10);
   const offset = parseInt(options.offset || '0', 10);
+  if (!Number.isInteger(limit) || limit < 0) prettyError(`Invalid --limit value "${options.limit}": expected a non-negative integer.`);
+  if (!Number.isInteger(offset) || offset < 0) prettyError(`Invalid --offset value "${options.offset}": expected a non-negative integer.`);
   const sortField = options.sort;
   const sortOrder = options.order || 'asc';
   const output = options.output || 'json';
@@ -53,19 +55,8 @@ async function showCollectionAction(db, [collectionName], options) {
       }
   }
 
-  let docs = await col.find(filter);
-  
-  if (sortField) {
-    docs.sort((a, b) => {
-      if (a[sortField] === undefined) return 1;
-      if (b[sortField] === undefined) return -1;
-      if (a[sortField] < b[sortField]) return sortOrder === 'asc' ? -1 : 1;
-      if (a[sortField] > b[sortField]) return sortOrder === 'asc' ? 1 : -1;
-      return 0;
-    });
-  }
-  
-  docs = docs.slice(offset, offset + limit);
+  const sort = sortField ? { [sortField]: sortOrder === 'desc' ? -1 : 1 } : undefined;
+  const docs = await col.find(filter, {}, { sort, skip: offset, limit });
   
   if (output === 'csv') console.log(flattenDocToCsv(docs));
   else if (output === 'table') console.table(docs);
@@ -119,10 +110,11 @@ async function exportCollectionAction(db, [collectionName, filePath], options) {
 // =============================
 
 async function createIndexAction(db, [collectionName, fieldName], options) {
-  if (!collectionName || !fieldName) prettyError('Usage: create-index <collection> <field> [--unique]');
+  if (!collectionName || !fieldName) prettyError('Usage: create-index <collection> <field>[,<field2>...] [--unique] [--ordered] [--sparse] [--text]');
   const col = await db.collection(collectionName);
   await col.initPromise;
-  await col.createIndex(fieldName, { unique: !!options.unique });
+  // "tenantId,status" создает составной индекс
+  await col.createIndex(fieldName.includes(',') ? fieldName.split(',') : fieldName, { unique: !!options.unique, ordered: !!options.ordered, sparse: !!options.sparse, text: !!options.text });
   console.log(`Index on "${fieldName}" created successfully in collection "${collectionName}".`);
 }
 
@@ -202,7 +194,7 @@ module.exports = {
   'export-collection':{ handler: exportCollectionAction,isWrite: false, description: 'Exports a collection to a file. Use --output=csv for CSV.' },
   
   // Write-enabled
-  'create-index':     { handler: createIndexAction,     isWrite: true, description: 'Creates an index on a field. Use --unique for a unique index.' },
+  'create-index':     { handler: createIndexAction,     isWrite: true, description: 'Creates an index on a field (or a compound index: field1,field2). Use --unique for a unique index, --ordered for an ordered (range) index, --sparse to skip docs without the field, --text for a full-text index.' },
   'drop-index':       { handler: dropIndexAction,       isWrite: true, description: 'Drops an index from a collection.' },
   'import-collection':{ handler: importCollectionAction,isWrite: true, description: 'Imports documents from a JSON file. Use --mode=replace to clear first.' },
   'collection-drop':  { handler: dropCollectionAction,  isWrite: true, description: 'Permanently deletes an entire collection. Use with caution.' },
@@ -10,6 +10,7 @@ const path = require('path');
 const WiseJSON = require('../wise-json/index.js');
 const { matchFilter } = require('../wise-json/collection/utils.js');
 const logger = require('../wise-json/logger');
+const { WiseJSONError } = require('../wise-json/errors.js');
 const { analyzeDatabaseGraph } = require('./schema-analyzer.js');
 
 // --- Конфигурация ---
@@ -59,10 +60,11 @@ async function requestHandler(req, res) {
         const colName = decodeURIComponent(collectionRouteMatch[1]);
         const col = await db.collection(colName); await col.initPromise;
         const filter = parseFilterFromQuery(query); let filterObj = {}; if (query.filter) { try { filterObj = JSON.parse(query.filter); } catch {} }
-        let docs = await col.find({ ...filter, ...filterObj });
-        if (query.sort) { docs.sort((a, b) => { if (a[query.sort] < b[query.sort]) return query.order === 'desc' ? 1 : -1; if (a[query.sort] > b[query.sort]) return query.order === 'desc' ? -1 : 1; return 0; }); }
         const offset = parseInt(query.offset || '0', 10); const limit = parseInt(query.limit || '10', 10);
-        return sendJson(res, 200, docs.slice(offset, offset + limit));
+        const sort = query.sort ? { [query.sort]: query.order === 'desc' ? -1 : 1 } : undefined;
+        let docs;
+        try { docs = await col.find({ ...filter, ...filterObj }, {}, { sort, skip: offset, limit }); } catch (e) { if (e instanceof WiseJSONError) return sendError(res, 400, e.message); throw e; }
+        return sendJson(res, 200, docs);
     }
     
     const statsRouteMatch = pathname.match(/^\/api\/collections\/([^\/]+)\/stats$/);
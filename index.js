@@ -15,7 +15,8 @@ const {
     WiseJSONError,
     UniqueConstraintError,
     DocumentNotFoundError,
-    ConfigurationError
+    ConfigurationError,
+    BulkWriteError
 } = require('./wise-json/errors.js');
 
 
@@ -47,6 +48,7 @@ module.exports = {
   UniqueConstraintError,
   DocumentNotFoundError,
   ConfigurationError,
+  BulkWriteError,
   
   // --- Продвинутые компоненты и утилиты ---
   SyncManager,
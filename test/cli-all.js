@@ -1,6 +1,6 @@
 // test/cli-unified-all.js
 
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -108,6 +108,13 @@ async function main() {
 
         const limitedOutput = runCli(`show-collection ${TEST_COLLECTION} --limit=3`);
         assert.strictEqual(JSON.parse(limitedOutput).length, 3, 'Limit option should work');
+
+        runCli(`show-collection ${TEST_COLLECTION} --limit=abc`, { shouldFail: true });
+        runCli(`show-collection ${TEST_COLLECTION} --offset=-1`, { shouldFail: true });
+        // Сообщение об ошибке видно только при включенном логировании.
+        const badLimit = spawnSync(process.execPath, [path.resolve(__dirname, '../cli/index.js'), 'show-collection', TEST_COLLECTION, '--limit=abc'],
+            { env: { ...process.env, WISE_JSON_PATH: DB_PATH, LOG_LEVEL: 'error' } });
+        assert.ok(/Invalid --limit value "abc"/.test(badLimit.stderr.toString()), 'Invalid limit should be reported');
         console.log('  --- Filtering and options PASSED ---');
 
         // --- Тест 4: Управление индексами ---
@@ -129,6 +129,14 @@ async function main() {
         // ВАЖНО: API сервера использует другой синтаксис фильтрации, это нормально
         const docs = await fetchJson(`${BASE_URL}/api/collections/${TEST_COLLECTION}?limit=5`, { auth: true });
         assert.strictEqual(docs.data.length, 5, 'API: limit should work');
+
+        for (const badQuery of ['limit=abc', 'offset=-1']) {
+            await assert.rejects(
+                fetchJson(`${BASE_URL}/api/collections/${TEST_COLLECTION}?${badQuery}`, { auth: true }),
+                /HTTP 400:[\s\S]*must be a non-negative integer/,
+                `API: ${badQuery} should be rejected with 400`
+            );
+        }
         
         const byName = await fetchJson(`${BASE_URL}/api/collections/${TEST_COLLECTION}?filter_name=User5`, { auth: true });
         assert.ok(byName.data.length === 1 && byName.data[0].name === 'User5', 'API: filter_name should work');
@@ -0,0 +1,149 @@
+// test/db-aggregate-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-aggregate-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB AGGREGATE TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const orders = await db.getCollection('orders');
+    const customers = await db.getCollection('customers');
+
+    await customers.insertMany([
+        { _id: 'c1', name: 'Anna', country: 'DE' },
+        { _id: 'c2', name: 'Boris', country: 'RU' },
+        { _id: 'c3', name: 'Clara', country: 'DE' },
+    ]);
+    await orders.insertMany([
+        { customerId: 'c1', status: 'paid', total: 100, items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }] },
+        { customerId: 'c1', status: 'paid', total: 50, items: [{ sku: 'A', qty: 3 }] },
+        { customerId: 'c2', status: 'new', total: 70, items: [] },
+        { customerId: 'c2', status: 'paid', total: 30, items: [{ sku: 'C', qty: 1 }] },
+        { customerId: 'c3', status: 'cancelled', total: 20 },
+    ]);
+
+    // --- $match + $group ---
+    console.log('  --- Testing $match and $group ---');
+    let result = await orders.aggregate([
+        { $match: { status: 'paid' } },
+        { $group: {
+            _id: '$customerId',
+            revenue: { $sum: '$total' },
+            orders: { $sum: 1 },
+            avgTotal: { $avg: '$total' },
+            minTotal: { $min: '$total' },
+            maxTotal: { $max: '$total' },
+            totals: { $push: '$total' },
+            statuses: { $addToSet: '$status' },
+        } },
+        { $sort: { revenue: -1 } },
+    ]);
+    assert.deepStrictEqual(result, [
+        { _id: 'c1', revenue: 150, orders: 2, avgTotal: 75, minTotal: 50, maxTotal: 100, totals: [100, 50], statuses: ['paid'] },
+        { _id: 'c2', revenue: 30, orders: 1, avgTotal: 30, minTotal: 30, maxTotal: 30, totals: [30], statuses: ['paid'] },
+    ], 'Grouped revenue per customer');
+
+    result = await orders.aggregate([{ $group: { _id: null, total: { $sum: '$total' } } }]);
+    assert.deepStrictEqual(result, [{ _id: null, total: 270 }], '_id: null groups all documents');
+
+    result = await orders.aggregate([
+        { $group: { _id: { customer: '$customerId', status: '$status' }, n: { $sum: 1 } } },
+        { $match: { '_id.customer': 'c2' } },
+        { $sort: { '_id.status': 1 } },
+    ]);
+    assert.deepStrictEqual(result.map(r => r._id.status), ['new', 'paid'], 'Compound group keys and $match after $group');
+    console.log('  --- $match and $group PASSED ---');
+
+    // --- $unwind, $project, $skip, $limit, $count ---
+    console.log('  --- Testing $unwind, $project, $skip, $limit, $count ---');
+    result = await orders.aggregate([
+        { $unwind: '$items' },
+        { $group: { _id: '$items.sku', qty: { $sum: '$items.qty' } } },
+        { $sort: { _id: 1 } },
+    ]);
+    assert.deepStrictEqual(result, [{ _id: 'A', qty: 4 }, { _id: 'B', qty: 2 }, { _id: 'C', qty: 1 }], '$unwind over array of subdocuments');
+
+    result = await orders.aggregate([{ $unwind: { path: '$items', preserveNullAndEmptyArrays: true } }, { $count: 'rows' }]);
+    assert.deepStrictEqual(result, [{ rows: 6 }], 'preserveNullAndEmptyArrays keeps docs without items');
+
+    result = await orders.aggregate([
+        { $match: { customerId: 'c1' } },
+        { $sort: { total: 1 } },
+        { $project: { _id: 0, total: 1, withTax: { $multiply: ['$total', 1.2] }, label: { $concat: ['order-', '$status'] } } },
+    ]);
+    assert.deepStrictEqual(result, [
+        { total: 50, withTax: 60, label: 'order-paid' },
+        { total: 100, withTax: 120, label: 'order-paid' },
+    ], '$project with inclusion and computed fields');
+
+    result = await orders.aggregate([{ $project: { items: 0, _id: 0, createdAt: 0, updatedAt: 0 } }, { $sort: { total: -1 } }, { $skip: 1 }, { $limit: 2 }]);
+    assert.deepStrictEqual(result, [
+        { customerId: 'c2', status: 'new', total: 70 },
+        { customerId: 'c1', status: 'paid', total: 50 },
+    ], 'Exclusion $project with $skip and $limit');
+
+    result = await orders.aggregate([{ $match: { status: 'refunded' } }, { $count: 'n' }]);
+    assert.deepStrictEqual(result, [], '$count on empty input returns no documents');
+    console.log('  --- $unwind, $project, $skip, $limit, $count PASSED ---');
+
+    // --- $lookup ---
+    console.log('  --- Testing $lookup ---');
+    result = await orders.aggregate([
+        { $match: { status: 'paid' } },
+        { $group: { _id: '$customerId', revenue: { $sum: '$total' } } },
+        { $lookup: { from: 'customers', localField: '_id', foreignField: '_id', as: 'customer' } },
+        { $unwind: '$customer' },
+        { $group: { _id: '$customer.country', revenue: { $sum: '$revenue' } } },
+        { $sort: { _id: 1 } },
+    ]);
+    assert.deepStrictEqual(result, [{ _id: 'DE', revenue: 150 }, { _id: 'RU', revenue: 30 }], 'Revenue per country via $lookup');
+
+    result = await customers.aggregate([
+        { $lookup: { from: 'orders', localField: '_id', foreignField: 'customerId', as: 'orders' } },
+        { $project: { name: 1, orderCount: { $size: '$orders' } } },
+        { $sort: { name: 1 } },
+    ]);
+    assert.deepStrictEqual(result.map(r => [r.name, r.orderCount]), [['Anna', 2], ['Boris', 2], ['Clara', 1]], 'One-to-many $lookup');
+
+    result = await customers.aggregate([{ $lookup: { from: 'no_such_collection', localField: '_id', foreignField: 'x', as: 'joined' } }]);
+    assert.ok(result.every(r => Array.isArray(r.joined) && r.joined.length === 0), '$lookup against missing collection yields empty arrays');
+    assert.ok(!(await db.getCollectionNames()).includes('no_such_collection'), '$lookup must not create the foreign collection');
+    console.log('  --- $lookup PASSED ---');
+
+    // --- Ошибки ---
+    console.log('  --- Testing validation ---');
+    await assert.rejects(orders.aggregate({ $match: {} }), /pipeline must be an array/);
+    await assert.rejects(orders.aggregate([{ $bogus: 1 }]), /unknown pipeline stage/);
+    await assert.rejects(orders.aggregate([{ $match: {}, $limit: 1 }]), /exactly one stage/);
+    await assert.rejects(orders.aggregate([{ $group: { _id: null, x: { $median: '$total' } } }]), /\$group field 'x'/);
+    await assert.rejects(orders.aggregate([{ $limit: 0 }]), /\$limit must be a positive integer/);
+    await assert.rejects(orders.aggregate([{ $project: { x: { $nope: 1 } } }]), /Unknown expression operator/);
+
+    const stored = await orders.findOne({ customerId: 'c1', total: 100 });
+    assert.strictEqual(stored.items.length, 2, 'Aggregation must not mutate stored documents');
+    console.log('  --- validation PASSED ---');
+
+    await db.close();
+    cleanUp();
+
+    console.log('=== DB AGGREGATE TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
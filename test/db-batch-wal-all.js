@@ -0,0 +1,136 @@
+// test/db-batch-wal-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+const { readWal } = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-batch-wal-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function walOps(col) {
+    return (await readWal(col.walPath)).map(entry => entry.op);
+}
+
+async function main() {
+    console.log('=== DB BATCH WAL TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+    const col = await db.getCollection('batch_wal', { maxWalEntriesBeforeCheckpoint: 0 });
+    await col.createIndex('code', { unique: true });
+    await col.insertMany([
+        { _id: 'a', group: 1, code: 'A', n: 1, tmp: true },
+        { _id: 'b', group: 1, code: 'B', n: 2, tmp: true },
+        { _id: 'c', group: 1, code: 'C', n: 3 },
+        { _id: 'd', group: 2, code: 'D', n: 4 },
+    ]);
+
+    // --- updateMany одной записью WAL ---
+    console.log('  --- Testing BATCH_UPDATE ---');
+    const updated = [];
+    col.on('update', doc => updated.push(doc._id));
+    let res = await col.updateMany({ group: 1 }, { $inc: { n: 10 }, $unset: { tmp: '' } });
+    assert.deepStrictEqual(res, { matchedCount: 3, modifiedCount: 3 });
+    assert.deepStrictEqual(await walOps(col), ['BATCH_INSERT', 'BATCH_UPDATE'], 'updateMany writes a single WAL entry');
+    assert.deepStrictEqual(updated.sort(), ['a', 'b', 'c'], 'An update event is emitted per document');
+    assert.deepStrictEqual((await col.find({ group: 1 }, {}, { sort: { _id: 1 } })).map(d => d.n), [11, 12, 13]);
+
+    res = await col.updateMany({ group: 1 }, { $max: { n: 12 } });
+    assert.deepStrictEqual(res, { matchedCount: 3, modifiedCount: 1 }, 'Unchanged documents are left out of the batch');
+    assert.strictEqual((await walOps(col)).length, 3);
+
+    res = await col.updateMany(doc => doc.group === 2, { flag: true });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 }, 'Function filter with plain fields');
+    assert.strictEqual((await walOps(col)).pop(), 'BATCH_UPDATE');
+    console.log('  --- BATCH_UPDATE PASSED ---');
+
+    // --- Уникальность проверяется для всего пакета ---
+    console.log('  --- Testing batch unique checks ---');
+    const walLength = (await walOps(col)).length;
+    await assert.rejects(col.updateMany({ group: 1 }, { $set: { code: 'SAME' } }), UniqueConstraintError, 'Duplicate within the batch');
+    await assert.rejects(col.updateMany(doc => doc._id === 'a', { code: 'D' }), UniqueConstraintError, 'Duplicate with a document outside the batch');
+    assert.strictEqual((await walOps(col)).length, walLength, 'Rejected batches are not written');
+    assert.deepStrictEqual((await col.find({}, {}, { sort: { _id: 1 } })).map(d => d.code), ['A', 'B', 'C', 'D'], 'Nothing changed');
+
+    // Обмен уникальными значениями внутри одного пакета допустим.
+    await col._enqueue(() => col._enqueueDataModification({
+        op: 'BATCH_UPDATE',
+        updates: [{ id: 'a', data: { code: 'B' } }, { id: 'b', data: { code: 'A' } }],
+    }, 'BATCH_UPDATE'));
+    assert.strictEqual((await col.findOne({ code: 'A' }))._id, 'b');
+    assert.strictEqual((await col.findOne({ code: 'B' }))._id, 'a');
+
+    // Применение к памяти — все или ничего.
+    assert.throws(() => col._applyWalEntryToMemory({
+        op: 'BATCH_UPDATE',
+        updates: [{ id: 'c', data: { n: 0 } }, { id: 'missing', data: { n: 0 } }],
+    }), /BATCH_UPDATE: document with id missing not found/);
+    assert.strictEqual((await col.getById('c')).n, 13, 'A failed batch does not apply its first items');
+    console.log('  --- Batch unique checks PASSED ---');
+
+    // --- Удаление пакетом ---
+    console.log('  --- Testing BATCH_REMOVE ---');
+    const removed = [];
+    col.on('remove', doc => removed.push(doc._id));
+    res = await col.deleteMany({ group: 1, code: { $ne: 'B' } });
+    assert.deepStrictEqual(res, { deletedCount: 2 });
+    assert.deepStrictEqual(removed.sort(), ['b', 'c']);
+    assert.strictEqual((await walOps(col)).pop(), 'BATCH_REMOVE');
+    assert.strictEqual(await col.findOne({ code: 'A' }), null, 'Index entries are removed');
+    assert.deepStrictEqual(await col.deleteMany({ group: 99 }), { deletedCount: 0 });
+
+    assert.strictEqual(await col.removeMany(doc => doc.group === 2), 1);
+    assert.strictEqual((await walOps(col)).pop(), 'BATCH_REMOVE');
+    assert.strictEqual(await col.count(), 1);
+    console.log('  --- BATCH_REMOVE PASSED ---');
+    await db.close();
+
+    // --- Перезапуск: пакеты воспроизводятся из WAL ---
+    const db2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db2.init();
+    const col2 = await db2.getCollection('batch_wal');
+    const docs = await col2.find({});
+    assert.deepStrictEqual(docs.map(d => [d._id, d.code, d.n]), [['a', 'B', 12]], 'State is restored from batch entries');
+    assert.ok(!('tmp' in docs[0]), 'Fields removed in a batch stay removed');
+    await db2.close();
+
+    // --- Сбой после чекпоинта: пакеты новее чекпоинта не теряются ---
+    console.log('  --- Testing crash after a checkpoint ---');
+    const db3 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db3.init();
+    const crashCol = await db3.getCollection('batch_crash');
+    await crashCol.insertMany([{ _id: 'a', v: 1 }, { _id: 'b', v: 1 }, { _id: 'd', v: 1 }]);
+    await crashCol.flushToDisk();
+    await crashCol.updateMany({}, { $set: { v: 2 } });
+    await crashCol.removeMany(doc => doc._id === 'b');
+    await crashCol.deleteMany({ _id: 'd' });
+    await crashCol.updateMany(doc => doc._id === 'a', { w: 3 });
+    // Закрываем без нового чекпоинта, как при аварийном завершении.
+    crashCol.flushToDisk = async () => {};
+    await db3.close();
+
+    const db4 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db4.init();
+    const reloaded = await (await db4.getCollection('batch_crash')).find({}, {}, { sort: { _id: 1 } });
+    assert.deepStrictEqual(reloaded.map(d => [d._id, d.v, d.w]), [['a', 2, 3]], 'Batch entries after the checkpoint are replayed');
+    await db4.close();
+    console.log('  --- Crash after a checkpoint PASSED ---');
+
+    cleanUp();
+    console.log('=== DB BATCH WAL TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
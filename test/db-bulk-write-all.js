@@ -0,0 +1,157 @@
+// test/db-bulk-write-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { BulkWriteError, UniqueConstraintError, WiseJSONError } = require('../wise-json/errors.js');
+const { readWal } = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-bulk-write-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function walOps(col) {
+    return (await readWal(col.walPath)).map(entry => entry.op);
+}
+
+async function main() {
+    console.log('=== DB BULK WRITE TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+    const col = await db.getCollection('bulk', { maxWalEntriesBeforeCheckpoint: 0 });
+    await col.createIndex('sku', { unique: true });
+
+    // --- Смешанный пакет одной записью WAL ---
+    console.log('  --- Testing mixed batch ---');
+    const events = [];
+    col.on('insert', doc => events.push(['insert', doc._id]));
+    col.on('update', doc => events.push(['update', doc._id]));
+    col.on('remove', doc => events.push(['remove', doc._id]));
+
+    let res = await col.bulkWrite([
+        { insertOne: { document: { _id: 'p1', sku: 'A', qty: 1, note: 'old' } } },
+        { insertOne: { document: { _id: 'p2', sku: 'B', qty: 2 } } },
+        { insertOne: { document: { _id: 'p3', sku: 'C', qty: 0 } } },
+        { updateOne: { filter: { sku: 'A' }, update: { $inc: { qty: 5 } } } },
+        { updateMany: { filter: { qty: { $gt: 0 } }, update: { $set: { inStock: true } } } },
+        { replaceOne: { filter: { _id: 'p1' }, replacement: { sku: 'A', qty: 10 } } },
+        { deleteOne: { filter: { sku: 'C' } } },
+        { updateOne: { filter: { _id: 'd1', sku: 'D' }, update: { $set: { qty: 4 } }, upsert: true } },
+        { deleteMany: { filter: { sku: 'none' } } },
+    ]);
+    assert.deepStrictEqual(
+        [res.insertedCount, res.matchedCount, res.modifiedCount, res.deletedCount, res.upsertedCount],
+        [3, 4, 4, 1, 1]
+    );
+    assert.deepStrictEqual(res.results[0], { insertedId: 'p1' }, 'Per-operation results are returned');
+    assert.deepStrictEqual(res.results[4], { matchedCount: 2, modifiedCount: 2 });
+    assert.deepStrictEqual(res.results[6], { deletedCount: 1 });
+    assert.strictEqual(res.results[7].upsertedId, 'd1');
+    assert.deepStrictEqual(await walOps(col), ['BULK_WRITE'], 'The whole batch is a single WAL entry');
+
+    const p1 = await col.getById('p1');
+    assert.deepStrictEqual([p1.sku, p1.qty, p1.note, p1.inStock], ['A', 10, undefined, undefined], 'replaceOne sees earlier operations and replaces the document');
+    assert.strictEqual(await col.getById('p3'), null);
+    assert.strictEqual((await col.findOne({ sku: 'D' })).qty, 4);
+    assert.strictEqual(events.filter(e => e[0] === 'insert').length, 4, 'Events are emitted after the batch is written');
+    assert.deepStrictEqual(events.find(e => e[0] === 'remove'), ['remove', 'p3']);
+    console.log('  --- Mixed batch PASSED ---');
+
+    // --- Ошибки: ordered и unordered ---
+    console.log('  --- Testing ordered and unordered errors ---');
+    await assert.rejects(
+        col.bulkWrite([
+            { insertOne: { document: { _id: 'o1', sku: 'O1' } } },
+            { insertOne: { document: { _id: 'o2', sku: 'A' } } },
+            { insertOne: { document: { _id: 'o3', sku: 'O3' } } },
+        ]),
+        err => {
+            assert.ok(err instanceof BulkWriteError && err instanceof WiseJSONError);
+            assert.deepStrictEqual(err.writeErrors.map(e => [e.index, e.operation]), [[1, 'insertOne']]);
+            assert.ok(err.writeErrors[0].error instanceof UniqueConstraintError);
+            assert.strictEqual(err.result.insertedCount, 1);
+            assert.deepStrictEqual(err.result.results, [{ insertedId: 'o1' }, null, null]);
+            return true;
+        }
+    );
+    assert.ok(await col.getById('o1'), 'Ordered: operations before the error are kept');
+    assert.strictEqual(await col.getById('o3'), null, 'Ordered: operations after the error are skipped');
+
+    await assert.rejects(
+        col.bulkWrite([
+            { updateOne: { filter: { _id: 'p1' }, update: { $inc: { sku: 1 } } } },
+            { insertOne: { document: { _id: 'u1', sku: 'U1' } } },
+            { insertOne: { document: { _id: 'p2' } } },
+            { updateOne: { filter: { _id: 'p2' }, update: { $inc: { qty: 1 } } } },
+        ], { ordered: false }),
+        err => {
+            assert.deepStrictEqual(err.writeErrors.map(e => e.index), [0, 2], 'Unordered: every failed index is listed');
+            assert.strictEqual(err.result.insertedCount, 1);
+            assert.strictEqual(err.result.modifiedCount, 1);
+            return true;
+        }
+    );
+    assert.ok(await col.getById('u1'));
+    assert.strictEqual((await col.getById('p2')).qty, 3, 'Unordered: operations after an error run');
+    assert.strictEqual((await walOps(col)).filter(op => op === 'BULK_WRITE').length, 3);
+
+    const walLength = (await walOps(col)).length;
+    await assert.rejects(col.bulkWrite([{ deleteMany: { filter: { sku: 'x' } } }, { upsertOne: {} }]), /operation at index 1 must have exactly one of/);
+    await assert.rejects(col.bulkWrite([{ updateOne: { filter: {}, update: { $bad: 1 } } }]), /updateOne at index 0: Unknown update operator/);
+    await assert.rejects(col.bulkWrite([{ replaceOne: { filter: {}, replacement: { $set: { a: 1 } } } }]), /must not contain update operators/);
+    await assert.rejects(col.bulkWrite([]), /non-empty array/);
+    await assert.rejects(col.bulkWrite([{ insertOne: { document: { _id: 'p1' } } }]), BulkWriteError);
+    assert.strictEqual((await walOps(col)).length, walLength, 'Invalid or fully failed batches write nothing');
+
+    // Применение записи BULK_WRITE к памяти — все или ничего.
+    assert.throws(() => col._applyWalEntryToMemory({
+        op: 'BULK_WRITE',
+        entries: [{ op: 'REMOVE', id: 'u1' }, { op: 'UPDATE', id: 'missing', data: { a: 1 } }],
+    }), /document with id missing not found/);
+    assert.ok(await col.getById('u1'), 'A failed BULK_WRITE entry is rolled back');
+    assert.strictEqual((await col.findOne({ sku: 'U1' }))._id, 'u1', 'Indexes are restored on rollback');
+    console.log('  --- Ordered and unordered errors PASSED ---');
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db2.init();
+    const col2 = await db2.getCollection('bulk');
+    const docs = await col2.find({}, {}, { sort: { _id: 1 } });
+    assert.deepStrictEqual(docs.map(d => d.sku), ['D', 'O1', 'A', 'B', 'U1'], 'Batches are replayed from the WAL');
+    assert.ok(!('note' in docs[2]), 'Fields removed by replaceOne stay removed');
+    assert.strictEqual(docs[3].qty, 3);
+
+    // --- Сбой после чекпоинта: BULK_WRITE новее чекпоинта воспроизводится ---
+    await col2.flushToDisk();
+    await col2.bulkWrite([
+        { insertOne: { document: { _id: 'e', sku: 'E' } } },
+        { deleteOne: { filter: { sku: 'D' } } },
+    ]);
+    // Закрываем без нового чекпоинта, как при аварийном завершении.
+    col2.flushToDisk = async () => {};
+    await db2.close();
+
+    const db3 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db3.init();
+    const col3 = await db3.getCollection('bulk');
+    assert.deepStrictEqual((await col3.find({}, {}, { sort: { _id: 1 } })).map(d => d.sku), ['E', 'O1', 'A', 'B', 'U1'],
+        'BULK_WRITE entries after the checkpoint survive a crash');
+    await db3.close();
+
+    cleanUp();
+    console.log('=== DB BULK WRITE TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
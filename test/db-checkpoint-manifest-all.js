@@ -0,0 +1,173 @@
+// test/db-checkpoint-manifest-all.js
+
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const assert = require('assert');
+const crypto = require('crypto');
+const WiseJSON = require('../wise-json/index.js');
+const { writeCheckpoint, loadLatestCheckpoint } = require('../wise-json/checkpoint-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-checkpoint-manifest-all');
+const COLLECTION = 'manifest';
+const CHECKPOINTS_DIR = path.join(DB_PATH, COLLECTION, '_checkpoints');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+// Логгер, запоминающий предупреждения.
+function createCapturingLogger() {
+    const warnings = [];
+    const noop = () => {};
+    return { warnings, log: noop, info: noop, debug: noop, error: noop, warn: (msg) => warnings.push(String(msg)) };
+}
+
+function metaFiles() {
+    return fs.readdirSync(CHECKPOINTS_DIR).filter(f => f.startsWith(`checkpoint_meta_${COLLECTION}_`)).sort();
+}
+
+function readManifest(file) {
+    return JSON.parse(fs.readFileSync(path.join(CHECKPOINTS_DIR, file), 'utf8'));
+}
+
+async function openAndCount(logger) {
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+    const col = await db.getCollection(COLLECTION, { logger });
+    const count = await col.count();
+    // Закрываем без нового чекпоинта, чтобы следующий запуск видел те же файлы.
+    col.flushToDisk = async () => {};
+    await db.close();
+    return count;
+}
+
+async function main() {
+    console.log('=== DB CHECKPOINT MANIFEST TEST START ===');
+    cleanUp();
+
+    // --- Manifest описывает все сегменты ---
+    console.log('  --- Testing manifest contents ---');
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+    const col = await db.getCollection(COLLECTION, { maxSegmentSizeBytes: 400 });
+    await col.insertMany(Array.from({ length: 20 }, (_, i) => ({ _id: `d${String(i).padStart(2, '0')}`, text: 'x'.repeat(40) })));
+    await col.flushToDisk();
+    await db.close();
+
+    const files = metaFiles();
+    assert.strictEqual(files.length, 2, 'flushToDisk and close wrote two checkpoints');
+    const manifest = readManifest(files[1]);
+    assert.ok(manifest.segments.length > 1, 'Documents are split into several segments');
+    assert.strictEqual(manifest.documentCount, 20);
+    assert.strictEqual(manifest.segments.reduce((sum, seg) => sum + seg.documentCount, 0), 20);
+    for (const seg of manifest.segments) {
+        const content = fs.readFileSync(path.join(CHECKPOINTS_DIR, seg.file));
+        assert.strictEqual(content.length, seg.size, `Size of ${seg.file} is recorded`);
+        assert.strictEqual(crypto.createHash('sha256').update(content).digest('hex'), seg.sha256, `Hash of ${seg.file} is recorded`);
+    }
+    console.log('  --- Manifest contents PASSED ---');
+
+    // --- Сегменты без manifest (сбой до его записи) игнорируются ---
+    console.log('  --- Testing fallback to the previous checkpoint ---');
+    fs.writeFileSync(path.join(CHECKPOINTS_DIR, `checkpoint_data_${COLLECTION}_2999-01-01T00-00-00-000Z_seg0.json`), '[{"_id":"ghost"}]');
+    let logger = createCapturingLogger();
+    assert.strictEqual(await openAndCount(logger), 20, 'Orphan segments without a manifest are ignored');
+    assert.strictEqual(logger.warnings.length, 0);
+
+    // Испорченный сегмент последнего чекпоинта: тот же размер, другое содержимое.
+    const lastSeg = path.join(CHECKPOINTS_DIR, manifest.segments[1].file);
+    const original = fs.readFileSync(lastSeg);
+    fs.writeFileSync(lastSeg, Buffer.from(original.toString('utf8').replace('"d', '"e')));
+    logger = createCapturingLogger();
+    assert.strictEqual(await openAndCount(logger), 20, 'The previous checkpoint is loaded');
+    assert.ok(logger.warnings.some(w => w.includes('checksum mismatch') && w.includes(files[1])), 'The failed checkpoint is reported');
+
+    // Пропавший сегмент больше не остается незамеченным.
+    fs.writeFileSync(lastSeg, original);
+    fs.unlinkSync(path.join(CHECKPOINTS_DIR, manifest.segments[manifest.segments.length - 1].file));
+    logger = createCapturingLogger();
+    assert.strictEqual(await openAndCount(logger), 20);
+    assert.ok(logger.warnings.some(w => /segment '.+' is missing/.test(w)), 'A missing segment fails verification');
+
+    // Все чекпоинты повреждены: WAL не покрывает данные до них, поэтому загрузка прерывается.
+    const firstManifest = readManifest(files[0]);
+    fs.truncateSync(path.join(CHECKPOINTS_DIR, firstManifest.segments[0].file), 10);
+    logger = createCapturingLogger();
+    await assert.rejects(openAndCount(logger), /none of 2 checkpoint\(s\) .* passed verification/, 'Loading fails loudly without a valid checkpoint');
+    assert.ok(logger.warnings.some(w => /has 10 bytes, expected/.test(w)), 'A truncated segment fails verification');
+    console.log('  --- Fallback to the previous checkpoint PASSED ---');
+
+    // --- Изменения между чекпоинтами восстанавливаются из WAL ---
+    console.log('  --- Testing WAL coverage of the fallback ---');
+    cleanUp();
+    const dbGap = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await dbGap.init();
+    const gap = await dbGap.getCollection(COLLECTION);
+    await gap.insert({ _id: 'a' });
+    await gap.flushToDisk();
+    await gap.insert({ _id: 'b' });
+    await gap.flushToDisk();
+    await gap.insert({ _id: 'c' });
+    gap.flushToDisk = async () => {};
+    await dbGap.close();
+
+    const gapFiles = metaFiles();
+    const newest = readManifest(gapFiles[gapFiles.length - 1]);
+    fs.writeFileSync(path.join(CHECKPOINTS_DIR, newest.segments[0].file), '[]');
+    const dbGap2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await dbGap2.init();
+    const gap2 = await dbGap2.getCollection(COLLECTION, { logger: createCapturingLogger() });
+    assert.deepStrictEqual((await gap2.find({}, {}, { sort: { _id: 1 } })).map(d => d._id), ['a', 'b', 'c'],
+        'Writes between the previous and the damaged checkpoint are replayed from the WAL');
+    await dbGap2.close();
+    console.log('  --- WAL coverage of the fallback PASSED ---');
+
+    // --- Meta-файл старого формата по-прежнему читается ---
+    console.log('  --- Testing legacy meta files ---');
+    const legacyDir = path.join(DB_PATH, 'legacy_checkpoints');
+    fs.mkdirSync(legacyDir, { recursive: true });
+    fs.writeFileSync(path.join(legacyDir, 'checkpoint_meta_legacy_2020-01-01T00-00-00-000Z.json'),
+        JSON.stringify({ collectionName: 'legacy', timestamp: '2020-01-01T00:00:00.000Z', documentCount: 2, indexesMeta: [] }));
+    fs.writeFileSync(path.join(legacyDir, 'checkpoint_data_legacy_2020-01-01T00-00-00-000Z_seg0.json'), '[{"_id":"a"},{"_id":"b"}]');
+    const legacy = await loadLatestCheckpoint(legacyDir, 'legacy', createCapturingLogger());
+    assert.deepStrictEqual([...legacy.documents.keys()], ['a', 'b']);
+
+    // Сегменты и папка синхронизируются раньше, чем пишется manifest.
+    const opened = [];
+    const originalOpen = fsp.open;
+    fsp.open = function (file, ...rest) {
+        opened.push(path.basename(String(file)));
+        return originalOpen.call(this, file, ...rest);
+    };
+    let written;
+    try {
+        written = await writeCheckpoint(legacyDir, 'legacy', {
+            timestamp: '2021-01-01T00:00:00.000Z',
+            documents: [{ _id: 'c' }],
+            indexesMeta: [],
+            maxSegmentSizeBytes: 1024,
+        });
+    } finally {
+        fsp.open = originalOpen;
+    }
+    const segmentOpen = opened.findIndex(f => f.startsWith('checkpoint_data_legacy_2021'));
+    const metaOpen = opened.findIndex(f => f.startsWith('checkpoint_meta_legacy_2021'));
+    assert.ok(segmentOpen >= 0 && metaOpen > segmentOpen, 'Segments and the manifest are opened for fsync');
+    assert.ok(opened.slice(segmentOpen, metaOpen).includes('legacy_checkpoints'), 'The directory is synced before the manifest');
+    assert.strictEqual(opened[opened.length - 1], 'legacy_checkpoints', 'The directory is synced after the manifest');
+    assert.deepStrictEqual(written.segments.map(s => s.file), ['checkpoint_data_legacy_2021-01-01T00-00-00-000Z_seg0.json']);
+    assert.deepStrictEqual([...(await loadLatestCheckpoint(legacyDir, 'legacy', createCapturingLogger())).documents.keys()], ['c']);
+    console.log('  --- Legacy meta files PASSED ---');
+
+    cleanUp();
+    console.log('=== DB CHECKPOINT MANIFEST TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,117 @@
+// test/db-collation-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-collation-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function names(docs) {
+    return docs.map(d => d.name);
+}
+
+async function main() {
+    console.log('=== DB COLLATION TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+
+    // --- Уникальный индекс без учёта регистра ---
+    console.log('  --- Testing case-insensitive unique index ---');
+    const users = await db.getCollection('collation_users');
+    const caseInsensitive = { locale: 'en', strength: 2 };
+    await users.createIndex('email', { unique: true, collation: caseInsensitive });
+    await users.insert({ _id: 'u1', email: 'Ivanov@Mail.ru' });
+    await assert.rejects(users.insert({ email: 'ivanov@mail.ru' }), UniqueConstraintError, 'Case variants collide');
+    await assert.rejects(users.insertMany([{ email: 'a@x.io' }, { email: 'A@X.IO' }]), UniqueConstraintError, 'Case variants collide within a batch');
+    await users.insert({ _id: 'u2', email: 'petrov@mail.ru' });
+    await assert.rejects(users.update('u2', { email: 'IVANOV@mail.ru' }), UniqueConstraintError);
+
+    assert.deepStrictEqual((await users.getIndexes())[0],
+        { fieldName: 'email', type: 'unique', collation: { locale: 'en', strength: 2, numericOrdering: false } });
+
+    let explained = await users.explain({ email: 'IVANOV@MAIL.RU' }, { collation: caseInsensitive });
+    assert.strictEqual(explained.executionStats.nReturned, 1, 'Query with the same collation matches case-insensitively');
+    assert.ok(explained.candidatePlans.some(p => p.indexName === 'email'), 'Index with the same collation is a candidate');
+    assert.strictEqual((await users.findOne({ email: 'IVANOV@MAIL.RU' }, {}, { collation: caseInsensitive }))._id, 'u1');
+
+    explained = await users.explain({ email: 'IVANOV@MAIL.RU' });
+    assert.strictEqual(explained.executionStats.nReturned, 0, 'Query without collation compares exactly');
+    assert.ok(explained.candidatePlans.every(p => p.stage === 'COLLSCAN'), 'Index with another collation is not used');
+    assert.deepStrictEqual((await users.find({ email: 'Ivanov@Mail.ru' })).map(d => d._id), ['u1']);
+
+    await assert.rejects(users.createIndex('email', { unique: true }), /другим типом/, 'Changing collation requires dropIndex');
+    await assert.rejects(users.createIndex('login', { collation: { locale: 'en', strength: 4 } }), /strength/);
+    await assert.rejects(users.find({}, {}, { collation: { locale: 'en', caseLevel: true } }), /unknown option 'caseLevel'/);
+    await assert.rejects(users.find({}, {}, { collation: { locale: 'not a locale!' } }), /invalid locale/);
+    console.log('  --- Case-insensitive unique index PASSED ---');
+
+    // --- Collation коллекции ---
+    console.log('  --- Testing collection collation ---');
+    const people = await db.getCollection('collation_people', { collation: { locale: 'ru' } });
+    const docs = [];
+    ['Яков', 'анна', 'Борис', 'ёжик', 'Ежов', 'Вера'].forEach(name => docs.push({ name }));
+    for (let i = 0; i < 30; i++) docs.push({ name: `file${i}` });
+    await people.insertMany(docs);
+
+    const sorted = names(await people.find({ name: { $not: /^file/ } }, {}, { sort: { name: 1 } }));
+    assert.deepStrictEqual(sorted, ['анна', 'Борис', 'Вера', 'ёжик', 'Ежов', 'Яков'], 'Locale-aware sort (ё next to е, case ignored in order)');
+    const binary = names(await people.find({ name: { $not: /^file/ } }, {}, { sort: { name: 1 }, collation: { locale: 'simple' } }));
+    assert.deepStrictEqual(binary, ['Борис', 'Вера', 'Ежов', 'Яков', 'анна', 'ёжик'], "'simple' falls back to code unit order");
+    assert.deepStrictEqual(names(await people.find({ name: { $gte: 'б', $lt: 'е' } }, {}, { sort: { name: 1 } })), ['Борис', 'Вера'], 'Ranges follow the collation');
+
+    const numeric = names(await people.find({ name: { $in: ['file2', 'file10', 'file1'] } }, {}, {
+        sort: { name: 1 }, collation: { locale: 'en', numericOrdering: true },
+    }));
+    assert.deepStrictEqual(numeric, ['file1', 'file2', 'file10'], 'numericOrdering compares digits as numbers');
+
+    // Индекс наследует collation коллекции и используется для диапазона и сортировки
+    await people.createIndex('name', { ordered: true });
+    assert.deepStrictEqual((await people.getIndexes())[0].collation, { locale: 'ru', strength: 3, numericOrdering: false });
+    explained = await people.explain({ name: { $gte: 'б', $lt: 'е' } });
+    assert.deepStrictEqual([explained.winningPlan.indexName, explained.winningPlan.lookup], ['name', 'range']);
+    assert.strictEqual(explained.executionStats.nReturned, 2);
+    explained = await people.explain({}, { sort: { name: 1 }, limit: 1 });
+    assert.strictEqual(explained.winningPlan.lookup, 'sort');
+    // В локали 'ru' кириллица упорядочена раньше латиницы.
+    assert.deepStrictEqual(names(await people.find({}, {}, { sort: { name: 1 }, limit: 2 })), ['анна', 'Борис'], 'Index order follows the collation');
+
+    const agg = await people.aggregate([{ $match: { name: { $lt: 'в' } } }, { $sort: { name: -1 } }, { $project: { _id: 0, name: 1 } }]);
+    assert.deepStrictEqual(names(agg), ['Борис', 'анна'], 'Aggregation uses the collection collation');
+    console.log('  --- Collection collation PASSED ---');
+
+    // --- Без учёта диакритики ---
+    const cities = await db.getCollection('collation_cities');
+    await cities.insertMany([{ name: 'Zürich' }, { name: 'zurich' }, { name: 'Paris' }]);
+    assert.strictEqual((await cities.find({ name: 'ZURICH' }, {}, { collation: { locale: 'de', strength: 1 } })).length, 2, 'strength 1 ignores case and accents');
+    assert.strictEqual((await cities.find({ name: 'ZURICH' }, {}, { collation: { locale: 'de', strength: 2 } })).length, 1, 'strength 2 respects accents');
+    await cities.createIndex('name', { collation: { locale: 'de', strength: 1 } });
+    assert.strictEqual(cities._indexManager.findIdsByIndex('name', 'ZÜRICH').size, 2, 'Index groups strings equal under the collation');
+
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const users2 = await db2.getCollection('collation_users');
+    await assert.rejects(users2.insert({ email: 'PETROV@MAIL.RU' }), UniqueConstraintError, 'Index collation survives restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB COLLATION TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
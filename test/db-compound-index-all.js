@@ -0,0 +1,152 @@
+// test/db-compound-index-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-compound-index-all');
+const COLLECTION_NAME = 'compound_index_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB COMPOUND INDEX TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection(COLLECTION_NAME);
+
+    const docs = [];
+    for (let i = 0; i < 60; i++) {
+        docs.push({ n: i, tenantId: `t${i % 3}`, status: ['open', 'closed', 'draft', 'open'][i % 4], email: `u${i}@x.io` });
+    }
+    docs.push({ n: 100, tenantId: 't0' }); // без status
+    await col.insertMany(docs);
+
+    // --- Создание и использование планировщиком ---
+    console.log('  --- Testing planner usage ---');
+    await col.createIndex(['tenantId', 'status']);
+    const indexes = await col.getIndexes();
+    assert.deepStrictEqual(indexes.find(i => i.fieldName === 'tenantId,status'),
+        { fieldName: 'tenantId,status', type: 'standard', fields: ['tenantId', 'status'] }, 'Compound index meta');
+
+    const prefixCalls = [];
+    const originalPrefix = col._indexManager.findIdsByCompoundPrefix;
+    col._indexManager.findIdsByCompoundPrefix = function(...args) {
+        prefixCalls.push(args);
+        return originalPrefix.apply(this, args);
+    };
+    let docsVisited = 0;
+    const originalGet = col.documents.get.bind(col.documents);
+    col.documents.get = (id) => { docsVisited++; return originalGet(id); };
+
+    let results = await col.find({ tenantId: 't1', status: 'open' });
+    const expected = docs.filter(d => d.tenantId === 't1' && d.status === 'open');
+    assert.deepStrictEqual(results.map(d => d.n).sort((a, b) => a - b), expected.map(d => d.n), 'Full compound match returns correct docs');
+    assert.deepStrictEqual(prefixCalls.pop(), ['tenantId,status', ['t1', 'open']], 'Full compound key should be looked up');
+    assert.strictEqual(docsVisited, expected.length, 'Only indexed candidates should be visited');
+
+    results = await col.find({ tenantId: 't0', n: { $gte: 50 } });
+    assert.deepStrictEqual(results.map(d => d.n).sort((a, b) => a - b), [51, 54, 57, 100], 'Prefix match includes docs without the second field');
+    assert.deepStrictEqual(prefixCalls.pop(), ['tenantId,status', ['t0']], 'Prefix lookup should be used');
+
+    results = await col.find({ status: 'draft' });
+    assert.strictEqual(prefixCalls.length, 0, 'Index must not be used without its first field');
+    assert.strictEqual(results.length, 15);
+
+    await col.createIndex('tenantId');
+    results = await col.find({ tenantId: 't2', status: 'closed' });
+    assert.strictEqual(prefixCalls.length, 1, 'Compound index covering more fields wins over single-field index');
+    assert.ok(results.every(d => d.tenantId === 't2' && d.status === 'closed'));
+    col._indexManager.findIdsByCompoundPrefix = originalPrefix;
+
+    // Сортировка обходом составного индекса
+    docsVisited = 0;
+    results = await col.find({}, {}, { sort: { tenantId: -1, status: -1 }, limit: 3 });
+    col.documents.get = originalGet;
+    assert.deepStrictEqual(results.map(d => [d.tenantId, d.status]), [['t2', 'open'], ['t2', 'open'], ['t2', 'open']]);
+    assert.strictEqual(docsVisited, 3, 'Sort by compound index prefix should stop at limit');
+    console.log('  --- Planner usage PASSED ---');
+
+    // --- Уникальность ---
+    console.log('  --- Testing compound uniqueness ---');
+    await col.createIndex(['tenantId', 'email'], { unique: true });
+    await col.insert({ tenantId: 't1', email: 'u0@x.io' }); // тот же email у другого арендатора — можно
+    await assert.rejects(col.insert({ tenantId: 't0', email: 'u0@x.io' }), UniqueConstraintError, 'Duplicate compound key on insert');
+    await assert.rejects(
+        col.insertMany([{ tenantId: 't9', email: 'a@x.io' }, { tenantId: 't9', email: 'a@x.io' }]),
+        err => err instanceof UniqueConstraintError && err.fieldName === 'tenantId,email' && /\["t9","a@x.io"\]/.test(err.message),
+        'Duplicate compound key within a batch'
+    );
+    const victim = await col.findOne({ n: 1 });
+    await assert.rejects(col.update(victim._id, { tenantId: 't0', email: 'u0@x.io' }), UniqueConstraintError, 'Duplicate compound key on update');
+    await col.insert({ tenantId: 't0' });
+    await col.insert({ tenantId: 't0' }); // без email — в уникальный индекс не попадает
+    console.log('  --- Compound uniqueness PASSED ---');
+
+    // --- Префикс упорядоченного составного индекса ---
+    console.log('  --- Testing ordered prefix lookup ---');
+    const gridDocs = [];
+    for (let i = 0; i < 1000; i++) {
+        gridDocs.push({ _id: `g${i}`, a: Math.floor(i / 100), b: Math.floor(i / 10) % 10, c: i % 10 });
+    }
+    gridDocs.push({ _id: 'no-b', a: 3, c: 0 }, { _id: 'str-a', a: '3', b: 1, c: 1 }, { _id: 'a30', a: 30, b: 1, c: 1 });
+    const plain = await db.getCollection('compound_plain');
+    const ordered = await db.getCollection('compound_ordered');
+    await plain.insertMany(gridDocs);
+    await ordered.insertMany(gridDocs);
+    await plain.createIndex(['a', 'b', 'c']);
+    await ordered.createIndex(['a', 'b', 'c'], { ordered: true });
+
+    const orderedDef = ordered._indexManager.indexes.get('a,b,c');
+    const entries = orderedDef.data.entries;
+    orderedDef.data.entries = () => { throw new Error('Ordered prefix lookup must not scan all keys'); };
+    const ids = async (col, query) => (await col.find(query)).map(d => d._id).sort();
+    for (const query of [{ a: 3 }, { a: 3, b: 1 }, { a: 3, c: { $gt: 7 } }, { a: 9, b: 9 }, { a: 11 }]) {
+        const expectedIds = gridDocs.filter(d => Object.keys(query).every(k => (typeof query[k] === 'object' ? d[k] > query[k].$gt : d[k] === query[k])))
+            .map(d => d._id).sort();
+        assert.deepStrictEqual(await ids(ordered, query), expectedIds, `Ordered prefix lookup for ${JSON.stringify(query)}`);
+        assert.deepStrictEqual(await ids(plain, query), expectedIds, `Plain prefix lookup for ${JSON.stringify(query)}`);
+    }
+    orderedDef.data.entries = entries;
+
+    const keyCount = orderedDef.data.size;
+    const plainPlan = (await plain.explain({ a: 3 })).winningPlan;
+    const orderedPlan = (await ordered.explain({ a: 3 })).winningPlan;
+    assert.strictEqual(plainPlan.lookup, 'prefix');
+    assert.strictEqual(orderedPlan.lookup, 'prefix');
+    assert.strictEqual(plainPlan.estimatedKeys, keyCount, 'A plain compound prefix lookup is costed as a full key scan');
+    assert.ok(orderedPlan.estimatedKeys < keyCount / 5, `An ordered prefix lookup scans only the range (got ${orderedPlan.estimatedKeys} of ${keyCount})`);
+    console.log('  --- Ordered prefix lookup PASSED ---');
+
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection(COLLECTION_NAME);
+    const restored = await col2.getIndexes();
+    assert.ok(restored.some(i => i.fieldName === 'tenantId,email' && i.type === 'unique'), 'Unique compound index survives restart');
+    await assert.rejects(col2.insert({ tenantId: 't0', email: 'u0@x.io' }), UniqueConstraintError, 'Constraint enforced after restart');
+    assert.strictEqual(col2._indexManager.findIdsByCompoundPrefix('tenantId,status', ['t1', 'open']).size, expected.length, 'Index data rebuilt after restart');
+
+    await col2.dropIndex(['tenantId', 'status']);
+    assert.ok(!(await col2.getIndexes()).some(i => i.fieldName === 'tenantId,status'), 'dropIndex accepts the field list');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB COMPOUND INDEX TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
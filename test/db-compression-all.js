@@ -0,0 +1,112 @@
+// test/db-compression-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { readWal } = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-compression-all');
+const DB_OPTIONS = { checkpointIntervalMs: 0 };
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function listFiles(dir, prefix) {
+    return fs.readdirSync(dir).filter(f => f.startsWith(prefix)).sort();
+}
+
+function segmentFiles(col) {
+    return listFiles(col.checkpointsDir, `checkpoint_data_${col.name}_`);
+}
+
+function makeDocs(n) {
+    return Array.from({ length: n }, (_, i) => ({ _id: `d${i}`, text: 'lorem ipsum dolor sit amet '.repeat(10), n: i }));
+}
+
+async function main() {
+    console.log('=== DB COMPRESSION TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH, DB_OPTIONS);
+    await db.init();
+
+    // --- Сжатые сегменты чекпоинтов ---
+    console.log('  --- Testing compressed checkpoints ---');
+    const gz = await db.getCollection('comp_gzip', { compression: 'gzip' });
+    await gz.insertMany(makeDocs(200));
+    await gz.flushToDisk();
+    const gzSegments = segmentFiles(gz);
+    assert.ok(gzSegments.length > 0 && gzSegments.every(f => f.endsWith('.json.gz')), 'Segments get the .gz extension');
+    const gzContent = fs.readFileSync(path.join(gz.checkpointsDir, gzSegments[0]));
+    assert.deepStrictEqual([gzContent[0], gzContent[1]], [0x1f, 0x8b], 'Segment is gzip data');
+    const plainSize = Buffer.byteLength(JSON.stringify(await gz.find({})), 'utf8');
+    const gzSize = gzSegments.reduce((sum, f) => sum + fs.statSync(path.join(gz.checkpointsDir, f)).size, 0);
+    assert.ok(gzSize * 5 < plainSize, `Compressed segments are much smaller (${gzSize} vs ${plainSize} bytes)`);
+
+    const br = await db.getCollection('comp_brotli', { compression: 'brotli', archiveWal: true, checkpointsToKeep: 2 });
+    await br.insertMany(makeDocs(50));
+    await br.flushToDisk();
+    assert.ok(segmentFiles(br).every(f => f.endsWith('.json.br')), 'Segments get the .br extension');
+    console.log('  --- Compressed checkpoints PASSED ---');
+
+    // --- Архив WAL ---
+    console.log('  --- Testing WAL archives ---');
+    let archives = listFiles(br.walArchiveDir, 'wal_archive_comp_brotli_');
+    assert.strictEqual(archives.length, 1, 'Compaction moves covered entries to an archive');
+    assert.ok(archives[0].endsWith('.log.br'));
+    const archived = await readWal(path.join(br.walArchiveDir, archives[0]));
+    assert.deepStrictEqual(archived.map(e => e.op), ['BATCH_INSERT'], 'Compressed archives are read transparently');
+    assert.strictEqual(archived[0].docs.length, 50);
+    assert.deepStrictEqual(await readWal(br.walPath), [], 'The live WAL is compacted');
+
+    for (let i = 0; i < 2; i++) {
+        await br.updateOne({ _id: 'd0' }, { $inc: { n: 1 } });
+        await br.flushToDisk();
+    }
+    archives = listFiles(br.walArchiveDir, 'wal_archive_comp_brotli_');
+    assert.strictEqual(archives.length, 2, 'Old archives are removed like old checkpoints');
+    assert.deepStrictEqual((await readWal(path.join(br.walArchiveDir, archives[1]))).map(e => e.op), ['UPDATE']);
+
+    // Без archiveWal архив не создается.
+    assert.ok(!fs.existsSync(gz.walArchiveDir), 'WAL archiving is off by default');
+    console.log('  --- WAL archives PASSED ---');
+
+    // --- Переход со сжатия и обратно ---
+    console.log('  --- Testing mixed compressed and plain files ---');
+    const plain = await db.getCollection('comp_switch', { checkpointsToKeep: 1 });
+    await plain.insertMany(makeDocs(10));
+    await db.close();
+    assert.ok(segmentFiles(plain).every(f => f.endsWith('.json')), 'Compression is off by default');
+
+    const db2 = new WiseJSON(DB_PATH, { ...DB_OPTIONS, compression: 'brotli' });
+    await db2.init();
+    const switched = await db2.getCollection('comp_switch', { checkpointsToKeep: 1 });
+    assert.strictEqual(await switched.count(), 10, 'Legacy uncompressed checkpoints are loaded');
+    await switched.insert({ _id: 'extra' });
+    await switched.flushToDisk();
+    assert.ok(segmentFiles(switched).every(f => f.endsWith('.json.br')), 'New checkpoints are compressed, old ones cleaned up');
+    assert.strictEqual((await (await db2.getCollection('comp_gzip')).getById('d199')).n, 199, 'Gzip checkpoint is loaded');
+    assert.strictEqual((await (await db2.getCollection('comp_brotli')).getById('d0')).n, 2, 'Brotli checkpoint is loaded');
+
+    await assert.rejects(db2.getCollection('comp_bad', { compression: 'zip' }), /compression: must be one of 'gzip', 'brotli' or false/);
+    await db2.close();
+
+    const db3 = new WiseJSON(DB_PATH, DB_OPTIONS);
+    await db3.init();
+    assert.strictEqual(await (await db3.getCollection('comp_switch')).count(), 11, 'Compressed checkpoints load without the option');
+    await db3.close();
+    console.log('  --- Mixed compressed and plain files PASSED ---');
+
+    cleanUp();
+    console.log('=== DB COMPRESSION TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
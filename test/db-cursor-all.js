@@ -0,0 +1,127 @@
+// test/db-cursor-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { flattenDocToCsv } = require('../wise-json/collection/utils.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-cursor-all');
+const COLLECTION_NAME = 'cursor_tests_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB CURSOR TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.collection(COLLECTION_NAME);
+    await col.initPromise;
+
+    const docs = [];
+    for (let i = 0; i < 250; i++) {
+        docs.push({ n: i, group: i % 3 === 0 ? 'a' : 'b', note: i === 7 ? 'has, comma' : `note ${i}` });
+    }
+    await col.insertMany(docs);
+
+    // --- Тест 1: async-итерация и порции ---
+    console.log('  --- Testing async iteration and batches ---');
+    const cursor = col.findCursor({ group: 'a' }, { batchSize: 10 });
+    let iterated = 0;
+    let ticksObserved = 0;
+    const tick = setInterval(() => { ticksObserved++; }, 0);
+    for await (const doc of cursor) {
+        assert.strictEqual(doc.group, 'a', 'Cursor should only yield matching docs');
+        iterated++;
+    }
+    clearInterval(tick);
+    assert.strictEqual(iterated, 84, 'Cursor should yield all 84 matching docs');
+    assert.ok(cursor.closed, 'Cursor should be closed after for-await completes');
+    assert.ok(ticksObserved > 0, 'Cursor should yield to the event loop between batches');
+    console.log('  --- async iteration PASSED ---');
+
+    // --- Тест 2: next(), hasNext(), close() ---
+    console.log('  --- Testing next/hasNext/close ---');
+    const manual = col.findCursor({}, { sort: { n: -1 }, limit: 3 });
+    assert.strictEqual((await manual.next()).n, 249, 'next() should respect sort');
+    assert.strictEqual(await manual.hasNext(), true);
+    assert.strictEqual((await manual.next()).n, 248);
+    manual.close();
+    assert.strictEqual(await manual.next(), null, 'next() after close() should return null');
+
+    const limited = col.findCursor({}, { sort: { n: 1 }, skip: 5, limit: 2 });
+    assert.strictEqual((await limited.next()).n, 5);
+    assert.strictEqual((await limited.next()).n, 6);
+    assert.strictEqual(await limited.next(), null, 'next() should return null after limit');
+    console.log('  --- next/hasNext/close PASSED ---');
+
+    // --- Тест 3: map, projection, toArray ---
+    console.log('  --- Testing map, projection and toArray ---');
+    const mapped = await col.findCursor({ n: { $lt: 4 } }, { projection: { n: 1, _id: 0 }, sort: { n: 1 } })
+        .map(doc => doc.n * 10)
+        .toArray();
+    assert.deepStrictEqual(mapped, [0, 10, 20, 30], 'map should be applied after projection');
+
+    const started = col.findCursor({});
+    await started.next();
+    assert.throws(() => started.map(d => d), /before iteration/, 'map after start should throw');
+    started.close();
+
+    assert.throws(() => col.findCursor({}, { batchSize: 0 }), /batchSize/, 'Invalid batchSize should throw');
+    assert.throws(() => col.findCursor({}, { limit: -5 }), /limit/, 'Invalid options should throw immediately');
+    console.log('  --- map, projection and toArray PASSED ---');
+
+    // --- Тест 4: экспорт через курсор ---
+    console.log('  --- Testing streaming export ---');
+    const allDocs = await col.getAll();
+    const jsonPath = path.join(DB_PATH, 'export.json');
+    await col.exportJson(jsonPath, { batchSize: 17 });
+    assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), JSON.stringify(allDocs, null, 2), 'Streamed JSON export should match JSON.stringify output');
+
+    const csvPath = path.join(DB_PATH, 'export.csv');
+    await col.exportCsv(csvPath);
+    assert.strictEqual(fs.readFileSync(csvPath, 'utf8'), flattenDocToCsv(allDocs), 'Streamed CSV export should match flattenDocToCsv output');
+
+    // Заголовок и строки CSV берутся из одного прохода курсора, даже если коллекция меняется.
+    const findCursor = col.findCursor;
+    let cursorsOpened = 0;
+    col.findCursor = (...args) => {
+        cursorsOpened++;
+        return findCursor(...args);
+    };
+    const lastId = allDocs[allDocs.length - 1]._id;
+    const exporting = col.exportCsv(csvPath, { batchSize: 5 });
+    await col.updateOne({ _id: lastId }, { $set: { lateField: 'x' } });
+    await exporting;
+    col.findCursor = findCursor;
+    assert.strictEqual(cursorsOpened, 1, 'CSV export reads the collection once');
+    const updatedLast = await col.getById(lastId);
+    const updatedDocs = allDocs.map(doc => (doc._id === lastId ? updatedLast : doc));
+    const exported = fs.readFileSync(csvPath, 'utf8');
+    assert.ok([flattenDocToCsv(allDocs), flattenDocToCsv(updatedDocs)].includes(exported), 'Header and rows come from the same document versions');
+
+    const emptyCol = await db.collection('cursor_empty_col');
+    await emptyCol.initPromise;
+    await emptyCol.exportJson(jsonPath);
+    assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), '[]', 'Empty collection exports as []');
+    await emptyCol.exportCsv(csvPath);
+    assert.strictEqual(fs.readFileSync(csvPath, 'utf8'), '', 'Empty collection exports an empty CSV');
+    console.log('  --- streaming export PASSED ---');
+
+    await db.close();
+    cleanUp();
+
+    console.log('=== DB CURSOR TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
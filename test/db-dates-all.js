@@ -0,0 +1,118 @@
+// test/db-dates-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-dates-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id);
+}
+
+async function main() {
+    console.log('=== DB DATES TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+
+    // --- Объявленные поля-даты ---
+    console.log('  --- Testing declared date fields ---');
+    const orders = await db.getCollection('dates_orders', { dateFields: ['shippedAt'] });
+    assert.deepStrictEqual(orders.options.dateFields, ['createdAt', 'updatedAt', 'expireAt', 'shippedAt'], 'System fields are always dates');
+    const may1 = Date.parse('2024-05-01T00:00:00.000Z');
+    await orders.insertMany([
+        { _id: 'iso', shippedAt: '2024-05-01T10:00:00.000Z' },
+        { _id: 'offset', shippedAt: '2024-05-01T12:30:00+03:00' }, // 09:30Z
+        { _id: 'day', shippedAt: '2024-04-30' },
+        { _id: 'epoch', shippedAt: may1 + 12 * 3600 * 1000 }, // 12:00Z
+        { _id: 'text', shippedAt: 'soon' },
+        { _id: 'none' },
+    ]);
+
+    const sinceMay = { shippedAt: { $gte: new Date('2024-05-01T00:00:00Z') } };
+    assert.deepStrictEqual(ids(await orders.find(sinceMay, {}, { sort: { shippedAt: 1 } })), ['offset', 'iso', 'epoch'], 'Date bound matches ISO strings, offsets and epoch numbers');
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: { $gte: '2024-05-01', $lt: may1 + 11 * 3600 * 1000 } }, {}, { sort: { shippedAt: -1 } })),
+        ['iso', 'offset'], 'ISO string and number bounds compare by time in a date field');
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: new Date('2024-05-01T09:30:00Z') })), ['offset'], 'Equality with a Date ignores the string format');
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: { $in: ['2024-05-01T12:00:00Z', '2024-04-30T00:00:00Z'] } }, {}, { sort: { shippedAt: 1 } })),
+        ['day', 'epoch'], '$in compares dates by time');
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: { $regex: '^2024-05' } }, {}, { sort: { _id: 1 } })), ['iso', 'offset'], '$regex still sees the stored string');
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: 'soon' })), ['text'], 'Non-date strings compare as strings');
+
+    const sorted = ids(await orders.find({ shippedAt: { $exists: true } }, {}, { sort: { shippedAt: 1 } }));
+    assert.deepStrictEqual(sorted, ['day', 'offset', 'iso', 'epoch', 'text'], 'Dates sort chronologically regardless of format');
+
+    const firstCreated = (await orders.find({}, {}, { sort: { createdAt: 1 }, limit: 1 }))[0];
+    assert.strictEqual((await orders.count({ createdAt: { $gte: new Date(firstCreated.createdAt) } })), 6, 'createdAt is compared as a date');
+    console.log('  --- Declared date fields PASSED ---');
+
+    // --- Индексы по полям-датам ---
+    console.log('  --- Testing date indexes ---');
+    await orders.createIndex('shippedAt', { ordered: true });
+    let explained = await orders.explain(sinceMay);
+    assert.deepStrictEqual([explained.winningPlan.indexName, explained.winningPlan.lookup], ['shippedAt', 'range']);
+    assert.deepStrictEqual(explained.winningPlan.range, { $gte: may1 }, 'Date bound becomes a time range');
+    assert.strictEqual(explained.executionStats.nReturned, 3);
+
+    explained = await orders.explain({ shippedAt: new Date(may1 + 12 * 3600 * 1000) });
+    assert.strictEqual(explained.winningPlan.lookup, 'eq', 'Date equality uses the index');
+    assert.strictEqual(explained.executionStats.nReturned, 1);
+    assert.strictEqual(orders._indexManager.findIdsByIndex('shippedAt', '2024-05-01T10:00:00Z').size, 1, 'Index key is the time, not the string');
+
+    explained = await orders.explain({ shippedAt: { $regex: '^2024-05' } });
+    assert.strictEqual(explained.winningPlan.stage, 'COLLSCAN', '$regex on a date index falls back to a scan');
+    assert.strictEqual(explained.executionStats.nReturned, 2);
+
+    assert.deepStrictEqual(ids(await orders.find({ shippedAt: { $exists: true } }, {}, { sort: { shippedAt: -1 }, limit: 2 })), ['text', 'epoch'], 'Index order matches the comparator');
+
+    const events = await db.getCollection('dates_events', { dateFields: ['at'] });
+    await events.createIndex('at', { unique: true });
+    await events.insert({ at: '2024-01-01T00:00:00Z' });
+    await assert.rejects(events.insert({ at: Date.parse('2024-01-01T00:00:00Z') }), /Duplicate/i, 'The same moment in another format violates uniqueness');
+    console.log('  --- Date indexes PASSED ---');
+
+    // --- Поля без объявления ---
+    console.log('  --- Testing undeclared fields ---');
+    const logs = await db.getCollection('dates_logs');
+    await logs.insertMany([
+        { _id: 'a', at: '2024-03-01T00:00:00Z', label: '2024-03-01' },
+        { _id: 'b', at: Date.parse('2024-03-02T00:00:00Z'), label: 'b' },
+        { _id: 'c', at: '2024-02-01T00:00:00Z', label: 'c' },
+    ]);
+    assert.deepStrictEqual(ids(await logs.find({ at: { $gt: new Date('2024-02-15T00:00:00Z') } }, {}, { sort: { _id: 1 } })), ['a', 'b'], 'A Date bound compares by time in any field');
+    assert.deepStrictEqual(ids(await logs.find({ at: { $gt: '2024-02-15' } })), ['a'], 'Without a declaration strings compare as strings');
+    assert.deepStrictEqual(ids(await logs.find({ label: { $ne: new Date('2024-03-01') } }, {}, { sort: { _id: 1 } })), ['b', 'c'], '$ne with a Date matches by time');
+
+    const agg = await orders.aggregate([{ $match: { _id: { $ne: 'none' } } }, { $match: sinceMay }, { $sort: { shippedAt: -1 } }, { $project: { _id: 1 } }]);
+    assert.deepStrictEqual(ids(agg), ['epoch', 'iso', 'offset'], 'Aggregation uses the collection date fields');
+
+    await assert.rejects(db.getCollection('dates_bad', { dateFields: 'at' }), /dateFields/);
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const orders2 = await db2.getCollection('dates_orders', { dateFields: ['shippedAt'] });
+    explained = await orders2.explain(sinceMay);
+    assert.strictEqual(explained.winningPlan.lookup, 'range', 'Date index is restored after restart');
+    assert.strictEqual(explained.executionStats.nReturned, 3);
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB DATES TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
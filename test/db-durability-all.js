@@ -0,0 +1,161 @@
+// test/db-durability-all.js
+
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { decodeWalRecord } = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-durability-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+// Считает дозаписи WAL-файла коллекции и открытия его для fsync.
+function spyWal(col) {
+    const originalAppend = fsp.appendFile;
+    const originalOpen = fsp.open;
+    const spy = { appends: 0, syncs: 0 };
+    fsp.appendFile = function (file, ...rest) {
+        if (file === col.walPath) spy.appends++;
+        return originalAppend.call(this, file, ...rest);
+    };
+    fsp.open = function (file, ...rest) {
+        if (file === col.walPath) spy.syncs++;
+        return originalOpen.call(this, file, ...rest);
+    };
+    spy.restore = () => {
+        fsp.appendFile = originalAppend;
+        fsp.open = originalOpen;
+    };
+    return spy;
+}
+
+function walIds(col) {
+    const text = fs.readFileSync(col.walPath, 'utf8').trim();
+    return text ? text.split('\n').map(line => decodeWalRecord(line).entry.doc._id) : [];
+}
+
+async function main() {
+    console.log('=== DB DURABILITY TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+
+    // --- Уровни надежности в отдельных вызовах ---
+    console.log('  --- Testing per-call durability ---');
+    const col = await db.getCollection('durability', { maxWalEntriesBeforeCheckpoint: 0 });
+    assert.strictEqual(col.options.durability, 'fsync', 'fsync is the default');
+
+    let spy = spyWal(col);
+    await col.insert({ _id: 'f1' });
+    spy.restore();
+    assert.deepStrictEqual([spy.appends, spy.syncs], [1, 1], 'fsync: appended and synced');
+
+    spy = spyWal(col);
+    await col.insert({ _id: 'o1' }, { durability: 'os-buffered' });
+    spy.restore();
+    assert.deepStrictEqual([spy.appends, spy.syncs], [1, 0], 'os-buffered: appended without fsync');
+    assert.deepStrictEqual(walIds(col), ['f1', 'o1']);
+
+    spy = spyWal(col);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => col.insert({ _id: `b${i}` }, { durability: 'batched' })));
+    assert.ok(walIds(col).length < 12, 'batched: the call does not wait for the WAL');
+    assert.ok(await col.getById('b9'), 'batched: the change is visible at once');
+    await col.insert({ _id: 'f2' });
+    spy.restore();
+    assert.ok(spy.syncs < 11, `batched: entries share fsyncs (got ${spy.syncs})`);
+    assert.deepStrictEqual(walIds(col), ['f1', 'o1', ...Array.from({ length: 10 }, (_, i) => `b${i}`), 'f2'],
+        'A later fsync write lands after pending batched entries');
+
+    spy = spyWal(col);
+    await col.insert({ _id: 'n1' }, { durability: 'none' });
+    await col.updateOne({ _id: 'f1' }, { $set: { v: 1 } }, { durability: 'none' });
+    await col.bulkWrite([{ deleteOne: { filter: { _id: 'o1' } } }], { durability: 'none' });
+    spy.restore();
+    assert.strictEqual(spy.appends, 0, 'none: nothing is written to the WAL');
+    assert.ok(await col.getById('n1'));
+    assert.strictEqual(await col.getById('o1'), null);
+
+    const walBefore = walIds(col).length;
+    await assert.rejects(col.insert({ _id: 'x' }, { durability: 'always' }), /durability: must be one of 'fsync', 'batched', 'os-buffered', 'none'/);
+    await assert.rejects(col.deleteMany({}, { durability: 1 }), /durability: must be one of/);
+    assert.strictEqual(await col.getById('x'), null, 'Invalid durability rejects the call');
+    assert.strictEqual(walIds(col).length, walBefore);
+    console.log('  --- Per-call durability PASSED ---');
+
+    // --- Уровень коллекции ---
+    console.log('  --- Testing collection durability ---');
+    const memory = await db.getCollection('durability_none', { durability: 'none', maxWalEntriesBeforeCheckpoint: 0 });
+    await memory.insertMany([{ _id: 'm1' }, { _id: 'm2' }]);
+    await memory.remove('m2');
+    assert.deepStrictEqual(walIds(memory), [], 'Collection-level none skips the WAL');
+    await memory.insert({ _id: 'm3' }, { durability: 'fsync' });
+    assert.deepStrictEqual(walIds(memory), ['m3'], 'A call can ask for more durability than the collection');
+
+    await assert.rejects(db.getCollection('durability_bad', { durability: 'sometimes' }), /durability: must be one of/);
+    console.log('  --- Collection durability PASSED ---');
+
+    // --- Ошибка фоновой записи 'batched' ---
+    console.log('  --- Testing batched write failure ---');
+    const errors = [];
+    const noop = () => {};
+    const failing = await db.getCollection('durability_fail', {
+        logger: { log: noop, info: noop, debug: noop, warn: noop, error: msg => errors.push(String(msg)) },
+    });
+    await failing.insert({ _id: 'kept' });
+    const originalAppend = fsp.appendFile;
+    fsp.appendFile = function (file, ...rest) {
+        if (file === failing.walPath) return Promise.reject(Object.assign(new Error('disk failure'), { code: 'EROFS' }));
+        return originalAppend.call(this, file, ...rest);
+    };
+    await failing.insert({ _id: 'lost' }, { durability: 'batched' });
+    await assert.rejects(failing.flushWal(), /'batched' .* rolled back: disk failure/, 'The next flush reports the failed batched write');
+    fsp.appendFile = originalAppend;
+    assert.ok(errors.some(msg => /'batched' не попало на диск и откачено: disk failure/.test(msg)), 'The lost write is logged');
+    assert.strictEqual(await failing.getById('lost'), null, 'The lost write is rolled back');
+    await failing.flushWal();
+    await failing.insert({ _id: 'next' });
+    assert.deepStrictEqual((await failing.find({})).map(d => d._id), ['kept', 'next'], 'The failure is reported only once');
+
+    // Без flushWal() о сбое узнает следующая запись, и она не применяется.
+    fsp.appendFile = function (file, ...rest) {
+        if (file === failing.walPath) return Promise.reject(Object.assign(new Error('disk failure'), { code: 'EROFS' }));
+        return originalAppend.call(this, file, ...rest);
+    };
+    await failing.insert({ _id: 'lost2' }, { durability: 'batched' });
+    while (await failing.getById('lost2')) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    fsp.appendFile = originalAppend;
+    await assert.rejects(failing.insert({ _id: 'rejected' }), /'batched' .* rolled back: disk failure/);
+    await failing.insert({ _id: 'last' });
+    assert.deepStrictEqual((await failing.find({})).map(d => d._id), ['kept', 'next', 'last']);
+    console.log('  --- Batched write failure PASSED ---');
+    await db.close();
+
+    // --- Перезапуск: close() сохраняет чекпоинт со всеми изменениями ---
+    const db2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db2.init();
+    const col2 = await db2.getCollection('durability');
+    assert.strictEqual(await col2.count(), 13);
+    assert.strictEqual((await col2.getById('f1')).v, 1, 'Changes without WAL survive through the checkpoint');
+    assert.ok(await col2.getById('n1'));
+    const memory2 = await db2.getCollection('durability_none');
+    assert.deepStrictEqual((await memory2.find({}, {}, { sort: { _id: 1 } })).map(d => d._id), ['m1', 'm3']);
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB DURABILITY TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,125 @@
+// test/db-explain-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-explain-all');
+const COLLECTION_NAME = 'explain_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id).sort();
+}
+
+async function main() {
+    console.log('=== DB EXPLAIN TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection(COLLECTION_NAME);
+
+    const docs = [];
+    for (let i = 0; i < 200; i++) {
+        docs.push({ _id: `d${i}`, city: ['London', 'Paris', 'Berlin', 'Rome'][i % 4], tag: `t${i % 20}`, age: i % 50 });
+    }
+    docs.push({ _id: 'rare', city: 'Oslo', tag: 't0', age: 99 });
+    await col.insertMany(docs);
+    await col.createIndex('city');
+    await col.createIndex('tag');
+    await col.createIndex('age', { ordered: true });
+
+    // --- Выбор по кардинальности ---
+    console.log('  --- Testing plan selection ---');
+    let explained = await col.explain({ city: 'Oslo', tag: 't0' });
+    assert.strictEqual(explained.winningPlan.stage, 'IXSCAN');
+    assert.strictEqual(explained.winningPlan.indexName, 'city', 'The more selective index wins');
+    assert.strictEqual(explained.winningPlan.estimatedDocs, 1);
+    assert.deepStrictEqual(explained.candidatePlans.map(p => p.stage), ['IXSCAN', 'IXSCAN', 'INTERSECTION', 'COLLSCAN']);
+    assert.ok(explained.candidatePlans.every(p => typeof p.cost === 'number' && p.execute === undefined), 'Plans are plain descriptions');
+    assert.deepStrictEqual(explained.executionStats.nReturned, 1);
+    assert.strictEqual(explained.executionStats.docsExamined, 1, 'Only the indexed candidate is examined');
+    assert.ok(explained.executionStats.executionTimeMs >= 0);
+
+    // Пересечение двух индексов дешевле каждого из них по отдельности
+    explained = await col.explain({ city: 'London', tag: 't4' });
+    assert.strictEqual(explained.winningPlan.stage, 'INTERSECTION');
+    assert.deepStrictEqual(explained.winningPlan.inputs.map(p => p.indexName), ['tag', 'city']);
+    assert.strictEqual(explained.executionStats.nReturned, 10);
+    assert.strictEqual(explained.executionStats.docsExamined, 10, 'Intersection examines only common candidates');
+    assert.deepStrictEqual(ids(await col.find({ city: 'London', tag: 't4' })), ids(docs.filter(d => d.city === 'London' && d.tag === 't4')));
+
+    // Полный просмотр
+    explained = await col.explain({ name: 'nobody' });
+    assert.strictEqual(explained.winningPlan.stage, 'COLLSCAN');
+    assert.strictEqual(explained.executionStats.docsExamined, 201);
+    assert.strictEqual(explained.executionStats.nReturned, 0);
+    console.log('  --- Plan selection PASSED ---');
+
+    // --- $or и $and ---
+    console.log('  --- Testing $or / $and ---');
+    explained = await col.explain({ $or: [{ city: 'Oslo' }, { age: { $gte: 48 } }] });
+    assert.strictEqual(explained.winningPlan.stage, 'OR', 'Indexed $or branches are unioned');
+    assert.deepStrictEqual(explained.winningPlan.inputs.map(p => [p.indexName, p.lookup]), [['city', 'eq'], ['age', 'range']]);
+    assert.strictEqual(explained.executionStats.nReturned, 9, 'Document matched by both branches is returned once');
+    assert.strictEqual(explained.executionStats.docsExamined, 9);
+    assert.deepStrictEqual(ids(await col.find({ $or: [{ city: 'Oslo' }, { age: { $gte: 48 } }] })),
+        ids(docs.filter(d => d.city === 'Oslo' || d.age >= 48)));
+
+    explained = await col.explain({ $or: [{ city: 'Oslo' }, { name: 'x' }] });
+    assert.strictEqual(explained.winningPlan.stage, 'COLLSCAN', 'A branch without an index forces a scan');
+
+    explained = await col.explain({ $and: [{ tag: 't7' }, { age: { $lt: 100 } }] });
+    assert.strictEqual(explained.winningPlan.indexName, 'tag', 'Conditions inside $and are planned');
+    assert.strictEqual(explained.executionStats.nReturned, 10);
+    console.log('  --- $or / $and PASSED ---');
+
+    // --- Диапазон по неупорядоченному индексу на вложенном поле ---
+    console.log('  --- Testing key scan on a nested path ---');
+    const nested = await db.getCollection('explain_nested');
+    const nestedDocs = Array.from({ length: 40 }, (_, i) => ({ _id: `n${i}`, address: { zip: i % 4 } }));
+    nestedDocs.push({ _id: 'a', address: { zip: 6 } }, { _id: 'b', address: { zip: 8 } });
+    await nested.insertMany(nestedDocs);
+    await nested.createIndex('address.zip');
+    explained = await nested.explain({ 'address.zip': { $gt: 5 } });
+    assert.strictEqual(explained.winningPlan.lookup, 'keyScan');
+    assert.deepStrictEqual(ids(await nested.find({ 'address.zip': { $gt: 5 } })), ['a', 'b'], 'Keys of a dotted-path index are compared directly');
+    assert.strictEqual(explained.executionStats.nReturned, 2);
+    console.log('  --- Key scan on a nested path PASSED ---');
+
+    // --- Сортировка и опции ---
+    explained = await col.explain({}, { sort: { age: -1 }, limit: 3 });
+    assert.deepStrictEqual([explained.winningPlan.lookup, explained.winningPlan.direction], ['sort', -1]);
+    assert.strictEqual(explained.executionStats.nReturned, 3);
+    assert.strictEqual(explained.executionStats.docsExamined, 3, 'Index-ordered scan stops at the limit');
+
+    await col.createIndex(['title'], { text: true });
+    await col.insert({ _id: 'txt', title: 'query planner' });
+    explained = await col.explain({ $text: { $search: 'planner' } });
+    assert.strictEqual(explained.winningPlan.stage, 'TEXT');
+    assert.strictEqual(explained.executionStats.nReturned, 1);
+
+    explained = await col.explain(doc => doc.age === 99);
+    assert.strictEqual(explained.winningPlan.stage, 'COLLSCAN', 'Function queries are scanned');
+    assert.strictEqual(explained.executionStats.nReturned, 1);
+
+    await assert.rejects(col.explain('city'), /explain: query must be/);
+    await assert.rejects(col.explain({}, { limit: -1 }), /limit/);
+
+    await db.close();
+    cleanUp();
+    console.log('=== DB EXPLAIN TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
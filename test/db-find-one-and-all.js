@@ -0,0 +1,110 @@
+// test/db-find-one-and-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-find-one-and-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB FIND ONE AND * TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const jobs = await db.getCollection('find_one_and_jobs');
+    await jobs.insertMany([
+        { _id: 'j1', status: 'new', priority: 2, payload: 'a' },
+        { _id: 'j2', status: 'new', priority: 5, payload: 'b' },
+        { _id: 'j3', status: 'new', priority: 1, payload: 'c' },
+    ]);
+
+    // --- findOneAndUpdate: sort и projection ---
+    console.log('  --- Testing findOneAndUpdate sort/projection ---');
+    let doc = await jobs.findOneAndUpdate({ status: 'new' }, { $set: { status: 'claimed' } }, { sort: { priority: -1 }, projection: { status: 1 } });
+    assert.deepStrictEqual(doc, { _id: 'j2', status: 'claimed' }, 'Highest priority is claimed and projected');
+    doc = await jobs.findOneAndUpdate({ status: 'new' }, { $set: { status: 'claimed' } }, { sort: { priority: 1 }, returnOriginal: true, projection: { payload: 0, createdAt: 0, updatedAt: 0 } });
+    assert.deepStrictEqual(doc, { _id: 'j3', status: 'new', priority: 1 }, 'returnOriginal with an exclusion projection');
+    console.log('  --- findOneAndUpdate sort/projection PASSED ---');
+
+    // --- Атомарность: параллельные захваты не берут один документ дважды ---
+    console.log('  --- Testing concurrent claims ---');
+    const queue = await db.getCollection('find_one_and_queue');
+    await queue.insertMany(Array.from({ length: 10 }, (_, i) => ({ _id: `q${i}`, state: 'ready', n: i })));
+    const claimed = await Promise.all(Array.from({ length: 12 }, () =>
+        queue.findOneAndUpdate({ state: 'ready' }, { $set: { state: 'taken' } }, { sort: { n: 1 } })));
+    const ids = claimed.filter(Boolean).map(d => d._id);
+    assert.strictEqual(ids.length, 10, 'Every document is claimed once; extra calls get null');
+    assert.strictEqual(new Set(ids).size, 10);
+    assert.deepStrictEqual(ids, Array.from({ length: 10 }, (_, i) => `q${i}`), 'Claims follow the sort order');
+
+    const popped = await Promise.all(Array.from({ length: 12 }, () => queue.findOneAndDelete({ state: 'taken' }, { sort: { n: -1 } })));
+    assert.deepStrictEqual(popped.filter(Boolean).map(d => d.n), [9, 8, 7, 6, 5, 4, 3, 2, 1, 0], 'findOneAndDelete pops in sort order');
+    assert.strictEqual(await queue.count(), 0);
+    console.log('  --- Concurrent claims PASSED ---');
+
+    // --- findOneAndDelete ---
+    console.log('  --- Testing findOneAndDelete ---');
+    doc = await jobs.findOneAndDelete({ status: 'claimed' }, { sort: { priority: 1 }, projection: { payload: 1, _id: 0 } });
+    assert.deepStrictEqual(doc, { payload: 'c' });
+    assert.strictEqual(await jobs.getById('j3'), null);
+    assert.strictEqual(await jobs.findOneAndDelete({ status: 'nope' }), null);
+    console.log('  --- findOneAndDelete PASSED ---');
+
+    // --- replaceOne и findOneAndReplace ---
+    console.log('  --- Testing replaceOne and findOneAndReplace ---');
+    const original = await jobs.getById('j1');
+    let res = await jobs.replaceOne({ _id: 'j1' }, { status: 'done', result: 42 });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 });
+    doc = await jobs.getById('j1');
+    assert.deepStrictEqual([doc.status, doc.result, doc.priority, doc.payload], ['done', 42, undefined, undefined], 'Old fields are dropped');
+    assert.strictEqual(doc.createdAt, original.createdAt, 'createdAt is kept');
+
+    res = await jobs.replaceOne({ _id: 'j1' }, { _id: 'j1', status: 'done', result: 42 });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 0 }, 'Identical replacement is not a modification');
+    assert.deepStrictEqual(await jobs.replaceOne({ _id: 'zz' }, { a: 1 }), { matchedCount: 0, modifiedCount: 0 });
+
+    res = await jobs.replaceOne({ _id: 'j9', status: 'ignored' }, { status: 'fresh' }, { upsert: true });
+    assert.strictEqual(res.upsertedId, 'j9', 'Upsert takes _id from the filter');
+    doc = await jobs.getById('j9');
+    assert.strictEqual(doc.status, 'fresh', 'Other filter fields are not copied into a replacement');
+
+    await assert.rejects(jobs.replaceOne({ _id: 'j1' }, { $set: { a: 1 } }), /must not contain update operators/);
+    await assert.rejects(jobs.replaceOne({ _id: 'j1' }, { _id: 'other' }), /'_id' field cannot be modified/);
+    await assert.rejects(jobs.replaceOne({ _id: 'j1' }, null), /replacement must be an object/);
+
+    doc = await jobs.findOneAndReplace({ status: { $in: ['claimed', 'done'] } }, { status: 'archived' }, { sort: { priority: -1 }, returnOriginal: true });
+    assert.strictEqual(doc._id, 'j2');
+    assert.strictEqual(doc.status, 'claimed', 'returnOriginal gives the replaced version');
+    doc = await jobs.findOneAndReplace({ _id: 'j2' }, { status: 'archived', note: 'x' }, { projection: { note: 1 } });
+    assert.deepStrictEqual(doc, { _id: 'j2', note: 'x' });
+    doc = await jobs.findOneAndReplace({ _id: 'j10' }, { status: 'new' }, { upsert: true });
+    assert.deepStrictEqual([doc._id, doc.status], ['j10', 'new']);
+    console.log('  --- replaceOne and findOneAndReplace PASSED ---');
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const jobs2 = await db2.getCollection('find_one_and_jobs');
+    const restored = await jobs2.getById('j1');
+    assert.ok(!('payload' in restored) && restored.result === 42, 'Replacement survives restart');
+    assert.deepStrictEqual((await jobs2.find({}, { _id: 1 }, { sort: { _id: 1 } })).map(d => d._id), ['j1', 'j10', 'j2', 'j9']);
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB FIND ONE AND * TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,176 @@
+// test/db-group-commit-all.js
+
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { readWal, decodeWalRecord } = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-group-commit-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+// Считает вызовы appendFile для WAL-файла коллекции.
+function countWalAppends(col) {
+    const original = fsp.appendFile;
+    const counter = { count: 0 };
+    fsp.appendFile = function (file, ...rest) {
+        if (file === col.walPath) counter.count++;
+        return original.call(this, file, ...rest);
+    };
+    counter.restore = () => { fsp.appendFile = original; };
+    return counter;
+}
+
+async function main() {
+    console.log('=== DB GROUP COMMIT TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+
+    // --- Параллельные записи объединяются в пачки ---
+    console.log('  --- Testing coalesced appends ---');
+    const col = await db.getCollection('group_commit', {
+        maxWalEntriesBeforeCheckpoint: 0,
+        walGroupCommit: { maxDelayMs: 20, maxBatchSize: 30 },
+    });
+    let appends = countWalAppends(col);
+    const inserted = await Promise.all(Array.from({ length: 100 }, (_, i) =>
+        col.insert({ _id: `d${i}`, n: i }).then(async (doc) => {
+            // К моменту разрешения промиса запись уже в файле.
+            const ids = (await readWal(col.walPath)).map(entry => entry.doc && entry.doc._id);
+            assert.ok(ids.includes(doc._id), `Entry for ${doc._id} is in the WAL when insert resolves`);
+            return doc;
+        })));
+    appends.restore();
+    assert.strictEqual(inserted.length, 100);
+    assert.ok(appends.count >= 4 && appends.count <= 50, `100 writes are appended in batches (got ${appends.count})`);
+    const walIds = (await readWal(col.walPath)).map(entry => entry.doc._id);
+    assert.deepStrictEqual(walIds, Array.from({ length: 100 }, (_, i) => `d${i}`), 'WAL order follows the queue order');
+
+    // Чтения видят изменения сразу, записи разных типов попадают в одну пачку.
+    appends = countWalAppends(col);
+    const [updated, removed] = await Promise.all([
+        col.updateOne({ _id: 'd1' }, { $set: { n: -1 } }),
+        col.remove('d2'),
+        col.updateMany({ n: { $gte: 90 } }, { $set: { tail: true } }),
+    ]);
+    appends.restore();
+    assert.deepStrictEqual(updated, { matchedCount: 1, modifiedCount: 1 });
+    assert.strictEqual(removed, true);
+    assert.strictEqual(appends.count, 1, 'Mixed concurrent writes share one append');
+    assert.strictEqual(await col.count({ tail: true }), 10);
+
+    // Ошибка операции не мешает остальным операциям пачки.
+    await col.createIndex('email', { unique: true });
+    const settled = await Promise.allSettled([
+        col.insert({ _id: 'e1', email: 'a@x.io' }),
+        col.insert({ _id: 'e2', email: 'a@x.io' }),
+        col.insert({ _id: 'e3', email: 'b@x.io' }),
+    ]);
+    assert.deepStrictEqual(settled.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+    console.log('  --- Coalesced appends PASSED ---');
+
+    // --- Транзакция и чекпоинт видят накопленные записи ---
+    console.log('  --- Testing transactions and checkpoints ---');
+    const slow = await db.getCollection('group_commit_slow', { walGroupCommit: { maxDelayMs: 60000, maxBatchSize: 1000 } });
+    const pending = slow.insert({ _id: 'before-tx' });
+    while (!(await slow.getById('before-tx'))) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const txn = db.beginTransaction();
+    await txn.collection('group_commit_slow').insert({ _id: 'in-tx' });
+    await txn.commit();
+    await pending;
+    const lines = fs.readFileSync(slow.walPath, 'utf8').trim().split('\n').map(line => decodeWalRecord(line).entry);
+    assert.deepStrictEqual(lines.map(entry => entry.txn || entry.doc._id), ['before-tx', 'start', 'op', 'commit'],
+        'Pending entries are written before the transaction block');
+
+    col.insert({ _id: 'before-flush' });
+    await col.flushToDisk();
+    assert.ok(await col.getById('before-flush'));
+    console.log('  --- Transactions and checkpoints PASSED ---');
+
+    // --- Режим по умолчанию и проверка опций ---
+    console.log('  --- Testing default mode and option validation ---');
+    const plain = await db.getCollection('group_commit_plain');
+    assert.strictEqual(plain.options.walGroupCommit, null, 'Group commit is off by default');
+    appends = countWalAppends(plain);
+    await Promise.all(Array.from({ length: 5 }, (_, i) => plain.insert({ i })));
+    appends.restore();
+    assert.strictEqual(appends.count, 5, 'Each write is appended separately by default');
+
+    const defaults = await db.getCollection('group_commit_defaults', { walGroupCommit: true });
+    assert.deepStrictEqual(defaults.options.walGroupCommit, { maxDelayMs: 5, maxBatchSize: 256 });
+
+    await assert.rejects(db.getCollection('bad_gc1', { walGroupCommit: 'yes' }), /walGroupCommit: must be a boolean or an object/);
+    await assert.rejects(db.getCollection('bad_gc2', { walGroupCommit: { maxDelayMs: -1 } }), /maxDelayMs must be a non-negative number/);
+    await assert.rejects(db.getCollection('bad_gc3', { walGroupCommit: { maxBatchSize: 0 } }), /maxBatchSize must be a positive integer/);
+    console.log('  --- Default mode and option validation PASSED ---');
+
+    // --- Сбой записи пачки ---
+    console.log('  --- Testing batch write failure ---');
+    const noop = () => {};
+    const failing = await db.getCollection('group_commit_fail', {
+        walGroupCommit: true,
+        logger: { log: noop, info: noop, debug: noop, warn: noop, error: noop },
+    });
+    await failing.insert({ _id: 'synced' });
+    const originalAppend = fsp.appendFile;
+    fsp.appendFile = function (file, ...rest) {
+        if (file === failing.walPath) return Promise.reject(Object.assign(new Error('disk failure'), { code: 'EROFS' }));
+        return originalAppend.call(this, file, ...rest);
+    };
+    await failing.createIndex('tag', { unique: true });
+    const failed = await Promise.allSettled([
+        failing.insert({ _id: 'unsynced', tag: 't1' }),
+        failing.updateOne({ _id: 'synced' }, { $set: { tag: 't2' } }),
+        failing.insertMany([{ _id: 'u1', tag: 't3' }, { _id: 'u2' }]),
+        failing.remove('synced'),
+    ]);
+    assert.deepStrictEqual(failed.map(r => r.status), ['rejected', 'rejected', 'rejected', 'rejected']);
+    assert.ok(failed.every(r => /disk failure/.test(r.reason.message)), 'Every caller of the batch gets the fsync error');
+    fsp.appendFile = originalAppend;
+    assert.deepStrictEqual((await failing.find({})).map(d => d._id), ['synced'], 'Failed changes are rolled back');
+    assert.strictEqual((await failing.getById('synced')).tag, undefined, 'An update from the failed batch is rolled back');
+    assert.deepStrictEqual(await failing.find({ tag: 't1' }), [], 'Indexes are rolled back as well');
+    await failing.insert({ _id: 'later', tag: 't1' });
+    assert.ok(await failing.getById('later'), 'The committer recovers after the failure');
+    await failing.flushToDisk();
+
+    // close() освобождает блокировку, даже если последний чекпоинт не удался.
+    await failing._acquireLock();
+    failing.flushToDisk = () => Promise.reject(new Error('checkpoint failure'));
+    await assert.rejects(failing.close(), /checkpoint failure/);
+    assert.strictEqual(failing._releaseLock, null, 'The lock is released when close() fails');
+    delete failing.flushToDisk;
+    console.log('  --- Batch write failure PASSED ---');
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db2.init();
+    const col2 = await db2.getCollection('group_commit');
+    assert.strictEqual(await col2.count(), 102, 'All committed writes survive restart');
+    assert.strictEqual((await col2.getById('d1')).n, -1);
+    assert.ok(await (await db2.getCollection('group_commit_slow')).getById('in-tx'));
+    assert.ok(await col2.getById('before-flush'));
+    const failing2 = await db2.getCollection('group_commit_fail');
+    assert.deepStrictEqual((await failing2.find({})).map(d => d._id), ['synced', 'later'], 'A failed batch is gone after restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB GROUP COMMIT TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,131 @@
+// test/db-multikey-index-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-multikey-index-all');
+const COLLECTION_NAME = 'multikey_index_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id).sort();
+}
+
+async function main() {
+    console.log('=== DB MULTIKEY INDEX TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection(COLLECTION_NAME);
+
+    await col.insertMany([
+        { _id: 'p1', tags: ['a', 'b'], items: [{ sku: 'X', qty: 1 }, { sku: 'Y', qty: 5 }], tenant: 't1' },
+        { _id: 'p2', tags: ['b', 'c', 'b'], items: [{ sku: 'Y', qty: 2 }], tenant: 't1' },
+        { _id: 'p3', tags: 'a', tenant: 't2' },
+        { _id: 'p4', tags: [], tenant: 't2' },
+        { _id: 'p5', tenant: 't2' },
+    ]);
+
+    // --- Поиск по элементам массива ---
+    console.log('  --- Testing element lookups ---');
+    await col.createIndex('tags');
+    await col.createIndex('items.sku');
+    const meta = await col.getIndexes();
+    assert.deepStrictEqual(meta.find(i => i.fieldName === 'tags'), { fieldName: 'tags', type: 'standard', multikey: true }, 'Index is flagged as multikey');
+
+    assert.deepStrictEqual(ids(await col.findByIndexedValue('tags', 'a')), ['p1', 'p3'], 'findByIndexedValue finds array elements');
+    assert.deepStrictEqual(ids(await col.findByIndexedValue('items.sku', 'Y')), ['p1', 'p2'], 'Paths through arrays of subdocuments are indexed');
+
+    let lookups = 0;
+    const originalFindIds = col._indexManager.findIdsByIndex;
+    col._indexManager.findIdsByIndex = function(...args) {
+        lookups++;
+        return originalFindIds.apply(this, args);
+    };
+    assert.deepStrictEqual(ids(await col.find({ tags: 'b' })), ['p1', 'p2'], 'Equality on array field');
+    assert.deepStrictEqual(ids(await col.find({ tags: { $in: ['c', 'a'] } })), ['p1', 'p2', 'p3'], '$in uses union of keys');
+    assert.deepStrictEqual(ids(await col.find({ tags: { $all: ['a', 'b'] } })), ['p1'], '$all uses intersection of keys');
+    assert.deepStrictEqual(ids(await col.find({ 'items.sku': 'X', tenant: 't1' })), ['p1']);
+    assert.strictEqual(lookups, 1 + 2 + 2 + 1, 'Index lookups are used for equality, $in and $all');
+    assert.deepStrictEqual(ids(await col.find({ tags: ['b', 'c', 'b'] })), ['p2'], 'Whole-array equality still matches (by scan)');
+    assert.deepStrictEqual(ids(await col.find({ tags: { $size: 0 } })), ['p4']);
+    col._indexManager.findIdsByIndex = originalFindIds;
+
+    const sorted = await col.find({}, {}, { sort: { tags: 1 } });
+    assert.strictEqual(sorted.length, 5, 'Sort by multikey field does not duplicate documents');
+
+    // Диапазон по ключам многоключевого индекса вместе с операторами массива.
+    const scores = await db.getCollection('multikey_scores');
+    await scores.insertMany([
+        { _id: 'a', scores: [3, 7] },
+        { _id: 'b', scores: [8, 9, 10] },
+        ...Array.from({ length: 30 }, (_, i) => ({ _id: `low${i}`, scores: [1, 2] })),
+    ]);
+    const arrayQuery = { scores: { $gt: 5, $size: 2 } };
+    const scanned = ids(await scores.find(arrayQuery));
+    await scores.createIndex('scores');
+    assert.strictEqual((await scores.explain(arrayQuery)).winningPlan.lookup, 'keyScan');
+    assert.deepStrictEqual(ids(await scores.find(arrayQuery)), scanned, 'Array operators are not applied to single keys');
+    assert.deepStrictEqual(scanned, ['a']);
+    console.log('  --- Element lookups PASSED ---');
+
+    // --- Изменения данных ---
+    console.log('  --- Testing index maintenance ---');
+    await col.update('p1', { tags: ['b', 'z'] });
+    assert.deepStrictEqual(ids(await col.find({ tags: 'a' })), ['p3'], 'Removed element leaves the index');
+    assert.deepStrictEqual(ids(await col.find({ tags: 'z' })), ['p1'], 'Added element enters the index');
+    assert.deepStrictEqual(ids(await col.find({ tags: 'b' })), ['p1', 'p2'], 'Kept element stays in the index');
+    await col.remove('p2');
+    assert.deepStrictEqual(ids(await col.find({ tags: { $in: ['b', 'c'] } })), ['p1']);
+    assert.ok(!col._indexManager.indexes.get('tags').data.has('c'), 'Empty buckets are dropped');
+    console.log('  --- Index maintenance PASSED ---');
+
+    // --- Уникальный multikey-индекс ---
+    console.log('  --- Testing unique multikey index ---');
+    const users = await db.getCollection('multikey_users');
+    await users.createIndex('emails', { unique: true });
+    await users.insert({ _id: 'u1', emails: ['a@x.io', 'b@x.io', 'a@x.io'] }); // повтор внутри документа допустим
+    await assert.rejects(users.insert({ emails: ['c@x.io', 'b@x.io'] }),
+        err => err instanceof UniqueConstraintError && /b@x\.io/.test(err.message), 'Element already used by another document');
+    await assert.rejects(users.insertMany([{ emails: ['d@x.io'] }, { emails: 'd@x.io' }]), UniqueConstraintError, 'Duplicate element within a batch');
+    await users.insert({ _id: 'u2', emails: ['c@x.io'] });
+    await assert.rejects(users.update('u2', { emails: ['c@x.io', 'a@x.io'] }), UniqueConstraintError, 'Duplicate element on update');
+    await users.update('u1', { emails: ['b@x.io'] });
+    await users.update('u2', { emails: ['c@x.io', 'a@x.io'] });
+    assert.strictEqual((await users.findOne({ emails: 'a@x.io' }))._id, 'u2', 'Freed element can be reused');
+    console.log('  --- Unique multikey index PASSED ---');
+
+    // --- Составной multikey-индекс ---
+    await col.createIndex(['tenant', 'tags']);
+    assert.deepStrictEqual(ids(await col.find({ tenant: 't1', tags: 'z' })), ['p1'], 'Compound index over an array field');
+    assert.deepStrictEqual(col._indexManager.findIdsByCompoundPrefix('tenant,tags', ['t1', 'b']), new Set(['p1']));
+
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection(COLLECTION_NAME);
+    assert.deepStrictEqual(ids(await col2.findByIndexedValue('tags', 'b')), ['p1'], 'Multikey index rebuilt after restart');
+    const users2 = await db2.getCollection('multikey_users');
+    await assert.rejects(users2.insert({ emails: ['a@x.io'] }), UniqueConstraintError, 'Unique multikey constraint after restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB MULTIKEY INDEX TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,139 @@
+// test/db-nested-paths-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-nested-paths-all');
+const COLLECTION_NAME = 'nested_paths_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB NESTED PATHS TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.collection(COLLECTION_NAME);
+    await col.initPromise;
+
+    await col.insertMany([
+        { name: 'Anna', address: { city: 'Berlin', zip: '10115' }, profile: { email: 'anna@example.com' },
+          items: [{ sku: 'A1', qty: 2 }, { sku: 'B2', qty: 1 }] },
+        { name: 'Boris', address: { city: 'Moscow', zip: '101000' }, profile: { email: 'boris@example.com' },
+          items: [{ sku: 'C3', qty: 5 }] },
+        { name: 'Clara', address: { city: 'Berlin', zip: '10117' }, profile: { email: 'clara@example.com' },
+          items: [] },
+        { name: 'Dmitry' }
+    ]);
+
+    // --- Фильтры ---
+    console.log('  --- Testing dot-notation filters ---');
+    let results = await col.find({ 'address.city': 'Berlin' });
+    assert.strictEqual(results.length, 2, 'address.city = Berlin should return 2 docs');
+
+    results = await col.find({ 'address.zip': { $gt: '10116' } });
+    assert.deepStrictEqual(results.map(d => d.name), ['Clara'], '$gt on nested field should work');
+
+    results = await col.find({ 'items.sku': 'B2' });
+    assert.strictEqual(results.length, 1, 'Path through array should match any element');
+    assert.strictEqual(results[0].name, 'Anna');
+
+    results = await col.find({ 'items.qty': { $gte: 5 } });
+    assert.deepStrictEqual(results.map(d => d.name), ['Boris'], 'Range on path through array');
+
+    results = await col.find({ 'items.0.sku': 'C3' });
+    assert.deepStrictEqual(results.map(d => d.name), ['Boris'], 'Numeric segment should address an array element');
+
+    results = await col.find({ 'items.sku': { $ne: 'A1' } });
+    assert.deepStrictEqual(results.map(d => d.name).sort(), ['Boris', 'Clara', 'Dmitry'], '$ne on array path: no element may equal');
+
+    results = await col.find({ 'address.city': { $exists: false } });
+    assert.deepStrictEqual(results.map(d => d.name), ['Dmitry'], '$exists false on nested field');
+
+    results = await col.find({ 'address.city': { $in: ['Moscow', 'Paris'] } });
+    assert.deepStrictEqual(results.map(d => d.name), ['Boris'], '$in on nested field');
+
+    results = await col.find({ $or: [{ 'address.city': 'Moscow' }, { 'items.sku': 'A1' }] });
+    assert.strictEqual(results.length, 2, '$or with nested paths');
+    console.log('  --- Dot-notation filters PASSED ---');
+
+    // --- Проекции ---
+    console.log('  --- Testing dot-notation projections ---');
+    const anna = await col.findOne({ name: 'Anna' }, { 'address.city': 1, _id: 0 });
+    assert.deepStrictEqual(anna, { address: { city: 'Berlin' } }, 'Inclusion of nested field');
+
+    const annaItems = await col.findOne({ name: 'Anna' }, { 'items.sku': 1, name: 1, _id: 0 });
+    assert.deepStrictEqual(annaItems, { items: [{ sku: 'A1' }, { sku: 'B2' }], name: 'Anna' }, 'Inclusion through array');
+
+    const annaNoZip = await col.findOne({ name: 'Anna' }, { 'address.zip': 0, items: 0 });
+    assert.deepStrictEqual(annaNoZip.address, { city: 'Berlin' }, 'Exclusion of nested field');
+    assert.ok(!annaNoZip.hasOwnProperty('items'), 'Top-level exclusion still works');
+    const annaFull = await col.findOne({ name: 'Anna' });
+    assert.strictEqual(annaFull.address.zip, '10115', 'Exclusion must not mutate the stored document');
+    console.log('  --- Dot-notation projections PASSED ---');
+
+    // --- Индексы ---
+    console.log('  --- Testing indexes on nested fields ---');
+    await col.createIndex('address.city');
+    await col.createIndex('profile.email', { unique: true });
+
+    let indexUsed = false;
+    const originalFindIdsByIndex = col._indexManager.findIdsByIndex;
+    col._indexManager.findIdsByIndex = function(...args) {
+        indexUsed = true;
+        return originalFindIdsByIndex.apply(this, args);
+    };
+    results = await col.find({ 'address.city': 'Berlin' });
+    assert.strictEqual(results.length, 2, 'Indexed nested query should return 2 docs');
+    assert.ok(indexUsed, 'Nested index should be used for equality');
+    col._indexManager.findIdsByIndex = originalFindIdsByIndex;
+
+    const byEmail = await col.findOneByIndexedValue('profile.email', 'clara@example.com');
+    assert.strictEqual(byEmail.name, 'Clara', 'Lookup by nested unique index');
+
+    await assert.rejects(
+        col.insert({ name: 'Fake', profile: { email: 'anna@example.com' } }),
+        UniqueConstraintError,
+        'Nested unique index should reject duplicates on insert'
+    );
+    const boris = await col.findOne({ name: 'Boris' });
+    await assert.rejects(
+        col.update(boris._id, { profile: { email: 'clara@example.com' } }),
+        UniqueConstraintError,
+        'Nested unique index should reject duplicates on update'
+    );
+
+    await col.update(boris._id, { address: { city: 'Berlin', zip: '10119' } });
+    results = await col.find({ 'address.city': 'Berlin' });
+    assert.strictEqual(results.length, 3, 'Nested index should follow updates');
+    console.log('  --- Nested indexes PASSED ---');
+
+    await db.close();
+
+    // --- Перезапуск: индекс по вложенному полю восстанавливается из чекпоинта ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection(COLLECTION_NAME);
+    const indexes = await col2.getIndexes();
+    assert.ok(indexes.some(i => i.fieldName === 'address.city'), 'Nested index should survive restart');
+    const berliners = await col2.findByIndexedValue('address.city', 'Berlin');
+    assert.strictEqual(berliners.length, 3, 'Nested index should be rebuilt after restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB NESTED PATHS TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,160 @@
+// test/db-ordered-index-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const SkipList = require('../wise-json/collection/sorted-index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-ordered-index-all');
+const COLLECTION_NAME = 'ordered_index_col';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id).sort();
+}
+
+async function main() {
+    console.log('=== DB ORDERED INDEX TEST START ===');
+    cleanUp();
+
+    // --- SkipList ---
+    console.log('  --- Testing SkipList ---');
+    const list = new SkipList((a, b) => a - b);
+    const shuffled = Array.from({ length: 500 }, (_, i) => (i * 7919) % 500);
+    shuffled.forEach(n => list.add(n));
+    list.add(10, 'dup');
+    assert.strictEqual(list.size, 500, 'Equal keys share one node');
+    assert.deepStrictEqual(Array.from(list.range({ gte: 10, lt: 13 }), pair => pair[1]), [10, 'dup', 11, 12]);
+    assert.deepStrictEqual(Array.from(list.range({ gt: 495 }, -1), pair => pair[0]), [499, 498, 497, 496]);
+    for (let n = 0; n < 500; n += 2) list.remove(n);
+    assert.ok(!list.remove(1000), 'Removing a missing key returns false');
+    assert.deepStrictEqual(Array.from(list.range({ lte: 10 }), pair => pair[1]), [1, 3, 5, 7, 9, 'dup']);
+    assert.strictEqual(list.size, 251);
+    console.log('  --- SkipList PASSED ---');
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection(COLLECTION_NAME);
+
+    const docs = [];
+    for (let i = 0; i < 200; i++) {
+        docs.push({ _id: `d${i}`, price: (i * 37) % 100, sku: `SKU-${String(i % 50).padStart(3, '0')}` });
+    }
+    docs.push({ _id: 'str', price: '15' });
+    docs.push({ _id: 'nul', price: null });
+    docs.push({ _id: 'arr', price: 250, sku: ['X-1', 'SKU-999'] });
+    docs.push({ _id: 'none' });
+    await col.insertMany(docs);
+
+    const queries = [
+        { price: { $gte: 10, $lt: 20 } },
+        { price: { $gt: 95 } },
+        { price: { $lte: 3 } },
+        { price: { $gt: 200 } },
+        { price: { $gte: '1', $lt: '2' } },
+        { sku: { $regex: '^SKU-01' } },
+        { sku: { $regex: /^SKU-04\d/ } },
+        { sku: { $regex: '^SKU-9' } },
+        { sku: { $regex: '^X-?' } },
+    ];
+    const expected = [];
+    for (const query of queries) expected.push(ids(await col.find(query)));
+    const alternationQueries = [
+        { sku: { $regex: '^SKU-01|X-1' } },
+        { sku: { $regex: /^SKU-01|^X/ } },
+    ];
+    const alternationExpected = [];
+    for (const query of alternationQueries) alternationExpected.push(ids(await col.find(query)));
+
+    // --- Диапазоны и префиксы ---
+    console.log('  --- Testing range and prefix lookups ---');
+    await col.createIndex('price', { ordered: true });
+    await col.createIndex('sku', { ordered: true });
+    assert.deepStrictEqual((await col.getIndexes()).find(i => i.fieldName === 'price'),
+        { fieldName: 'price', type: 'standard', ordered: true }, 'Ordered index meta');
+
+    const rangeCalls = [];
+    const originalRange = col._indexManager.findIdsInRange;
+    col._indexManager.findIdsInRange = function(...args) {
+        rangeCalls.push(args);
+        return originalRange.apply(this, args);
+    };
+    for (let i = 0; i < queries.length; i++) {
+        assert.deepStrictEqual(ids(await col.find(queries[i])), expected[i], `Indexed result equals scan for ${JSON.stringify(queries[i])}`);
+    }
+    assert.strictEqual(rangeCalls.length, queries.length, 'Every query should use the ordered index');
+    assert.deepStrictEqual(rangeCalls[5], ['sku', { $gte: 'SKU-01', $lt: 'SKU-02' }], 'Prefix regex becomes a string range');
+    assert.deepStrictEqual(rangeCalls[8], ['sku', { $gte: 'X', $lt: 'Y' }], 'Optional last char is dropped from the prefix');
+    assert.ok(expected[7].includes('arr') && expected[8].includes('arr'), 'Array elements match prefixes');
+    assert.ok(!expected[2].includes('str') && !expected[2].includes('nul'), 'Ranges do not match other types');
+
+    rangeCalls.length = 0;
+    await col.find({ sku: { $regex: '^sku', $options: 'i' } });
+    await col.find({ price: { $gt: 1, $lt: 'z' } });
+    assert.strictEqual(rangeCalls.length, 0, 'Case-insensitive regex and mixed bounds are not planned on the index');
+
+    // Альтернатива: первая ветка не ограничивает результат своим префиксом.
+    for (let i = 0; i < alternationQueries.length; i++) {
+        assert.deepStrictEqual(ids(await col.find(alternationQueries[i])), alternationExpected[i],
+            `Indexed result equals scan for ${JSON.stringify(alternationQueries[i])}`);
+    }
+    assert.ok(alternationExpected[0].includes('arr'), 'The second branch of the alternation matches');
+    assert.strictEqual(rangeCalls.length, 0, 'Regex with alternation is not planned on the index');
+    assert.strictEqual(await col.count({ sku: { $regex: '^SKU-01\\|' } }), 0, 'An escaped pipe is a literal character');
+    col._indexManager.findIdsInRange = originalRange;
+    console.log('  --- Range and prefix lookups PASSED ---');
+
+    // --- Упорядоченный обход ---
+    console.log('  --- Testing ordered traversal ---');
+    let docsVisited = 0;
+    const originalGet = col.documents.get.bind(col.documents);
+    col.documents.get = (id) => { docsVisited++; return originalGet(id); };
+    let results = await col.find({}, {}, { sort: { price: -1 }, limit: 3 });
+    col.documents.get = originalGet;
+    assert.strictEqual(docsVisited, 3, 'Sorted traversal stops at limit');
+    assert.deepStrictEqual(results.slice(0, 2).map(d => d._id), ['str', 'arr'], 'Strings sort after numbers');
+    assert.strictEqual(results[2].price, 99);
+    const scanSorted = (await col.find({})).sort((a, b) => (a._id < b._id ? -1 : 1));
+    results = await col.find({}, {}, { sort: { price: 1 } });
+    assert.strictEqual(results.length, scanSorted.length, 'Sorted traversal covers all documents');
+    assert.deepStrictEqual(results.slice(0, 2).map(d => d._id).sort(), ['none', 'nul'], 'Missing and null values come first');
+    console.log('  --- Ordered traversal PASSED ---');
+
+    // --- Изменения данных ---
+    console.log('  --- Testing updates and removals ---');
+    await col.update('d1', { price: 1000 });
+    await col.remove('d2');
+    await col.updateMany({ price: { $lt: 5 } }, { $set: { price: 500 } });
+    results = await col.find({ price: { $gte: 500 } });
+    const scanned = (await col.find(doc => typeof doc.price === 'number' && doc.price >= 500)).map(d => d._id);
+    assert.deepStrictEqual(ids(results), scanned.sort(), 'Index follows updates');
+    assert.ok(ids(results).includes('d1') && !ids(results).includes('d2'));
+    assert.strictEqual((await col.find({ price: { $lt: 5 } })).length, 0);
+
+    await assert.rejects(col.createIndex('price'), /другим типом/, 'Changing the ordered flag requires dropIndex');
+    await db.close();
+    console.log('  --- Updates and removals PASSED ---');
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection(COLLECTION_NAME);
+    assert.ok((await col2.getIndexes()).some(i => i.fieldName === 'sku' && i.ordered === true), 'Ordered flag survives restart');
+    assert.strictEqual(col2._indexManager.findIdsInRange('price', { $gte: 500 }).size, results.length, 'Ordered index rebuilt after restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB ORDERED INDEX TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
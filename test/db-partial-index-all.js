@@ -0,0 +1,112 @@
+// test/db-partial-index-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError, WiseJSONError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-partial-index-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id).sort();
+}
+
+async function main() {
+    console.log('=== DB PARTIAL INDEX TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+
+    // --- Разреженный индекс ---
+    console.log('  --- Testing sparse index ---');
+    const events = await db.getCollection('sparse_events');
+    const docs = [];
+    for (let i = 0; i < 100; i++) {
+        docs.push(i % 10 === 0 ? { _id: `e${i}`, promoCode: `P${i % 30}` } : { _id: `e${i}` });
+    }
+    docs.push({ _id: 'nullCode', promoCode: null });
+    await events.insertMany(docs);
+    await events.createIndex('promoCode', { sparse: true });
+
+    const sparseIndex = events._indexManager.indexes.get('promoCode');
+    assert.ok(!sparseIndex.data.has(undefined), 'Sparse index has no undefined bucket');
+    const indexedCount = Array.from(sparseIndex.data.values()).reduce((sum, set) => sum + set.size, 0);
+    assert.strictEqual(indexedCount, 11, 'Only documents with the field are indexed (null included)');
+    assert.deepStrictEqual((await events.getIndexes())[0], { fieldName: 'promoCode', type: 'standard', sparse: true });
+
+    assert.deepStrictEqual(ids(await events.find({ promoCode: 'P0' })), ['e0', 'e30', 'e60', 'e90'], 'Equality uses the sparse index');
+    assert.deepStrictEqual(ids(await events.find({ promoCode: { $in: ['P10', 'P20'] } })), ['e10', 'e20', 'e40', 'e50', 'e70', 'e80']);
+    assert.strictEqual((await events.find({ promoCode: { $exists: false } })).length, 90, 'Documents without the field are still found by scan');
+    assert.strictEqual((await events.find({ promoCode: { $lte: null } })).length, 91, 'Null bounds are not planned on a sparse index');
+    assert.strictEqual((await events.find({}, {}, { sort: { promoCode: 1 } })).length, 101, 'Sort does not traverse a sparse index');
+
+    await events.update('e1', { promoCode: 'P0' });
+    await events.update('e0', { promoCode: undefined });
+    assert.deepStrictEqual(ids(await events.find({ promoCode: 'P0' })), ['e1', 'e30', 'e60', 'e90'], 'Sparse index follows updates');
+    console.log('  --- Sparse index PASSED ---');
+
+    // --- Частичный уникальный индекс ---
+    console.log('  --- Testing partial unique index ---');
+    const users = await db.getCollection('partial_users');
+    await users.insertMany([
+        { _id: 'u1', email: 'a@x.io', deleted: false },
+        { _id: 'u2', email: 'a@x.io', deleted: true },
+        { _id: 'u3', email: 'b@x.io', deleted: false },
+    ]);
+    await users.createIndex('email', { unique: true, partialFilterExpression: { deleted: false } });
+
+    await users.insert({ _id: 'u4', email: 'a@x.io', deleted: true }); // вне подмножества — можно
+    await assert.rejects(users.insert({ email: 'a@x.io', deleted: false }), UniqueConstraintError, 'Duplicate within the subset');
+    await assert.rejects(users.update('u2', { deleted: false }), UniqueConstraintError, 'Entering the subset checks uniqueness');
+    await users.update('u1', { deleted: true });
+    await users.update('u2', { deleted: false });
+    assert.strictEqual(users._indexManager.findOneIdByIndex('email', 'a@x.io'), 'u2', 'Index follows documents entering and leaving the subset');
+
+    let lookups = 0;
+    const originalFindOne = users._indexManager.findOneIdByIndex;
+    users._indexManager.findOneIdByIndex = function(...args) {
+        lookups++;
+        return originalFindOne.apply(this, args);
+    };
+    assert.deepStrictEqual(ids(await users.find({ email: 'a@x.io', deleted: false })), ['u2'], 'Query repeating the partial filter');
+    assert.strictEqual(lookups, 1, 'Partial index is used when the query implies its filter');
+    assert.deepStrictEqual(ids(await users.find({ email: 'a@x.io' })), ['u1', 'u2', 'u4'], 'Query outside the subset');
+    assert.strictEqual(lookups, 1, 'Partial index is not used when the query does not imply its filter');
+    users._indexManager.findOneIdByIndex = originalFindOne;
+
+    await assert.rejects(users.createIndex('email'), /другим типом/, 'Changing index options requires dropIndex');
+    await assert.rejects(users.createIndex('name', { partialFilterExpression: { age: { $bogus: 1 } } }), WiseJSONError, 'Partial filter is validated');
+    await assert.rejects(users.createIndex('name', { partialFilterExpression: 'deleted' }), /partialFilterExpression/);
+    console.log('  --- Partial unique index PASSED ---');
+
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const users2 = await db2.getCollection('partial_users');
+    assert.deepStrictEqual((await users2.getIndexes())[0],
+        { fieldName: 'email', type: 'unique', partialFilterExpression: { deleted: false } }, 'Partial filter survives restart');
+    await users2.insert({ email: 'b@x.io', deleted: true });
+    await assert.rejects(users2.insert({ email: 'b@x.io', deleted: false }), UniqueConstraintError, 'Partial constraint after restart');
+    const events2 = await db2.getCollection('sparse_events');
+    assert.ok(!events2._indexManager.indexes.get('promoCode').data.has(undefined), 'Sparse flag survives restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB PARTIAL INDEX TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
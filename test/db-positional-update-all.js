@@ -0,0 +1,117 @@
+// test/db-positional-update-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-positional-update-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function order() {
+    return {
+        _id: 'o1',
+        customer: { name: 'Anna', address: { city: 'Oslo' } },
+        tags: ['new', 'web'],
+        items: [
+            { sku: 'A', qty: 1, price: 10 },
+            { sku: 'B', qty: 0, price: 25, notes: [{ by: 'x', text: 'late' }] },
+            { sku: 'C', qty: 4, price: 5 },
+        ],
+    };
+}
+
+async function main() {
+    console.log('=== DB POSITIONAL UPDATE TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const orders = await db.getCollection('positional_orders');
+    await orders.insert(order());
+
+    // --- Вложенные пути ---
+    console.log('  --- Testing nested paths ---');
+    await orders.updateOne({ _id: 'o1' }, { $set: { 'customer.name': 'Anna K.', 'customer.address.zip': '0150' } });
+    let doc = await orders.getById('o1');
+    assert.deepStrictEqual(doc.customer, { name: 'Anna K.', address: { city: 'Oslo', zip: '0150' } });
+    assert.ok(!('customer.name' in doc), 'Dot path does not create a literal key');
+    assert.deepStrictEqual(await orders.find({ 'customer.address.zip': '0150' }).then(docs => docs.length), 1);
+    console.log('  --- Nested paths PASSED ---');
+
+    // --- Позиционный $ ---
+    console.log('  --- Testing positional $ ---');
+    let res = await orders.updateOne({ _id: 'o1', 'items.sku': 'B' }, { $set: { 'items.$.qty': 3 }, $inc: { 'items.$.price': -5 } });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 });
+    doc = await orders.getById('o1');
+    assert.deepStrictEqual(doc.items.map(i => [i.sku, i.qty, i.price]), [['A', 1, 10], ['B', 3, 20], ['C', 4, 5]], 'Only the matched line item changes');
+
+    await orders.updateOne({ items: { $elemMatch: { qty: { $gt: 3 } } } }, { $push: { 'items.$.notes': { by: 'y', text: 'bulk' } } });
+    doc = await orders.getById('o1');
+    assert.deepStrictEqual(doc.items[2].notes, [{ by: 'y', text: 'bulk' }], '$ with $elemMatch');
+
+    await orders.updateOne({ tags: 'web' }, { $set: { 'tags.$': 'online' } });
+    assert.deepStrictEqual((await orders.getById('o1')).tags, ['new', 'online'], '$ on an array of scalars');
+
+    await orders.updateOne({ $and: [{ _id: 'o1' }, { 'items.sku': 'C' }] }, { $unset: { 'items.$.notes': '' } });
+    assert.ok(!('notes' in (await orders.getById('o1')).items[2]), '$ with a condition inside $and');
+
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $set: { 'items.$.qty': 0 } }), /did not find a matching element/);
+    await assert.rejects(orders.updateOne({ 'items.sku': 'A' }, { $set: { 'customer.$.name': 'x' } }), /is not an array/);
+    await assert.rejects(orders.updateOne({ 'items.sku': 'A' }, { $set: { 'items.$.a.$.b': 1 } }), /only one positional operator/);
+    console.log('  --- Positional $ PASSED ---');
+
+    // --- $[] и $[<id>] ---
+    console.log('  --- Testing $[] and arrayFilters ---');
+    await orders.updateOne({ _id: 'o1' }, { $mul: { 'items.$[].price': 2 } });
+    doc = await orders.getById('o1');
+    assert.deepStrictEqual(doc.items.map(i => i.price), [20, 40, 10], '$[] updates every element');
+
+    res = await orders.updateOne(
+        { _id: 'o1' },
+        { $set: { 'items.$[cheap].discount': true }, $inc: { 'items.$[big].qty': 10 } },
+        { arrayFilters: [{ 'cheap.price': { $lte: 20 } }, { big: { $exists: true }, 'big.qty': { $gte: 3 } }] }
+    );
+    assert.strictEqual(res.modifiedCount, 1);
+    doc = await orders.getById('o1');
+    assert.deepStrictEqual(doc.items.map(i => Boolean(i.discount)), [true, false, true], 'arrayFilters select elements');
+    assert.deepStrictEqual(doc.items.map(i => i.qty), [1, 13, 14]);
+
+    await orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[line].notes.$[n].text': 'on time' } }, {
+        arrayFilters: [{ 'line.sku': 'B' }, { 'n.by': 'x' }],
+    });
+    assert.strictEqual((await orders.getById('o1')).items[1].notes[0].text, 'on time', 'Nested $[<id>] segments');
+
+    res = await orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[none].qty': 0 } }, { arrayFilters: [{ 'none.sku': 'Z' }] });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 0 }, 'No elements matched — document unchanged');
+
+    await orders.insert({ _id: 'o2', items: [{ sku: 'A', qty: 2 }, { sku: 'B', qty: 1 }] });
+    res = await orders.updateMany({}, { $set: { 'items.$[a].flag': 'A' } }, { arrayFilters: [{ 'a.sku': 'A' }] });
+    assert.deepStrictEqual(res, { matchedCount: 2, modifiedCount: 2 });
+    assert.strictEqual((await orders.getById('o2')).items[0].flag, 'A');
+    const updated = await orders.findOneAndUpdate({ _id: 'o2', 'items.sku': 'B' }, { $inc: { 'items.$.qty': 1 } });
+    assert.strictEqual(updated.items[1].qty, 2, 'findOneAndUpdate supports $');
+
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[x].qty': 1 } }), /No array filter found for identifier 'x'/);
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[x].qty': 1 } }, { arrayFilters: [{ 'x.qty': 1 }, { 'y.qty': 2 }] }), /'y' is not used/);
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[X].qty': 1 } }), /invalid positional element/);
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $set: { 'items.$[a].qty': 1 } }, { arrayFilters: [{ 'a.qty': 1, 'b.qty': 1 }] }), /single identifier/);
+    await assert.rejects(orders.updateOne({ 'items.sku': 'A' }, { $set: { 'items.$.qty': 1, 'items.$[].qty': 2 } }), /conflict/);
+    await assert.rejects(orders.updateOne({ _id: 'o1' }, { $rename: { 'items.$[].qty': 'x' } }), /\$rename does not support positional/);
+    console.log('  --- $[] and arrayFilters PASSED ---');
+
+    await db.close();
+    cleanUp();
+    console.log('=== DB POSITIONAL UPDATE TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -6,6 +6,7 @@ const assert = require('assert');
 // ИСПРАВЛЕНИЕ: Путь теперь идет от корня проекта.
 // Предполагается, что вы запускаете тесты из корневой папки проекта.
 const WiseJSON = require('../wise-json/index.js'); 
+const { WiseJSONError } = require('../wise-json/errors.js');
 
 const DB_PATH = path.resolve(__dirname, 'db-queries-all');
 const COLLECTION_NAME = 'query_tests_col';
@@ -116,15 +117,139 @@ async function main() {
     // Сбрасываем флаг для следующего теста
     findByIdsByIndexCalled = false;
     
-    // Этот запрос не должен использовать индекс 'city', так как есть оператор $in
+    // $in со скалярными значениями ищется по ключам индекса
     results = await col.find({ city: { '$in': ['Paris', 'London'] } });
-    assert.strictEqual(findByIdsByIndexCalled, false, 'Index find: index should not be used for $in operator in this simple optimization');
+    assert.ok(findByIdsByIndexCalled, 'Index find: index should be used for $in with scalar values');
+    assert.deepStrictEqual(results.map(d => d.city).sort(), ['London', 'London', 'Paris'], 'Index find: $in returns docs for every value');
 
     // Возвращаем оригинальный метод на место
     col._indexManager.findIdsByIndex = originalFindIdsByIndex;
 
     console.log('  --- Index usage tests PASSED ---');
 
+
+    console.log('  --- Running tests for sort, skip and limit ---');
+    results = await col.find({}, {}, { sort: { age: -1, name: 1 } });
+    assert.deepStrictEqual(results.map(d => d.name), ['Edward', 'Charlie', 'Alice', 'Diana', 'Bob'], 'Multi-key sort should order by age desc, then name asc');
+
+    results = await col.find({ active: true }, { name: 1, _id: 0 }, { sort: { name: -1 }, skip: 1, limit: 1 });
+    assert.deepStrictEqual(results, [{ name: 'Charlie' }], 'skip/limit should apply after filter and sort');
+
+    results = await col.find({}, {}, { sort: { salary: 1 }, limit: 2 });
+    assert.ok(results.every(d => d.salary === undefined), 'Documents without the sort field should come first in ascending order');
+
+    results = await col.find(doc => doc.age >= 30, {}, { sort: { age: 1 }, limit: 2 });
+    assert.deepStrictEqual(results.map(d => d.age), [30, 30], 'Function predicates should support sort/limit too');
+
+    singleResult = await col.findOne({ city: 'London' }, {}, { sort: { age: -1 } });
+    assert.strictEqual(singleResult.name, 'Edward', 'findOne should respect sort');
+
+    await assert.rejects(col.find({}, {}, { sort: { age: 'up' } }), /direction/, 'Invalid sort direction should be rejected');
+    await assert.rejects(col.find({}, {}, { limit: -1 }), /limit/, 'Negative limit should be rejected');
+
+    // Сортировка по индексированному полю обходит индекс по порядку и останавливается на limit
+    await col.createIndex('age');
+    let docsVisited = 0;
+    const originalGet = col.documents.get.bind(col.documents);
+    col.documents.get = (id) => { docsVisited++; return originalGet(id); };
+    results = await col.find({}, {}, { sort: { age: -1 }, limit: 2 });
+    col.documents.get = originalGet;
+    assert.deepStrictEqual(results.map(d => d.name), ['Edward', 'Charlie'], 'Index-ordered sort should return top documents');
+    assert.strictEqual(docsVisited, 2, 'Index-ordered sort should only visit documents up to the limit');
+
+    results = await col.find({ active: true }, {}, { sort: { age: 1 }, skip: 1 });
+    assert.deepStrictEqual(results.map(d => d.age), [30, 35], 'Index-ordered sort should apply filter and skip');
+
+    await col.update(singleResult._id, { age: undefined });
+    results = await col.find({}, {}, { sort: { age: 1 }, limit: 1 });
+    assert.strictEqual(results[0].name, 'Edward', 'Updated document without value should stay in the standard index');
+    console.log('  --- sort, skip and limit tests PASSED ---');
+
+
+    console.log('  --- Running tests for array operators ---');
+    const arr = await db.collection('array_tests_col');
+    await arr.initPromise;
+    await arr.insertMany([
+        { name: 'o1', tags: ['red', 'blue'], scores: [70, 90], lineItems: [{ sku: 'A1', qty: 2 }, { sku: 'B2', qty: 10 }] },
+        { name: 'o2', tags: ['blue'], scores: [82], lineItems: [{ sku: 'A1', qty: 12 }] },
+        { name: 'o3', tags: [], scores: [], lineItems: [] },
+        { name: 'o4', tags: ['red', 'green', 'blue'], scores: [50, 100], meta: { color: 'red', size: 'L' } },
+    ]);
+    const names = docs => docs.map(d => d.name).sort();
+
+    assert.deepStrictEqual(names(await arr.find({ tags: 'red' })), ['o1', 'o4'], 'Equality matches any array element');
+    assert.deepStrictEqual(names(await arr.find({ tags: ['blue'] })), ['o2'], 'Array equality is exact and ordered');
+    assert.deepStrictEqual(names(await arr.find({ tags: ['blue', 'red'] })), [], 'Array equality respects order');
+    assert.deepStrictEqual(names(await arr.find({ tags: [] })), ['o3'], 'Empty array equality');
+    assert.deepStrictEqual(names(await arr.find({ meta: { color: 'red', size: 'L' } })), ['o4'], 'Sub-document equality');
+    assert.deepStrictEqual(names(await arr.find({ lineItems: { sku: 'A1', qty: 12 } })), ['o2'], 'Sub-document equality against array elements');
+    assert.deepStrictEqual(names(await arr.find({ tags: { $ne: 'red' } })), ['o2', 'o3'], '$ne requires no element to equal');
+    assert.deepStrictEqual(names(await arr.find({ tags: { $in: [['blue'], 'green'] } })), ['o2', 'o4'], '$in matches whole arrays and elements');
+    assert.deepStrictEqual(names(await arr.find({ scores: { $gt: 95 } })), ['o4'], 'Range operators apply to array elements');
+
+    assert.deepStrictEqual(names(await arr.find({ tags: { $all: ['red', 'blue'] } })), ['o1', 'o4'], '$all');
+    assert.deepStrictEqual(names(await arr.find({ tags: { $all: [] } })), [], '$all with empty list matches nothing');
+    assert.deepStrictEqual(names(await arr.find({ tags: { $size: 1 } })), ['o2'], '$size');
+    assert.deepStrictEqual(names(await arr.find({ tags: { $size: 0 } })), ['o3'], '$size 0');
+
+    // Без $elemMatch условия могут выполниться на разных элементах массива
+    assert.deepStrictEqual(names(await arr.find({ scores: { $gt: 80, $lt: 85 } })), ['o1', 'o2', 'o4'], 'Range without $elemMatch spans elements');
+    assert.deepStrictEqual(names(await arr.find({ scores: { $elemMatch: { $gt: 80, $lt: 85 } } })), ['o2'], '$elemMatch on scalar elements');
+    assert.deepStrictEqual(names(await arr.find({ lineItems: { $elemMatch: { sku: 'A1', qty: { $gte: 10 } } } })), ['o2'], '$elemMatch on sub-documents');
+    assert.deepStrictEqual(names(await arr.find({ 'lineItems.sku': 'A1', 'lineItems.qty': { $gte: 10 } })), ['o1', 'o2'], 'Dot paths without $elemMatch match across elements');
+    assert.deepStrictEqual(
+        names(await arr.find({ lineItems: { $all: [{ $elemMatch: { sku: 'A1' } }, { $elemMatch: { qty: { $gt: 5 } } }] } })),
+        ['o1', 'o2'],
+        '$all combined with $elemMatch'
+    );
+    console.log('  --- Array operator tests PASSED ---');
+
+
+    console.log('  --- Running tests for logical and type operators ---');
+    const ops = await db.collection('operator_tests_col');
+    await ops.initPromise;
+    await ops.insertMany([
+        { name: 'p1', qty: 10, limit: 5, kind: 'a', code: 'X-1', extra: null },
+        { name: 'p2', qty: 3, limit: 5, kind: 'b', code: 7 },
+        { name: 'p3', qty: 8, limit: 20, kind: 'a', code: ['X-2', 9] },
+        { name: 'p4', limit: 1, kind: 'c', code: { v: 1 } },
+    ]);
+
+    assert.deepStrictEqual(names(await ops.find({ qty: { $not: { $gt: 5 } } })), ['p2', 'p4'], '$not includes documents without the field');
+    assert.deepStrictEqual(names(await ops.find({ code: { $not: /^X-/ } })), ['p2', 'p4'], '$not with a regular expression');
+    assert.deepStrictEqual(names(await ops.find({ $nor: [{ kind: 'a' }, { qty: 3 }] })), ['p4'], '$nor');
+    assert.deepStrictEqual(names(await ops.find({ kind: 'a', $or: [{ qty: 3 }, { limit: 20 }] })), ['p3'], '$or combines with sibling conditions');
+    assert.deepStrictEqual(names(await ops.find({ $and: [{ kind: 'a' }], $or: [{ qty: 10 }, { qty: 3 }] })), ['p1'], '$and and $or in one filter');
+
+    assert.deepStrictEqual(names(await ops.find({ code: { $type: 'string' } })), ['p1', 'p3'], '$type string matches array elements');
+    assert.deepStrictEqual(names(await ops.find({ code: { $type: 'array' } })), ['p3'], '$type array');
+    assert.deepStrictEqual(names(await ops.find({ code: { $type: ['object', 'int'] } })), ['p2', 'p3', 'p4'], '$type with a list of types');
+    assert.deepStrictEqual(names(await ops.find({ extra: { $type: 'null' } })), ['p1'], '$type null does not match missing fields');
+
+    assert.deepStrictEqual(names(await ops.find({ qty: { $mod: [5, 0] } })), ['p1'], '$mod');
+    assert.deepStrictEqual(names(await ops.find({ $expr: { $gt: ['$qty', '$limit'] } })), ['p1'], '$expr compares two fields');
+    assert.deepStrictEqual(names(await ops.find({ kind: 'a', $expr: { $lt: [{ $multiply: ['$qty', 2] }, '$limit'] } })), ['p3'], '$expr with arithmetic');
+
+    await assert.rejects(ops.find({ qty: { $gtt: 5 } }), WiseJSONError, 'Unknown field operator should throw');
+    await assert.rejects(ops.find({ $where: 'this.qty > 1' }), /Unknown top-level query operator '\$where'/, 'Unknown top-level operator should throw');
+    await assert.rejects(ops.find({ qty: { $not: 5 } }), WiseJSONError, '$not with a plain value should throw');
+    await assert.rejects(ops.find({ qty: { $mod: [0, 1] } }), WiseJSONError, '$mod with zero divisor should throw');
+    await assert.rejects(ops.find({ $or: { qty: 3 } }), WiseJSONError, '$or must be an array');
+    await assert.rejects(ops.find({ qty: { $elemMatch: { $bogus: 1 } } }), WiseJSONError, 'Nested unknown operators are validated too');
+    const emptyOps = await db.collection('empty_operator_col');
+    await emptyOps.initPromise;
+    await assert.rejects(emptyOps.find({ qty: { $gtt: 5 } }), /Unknown query operator '\$gtt'/, 'Unknown operators throw even on an empty collection');
+    assert.throws(() => emptyOps.findCursor({ qty: { $gtt: 5 } }), WiseJSONError, 'findCursor validates the filter eagerly');
+    await assert.rejects(emptyOps.find({ $expr: { $gt: [{ $mutliply: ['$qty', 2] }, 1] } }), WiseJSONError, 'Unknown $expr operators throw even on an empty collection');
+    await assert.rejects(emptyOps.find({ $expr: { $cond: 5 } }), WiseJSONError, '$cond must be an array or an object');
+    await assert.rejects(ops.find({ $expr: { $gt: [{ $add: ['$kind', 1] }, 0] } }), WiseJSONError, 'Non-numeric arithmetic arguments throw WiseJSONError');
+    await assert.rejects(ops.find({ $expr: { $divide: ['$qty', 0] } }), WiseJSONError, 'Division by zero throws WiseJSONError');
+    await assert.rejects(ops.find({ $expr: { $size: '$qty' } }), WiseJSONError, '$size of a non-array throws WiseJSONError');
+    await assert.rejects(ops.find({}, { name: 1, qty: 0 }), WiseJSONError, 'Mixed projection throws WiseJSONError');
+    await assert.rejects(ops.find({}, { score: { $meta: 'textScore' } }), WiseJSONError, 'textScore projection without $text');
+    await assert.rejects(ops.find({}, {}, { sort: { score: { $meta: 'textScore' } } }), WiseJSONError, 'textScore sort without $text');
+    console.log('  --- Logical and type operator tests PASSED ---');
+
     await db.close();
     cleanUp();
 
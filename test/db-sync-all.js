@@ -195,6 +195,21 @@ async function main() {
         }
         console.log('  --- Тест 5 PASSED ---');
 
+        // --- Тест 6: Записи, уже отправленные и покрытые чекпоинтом, не отправляются повторно ---
+        console.log('  --- Тест 6: No duplicate PUSH across checkpoints ---');
+        for (let i = 0; i < 3; i++) {
+            await col.insert({ _id: `cycle${i}`, name: `Cycle ${i}` });
+            await col.flushToDisk();
+            await col.triggerSync();
+        }
+        const logLengthAfterCycles = serverState.opsLog.length;
+        await col.triggerSync();
+        assert.strictEqual(serverState.opsLog.length, logLengthAfterCycles, 'Тест 6.1: Без новых изменений ничего не отправляется');
+        const pushedIds = serverState.opsLog.filter(op => op.op === 'INSERT' && op.doc).map(op => op.doc._id);
+        assert.deepStrictEqual(pushedIds.filter((id, i) => pushedIds.indexOf(id) !== i), [], 'Тест 6.2: Ни одна запись не отправлена дважды');
+        assert.ok(['cycle0', 'cycle1', 'cycle2'].every(id => pushedIds.includes(id)), 'Тест 6.3: Все записи отправлены');
+        console.log('  --- Тест 6 PASSED ---');
+
     } finally {
         if (db) await db.close();
         await stopMockServer();
@@ -0,0 +1,138 @@
+// test/db-text-search-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { WiseJSONError } = require('../wise-json/errors.js');
+const { tokenize } = require('../wise-json/collection/text-search.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-text-search-all');
+const COLLECTION_NAME = 'text_products';
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function ids(docs) {
+    return docs.map(d => d._id).sort();
+}
+
+async function main() {
+    console.log('=== DB TEXT SEARCH TEST START ===');
+    cleanUp();
+
+    // --- Токенизация ---
+    console.log('  --- Testing tokenizer ---');
+    assert.deepStrictEqual(tokenize('The Phones are RUNNING', 'english'), ['phone', 'run'], 'English stopwords and stemming');
+    assert.deepStrictEqual(tokenize('Новые телефоны и смартфоны', 'russian'), ['нов', 'телефон', 'смартфон'], 'Russian stopwords and stemming');
+    assert.deepStrictEqual(tokenize('Ёжик, the-best! 42', 'none'), ['ежик', 'the', 'best', '42'], 'No language: split and lowercase only');
+    console.log('  --- Tokenizer PASSED ---');
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection(COLLECTION_NAME);
+    await col.insertMany([
+        { _id: 'p1', title: 'Smart phone', description: 'A smart phone with a great camera', price: 500 },
+        { _id: 'p2', title: 'Phone case', description: 'Protective case for phones', price: 20 },
+        { _id: 'p3', title: 'Camera', description: 'Mirrorless camera, great for travel', price: 900 },
+        { _id: 'p4', title: 'Cheap phone', description: 'Budget phone without camera', price: 90 },
+        { _id: 'p5', title: 'Kettle', description: 'Electric kettle', price: 30 },
+        { _id: 'p6', title: 'No description' },
+    ]);
+
+    // --- Поиск без индекса ---
+    await assert.rejects(col.find({ $text: { $search: 'phone' } }), /requires a text index/, '$text without a text index');
+
+    await col.createIndex(['title', 'description'], { text: true, language: 'english', weights: { title: 3 } });
+    assert.deepStrictEqual((await col.getIndexes())[0], {
+        fieldName: 'title,description', type: 'text', language: 'english', fields: ['title', 'description'], weights: { title: 3 },
+    }, 'Text index meta');
+
+    // --- $text ---
+    console.log('  --- Testing $text queries ---');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: 'phones' } })), ['p1', 'p2', 'p4'], 'Stemmed word search');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: 'kettle camera' } })), ['p1', 'p3', 'p4', 'p5'], 'Any of the words');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: 'phone -cheap' } })), ['p1', 'p2'], 'Negated word excludes documents');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: '"great camera"' } })), ['p1'], 'Phrase must be present');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: 'phone' }, price: { $lt: 100 } })), ['p2', 'p4'], '$text combined with field conditions');
+    assert.strictEqual(await col.count({ $text: { $search: 'camera' } }), 3);
+    assert.deepStrictEqual(await col.find({ $text: { $search: 'the and' } }), [], 'Only stopwords match nothing');
+
+    // Релевантность: совпадение в заголовке (вес 3) выше, чем в описании
+    let results = await col.find(
+        { $text: { $search: 'camera' } },
+        { title: 1, score: { $meta: 'textScore' } },
+        { sort: { score: { $meta: 'textScore' } } },
+    );
+    assert.strictEqual(results[0]._id, 'p3', 'Title match ranks first');
+    assert.ok(results.every(r => typeof r.score === 'number' && r.score > 0), 'Score is projected');
+    assert.ok(results[0].score > results[1].score && results[1].score >= results[2].score, 'Sorted by descending score');
+    assert.deepStrictEqual(Object.keys(results[0]).sort(), ['_id', 'score', 'title']);
+
+    const cursorDocs = await col.findCursor({ $text: { $search: 'phone' } }, {
+        projection: { score: { $meta: 'textScore' } },
+        sort: { score: { $meta: 'textScore' }, price: 1 },
+        limit: 2,
+    }).toArray();
+    assert.strictEqual(cursorDocs.length, 2);
+    assert.ok(cursorDocs[0].description && cursorDocs[0].score >= cursorDocs[1].score, 'Cursor supports textScore projection and sort');
+
+    const stored = await col.getById('p3');
+    assert.strictEqual(stored.score, undefined, 'Projection must not mutate stored documents');
+
+    const agg = await col.aggregate([{ $match: { $text: { $search: 'phone' } } }, { $count: 'n' }]);
+    assert.deepStrictEqual(agg, [{ n: 3 }], '$text in the first $match stage');
+    console.log('  --- $text queries PASSED ---');
+
+    // --- Ошибки ---
+    console.log('  --- Testing validation ---');
+    await assert.rejects(col.find({ $or: [{ $text: { $search: 'x' } }, { price: 1 }] }), WiseJSONError, '$text must be top-level');
+    await assert.rejects(col.find({ $text: { $search: 'x', $fuzzy: true } }), /Unknown \$text option/);
+    await assert.rejects(col.find({ $text: 'phone' }), WiseJSONError);
+    await assert.rejects(col.find({}, {}, { sort: { score: { $meta: 'textScore' } } }), /requires a \$text query/);
+    await assert.rejects(col.find({ price: 20 }, { score: { $meta: 'textScore' } }), /requires a \$text query/);
+    await assert.rejects(col.createIndex('description', { text: true }), /уже есть текстовый индекс/, 'Only one text index per collection');
+    await assert.rejects(col.createIndex('title', { text: true, language: 'klingon' }), /язык/);
+    console.log('  --- Validation PASSED ---');
+
+    // --- Изменения данных ---
+    console.log('  --- Testing index maintenance ---');
+    await col.update('p5', { description: 'Electric kettle with phone app' });
+    await col.remove('p2');
+    assert.deepStrictEqual(ids(await col.find({ $text: { $search: 'phone' } })), ['p1', 'p4', 'p5'], 'Text index follows updates and removals');
+    await col.insert({ _id: 'p7', title: 'Phone', description: 'phone phone phone' });
+    results = await col.find({ $text: { $search: 'phone' } }, { score: { $meta: 'textScore' } }, { sort: { score: { $meta: 'textScore' } } });
+    assert.strictEqual(results[0]._id, 'p7', 'Document consisting of the word ranks highest');
+    await db.close();
+    console.log('  --- Index maintenance PASSED ---');
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection(COLLECTION_NAME);
+    assert.deepStrictEqual(ids(await col2.find({ $text: { $search: 'phones' } })), ['p1', 'p4', 'p5', 'p7'], 'Text index rebuilt after restart');
+
+    // --- Русский язык ---
+    const ru = await db2.getCollection('text_ru');
+    await ru.insertMany([
+        { _id: 'r1', text: 'Купить новый смартфон с хорошей камерой' },
+        { _id: 'r2', text: 'Чехлы для смартфонов' },
+        { _id: 'r3', text: 'Ёлочные игрушки' },
+    ]);
+    await ru.createIndex('text', { text: true, language: 'russian' });
+    assert.deepStrictEqual(ids(await ru.find({ $text: { $search: 'смартфоны' } })), ['r1', 'r2'], 'Russian word forms match');
+    assert.deepStrictEqual(ids(await ru.find({ $text: { $search: 'елочная' } })), ['r3'], 'ё is folded to е');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB TEXT SEARCH TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
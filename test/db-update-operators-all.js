@@ -0,0 +1,145 @@
+// test/db-update-operators-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { WiseJSONError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-update-operators-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB UPDATE OPERATORS TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const col = await db.getCollection('update_ops');
+
+    await col.insert({
+        _id: 'p1',
+        name: 'Widget',
+        price: 10,
+        stock: 5,
+        legacyCode: 'W-1',
+        tags: ['a', 'b'],
+        scores: [3, 9, 1],
+        dims: { w: 2, h: 3 },
+        items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 0 }, { sku: 'C', qty: 7 }],
+    });
+    const original = await col.getById('p1');
+
+    // --- Арифметика, $min/$max, $rename, $currentDate ---
+    console.log('  --- Testing field operators ---');
+    let res = await col.updateOne({ _id: 'p1' }, {
+        $mul: { price: 1.5, 'dims.w': 2, missingFactor: 3 },
+        $inc: { stock: -2, 'dims.depth': 1 },
+        $min: { 'dims.h': 1 },
+        $max: { maxSeen: 42 },
+        $rename: { legacyCode: 'code' },
+        $currentDate: { touchedAt: true, touchedTs: { $type: 'timestamp' } },
+        $set: { 'meta.by': 'test' },
+    });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 });
+    let doc = await col.getById('p1');
+    assert.strictEqual(doc.price, 15);
+    assert.strictEqual(doc.missingFactor, 0, '$mul on a missing field sets 0');
+    assert.strictEqual(doc.stock, 3);
+    assert.deepStrictEqual(doc.dims, { w: 4, h: 1, depth: 1 }, 'Dot paths update nested fields');
+    assert.strictEqual(doc.maxSeen, 42, '$max on a missing field sets the value');
+    assert.strictEqual(doc.code, 'W-1');
+    assert.ok(!('legacyCode' in doc), '$rename removes the old field');
+    assert.ok(!isNaN(Date.parse(doc.touchedAt)) && typeof doc.touchedAt === 'string', '$currentDate: true stores an ISO string');
+    assert.strictEqual(typeof doc.touchedTs, 'number');
+    assert.deepStrictEqual(doc.meta, { by: 'test' }, '$set creates intermediate objects');
+    assert.strictEqual(original.price, 10, 'The previous document version is not mutated');
+    assert.deepStrictEqual(original.dims, { w: 2, h: 3 });
+
+    res = await col.updateOne({ _id: 'p1' }, { $min: { price: 100 }, $max: { stock: 1 } });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 0 }, 'No-op update is not counted as modified');
+
+    await col.updateOne({ _id: 'p1' }, { $unset: { missingFactor: '', 'dims.depth': '', 'items.1': '' } });
+    doc = await col.getById('p1');
+    assert.ok(!('missingFactor' in doc), '$unset removes the field');
+    assert.deepStrictEqual(doc.dims, { w: 4, h: 1 });
+    assert.deepStrictEqual(doc.items[1], null, '$unset on an array element sets null');
+    console.log('  --- Field operators PASSED ---');
+
+    // --- Операторы массивов ---
+    console.log('  --- Testing array operators ---');
+    await col.updateOne({ _id: 'p1' }, {
+        $addToSet: { tags: { $each: ['b', 'c', 'c'] } },
+        $push: { scores: { $each: [5, 7], $sort: -1, $slice: 3 } },
+        $pop: { items: -1 },
+    });
+    doc = await col.getById('p1');
+    assert.deepStrictEqual(doc.tags, ['a', 'b', 'c'], '$addToSet skips existing values');
+    assert.deepStrictEqual(doc.scores, [9, 7, 5], '$push with $sort and $slice keeps the top values');
+    assert.deepStrictEqual(doc.items, [null, { sku: 'C', qty: 7 }], '$pop: -1 removes the first element');
+
+    await col.updateOne({ _id: 'p1' }, { $push: { tags: { $each: ['first'], $position: 0 }, log: 'created' } });
+    doc = await col.getById('p1');
+    assert.deepStrictEqual(doc.tags, ['first', 'a', 'b', 'c'], '$position inserts at the given index');
+    assert.deepStrictEqual(doc.log, ['created'], '$push creates a missing array');
+
+    await col.updateOne({ _id: 'p1' }, { $push: { items: { $each: [{ sku: 'D', qty: 2 }, { sku: 'E', qty: 0 }], $sort: { qty: 1 } } } });
+    await col.updateOne({ _id: 'p1' }, { $pull: { scores: { $gte: 7 }, tags: { $in: ['a', 'first'] }, items: { qty: 0 } } });
+    doc = await col.getById('p1');
+    assert.deepStrictEqual(doc.scores, [5], '$pull with an operator condition');
+    assert.deepStrictEqual(doc.tags, ['b', 'c'], '$pull with $in');
+    assert.deepStrictEqual(doc.items.map(item => item && item.sku), [null, 'D', 'C'], '$pull with a document filter');
+    await col.updateOne({ _id: 'p1' }, { $pull: { items: null } });
+    assert.deepStrictEqual((await col.getById('p1')).items.map(item => item.sku), ['D', 'C'], '$pull by value');
+    console.log('  --- Array operators PASSED ---');
+
+    // --- Ошибки ---
+    console.log('  --- Testing validation ---');
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $inc: { name: 1 } }), /non-numeric field 'name'/);
+    await assert.rejects(col.updateOne({ _id: 'nope' }, { $foo: { a: 1 } }), err => err instanceof WiseJSONError && /Unknown update operator '\$foo'/.test(err.message),
+        'Unknown operator is rejected even without matches');
+    await assert.rejects(col.updateMany({}, { $set: { a: 1 }, b: 2 }), /cannot mix/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $set: { 'dims.w': 1 }, $inc: { dims: 1 } }), /conflict/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $set: { _id: 'x' } }), /'_id' field cannot be modified/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $push: { name: 'x' } }), /is not an array/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $pop: { scores: 2 } }), /\$pop/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, { $push: { scores: { $each: [1], $slice: 'x' } } }), /\$slice requires an integer/);
+    await assert.rejects(col.findOneAndUpdate({ _id: 'p1' }, { $set: { 'name.first': 'x' } }), /Cannot create field 'first'/);
+    await assert.rejects(col.updateOne({ _id: 'p1' }, {}), /non-empty/);
+
+    await col.insertMany([{ _id: 'q1', n: 1 }, { _id: 'q2', n: 'text' }]);
+    await assert.rejects(col.updateMany({ _id: { $in: ['q1', 'q2'] } }, { $inc: { n: 1 } }), /non-numeric/);
+    assert.strictEqual((await col.getById('q1')).n, 1, 'updateMany does not write anything if one document fails');
+    console.log('  --- Validation PASSED ---');
+
+    // --- Обновление без операторов и сохранение удалений после перезапуска ---
+    await col.updateOne({ _id: 'q1' }, { fresh: true, createdAt: 'ignored' });
+    const merged = await col.getById('q1');
+    assert.strictEqual(merged.fresh, true);
+    assert.strictEqual(merged.n, 1, 'Plain fields are merged into the document');
+    assert.notStrictEqual(merged.createdAt, 'ignored', 'createdAt is preserved');
+    await db.close();
+
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const col2 = await db2.getCollection('update_ops');
+    const reloaded = await col2.getById('p1');
+    assert.ok(!('missingFactor' in reloaded) && !('legacyCode' in reloaded), 'Removed fields stay removed after restart');
+    assert.deepStrictEqual(reloaded.dims, { w: 4, h: 1 });
+    assert.strictEqual((await col2.getById('q1')).fresh, true);
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB UPDATE OPERATORS TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
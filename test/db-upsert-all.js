@@ -0,0 +1,110 @@
+// test/db-upsert-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const { UniqueConstraintError } = require('../wise-json/errors.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-upsert-all');
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log('=== DB UPSERT TEST START ===');
+    cleanUp();
+
+    const db = new WiseJSON(DB_PATH);
+    await db.init();
+    const stats = await db.getCollection('upsert_stats');
+
+    // --- updateOne ---
+    console.log('  --- Testing updateOne upsert ---');
+    let res = await stats.updateOne(
+        { page: '/home', 'meta.site': 'main', hits: { $gte: 0 }, $and: [{ lang: { $eq: 'en' } }] },
+        { $inc: { hits: 1 }, $setOnInsert: { firstSeen: 'now' }, $set: { last: 1 } },
+        { upsert: true }
+    );
+    assert.strictEqual(res.matchedCount, 0);
+    assert.strictEqual(res.modifiedCount, 0);
+    assert.ok(typeof res.upsertedId === 'string', 'upsertedId is returned');
+    let doc = await stats.getById(res.upsertedId);
+    assert.strictEqual(doc.page, '/home');
+    assert.deepStrictEqual(doc.meta, { site: 'main' }, 'Dot-path equality builds nested fields');
+    assert.strictEqual(doc.lang, 'en', '$eq inside $and is copied');
+    assert.strictEqual(doc.hits, 1, 'Range conditions are not copied; $inc starts from 0');
+    assert.strictEqual(doc.firstSeen, 'now', '$setOnInsert applies on insert');
+    assert.ok(doc.createdAt && doc.updatedAt);
+
+    res = await stats.updateOne({ page: '/home' }, { $inc: { hits: 1 }, $setOnInsert: { firstSeen: 'later' } }, { upsert: true });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 }, 'Matching document is updated, no upsertedId');
+    doc = await stats.findOne({ page: '/home' });
+    assert.strictEqual(doc.hits, 2);
+    assert.strictEqual(doc.firstSeen, 'now', '$setOnInsert is ignored on update');
+
+    res = await stats.updateOne({ page: '/none' }, { $set: { hits: 1 } });
+    assert.deepStrictEqual(res, { matchedCount: 0, modifiedCount: 0 }, 'Without upsert nothing is inserted');
+    assert.strictEqual(await stats.count({ page: '/none' }), 0);
+
+    res = await stats.updateOne({ _id: 'fixed-id', kind: 'x' }, { $set: { v: 1 } }, { upsert: true });
+    assert.strictEqual(res.upsertedId, 'fixed-id', '_id from the filter is used');
+    await assert.rejects(stats.updateOne({ _id: 'fixed-id', kind: 'y' }, { $set: { v: 2 } }, { upsert: true }), UniqueConstraintError,
+        'Upsert does not overwrite a document with the same _id');
+
+    res = await stats.updateOne({ page: '/plain' }, { title: 'Plain' }, { upsert: true });
+    doc = await stats.getById(res.upsertedId);
+    assert.deepStrictEqual([doc.page, doc.title], ['/plain', 'Plain'], 'Plain-field update is merged with filter fields');
+    console.log('  --- updateOne upsert PASSED ---');
+
+    // --- Конкурентные upsert ---
+    console.log('  --- Testing concurrent upserts ---');
+    await Promise.all(Array.from({ length: 20 }, () => stats.updateOne({ page: '/race' }, { $inc: { hits: 1 } }, { upsert: true })));
+    const raced = await stats.find({ page: '/race' });
+    assert.strictEqual(raced.length, 1, 'Concurrent upserts create a single document');
+    assert.strictEqual(raced[0].hits, 20, 'Every upsert is applied');
+    console.log('  --- Concurrent upserts PASSED ---');
+
+    // --- updateMany и findOneAndUpdate ---
+    console.log('  --- Testing updateMany and findOneAndUpdate upsert ---');
+    res = await stats.updateMany({ group: 'g1' }, { $set: { active: true } }, { upsert: true });
+    assert.strictEqual(res.matchedCount, 0);
+    assert.ok(res.upsertedId);
+    res = await stats.updateMany({ group: 'g1' }, { $set: { active: false } }, { upsert: true });
+    assert.deepStrictEqual(res, { matchedCount: 1, modifiedCount: 1 });
+
+    const created = await stats.findOneAndUpdate({ counter: 'orders' }, { $inc: { seq: 1 } }, { upsert: true });
+    assert.strictEqual(created.seq, 1, 'findOneAndUpdate returns the inserted document');
+    assert.strictEqual(created.counter, 'orders');
+    const before = await stats.findOneAndUpdate({ counter: 'orders' }, { $inc: { seq: 1 } }, { upsert: true, returnOriginal: true });
+    assert.strictEqual(before.seq, 1);
+    assert.strictEqual(await stats.findOneAndUpdate({ counter: 'invoices' }, { $inc: { seq: 1 } }, { upsert: true, returnOriginal: true }), null,
+        'returnOriginal gives null for an inserted document');
+    assert.strictEqual((await stats.findOne({ counter: 'invoices' })).seq, 1);
+    console.log('  --- updateMany and findOneAndUpdate upsert PASSED ---');
+
+    // --- Уникальный индекс и перезапуск ---
+    await stats.createIndex('email', { unique: true });
+    await stats.insert({ email: 'a@x.io' });
+    await assert.rejects(stats.updateOne({ name: 'n' }, { $set: { email: 'a@x.io' } }, { upsert: true }), UniqueConstraintError);
+    assert.strictEqual(await stats.count({ name: 'n' }), 0, 'Rejected upsert inserts nothing');
+    await db.close();
+
+    const db2 = new WiseJSON(DB_PATH);
+    await db2.init();
+    const stats2 = await db2.getCollection('upsert_stats');
+    assert.strictEqual((await stats2.findOne({ page: '/race' })).hits, 20, 'Upserted document survives restart');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB UPSERT TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+// test/db-wal-checksum-all.js
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const WiseJSON = require('../wise-json/index.js');
+const {
+    getWalPath,
+    initializeWal,
+    appendWalEntry,
+    readWal,
+    encodeWalRecord,
+    decodeWalRecord,
+} = require('../wise-json/wal-manager.js');
+
+const DB_PATH = path.resolve(__dirname, 'db-wal-checksum-all');
+const NOW = new Date().toISOString();
+
+function cleanUp() {
+    if (fs.existsSync(DB_PATH)) {
+        fs.rmSync(DB_PATH, { recursive: true, force: true });
+    }
+}
+
+function insertEntry(id, extra = {}) {
+    return { op: 'INSERT', doc: { _id: id, createdAt: NOW, updatedAt: NOW, ...extra } };
+}
+
+// Готовит WAL коллекции напрямую, без запуска базы.
+async function prepareWal(name, writeFn) {
+    const colDir = path.join(DB_PATH, name);
+    const walPath = getWalPath(colDir, name);
+    await initializeWal(walPath, colDir);
+    await writeFn(walPath);
+    return { walPath, quarantinePath: path.join(colDir, `quarantine_${name}.log`) };
+}
+
+function readQuarantine(quarantinePath) {
+    return fs.readFileSync(quarantinePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+async function main() {
+    console.log('=== DB WAL CHECKSUM TEST START ===');
+    cleanUp();
+
+    // --- Формат записи ---
+    console.log('  --- Testing record format ---');
+    const line = encodeWalRecord({ op: 'INSERT', doc: { _id: 'ü', name: 'Привет' } });
+    assert.ok(/^\d+:[0-9a-f]{8}:\{/.test(line), 'Record is framed with length and CRC32');
+    assert.deepStrictEqual(decodeWalRecord(line).entry.doc.name, 'Привет');
+    assert.ok(/length mismatch/.test(decodeWalRecord(line.slice(0, -5)).error));
+    assert.strictEqual(decodeWalRecord(line.replace('Привет', 'Привед')).error, 'checksum mismatch',
+        'A change that keeps valid JSON is caught by the checksum');
+    assert.strictEqual(decodeWalRecord('{"op":"REMOVE","id":"a"}').entry.id, 'a', 'Old lines without a header are still read');
+    assert.strictEqual(decodeWalRecord('garbage').error, 'missing record header');
+    console.log('  --- Record format PASSED ---');
+
+    // --- Повреждение в середине журнала ---
+    console.log('  --- Testing corruption in the middle ---');
+    const middle = await prepareWal('middle', async (walPath) => {
+        await appendWalEntry(walPath, insertEntry('doc1', { value: 10 }));
+        const flipped = encodeWalRecord(insertEntry('doc2', { value: 20 })).replace('"value":20', '"value":29');
+        fs.appendFileSync(walPath, flipped + '\n');
+        await appendWalEntry(walPath, insertEntry('doc3', { value: 30 }));
+        fs.appendFileSync(walPath, JSON.stringify(insertEntry('doc4', { value: 40 })) + '\n');
+    });
+    await assert.rejects(readWal(middle.walPath, null, { strict: true }), /Поврежденная запись на строке 2/, 'Strict mode fails on corruption in the middle');
+
+    const db = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db.init();
+    const colMiddle = await db.getCollection('middle');
+    assert.deepStrictEqual((await colMiddle.find({}, {}, { sort: { _id: 1 } })).map(d => d._id), ['doc1', 'doc3', 'doc4'],
+        'Only the corrupted record is skipped');
+    let quarantined = readQuarantine(middle.quarantinePath);
+    assert.strictEqual(quarantined.length, 1);
+    assert.deepStrictEqual([quarantined[0].source, quarantined[0].line, quarantined[0].tornTail, quarantined[0].error.message],
+        ['wal', 2, false, 'checksum mismatch'], 'The corrupted record is reported to the quarantine file');
+    assert.ok(quarantined[0].raw.includes('"value":29'), 'The raw line is kept for analysis');
+    console.log('  --- Corruption in the middle PASSED ---');
+
+    // --- Недописанный хвост ---
+    console.log('  --- Testing torn tail ---');
+    const torn = await prepareWal('torn', async (walPath) => {
+        await appendWalEntry(walPath, insertEntry('t1'));
+        await appendWalEntry(walPath, insertEntry('t2'));
+        const partial = encodeWalRecord(insertEntry('t3', { payload: 'x'.repeat(100) }));
+        fs.appendFileSync(walPath, partial.slice(0, 60));
+    });
+    const walSizeBefore = fs.statSync(torn.walPath).size;
+    const strictEntries = await readWal(torn.walPath, null, { strict: true });
+    assert.strictEqual(strictEntries.length, 2, 'A torn tail is tolerated even in strict mode');
+
+    const colTorn = await db.getCollection('torn');
+    assert.strictEqual(await colTorn.count(), 2);
+    quarantined = readQuarantine(torn.quarantinePath);
+    assert.deepStrictEqual([quarantined[0].line, quarantined[0].tornTail], [3, true], 'The torn record is quarantined as a torn tail');
+    assert.ok(fs.statSync(torn.walPath).size < walSizeBefore, 'The torn tail is cut off the WAL');
+
+    await colTorn.insert({ _id: 't4' });
+    const lines = fs.readFileSync(torn.walPath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.ok(lines.every(l => !decodeWalRecord(l).error), 'New records are not glued to the torn line');
+    console.log('  --- Torn tail PASSED ---');
+
+    // --- Целая последняя запись без перевода строки ---
+    const noNewline = await prepareWal('no_newline', async (walPath) => {
+        fs.appendFileSync(walPath, encodeWalRecord(insertEntry('n1')));
+    });
+    const colNoNewline = await db.getCollection('no_newline');
+    await colNoNewline.insert({ _id: 'n2' });
+    assert.deepStrictEqual((await readWal(noNewline.walPath)).map(e => e.doc._id), ['n1', 'n2']);
+    assert.ok(!fs.existsSync(noNewline.quarantinePath), 'Nothing is quarantined for a complete record');
+    await db.close();
+
+    // --- Перезапуск ---
+    const db2 = new WiseJSON(DB_PATH, { checkpointIntervalMs: 0 });
+    await db2.init();
+    assert.deepStrictEqual((await (await db2.getCollection('torn')).find({}, {}, { sort: { _id: 1 } })).map(d => d._id), ['t1', 't2', 't4']);
+    assert.strictEqual(readQuarantine(middle.quarantinePath).length, 1, 'The record is quarantined only once');
+    await db2.close();
+
+    cleanUp();
+    console.log('=== DB WAL CHECKSUM TEST PASSED SUCCESSFULLY ===');
+}
+
+main().catch(err => {
+    console.error('\n🔥 TEST FAILED:', err);
+    console.error(`\n❗ Тестовая директория не была удалена для отладки: ${DB_PATH}`);
+    process.exit(1);
+});
@@ -3,6 +3,12 @@
 const path = require('path');
 const fs = require('fs/promises');
 const { cleanupExpiredDocs } = require('./collection/ttl.js'); 
+const { sha256Hex } = require('./checksum.js');
+const { writeFileSafe, syncDirectory } = require('./storage-utils.js');
+const { COMPRESSION_EXTENSIONS, compress, decompressByFileName } = require('./compression.js');
+
+// Файл чекпоинта: .json или сжатый .json.gz / .json.br.
+const CHECKPOINT_FILE_SUFFIX = `\\.json(?:${Object.values(COMPRESSION_EXTENSIONS).map(ext => `\\${ext}`).join('|')})?`;
 // const logger = require('./logger'); // --- УДАЛЕНО
 
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
@@ -27,7 +33,7 @@ async function getCheckpointFiles(checkpointsDir, collectionName, type = 'meta',
         throw e; 
     }
     return files
-        .filter(f => f.startsWith(`checkpoint_${type}_${collectionName}_`) && f.endsWith('.json'))
+        .filter(f => f.startsWith(`checkpoint_${type}_${collectionName}_`) && new RegExp(`${CHECKPOINT_FILE_SUFFIX}$`).test(f))
         .sort(); 
 }
 
@@ -37,6 +43,108 @@ function extractTimestampFromMetaFile(metaFileName, collectionName) {
     return match ? match[1] : null;
 }
 
+/**
+ * Записывает чекпоинт: сначала data-сегменты, затем manifest (meta-файл) со списком сегментов,
+ * их размером, числом документов и SHA-256. Manifest пишется последним и служит признаком
+ * завершенного чекпоинта: сегменты без manifest при загрузке не учитываются. Сегменты, manifest
+ * и папка чекпоинтов синхронизируются (fsync), чтобы manifest не пережил сбой питания без своих сегментов.
+ * При `compression` сегменты сжимаются (расширение `.gz` / `.br`); размер и хеш относятся к файлу на диске.
+ * @param {string} checkpointsDir
+ * @param {string} collectionName
+ * @param {{timestamp: string, documents: Iterable<object>, indexesMeta: Array<object>, maxSegmentSizeBytes: number,
+ *   compression?: string|null}} checkpoint
+ * @param {object} [logger]
+ * @returns {Promise<object>} Записанный manifest.
+ */
+async function writeCheckpoint(checkpointsDir, collectionName, checkpoint, logger) {
+    const timestampForFile = checkpoint.timestamp.replace(/[:.]/g, '-');
+    const segments = [];
+    let documentCount = 0;
+
+    const writeSegment = async (docStrings) => {
+        const ext = checkpoint.compression ? COMPRESSION_EXTENSIONS[checkpoint.compression] : '';
+        const file = `checkpoint_data_${collectionName}_${timestampForFile}_seg${segments.length}.json${ext}`;
+        const content = await compress(`[${docStrings.join(',')}]`, checkpoint.compression);
+        await writeFileSafe(path.join(checkpointsDir, file), content, { sync: true });
+        const size = typeof content === 'string' ? Buffer.byteLength(content, 'utf8') : content.length;
+        segments.push({ file, size, documentCount: docStrings.length, sha256: sha256Hex(content) });
+        documentCount += docStrings.length;
+    };
+
+    let currentSegment = [];
+    let currentSize = 2;
+    for (const doc of checkpoint.documents) {
+        const docStr = JSON.stringify(doc);
+        const docSize = Buffer.byteLength(docStr, 'utf8') + (currentSegment.length > 0 ? 1 : 0);
+        if (currentSize + docSize > checkpoint.maxSegmentSizeBytes && currentSegment.length > 0) {
+            await writeSegment(currentSegment);
+            currentSegment = [];
+            currentSize = 2;
+        }
+        currentSegment.push(docStr);
+        currentSize += docSize;
+    }
+    if (currentSegment.length > 0) {
+        await writeSegment(currentSegment);
+    }
+
+    const manifest = {
+        collectionName,
+        timestamp: checkpoint.timestamp,
+        documentCount,
+        indexesMeta: checkpoint.indexesMeta || [],
+        segments,
+    };
+    // Manifest — признак завершенного чекпоинта, поэтому сегменты должны быть на диске раньше него,
+    // а сам manifest — до компакции WAL, которая выполняется после записи чекпоинта.
+    await syncDirectory(checkpointsDir);
+    const metaPath = path.join(checkpointsDir, `checkpoint_meta_${collectionName}_${timestampForFile}.json`);
+    await writeFileSafe(metaPath, JSON.stringify(manifest), { sync: true });
+    await syncDirectory(checkpointsDir);
+    return manifest;
+}
+
+/**
+ * Читает сегменты чекпоинта по manifest, проверяя каждый по размеру, SHA-256 и числу документов.
+ * @private
+ * @returns {Promise<Map<string, object>>}
+ * @throws {Error} если какой-либо сегмент отсутствует или не проходит проверку.
+ */
+async function loadManifestSegments(checkpointsDir, manifest) {
+    const documents = new Map();
+    let total = 0;
+    for (const segment of manifest.segments) {
+        const file = segment && segment.file;
+        if (typeof file !== 'string' || path.basename(file) !== file) {
+            throw new Error(`invalid segment entry ${JSON.stringify(segment)}`);
+        }
+        let content;
+        try {
+            content = await fs.readFile(path.join(checkpointsDir, file));
+        } catch (e) {
+            throw new Error(e.code === 'ENOENT' ? `segment '${file}' is missing` : `segment '${file}' cannot be read: ${e.message}`);
+        }
+        if (content.length !== segment.size) {
+            throw new Error(`segment '${file}' has ${content.length} bytes, expected ${segment.size}`);
+        }
+        if (sha256Hex(content) !== segment.sha256) {
+            throw new Error(`segment '${file}' checksum mismatch`);
+        }
+        const docs = JSON.parse((await decompressByFileName(file, content)).toString('utf8'));
+        if (!Array.isArray(docs) || docs.length !== segment.documentCount) {
+            throw new Error(`segment '${file}' does not contain ${segment.documentCount} documents`);
+        }
+        for (const doc of docs) {
+            documents.set(doc._id, doc);
+        }
+        total += docs.length;
+    }
+    if (total !== manifest.documentCount) {
+        throw new Error(`segments contain ${total} documents, manifest expects ${manifest.documentCount}`);
+    }
+    return documents;
+}
+
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
 async function loadLatestCheckpoint(checkpointsDir, collectionName, logger) {
     const log = logger || require('./logger');
@@ -56,13 +164,6 @@ async function loadLatestCheckpoint(checkpointsDir, collectionName, logger) {
             continue; 
         }
 
-        const allDataFilesRaw = await getCheckpointFiles(checkpointsDir, collectionName, 'data', log);
-        const dataSegmentFiles = allDataFilesRaw.filter(f => {
-            const segMatch = f.match(new RegExp(`^checkpoint_data_${collectionName}_${timestampFromFile}_seg\\d+\\.json$`));
-            return !!segMatch;
-        });
-        dataSegmentFiles.sort();
-
         let metaContent;
         try {
             metaContent = JSON.parse(await fs.readFile(path.join(checkpointsDir, currentMetaFile), 'utf8'));
@@ -74,6 +175,33 @@ async function loadLatestCheckpoint(checkpointsDir, collectionName, logger) {
             log.warn(`[Checkpoint] ⚠ Ошибка чтения или парсинга meta-файла чекпоинта '${currentMetaFile}' для коллекции '${collectionName}': ${e.message}. Чекпоинт пропущен.`);
             continue; 
         }
+
+        if (Array.isArray(metaContent.segments)) {
+            let documents;
+            try {
+                documents = await loadManifestSegments(checkpointsDir, metaContent);
+            } catch (e) {
+                log.warn(`[Checkpoint] ⚠ Чекпоинт '${currentMetaFile}' коллекции '${collectionName}' не прошел проверку: ${e.message}. Используется предыдущий чекпоинт.`);
+                continue;
+            }
+            const removedByTtl = cleanupExpiredDocs(documents);
+            if (removedByTtl > 0) {
+                log.log(`[Checkpoint] [TTL] При загрузке чекпоинта для коллекции '${collectionName}' (ISO ts: ${metaContent.timestamp}) удалено ${removedByTtl} истекших документов.`);
+            }
+            return {
+                documents,
+                indexesMeta: metaContent.indexesMeta || [],
+                timestamp: metaContent.timestamp
+            };
+        }
+
+        // Meta-файл старого формата (без списка сегментов): сегменты ищутся по имени файла.
+        const allDataFilesRaw = await getCheckpointFiles(checkpointsDir, collectionName, 'data', log);
+        const dataSegmentFiles = allDataFilesRaw.filter(f => {
+            const segMatch = f.match(new RegExp(`^checkpoint_data_${collectionName}_${timestampFromFile}_seg\\d+\\.json$`));
+            return !!segMatch;
+        });
+        dataSegmentFiles.sort();
         
         if (metaContent.documentCount === 0 && dataSegmentFiles.length === 0) {
             cleanupExpiredDocs(new Map());
@@ -131,8 +259,31 @@ async function loadLatestCheckpoint(checkpointsDir, collectionName, logger) {
         };
     }
 
-    log.warn(`[Checkpoint] Не удалось загрузить ни один валидный чекпоинт для коллекции '${collectionName}'. Коллекция будет инициализирована как пустая (или только из WAL).`);
-    return { documents: new Map(), indexesMeta: [], timestamp: null };
+    // WAL хранит изменения только начиная с самого старого чекпоинта: без чекпоинта данные до него потеряны.
+    throw new Error(`Cannot load collection '${collectionName}': none of ${metaFiles.length} checkpoint(s) in ${checkpointsDir} passed verification. ` +
+        `Restore the checkpoint files from a backup, or remove them to start the collection from the WAL only.`);
+}
+
+/**
+ * Возвращает timestamp самого старого из сохраненных чекпоинтов коллекции. WAL компактируется
+ * только до него, чтобы при откате на любой сохраненный чекпоинт изменения после него были в WAL.
+ * @param {string} checkpointsDir
+ * @param {string} collectionName
+ * @param {object} [logger]
+ * @returns {Promise<string|null>} null, если читаемых чекпоинтов нет.
+ */
+async function getOldestCheckpointTimestamp(checkpointsDir, collectionName, logger) {
+    const log = logger || require('./logger');
+    const metaFiles = await getCheckpointFiles(checkpointsDir, collectionName, 'meta', log);
+    for (const metaFile of metaFiles) {
+        try {
+            const metaContent = JSON.parse(await fs.readFile(path.join(checkpointsDir, metaFile), 'utf8'));
+            if (metaContent && typeof metaContent.timestamp === 'string') return metaContent.timestamp;
+        } catch (e) {
+            // Поврежденный meta-файл пропускается и при загрузке.
+        }
+    }
+    return null;
 }
 
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
@@ -182,7 +333,7 @@ async function cleanupOldCheckpoints(checkpointsDir, collectionName, keep = 5, l
     }
 
     const dataFilesToRemove = allDataFiles.filter(dataFile => {
-        const match = dataFile.match(new RegExp(`^checkpoint_data_${collectionName}_([\\dTZ-]+)_seg\\d+\\.json$`)); 
+        const match = dataFile.match(new RegExp(`^checkpoint_data_${collectionName}_([\\dTZ-]+)_seg\\d+${CHECKPOINT_FILE_SUFFIX}$`));
         const dataTimestamp = match ? match[1] : null;
         return dataTimestamp && !timestampsToKeep.has(dataTimestamp);
     });
@@ -194,6 +345,8 @@ async function cleanupOldCheckpoints(checkpointsDir, collectionName, keep = 5, l
 }
 
 module.exports = {
+    writeCheckpoint,
     loadLatestCheckpoint,
     cleanupOldCheckpoints,
+    getOldestCheckpointTimestamp,
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+// wise-json/checksum.js
+
+const crypto = require('crypto');
+
+/**
+ * Таблица CRC-32 (полином 0xEDB88320, как в zlib/gzip).
+ */
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Считает CRC-32 строки (в UTF-8) или буфера.
+ * @param {string|Buffer} data
+ * @returns {number} Беззнаковое 32-битное значение.
+ */
+function crc32(data) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * CRC-32 в виде 8 шестнадцатеричных символов.
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function crc32Hex(data) {
+    return crc32(data).toString(16).padStart(8, '0');
+}
+
+/**
+ * SHA-256 в виде шестнадцатеричной строки.
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+    crc32,
+    crc32Hex,
+    sha256Hex,
+};
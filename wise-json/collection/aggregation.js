@@ -0,0 +1,346 @@
+// wise-json/collection/aggregation.js
+
+const {
+    matchFilter,
+    validateFilter,
+    isPlainObject,
+    compareValues,
+    createSortComparator,
+    applyProjection,
+    evaluateExpression,
+    getValueByPath,
+} = require('./utils.js');
+const { normalizeCollation, getCollator } = require('./collation.js');
+
+/**
+ * Ключ для сравнения значений на равенство (группировка, $addToSet, $lookup).
+ * Отсутствующее значение приравнивается к null.
+ * @private
+ */
+function valueKey(value) {
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Возвращает копию документа, в которой по пути `segments` записано `value`.
+ * Промежуточные объекты копируются, исходный документ не изменяется.
+ * @private
+ */
+function setPathCopy(doc, segments, value) {
+    const [head, ...rest] = segments;
+    const copy = { ...doc };
+    if (rest.length === 0) {
+        copy[head] = value;
+    } else {
+        copy[head] = setPathCopy(isPlainObject(doc[head]) ? doc[head] : {}, rest, value);
+    }
+    return copy;
+}
+
+/**
+ * Проверяет, что аргумент стадии — неотрицательное (или положительное) целое число.
+ * @private
+ */
+function assertCount(stageName, value, allowZero) {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+        throw new Error(`aggregate: ${stageName} must be a ${allowZero ? 'non-negative' : 'positive'} integer.`);
+    }
+}
+
+/**
+ * Аккумуляторы стадии $group. Каждый создаёт состояние, накапливает значения
+ * и возвращает итог.
+ * @private
+ */
+const ACCUMULATORS = {
+    $sum: {
+        init: () => 0,
+        step: (acc, value) => (typeof value === 'number' ? acc + value : acc),
+        result: acc => acc,
+    },
+    $avg: {
+        init: () => ({ sum: 0, count: 0 }),
+        step: (acc, value) => {
+            if (typeof value === 'number') {
+                acc.sum += value;
+                acc.count++;
+            }
+            return acc;
+        },
+        result: acc => (acc.count > 0 ? acc.sum / acc.count : null),
+    },
+    $min: {
+        init: () => undefined,
+        step: (acc, value) => {
+            if (value === undefined || value === null) return acc;
+            return acc === undefined || compareValues(value, acc) < 0 ? value : acc;
+        },
+        result: acc => (acc === undefined ? null : acc),
+    },
+    $max: {
+        init: () => undefined,
+        step: (acc, value) => {
+            if (value === undefined || value === null) return acc;
+            return acc === undefined || compareValues(value, acc) > 0 ? value : acc;
+        },
+        result: acc => (acc === undefined ? null : acc),
+    },
+    $push: {
+        init: () => [],
+        step: (acc, value) => {
+            if (value !== undefined) acc.push(value);
+            return acc;
+        },
+        result: acc => acc,
+    },
+    $addToSet: {
+        init: () => new Map(),
+        step: (acc, value) => {
+            if (value !== undefined && !acc.has(valueKey(value))) acc.set(valueKey(value), value);
+            return acc;
+        },
+        result: acc => Array.from(acc.values()),
+    },
+    $first: {
+        init: () => ({ set: false, value: null }),
+        step: (acc, value) => {
+            if (!acc.set) {
+                acc.set = true;
+                acc.value = value === undefined ? null : value;
+            }
+            return acc;
+        },
+        result: acc => acc.value,
+    },
+    $last: {
+        init: () => null,
+        step: (acc, value) => (value === undefined ? null : value),
+        result: acc => acc,
+    },
+};
+
+function groupStage(docs, spec) {
+    if (!isPlainObject(spec) || !Object.prototype.hasOwnProperty.call(spec, '_id')) {
+        throw new Error('aggregate: $group requires an _id expression.');
+    }
+    const fields = Object.keys(spec).filter(key => key !== '_id').map(key => {
+        const accSpec = spec[key];
+        const accName = isPlainObject(accSpec) ? Object.keys(accSpec)[0] : undefined;
+        const accumulator = accName && ACCUMULATORS[accName];
+        if (!accumulator || Object.keys(accSpec).length !== 1) {
+            throw new Error(`aggregate: $group field '${key}' must use one of ${Object.keys(ACCUMULATORS).join(', ')}.`);
+        }
+        return { key, accumulator, expr: accSpec[accName] };
+    });
+
+    const groups = new Map();
+    for (const doc of docs) {
+        let groupId = evaluateExpression(spec._id, doc);
+        if (groupId === undefined) groupId = null;
+        const gk = valueKey(groupId);
+        let group = groups.get(gk);
+        if (!group) {
+            group = { _id: groupId, states: fields.map(f => f.accumulator.init()) };
+            groups.set(gk, group);
+        }
+        fields.forEach((f, i) => {
+            group.states[i] = f.accumulator.step(group.states[i], evaluateExpression(f.expr, doc));
+        });
+    }
+
+    return Array.from(groups.values()).map(group => {
+        const out = { _id: group._id };
+        fields.forEach((f, i) => {
+            out[f.key] = f.accumulator.result(group.states[i]);
+        });
+        return out;
+    });
+}
+
+function projectStage(docs, spec) {
+    if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+        throw new Error('aggregate: $project requires a non-empty specification object.');
+    }
+    const inclusion = {};
+    const computed = [];
+    let hasExclusion = false;
+    for (const key of Object.keys(spec)) {
+        const value = spec[key];
+        if (value === 1 || value === true) inclusion[key] = 1;
+        else if (value === 0 || value === false) hasExclusion = hasExclusion || key !== '_id';
+        else computed.push(key);
+    }
+    const excludeId = spec._id === 0 || spec._id === false;
+
+    // Режим исключения: только нули
+    if (computed.length === 0 && Object.keys(inclusion).length === 0) {
+        const exclusion = {};
+        for (const key of Object.keys(spec)) exclusion[key] = 0;
+        return docs.map(doc => applyProjection(doc, exclusion));
+    }
+    if (hasExclusion) {
+        throw new Error('aggregate: $project cannot mix exclusion with inclusion or computed fields (except _id).');
+    }
+
+    const includeSpec = { ...inclusion, _id: excludeId ? 0 : 1 };
+    return docs.map(doc => {
+        let out = applyProjection(doc, includeSpec);
+        for (const key of computed) {
+            out = setPathCopy(out, key.split('.'), evaluateExpression(spec[key], doc));
+        }
+        return out;
+    });
+}
+
+function unwindStage(docs, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (!isPlainObject(options) || typeof options.path !== 'string' || options.path.charAt(0) !== '$') {
+        throw new Error("aggregate: $unwind requires a field path starting with '$'.");
+    }
+    const path = options.path.slice(1);
+    const segments = path.split('.');
+    const results = [];
+    for (const doc of docs) {
+        const value = getValueByPath(doc, path);
+        if (Array.isArray(value) && value.length > 0) {
+            value.forEach((item, index) => {
+                let out = setPathCopy(doc, segments, item);
+                if (options.includeArrayIndex) out = setPathCopy(out, options.includeArrayIndex.split('.'), index);
+                results.push(out);
+            });
+        } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+            // Не-массив рассматривается как массив из одного элемента
+            results.push(options.includeArrayIndex ? setPathCopy(doc, options.includeArrayIndex.split('.'), null) : doc);
+        } else if (options.preserveNullAndEmptyArrays) {
+            results.push(options.includeArrayIndex ? setPathCopy(doc, options.includeArrayIndex.split('.'), null) : doc);
+        }
+    }
+    return results;
+}
+
+async function lookupStage(collection, docs, spec) {
+    const { from, localField, foreignField, as } = spec || {};
+    if (![from, localField, foreignField, as].every(v => typeof v === 'string' && v.length > 0)) {
+        throw new Error('aggregate: $lookup requires string fields from, localField, foreignField and as.');
+    }
+    if (!collection.db) {
+        throw new Error('aggregate: $lookup is only available for collections obtained from a WiseJSON instance.');
+    }
+
+    // Не создаём коллекцию-источник, если её нет: результат соединения просто пуст.
+    let foreignDocs = [];
+    const exists = Object.prototype.hasOwnProperty.call(collection.db.collections, from)
+        || (await collection.db.getCollectionNames()).includes(from);
+    if (exists) {
+        const foreign = await collection.db.getCollection(from);
+        foreignDocs = await foreign.find({});
+    }
+
+    // Индексируем документы источника по значению foreignField (элементы массивов — по отдельности).
+    const byKey = new Map();
+    for (const foreignDoc of foreignDocs) {
+        const value = getValueByPath(foreignDoc, foreignField);
+        const values = Array.isArray(value) ? [value, ...value] : [value];
+        for (const key of new Set(values.map(valueKey))) {
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(foreignDoc);
+        }
+    }
+
+    return docs.map(doc => {
+        const value = getValueByPath(doc, localField);
+        const values = Array.isArray(value) ? [value, ...value] : [value];
+        const matched = new Set();
+        for (const key of values.map(valueKey)) {
+            for (const foreignDoc of byKey.get(key) || []) matched.add(foreignDoc);
+        }
+        return setPathCopy(doc, as.split('.'), Array.from(matched));
+    });
+}
+
+/**
+ * Выполняет конвейер агрегации (в стиле MongoDB) над документами коллекции.
+ *
+ * Поддерживаемые стадии: `$match`, `$group` (`$sum`, `$avg`, `$min`, `$max`, `$push`,
+ * `$addToSet`, `$first`, `$last`), `$project`, `$sort`, `$skip`, `$limit`, `$unwind`,
+ * `$count` и `$lookup` (соединение с другой коллекцией того же экземпляра `WiseJSON`).
+ *
+ * Если конвейер начинается с `$match`, выборка выполняется через `find`, то есть с
+ * использованием индексов.
+ *
+ * @param {Array<object>} pipeline - Массив стадий, каждая — объект с одним ключом.
+ * @param {object} [options={}]
+ * @param {object} [options.collation] - Правила сравнения строк для `$match` и `$sort`
+ *   (по умолчанию — collation коллекции).
+ * @returns {Promise<Array<object>>} Результирующие документы.
+ * @throws {Error} при некорректной или неизвестной стадии.
+ */
+async function aggregate(pipeline, options = {}) {
+    if (!Array.isArray(pipeline)) {
+        throw new Error('aggregate: pipeline must be an array of stages.');
+    }
+    const stages = pipeline.map((stage, i) => {
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new Error(`aggregate: stage #${i} must be an object with exactly one stage operator.`);
+        }
+        if (keys[0] === '$match') validateFilter(stage.$match);
+        return { name: keys[0], spec: stage[keys[0]] };
+    });
+    const collation = options.collation !== undefined ? normalizeCollation(options.collation) : this.options.collation;
+    const collator = getCollator(collation);
+
+    let startIndex = 0;
+    let docs;
+    if (stages.length > 0 && stages[0].name === '$match') {
+        docs = await this.find(stages[0].spec, {}, { collation });
+        startIndex = 1;
+    } else {
+        docs = await this.find({});
+    }
+
+    for (let i = startIndex; i < stages.length; i++) {
+        const { name, spec } = stages[i];
+        switch (name) {
+            case '$match':
+                docs = docs.filter(doc => matchFilter(doc, spec, collator, this.options.dateFields));
+                break;
+            case '$group':
+                docs = groupStage(docs, spec);
+                break;
+            case '$project':
+                docs = projectStage(docs, spec);
+                break;
+            case '$sort':
+                docs = docs.slice().sort(createSortComparator(spec, undefined, collator, this.options.dateFields));
+                break;
+            case '$skip':
+                assertCount('$skip', spec, true);
+                docs = docs.slice(spec);
+                break;
+            case '$limit':
+                assertCount('$limit', spec, false);
+                docs = docs.slice(0, spec);
+                break;
+            case '$unwind':
+                docs = unwindStage(docs, spec);
+                break;
+            case '$count':
+                if (typeof spec !== 'string' || spec.length === 0 || spec.charAt(0) === '$' || spec.includes('.')) {
+                    throw new Error('aggregate: $count requires a non-empty field name.');
+                }
+                docs = docs.length > 0 ? [{ [spec]: docs.length }] : [];
+                break;
+            case '$lookup':
+                docs = await lookupStage(this, docs, spec);
+                break;
+            default:
+                throw new Error(`aggregate: unknown pipeline stage '${name}'.`);
+        }
+    }
+    return docs;
+}
+
+module.exports = {
+    aggregate,
+};
@@ -0,0 +1,155 @@
+// wise-json/collection/bulk-write.js
+
+const { WiseJSONError, BulkWriteError } = require('../errors.js');
+const { isPlainObject } = require('./utils.js');
+const { validateUpdate } = require('./update-operators.js');
+const { insertInTask } = require('./ops.js');
+const {
+    validateReplacement,
+    updateOneInTask,
+    updateManyInTask,
+    replaceOneInTask,
+    deleteOneInTask,
+    deleteManyInTask,
+} = require('./query-ops.js');
+
+function requireFilter(args) {
+    if (!isPlainObject(args.filter) && typeof args.filter !== 'function') {
+        throw new WiseJSONError('filter must be an object or a function.');
+    }
+}
+
+/**
+ * Поддерживаемые операции bulkWrite: проверка аргументов до выполнения пакета
+ * и выполнение внутри задачи очереди.
+ */
+const BULK_OPERATIONS = {
+    insertOne: {
+        validate(args) {
+            if (!isPlainObject(args.document)) throw new WiseJSONError('insertOne requires a document object.');
+        },
+        async run(collection, args) {
+            const doc = await insertInTask(collection, args.document);
+            return { insertedId: doc._id };
+        },
+    },
+    updateOne: {
+        validate(args) {
+            requireFilter(args);
+            validateUpdate(args.update, args.arrayFilters);
+        },
+        run: (collection, args) => updateOneInTask(collection, args.filter, args.update, args),
+    },
+    updateMany: {
+        validate(args) {
+            requireFilter(args);
+            validateUpdate(args.update, args.arrayFilters);
+        },
+        run: (collection, args) => updateManyInTask(collection, args.filter, args.update, args),
+    },
+    replaceOne: {
+        validate(args) {
+            requireFilter(args);
+            validateReplacement(args.replacement);
+        },
+        run: (collection, args) => replaceOneInTask(collection, args.filter, args.replacement, args),
+    },
+    deleteOne: {
+        validate: requireFilter,
+        run: (collection, args) => deleteOneInTask(collection, args.filter),
+    },
+    deleteMany: {
+        validate: requireFilter,
+        run: (collection, args) => deleteManyInTask(collection, args.filter),
+    },
+};
+
+/**
+ * Разбирает операцию вида `{ updateOne: { filter, update } }`.
+ * @param {object} operation
+ * @param {number} index
+ * @returns {{type: string, args: object}}
+ * @throws {WiseJSONError}
+ */
+function parseOperation(operation, index) {
+    const keys = isPlainObject(operation) ? Object.keys(operation) : [];
+    if (keys.length !== 1 || !BULK_OPERATIONS[keys[0]]) {
+        throw new WiseJSONError(`bulkWrite: operation at index ${index} must have exactly one of ${Object.keys(BULK_OPERATIONS).join(', ')}.`);
+    }
+    const type = keys[0];
+    const args = operation[type];
+    if (!isPlainObject(args)) {
+        throw new WiseJSONError(`bulkWrite: ${type} at index ${index} must be an object.`);
+    }
+    try {
+        BULK_OPERATIONS[type].validate(args);
+    } catch (err) {
+        throw new WiseJSONError(`bulkWrite: ${type} at index ${index}: ${err.message}`);
+    }
+    return { type, args };
+}
+
+/**
+ * Выполняет набор вставок, обновлений и удалений одной задачей очереди записи
+ * и одной записью WAL (BULK_WRITE).
+ *
+ * В режиме `ordered: true` (по умолчанию) выполнение останавливается на первой ошибке,
+ * в режиме `ordered: false` — продолжается. Успешные операции сохраняются в обоих режимах;
+ * если были ошибки, после записи выбрасывается BulkWriteError.
+ *
+ * @param {Array<object>} operations - Операции: `{ insertOne: { document } }`,
+ *   `{ updateOne | updateMany: { filter, update, upsert?, arrayFilters? } }`,
+ *   `{ replaceOne: { filter, replacement, upsert? } }`, `{ deleteOne | deleteMany: { filter } }`.
+ * @param {{ordered?: boolean, durability?: string}} [options] - durability: уровень надежности записи пакета.
+ * @returns {Promise<{insertedCount: number, matchedCount: number, modifiedCount: number,
+ *   deletedCount: number, upsertedCount: number, results: Array<object|null>}>}
+ *   `results[i]` — результат i-й операции (как у одноименного метода) или null, если она не выполнена.
+ * @throws {WiseJSONError} если набор операций задан неверно (до выполнения чего-либо).
+ * @throws {BulkWriteError} если часть операций завершилась ошибкой.
+ */
+async function bulkWrite(operations, options = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new WiseJSONError('bulkWrite: operations must be a non-empty array.');
+    }
+    const ordered = options.ordered !== false;
+    const parsed = operations.map(parseOperation);
+
+    return this._enqueue(async () => {
+        const result = {
+            insertedCount: 0,
+            matchedCount: 0,
+            modifiedCount: 0,
+            deletedCount: 0,
+            upsertedCount: 0,
+            results: new Array(parsed.length).fill(null),
+        };
+        const writeErrors = [];
+
+        await this._runBulk(async () => {
+            for (let index = 0; index < parsed.length; index++) {
+                const { type, args } = parsed[index];
+                try {
+                    const opResult = await BULK_OPERATIONS[type].run(this, args);
+                    result.results[index] = opResult;
+                    if (opResult.insertedId !== undefined) result.insertedCount++;
+                    if (opResult.upsertedId !== undefined) result.upsertedCount++;
+                    result.matchedCount += opResult.matchedCount || 0;
+                    result.modifiedCount += opResult.modifiedCount || 0;
+                    result.deletedCount += opResult.deletedCount || 0;
+                } catch (error) {
+                    writeErrors.push({ index, operation: type, error });
+                    if (ordered) break;
+                }
+            }
+        });
+
+        if (writeErrors.length > 0) {
+            throw new BulkWriteError(writeErrors, result);
+        }
+        return result;
+    }, options);
+}
+
+module.exports = {
+    bulkWrite,
+};
@@ -0,0 +1,111 @@
+// wise-json/collection/collation.js
+
+const { isPlainObject } = require('./utils.js');
+const { WiseJSONError } = require('../errors.js');
+
+const COLLATION_OPTIONS = ['locale', 'strength', 'numericOrdering'];
+
+/**
+ * Уровни сравнения (как в MongoDB) и соответствующая чувствительность Intl.Collator:
+ * 1 — только базовые буквы, 2 — буквы и диакритика, 3 — ещё и регистр.
+ */
+const SENSITIVITY_BY_STRENGTH = { 1: 'base', 2: 'accent', 3: 'variant' };
+
+const collatorCache = new Map();
+
+/**
+ * Проверяет и нормализует правила сравнения строк (collation).
+ * null, undefined и `{ locale: 'simple' }` означают побайтовое сравнение.
+ * @param {{locale: string, strength?: 1|2|3, numericOrdering?: boolean}|null|undefined} collation
+ *   - locale: язык по BCP 47 ('ru', 'en', 'de-DE');
+ *   - strength: 1 — без учёта регистра и диакритики, 2 — без учёта регистра, 3 (по умолчанию) — с учётом всего;
+ *   - numericOrdering: сравнивать последовательности цифр как числа ('2' < '10').
+ * @returns {{locale: string, strength: number, numericOrdering: boolean}|null}
+ * @throws {WiseJSONError} при неверных параметрах.
+ */
+function normalizeCollation(collation) {
+    if (collation === undefined || collation === null) return null;
+    if (!isPlainObject(collation)) {
+        throw new WiseJSONError("collation: must be an object like { locale: 'ru', strength: 2 }.");
+    }
+    for (const key of Object.keys(collation)) {
+        if (!COLLATION_OPTIONS.includes(key)) {
+            throw new WiseJSONError(`collation: unknown option '${key}'. Supported options: ${COLLATION_OPTIONS.join(', ')}.`);
+        }
+    }
+    const { locale, strength = 3, numericOrdering = false } = collation;
+    if (typeof locale !== 'string' || locale.length === 0) {
+        throw new WiseJSONError('collation: locale must be a non-empty string.');
+    }
+    if (locale === 'simple') return null;
+    if (![1, 2, 3].includes(strength)) {
+        throw new WiseJSONError('collation: strength must be 1, 2 or 3.');
+    }
+    if (typeof numericOrdering !== 'boolean') {
+        throw new WiseJSONError('collation: numericOrdering must be a boolean.');
+    }
+    try {
+        Intl.Collator.supportedLocalesOf(locale);
+    } catch (e) {
+        throw new WiseJSONError(`collation: invalid locale '${locale}'.`);
+    }
+    return { locale, strength, numericOrdering };
+}
+
+/**
+ * Совпадают ли правила сравнения (null — побайтовое сравнение).
+ * @param {object|null} a - Нормализованный collation.
+ * @param {object|null} b - Нормализованный collation.
+ * @returns {boolean}
+ */
+function isSameCollation(a, b) {
+    if (!a || !b) return !a && !b;
+    return a.locale === b.locale && a.strength === b.strength && a.numericOrdering === b.numericOrdering;
+}
+
+/**
+ * Возвращает Intl.Collator для правил сравнения (экземпляры кэшируются).
+ * @param {object|null} collation - Нормализованный collation.
+ * @returns {Intl.Collator|null} null для побайтового сравнения.
+ */
+function getCollator(collation) {
+    if (!collation) return null;
+    const cacheKey = `${collation.locale}|${collation.strength}|${collation.numericOrdering}`;
+    let collator = collatorCache.get(cacheKey);
+    if (!collator) {
+        collator = new Intl.Collator(collation.locale, {
+            sensitivity: SENSITIVITY_BY_STRENGTH[collation.strength],
+            numeric: collation.numericOrdering,
+        });
+        collatorCache.set(cacheKey, collator);
+    }
+    return collator;
+}
+
+/**
+ * Ключ строки в индексе с collation: строки, равные по правилам сравнения, получают один ключ.
+ * При strength 1 и 2 регистр приводится к единому виду, при strength 1 ещё и отбрасывается диакритика.
+ * Остальные значения возвращаются как есть.
+ * @param {any} value
+ * @param {object|null} collation - Нормализованный collation.
+ * @returns {any}
+ */
+function collationKey(value, collation) {
+    if (!collation || typeof value !== 'string') return value;
+    let key = value.normalize('NFC');
+    if (collation.strength <= 2) {
+        // Через верхний регистр: 'ß' -> 'SS' -> 'ss', как и при сравнении без учёта регистра.
+        key = key.toLocaleUpperCase(collation.locale).toLocaleLowerCase(collation.locale);
+    }
+    if (collation.strength === 1) {
+        key = key.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+    }
+    return key;
+}
+
+module.exports = {
+    normalizeCollation,
+    isSameCollation,
+    getCollator,
+    collationKey,
+};
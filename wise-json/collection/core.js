@@ -18,12 +18,19 @@ const {
   readWal,
   getWalPath,
   compactWal,
+  cleanupOldWalArchives,
   appendWalEntry,
+  normalizeDurability,
+  normalizeGroupCommitOptions,
+  createGroupCommitter,
 } = require('../wal-manager.js');
 const {
+  writeCheckpoint,
   loadLatestCheckpoint,
-  cleanupOldCheckpoints
+  cleanupOldCheckpoints,
+  getOldestCheckpointTimestamp
 } = require('../checkpoint-manager.js');
+const { normalizeCompression } = require('../compression.js');
 const {
   cleanupExpiredDocs,
   isAlive
@@ -33,11 +40,14 @@ const {
   releaseCollectionLock
 } = require('./file-lock.js');
 const { createWriteQueue } = require('./queue.js');
-const { writeJsonFileSafe } = require('../storage-utils.js');
+const { normalizeCollation } = require('./collation.js');
+const { normalizeDateFields } = require('./dates.js');
 
 const crudOps = require('./ops.js');
 const queryOps = require('./query-ops.js');
 const dataExchangeOps = require('./data-exchange.js');
+const aggregationOps = require('./aggregation.js');
+const bulkWriteOps = require('./bulk-write.js');
 
 function validateCollectionOptions(opts = {}) {
     const defaults = {
@@ -63,12 +73,64 @@ function validateCollectionOptions(opts = {}) {
     } else {
         options.walReadOptions = { ...defaults.walReadOptions, ...options.walReadOptions };
     }
+    // Правила сравнения строк по умолчанию для запросов и новых индексов коллекции.
+    options.collation = normalizeCollation(options.collation);
+    // Поля, значения которых сравниваются как даты (ISO-строки, числа ms, Date).
+    options.dateFields = normalizeDateFields(options.dateFields);
+    // Групповая запись WAL (null — каждая запись пишется и синхронизируется отдельно).
+    options.walGroupCommit = normalizeGroupCommitOptions(options.walGroupCommit);
+    // Уровень надежности записи по умолчанию; переопределяется в вызове: insert(doc, { durability }).
+    options.durability = normalizeDurability(options.durability);
+    // Сжатие сегментов чекпоинтов и архивов WAL: 'gzip', 'brotli' или null.
+    options.compression = normalizeCompression(options.compression);
+    // Сохранять ли записи, удаляемые из WAL при компакции, в _wal_archive.
+    options.archiveWal = options.archiveWal === true;
     return options;
 }
 
+/**
+ * Новая версия документа по записи UPDATE: поля из `data` поверх прежних,
+ * затем удаление полей из `unset` (их пишут операторы обновления, см. query-ops.js).
+ * @param {object} prevDoc
+ * @param {{data: object, unset?: string[]}} entry
+ * @returns {object}
+ */
+function mergeUpdate(prevDoc, entry) {
+    const updatedDoc = { ...prevDoc, ...entry.data };
+    if (Array.isArray(entry.unset)) {
+        entry.unset.forEach(field => { delete updatedDoc[field]; });
+    }
+    return updatedDoc;
+}
+
+/**
+ * Идентификаторы документов, которые затрагивает запись WAL.
+ * @param {Map<string, object>} documents
+ * @param {object} entry
+ * @returns {string[]}
+ */
+function entryDocIds(documents, entry) {
+    switch (entry.op) {
+        case 'INSERT': return [entry.doc._id];
+        case 'BATCH_INSERT': return entry.docs.map(doc => doc._id);
+        case 'UPDATE':
+        case 'REMOVE': return [entry.id];
+        case 'BATCH_UPDATE': return entry.updates.map(item => item.id);
+        case 'BATCH_REMOVE': return entry.ids.slice();
+        case 'CLEAR': return Array.from(documents.keys());
+        case 'BULK_WRITE': return Array.from(new Set(entry.entries.flatMap(subEntry => entryDocIds(documents, subEntry))));
+        default: throw new Error(`Unknown operation type: ${entry.op}`);
+    }
+}
 
 class Collection {
-  constructor(name, dbRootPath, options = {}) {
+  /**
+   * @param {string} name - Имя коллекции.
+   * @param {string} dbRootPath - Корневая директория базы данных.
+   * @param {object} [options] - Опции коллекции.
+   * @param {import('../index')} [db] - Экземпляр WiseJSON, которому принадлежит коллекция (нужен для $lookup).
+   */
+  constructor(name, dbRootPath, options = {}, db = null) {
     if (!isNonEmptyString(name)) {
       throw new Error('Collection: collection name must be a non-empty string.');
     }
@@ -76,6 +138,7 @@ class Collection {
     this.name = name;
     this.dbRootPath = makeAbsolutePath(dbRootPath);
     this.options = validateCollectionOptions(options);
+    this.db = db;
 
     this.logger = this.options.logger || require('../logger');
 
@@ -83,6 +146,13 @@ class Collection {
     this.checkpointsDir = path.join(this.collectionDirPath, '_checkpoints');
     this.walPath = getWalPath(this.collectionDirPath, this.name);
     this.quarantinePath = path.join(this.collectionDirPath, `quarantine_${this.name}.log`);
+    this.walArchiveDir = path.join(this.collectionDirPath, '_wal_archive');
+    // Записи групповой записи WAL, уже примененные к памяти, но еще не попавшие на диск.
+    this._unsyncedChanges = new Set();
+    this._lostBatchedWrite = null;
+    this._walCommitter = this.options.walGroupCommit
+        ? createGroupCommitter(this.walPath, this.options.walGroupCommit, this.logger, this._walCommitHooks())
+        : null;
 
     this.documents = new Map();
     this._idGenerator = this.options.idGenerator;
@@ -103,6 +173,7 @@ class Collection {
     this._checkpointTimerId = null;
     this._ttlCleanupTimer = null;
     this._releaseLock = null;
+    this._bulk = null;
     this.syncManager = null;
 
     createWriteQueue(this);
@@ -122,11 +193,18 @@ class Collection {
     this.count = queryOps.count.bind(this);
     this.find = queryOps.find.bind(this);
     this.findOne = queryOps.findOne.bind(this);
+    this.findCursor = queryOps.findCursor.bind(this);
+    this.explain = queryOps.explain.bind(this);
     this.updateOne = queryOps.updateOne.bind(this);
     this.updateMany = queryOps.updateMany.bind(this);
+    this.replaceOne = queryOps.replaceOne.bind(this);
     this.findOneAndUpdate = queryOps.findOneAndUpdate.bind(this);
+    this.findOneAndReplace = queryOps.findOneAndReplace.bind(this);
+    this.findOneAndDelete = queryOps.findOneAndDelete.bind(this);
     this.deleteOne = queryOps.deleteOne.bind(this);
     this.deleteMany = queryOps.deleteMany.bind(this);
+    this.bulkWrite = bulkWriteOps.bulkWrite.bind(this);
+    this.aggregate = aggregationOps.aggregate.bind(this);
     this.findByIndexedValue = queryOps.findByIndexedValue.bind(this);
     this.findOneByIndexedValue = queryOps.findOneByIndexedValue.bind(this);
     this.exportJson = dataExchangeOps.exportJson.bind(this);
@@ -146,12 +224,29 @@ class Collection {
 
     for (const indexMeta of loadedCheckpoint.indexesMeta || []) {
         try {
-            this._indexManager.createIndex(indexMeta.fieldName, { unique: indexMeta.type === 'unique' });
+            this._indexManager.createIndex(indexMeta.fields || indexMeta.fieldName, {
+                unique: indexMeta.type === 'unique',
+                ordered: indexMeta.ordered === true,
+                sparse: indexMeta.sparse === true,
+                partialFilterExpression: indexMeta.partialFilterExpression,
+                collation: indexMeta.collation,
+                dateFields: this.options.dateFields,
+                text: indexMeta.type === 'text',
+                language: indexMeta.language,
+                weights: indexMeta.weights,
+            });
         } catch (e) { /* ignore */ }
     }
     this._indexManager.rebuildIndexesFromData(this.documents);
 
-    const walReadOpts = { ...this.options.walReadOptions, isInitialLoad: true, logger: this.logger };
+    // Испорченные записи уходят в карантин, а недописанный при сбое хвост обрезается до начала работы.
+    const walReadOpts = {
+        ...this.options.walReadOptions,
+        isInitialLoad: true,
+        logger: this.logger,
+        quarantinePath: this.quarantinePath,
+        repairTornTail: true,
+    };
     const walEntries = await readWal(this.walPath, this._stats.lastCheckpointTimestamp, walReadOpts);
 
     const isInitialLoad = true;
@@ -226,12 +321,68 @@ class Collection {
             }
             
             if (!isAlive(prevDoc)) throw new Error(`Cannot apply UPDATE: document with id ${id} has expired.`);
-            const updatedDoc = { ...prevDoc, ...dataToUpdate };
+            const updatedDoc = mergeUpdate(prevDoc, entry);
             this.documents.set(id, updatedDoc);
             this._indexManager.afterUpdate(prevDoc, updatedDoc);
             if (emitEvents) this._emitter.emit('update', updatedDoc, prevDoc);
             break;
         }
+        case 'BATCH_UPDATE': {
+            // Все или ничего: сначала проверяем каждый элемент, затем применяем пакет целиком.
+            const updates = Array.isArray(entry.updates) ? entry.updates : [];
+            for (const item of updates) {
+                if (!item || !item.id) throw new Error('Cannot apply BATCH_UPDATE: an update or its id is missing.');
+                if (isInitialLoad || entry._remote) continue;
+                const prevDoc = this.documents.get(item.id);
+                if (!prevDoc) throw new Error(`Cannot apply BATCH_UPDATE: document with id ${item.id} not found.`);
+                if (!isAlive(prevDoc)) throw new Error(`Cannot apply BATCH_UPDATE: document with id ${item.id} has expired.`);
+            }
+            const applied = [];
+            for (const item of updates) {
+                const prevDoc = this.documents.get(item.id);
+                if (!prevDoc) {
+                    // При загрузке WAL ведет себя как одиночный UPDATE (восстанавливает документ).
+                    this._applyWalEntryToMemory({ ...item, op: 'UPDATE', _remote: entry._remote }, emitEvents, isInitialLoad);
+                } else if (isAlive(prevDoc)) {
+                    applied.push({ prevDoc, updatedDoc: mergeUpdate(prevDoc, item) });
+                }
+            }
+            // Индексы: сначала снимаем старые ключи всех документов пакета, затем добавляем новые,
+            // чтобы обмен уникальными значениями внутри пакета не давал ложных дубликатов.
+            applied.forEach(({ prevDoc }) => this._indexManager.afterRemove(prevDoc));
+            for (const { updatedDoc } of applied) {
+                this.documents.set(updatedDoc._id, updatedDoc);
+                this._indexManager.afterInsert(updatedDoc);
+            }
+            if (emitEvents) {
+                applied.forEach(({ prevDoc, updatedDoc }) => this._emitter.emit('update', updatedDoc, prevDoc));
+            }
+            break;
+        }
+        case 'BATCH_REMOVE': {
+            const ids = Array.isArray(entry.ids) ? entry.ids : [];
+            if (ids.some(id => !id)) throw new Error('Cannot apply BATCH_REMOVE: an id is missing.');
+            for (const id of ids) {
+                this._applyWalEntryToMemory({ op: 'REMOVE', id }, emitEvents, isInitialLoad);
+            }
+            break;
+        }
+        case 'BULK_WRITE': {
+            // Все или ничего: при ошибке вложенной записи уже примененные откатываются.
+            const entries = Array.isArray(entry.entries) ? entry.entries : [];
+            const undo = [];
+            const events = [];
+            try {
+                for (const subEntry of entries) {
+                    this._applyStagedEntry({ ...subEntry, _remote: entry._remote }, undo, events, isInitialLoad);
+                }
+            } catch (err) {
+                this._rollbackStaged(undo);
+                throw err;
+            }
+            if (emitEvents) events.forEach(args => this._emitter.emit(...args));
+            break;
+        }
         case 'REMOVE': {
             const id = entry.id;
             if (!id) throw new Error('Cannot apply REMOVE: id is missing.');
@@ -262,9 +413,10 @@ class Collection {
             if (docToInsert) {
                 for (const idxMeta of this._indexManager.getIndexesMeta()) {
                     if (idxMeta.type === 'unique') {
-                        const value = docToInsert[idxMeta.fieldName];
-                           if (value !== undefined && value !== null && this._indexManager.findOneIdByIndex(idxMeta.fieldName, value)) {
-                                throw new UniqueConstraintError(idxMeta.fieldName, value);
+                        for (const unique of this._indexManager.getUniqueKeys(idxMeta.fieldName, docToInsert)) {
+                            if (this._indexManager.findOneIdByIndex(idxMeta.fieldName, unique.key)) {
+                                throw new UniqueConstraintError(idxMeta.fieldName, unique.value);
+                            }
                         }
                     }
                 }
@@ -276,13 +428,13 @@ class Collection {
                     if (idxMeta.type === 'unique') {
                         const seenValues = new Set();
                         for (const doc of docs) {
-                            const value = doc[idxMeta.fieldName];
-                            if (value !== undefined && value !== null) {
-                                if (seenValues.has(value) || this._indexManager.findOneIdByIndex(idxMeta.fieldName, value)) {
-                                    throw new UniqueConstraintError(idxMeta.fieldName, value);
+                            const uniqueKeys = this._indexManager.getUniqueKeys(idxMeta.fieldName, doc);
+                            for (const unique of uniqueKeys) {
+                                if (seenValues.has(unique.key) || this._indexManager.findOneIdByIndex(idxMeta.fieldName, unique.key)) {
+                                    throw new UniqueConstraintError(idxMeta.fieldName, unique.value);
                                 }
-                                seenValues.add(value);
                             }
+                            uniqueKeys.forEach(unique => seenValues.add(unique.key));
                         }
                     }
                 }
@@ -291,35 +443,277 @@ class Collection {
             const { id, data } = entry;
             const originalDoc = this.documents.get(id);
             if (originalDoc && data) {
+                const updatedDoc = mergeUpdate(originalDoc, entry);
                 for (const idxMeta of this._indexManager.getIndexesMeta()) {
-                    if (idxMeta.type === 'unique' && data.hasOwnProperty(idxMeta.fieldName)) {
-                        const newValue = data[idxMeta.fieldName];
-                        if (newValue !== undefined && newValue !== null) {
-                            const existingId = this._indexManager.findOneIdByIndex(idxMeta.fieldName, newValue);
+                    if (idxMeta.type === 'unique') {
+                        for (const unique of this._indexManager.getUniqueKeys(idxMeta.fieldName, updatedDoc)) {
+                            const existingId = this._indexManager.findOneIdByIndex(idxMeta.fieldName, unique.key);
                             if (existingId && existingId !== id) {
-                                throw new UniqueConstraintError(idxMeta.fieldName, newValue);
+                                throw new UniqueConstraintError(idxMeta.fieldName, unique.value);
                             }
                         }
                     }
                 }
             }
+        } else if (opType === 'BATCH_UPDATE') {
+            this._checkBatchUpdateUniqueness(entry.updates || []);
         }
     }
 
-    const entryWithOpId = { ...entry, opId: uuidv4() };
-    await appendWalEntry(this.walPath, entryWithOpId, this.logger);
+    const removedCount = opType === 'BATCH_REMOVE' ? entry.ids.filter(id => this.documents.has(id)).length : 0;
+    if (this._bulk) {
+        // Внутри _runBulk запись откладывается до общей записи BULK_WRITE.
+        this._applyStagedEntry(entry, this._bulk.undo, this._bulk.events);
+        this._bulk.entries.push(entry);
+    } else {
+        const entryWithOpId = { ...entry, opId: uuidv4() };
+        const unsynced = await this._writeWalEntry(entryWithOpId);
+        this._trackUnsynced(unsynced, [entryDocIds(this.documents, entry).map(id => [id, this.documents.get(id)])]);
 
-    this._applyWalEntryToMemory(entry, true);
-    this._handlePotentialCheckpointTrigger();
+        this._applyWalEntryToMemory(entry, true);
+        this._handlePotentialCheckpointTrigger();
+    }
 
     let nextResult;
     if (opType === 'INSERT') nextResult = entry.doc;
     else if (opType === 'BATCH_INSERT') nextResult = entry.docs;
     else if (opType === 'UPDATE') nextResult = this.documents.get(entry.id);
+    else if (opType === 'BATCH_UPDATE') nextResult = entry.updates.map(item => this.documents.get(item.id));
+    else if (opType === 'BATCH_REMOVE') nextResult = removedCount;
 
     return getResultFn ? getResultFn(undefined, nextResult) : undefined;
   }
 
+  /**
+   * Дописывает запись в WAL с уровнем надежности текущей задачи очереди
+   * (`durability` вызова или коллекции, см. DURABILITY_LEVELS в wal-manager.js).
+   *
+   * При групповой записи (`walGroupCommit`) запись 'fsync' попадает в общую пачку: внутри задачи
+   * очереди метод не ждет fsync, а регистрирует ожидание в очереди, и вызывающий получает результат
+   * задачи только после того, как запись надежно на диске. Следующие задачи очереди тем временем
+   * выполняются и попадают в ту же пачку. Запись 'batched' попадает в пачку без ожидания.
+   *
+   * Для записей пачки возвращается отметка, к которой вызывающий привязывает откат изменения
+   * (`_trackUnsynced`): если пачка не записалась, изменение и все следующие за ним незаписанные
+   * изменения откатываются в памяти (`_walCommitHooks`).
+   * @private
+   * @param {object} entry
+   * @returns {Promise<{undo: Array, batched: boolean, failed: Error|null}|undefined>}
+   */
+  async _writeWalEntry(entry) {
+    this._throwLostBatchedWrite();
+    const durability = this._writeDurability || this.options.durability;
+    if (durability === 'none') return undefined;
+    const batched = durability === 'batched';
+    if (batched || (durability === 'fsync' && this.options.walGroupCommit)) {
+        const unsynced = { undo: [], batched, applied: false, failed: null };
+        this._unsyncedChanges.add(unsynced);
+        const durable = this._getWalCommitter().append(entry, unsynced);
+        if (batched) {
+            // Ошибку получит следующая запись или flushToDisk() (`_walCommitHooks`).
+            durable.catch(() => {});
+        } else if (this._durabilityWaits) {
+            this._durabilityWaits.push(durable);
+        } else {
+            await durable;
+        }
+        return unsynced;
+    }
+    // Отложенные записи пачки должны лечь в WAL раньше этой.
+    await this.flushWal();
+    await appendWalEntry(this.walPath, entry, this.logger, { sync: durability === 'fsync' });
+    return undefined;
+  }
+
+  /**
+   * Привязывает к отметке `_writeWalEntry` прежние версии документов, которые меняет запись.
+   * Вызывается перед применением записи к памяти; если пачка с записью уже не записалась,
+   * бросает ее ошибку, и запись не применяется.
+   * @private
+   * @param {object|undefined} unsynced
+   * @param {Array<Array<[string, object|undefined]>>} undo
+   */
+  _trackUnsynced(unsynced, undo) {
+    if (!unsynced) return;
+    if (unsynced.failed) throw unsynced.failed;
+    unsynced.undo.push(...undo);
+    unsynced.applied = true;
+  }
+
+  /**
+   * Хуки групповой записи WAL: записанные изменения перестают отслеживаться, а при сбое
+   * отклоненные изменения откатываются в памяти в обратном порядке. События коллекции
+   * об откаченных изменениях не повторяются и не отзываются.
+   * @private
+   * @returns {{onDurable: function(Array<object>): void, onFailure: function(Error, Array<object>): void}}
+   */
+  _walCommitHooks() {
+    return {
+        onDurable: (tokens) => {
+            tokens.forEach(unsynced => this._unsyncedChanges.delete(unsynced));
+        },
+        onFailure: (err, tokens) => {
+            for (let i = tokens.length - 1; i >= 0; i--) {
+                const unsynced = tokens[i];
+                unsynced.failed = err;
+                this._rollbackStaged(unsynced.undo);
+                this._unsyncedChanges.delete(unsynced);
+                if (unsynced.batched && unsynced.applied) {
+                    // Вызывающий уже получил результат: сообщаем о сбое следующей записи.
+                    this._lostBatchedWrite = err;
+                    this.logger.error(`[WAL] Изменение коллекции '${this.name}' с durability 'batched' не попало на диск и откачено: ${err.message}`);
+                }
+            }
+        },
+    };
+  }
+
+  /**
+   * Бросает ошибку потерянной записи 'batched' один раз, после чего сбрасывает ее.
+   * @private
+   */
+  _throwLostBatchedWrite() {
+    const err = this._lostBatchedWrite;
+    if (!err) return;
+    this._lostBatchedWrite = null;
+    throw new Error(`An earlier write with durability 'batched' to collection '${this.name}' was not persisted and has been rolled back: ${err.message}`);
+  }
+
+  /**
+   * Возвращает групповую запись WAL коллекции, создавая ее при первой записи 'batched'
+   * (с параметрами `walGroupCommit` или по умолчанию).
+   * @private
+   * @returns {{append: function(object, *=): Promise<void>, flush: function(): Promise<void>}}
+   */
+  _getWalCommitter() {
+    if (!this._walCommitter) {
+        this._walCommitter = createGroupCommitter(this.walPath, normalizeGroupCommitOptions(true), this.logger, this._walCommitHooks());
+    }
+    return this._walCommitter;
+  }
+
+  /**
+   * Дописывает на диск записи WAL, накопленные групповой записью.
+   * Нужен перед операциями, которые читают или пишут WAL-файл в обход очереди пачек.
+   * Сбой пачки здесь не бросается (изменения откачены, ошибку получили их вызывающие),
+   * кроме потерянной записи 'batched', о которой сообщается один раз.
+   * @returns {Promise<void>}
+   */
+  async flushWal() {
+    if (this._walCommitter) await this._walCommitter.flush().catch(() => {});
+    this._throwLostBatchedWrite();
+  }
+
+  /**
+   * Выполняет `fn` внутри задачи `_enqueue`, накапливая изменения вместо записи в WAL: все вызовы
+   * `_enqueueDataModification` за это время попадают в журнал одной записью BULK_WRITE.
+   * Если `fn` или запись журнала завершились ошибкой, изменения в памяти откатываются.
+   * События коллекции отправляются после записи журнала.
+   * @private
+   * @param {function(): Promise<*>} fn
+   * @returns {Promise<*>} Результат `fn`.
+   */
+  async _runBulk(fn) {
+    const bulk = { entries: [], undo: [], events: [] };
+    this._bulk = bulk;
+    let result;
+    try {
+        result = await fn();
+        if (bulk.entries.length > 0) {
+            const unsynced = await this._writeWalEntry({ op: 'BULK_WRITE', entries: bulk.entries, ts: new Date().toISOString(), opId: uuidv4() });
+            this._trackUnsynced(unsynced, bulk.undo);
+        }
+    } catch (err) {
+        this._rollbackStaged(bulk.undo);
+        throw err;
+    } finally {
+        this._bulk = null;
+    }
+    if (bulk.entries.length > 0) {
+        bulk.events.forEach(args => this._emitter.emit(...args));
+        this._handlePotentialCheckpointTrigger();
+    }
+    return result;
+  }
+
+  /**
+   * Применяет запись к памяти без событий, запоминая прежние версии документов для отката
+   * и события, которые нужно отправить после фиксации.
+   * @private
+   * @param {object} entry
+   * @param {Array<Array<[string, object|undefined]>>} undo
+   * @param {Array<Array<*>>} events - Аргументы для `_emitter.emit`.
+   * @param {boolean} [isInitialLoad=false]
+   */
+  _applyStagedEntry(entry, undo, events, isInitialLoad = false) {
+    const before = entryDocIds(this.documents, entry).map(id => [id, this.documents.get(id)]);
+    this._applyWalEntryToMemory(entry, false, isInitialLoad);
+    undo.push(before);
+    for (const [id, prevDoc] of before) {
+        const doc = this.documents.get(id);
+        if (!prevDoc && doc) events.push(['insert', doc]);
+        else if (prevDoc && !doc) events.push(['remove', prevDoc]);
+        else if (prevDoc && doc !== prevDoc) events.push(['update', doc, prevDoc]);
+    }
+  }
+
+  /**
+   * Возвращает документы и индексы к состоянию до записей из `undo` (в обратном порядке).
+   * @private
+   * @param {Array<Array<[string, object|undefined]>>} undo
+   */
+  _rollbackStaged(undo) {
+    for (let i = undo.length - 1; i >= 0; i--) {
+        // Сначала снимаем все текущие версии, затем возвращаем прежние: так обмен
+        // уникальными значениями внутри записи не дает ложных дубликатов в индексе.
+        for (const [id] of undo[i]) {
+            const doc = this.documents.get(id);
+            if (doc) {
+                this._indexManager.afterRemove(doc);
+                this.documents.delete(id);
+            }
+        }
+        for (const [id, prevDoc] of undo[i]) {
+            if (prevDoc) {
+                this.documents.set(id, prevDoc);
+                this._indexManager.afterInsert(prevDoc);
+            }
+        }
+    }
+    undo.length = 0;
+  }
+
+  /**
+   * Проверяет уникальные индексы для всего пакета BATCH_UPDATE до записи в WAL.
+   * Значение, которое освобождает другой документ того же пакета, считается свободным,
+   * поэтому обмен значениями между документами пакета допустим.
+   * @private
+   * @param {Array<{id: string, data: object, unset?: string[]}>} updates
+   * @throws {UniqueConstraintError}
+   */
+  _checkBatchUpdateUniqueness(updates) {
+    const uniqueIndexes = this._indexManager.getIndexesMeta().filter(meta => meta.type === 'unique');
+    if (uniqueIndexes.length === 0 || updates.length === 0) return;
+    const batchIds = new Set(updates.map(item => item.id));
+    const updatedDocs = updates
+        .filter(item => this.documents.has(item.id) && item.data)
+        .map(item => mergeUpdate(this.documents.get(item.id), item));
+
+    for (const idxMeta of uniqueIndexes) {
+        const seen = new Map();
+        for (const doc of updatedDocs) {
+            for (const unique of this._indexManager.getUniqueKeys(idxMeta.fieldName, doc)) {
+                const existingId = this._indexManager.findOneIdByIndex(idxMeta.fieldName, unique.key);
+                const takenInBatch = seen.has(unique.key) && seen.get(unique.key) !== doc._id;
+                if (takenInBatch || (existingId && existingId !== doc._id && !batchIds.has(existingId))) {
+                    throw new UniqueConstraintError(idxMeta.fieldName, unique.value);
+                }
+                seen.set(unique.key, doc._id);
+            }
+        }
+    }
+  }
+
   async _acquireLock() {
     if (this._releaseLock) return;
     this._releaseLock = await acquireCollectionLock(this.collectionDirPath);
@@ -393,53 +787,39 @@ class Collection {
 
   async flushToDisk() {
     return this._enqueue(async () => {
+        // Компакция переписывает WAL-файл, поэтому накопленная пачка должна попасть в него раньше.
+        await this.flushWal();
         cleanupExpiredDocs(this.documents, this._indexManager);
         
         const timestamp = new Date().toISOString();
-        const meta = {
-            collectionName: this.name,
+        await writeCheckpoint(this.checkpointsDir, this.name, {
             timestamp,
-            documentCount: this.documents.size,
-            indexesMeta: this._indexManager.getIndexesMeta() || []
-        };
-        
-        const timestampForFile = timestamp.replace(/[:.]/g, '-');
-        const metaPath = path.join(this.checkpointsDir, `checkpoint_meta_${this.name}_${timestampForFile}.json`);
-        
-        await writeJsonFileSafe(metaPath, meta, null, this.logger);
-
-        const aliveDocs = Array.from(this.documents.values());
-        const maxSegmentSize = this.options.maxSegmentSizeBytes;
-        let segmentIndex = 0;
-        let currentSegment = [];
-        let currentSize = 2; 
-
-        for (const doc of aliveDocs) {
-            const docStr = JSON.stringify(doc);
-            const docSize = Buffer.byteLength(docStr, 'utf8') + (currentSegment.length > 0 ? 1 : 0);
-            if (currentSize + docSize > maxSegmentSize && currentSegment.length > 0) {
-                const dataPath = path.join(this.checkpointsDir, `checkpoint_data_${this.name}_${timestampForFile}_seg${segmentIndex++}.json`);
-                await writeJsonFileSafe(dataPath, currentSegment, null, this.logger);
-                currentSegment = [];
-                currentSize = 2;
-            }
-            currentSegment.push(doc);
-            currentSize += docSize;
-        }
-
-        if (currentSegment.length > 0) {
-            const dataPath = path.join(this.checkpointsDir, `checkpoint_data_${this.name}_${timestampForFile}_seg${segmentIndex++}.json`);
-            await writeJsonFileSafe(dataPath, currentSegment, null, this.logger);
-        }
+            documents: this.documents.values(),
+            indexesMeta: this._indexManager.getIndexesMeta() || [],
+            maxSegmentSizeBytes: this.options.maxSegmentSizeBytes,
+            compression: this.options.compression,
+        }, this.logger);
         
         this._stats.lastCheckpointTimestamp = timestamp;
         this._stats.walEntriesSinceCheckpoint = 0;
 
-        await compactWal(this.walPath, this._stats.lastCheckpointTimestamp, this.logger);
-
         if (this.options.checkpointsToKeep > 0) {
             await cleanupOldCheckpoints(this.checkpointsDir, this.name, this.options.checkpointsToKeep, this.logger);
         }
+
+        // WAL компактируется до самого старого оставшегося чекпоинта, а не до нового: если новый
+        // окажется поврежден, при загрузке изменения после предыдущего чекпоинта восстановятся из WAL.
+        const compactTimestamp = await getOldestCheckpointTimestamp(this.checkpointsDir, this.name, this.logger) || timestamp;
+        const archivePath = this.options.archiveWal
+            ? path.join(this.walArchiveDir, `wal_archive_${this.name}_${timestamp.replace(/[:.]/g, '-')}.log`)
+            : null;
+        await compactWal(this.walPath, compactTimestamp, this.logger, {
+            archivePath,
+            compression: this.options.compression,
+        });
+        if (this.options.archiveWal && this.options.checkpointsToKeep > 0) {
+            await cleanupOldWalArchives(this.walArchiveDir, this.name, this.options.checkpointsToKeep, this.logger);
+        }
         
         this._emitter.emit('checkpoint', { timestamp });
     });
@@ -449,8 +829,11 @@ class Collection {
     this.disableSync();
     this.stopCheckpointTimer();
     this._stopTtlCleanupTimer();
-    await this.flushToDisk();
-    await this._releaseLockIfHeld();
+    try {
+      await this.flushToDisk();
+    } finally {
+      await this._releaseLockIfHeld();
+    }
     this._emitter.emit('closed');
   }
 
@@ -462,16 +845,33 @@ class Collection {
     };
   }
   
-  async createIndex(fieldName, options = {}) {
+  /**
+   * Создаёт индекс по полю или составной индекс по нескольким полям.
+   * @param {string|string[]} fieldOrFields - 'email' или ['tenantId', 'status'].
+   * @param {{unique?: boolean, ordered?: boolean, sparse?: boolean, partialFilterExpression?: object,
+   *   collation?: object, text?: boolean, language?: string, weights?: object}} [options]
+   *   ordered: упорядоченный индекс для диапазонов, префиксных `$regex` и сортировки;
+   *   sparse/partialFilterExpression: индексировать только документы с полем / подходящие под фильтр;
+   *   collation: правила сравнения строк (по умолчанию — collation коллекции, кроме текстового индекса).
+   *   Поля из `dateFields` коллекции индексируются по времени, поэтому даты в разных форматах попадают в один ключ.
+   *   Опция `text: true` (с `language` и `weights`) создаёт текстовый индекс для запросов `$text`.
+   */
+  async createIndex(fieldOrFields, options = {}) {
     return this._enqueue(async () => {
-        this._indexManager.createIndex(fieldName, options);
+        const collation = options.collation !== undefined || options.text === true
+            ? options.collation
+            : this.options.collation;
+        this._indexManager.createIndex(fieldOrFields, { ...options, collation, dateFields: this.options.dateFields });
         this._indexManager.rebuildIndexesFromData(this.documents);
     });
   }
 
-  async dropIndex(fieldName) {
+  /**
+   * @param {string|string[]} fieldOrFields - Имя индекса ('tenantId,status') или список полей.
+   */
+  async dropIndex(fieldOrFields) {
     return this._enqueue(async () => {
-        this._indexManager.dropIndex(fieldName);
+        this._indexManager.dropIndex(fieldOrFields);
     });
   }
 
@@ -607,10 +1007,26 @@ class Collection {
   
       try {
         // Теперь вызов происходит внутри очереди с захваченной блокировкой.
+        const before = entryDocIds(this.documents, remoteOp).map(id => [id, this.documents.get(id)]);
         this._applyWalEntryToMemory(remoteOp, true, false);
         const entry = { ...remoteOp, _remote: true };
         // Записываем в WAL, чтобы пережить перезапуск.
-        await appendWalEntry(this.walPath, entry, this.logger);
+        let unsynced;
+        try {
+          unsynced = await this._writeWalEntry(entry);
+        } catch (err) {
+          this._rollbackStaged([before]);
+          throw err;
+        }
+        if (unsynced && unsynced.failed) {
+          // Пачка уже откачена, но эта операция была применена до записи.
+          this._rollbackStaged([before]);
+          throw unsynced.failed;
+        }
+        if (unsynced) {
+          unsynced.undo.push(before);
+          unsynced.applied = true;
+        }
       } catch (err) {
         this.logger.error(`[Sync] Failed to apply remote op. Quarantining. Op: ${JSON.stringify(remoteOp)}`, err.message);
         await this._quarantineOperation(remoteOp, err);
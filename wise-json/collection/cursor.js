@@ -0,0 +1,162 @@
+// wise-json/collection/cursor.js
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Курсор для потокового чтения результатов запроса.
+ * Документы извлекаются из коллекции порциями по `batchSize`; между порциями
+ * управление возвращается в event loop, поэтому обход большой коллекции
+ * не блокирует процесс и не создаёт массив из всех документов сразу.
+ *
+ * Курсор является async iterable:
+ * ```js
+ * for await (const doc of collection.findCursor({ status: 'active' })) { ... }
+ * ```
+ */
+class Cursor {
+    /**
+     * @param {function(): Iterator<object>} sourceFactory - Фабрика итератора документов (вызывается при первом чтении).
+     * @param {object} [options]
+     * @param {number} [options.batchSize=100] - Размер порции.
+     */
+    constructor(sourceFactory, options = {}) {
+        this._sourceFactory = sourceFactory;
+        this._batchSize = DEFAULT_BATCH_SIZE;
+        this._mapFns = [];
+        this._iterator = null;
+        this._buffer = [];
+        this._exhausted = false;
+        this._closed = false;
+
+        if (options.batchSize !== undefined) {
+            this.batchSize(options.batchSize);
+        }
+    }
+
+    /**
+     * Устанавливает размер порции, которую курсор извлекает за один шаг.
+     * @param {number} size
+     * @returns {Cursor}
+     */
+    batchSize(size) {
+        if (typeof size !== 'number' || !Number.isInteger(size) || size < 1) {
+            throw new Error('Cursor: batchSize must be a positive integer.');
+        }
+        this._batchSize = size;
+        return this;
+    }
+
+    /**
+     * Добавляет преобразование, применяемое к каждому документу (после проекции).
+     * Вызовы можно объединять в цепочку; должны выполняться до начала чтения.
+     * @param {function(object): any} fn
+     * @returns {Cursor}
+     */
+    map(fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('Cursor: map() expects a function.');
+        }
+        if (this._iterator) {
+            throw new Error('Cursor: map() must be called before iteration starts.');
+        }
+        this._mapFns.push(fn);
+        return this;
+    }
+
+    /**
+     * Проверяет, остались ли документы.
+     * @returns {Promise<boolean>}
+     */
+    async hasNext() {
+        if (this._buffer.length === 0) {
+            await this._fillBuffer();
+        }
+        return this._buffer.length > 0;
+    }
+
+    /**
+     * Возвращает следующий документ или null, если документы закончились.
+     * @returns {Promise<any|null>}
+     */
+    async next() {
+        if (!(await this.hasNext())) {
+            return null;
+        }
+        return this._buffer.shift();
+    }
+
+    /**
+     * Читает все оставшиеся документы в массив и закрывает курсор.
+     * @returns {Promise<Array<any>>}
+     */
+    async toArray() {
+        const results = [];
+        while (await this.hasNext()) {
+            results.push(...this._buffer);
+            this._buffer = [];
+        }
+        this.close();
+        return results;
+    }
+
+    /**
+     * Закрывает курсор и освобождает итератор. Повторный вызов безопасен.
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true;
+        this._buffer = [];
+        if (this._iterator && typeof this._iterator.return === 'function') {
+            this._iterator.return();
+        }
+        this._iterator = null;
+    }
+
+    /**
+     * @returns {boolean} true, если курсор закрыт.
+     */
+    get closed() {
+        return this._closed;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        try {
+            while (await this.hasNext()) {
+                yield this._buffer.shift();
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * Извлекает очередную порцию документов в буфер.
+     * @private
+     */
+    async _fillBuffer() {
+        if (this._closed || this._exhausted) return;
+
+        if (!this._iterator) {
+            this._iterator = this._sourceFactory();
+        } else {
+            // Отдаём управление event loop между порциями.
+            await new Promise(resolve => setImmediate(resolve));
+            if (this._closed) return;
+        }
+
+        while (this._buffer.length < this._batchSize) {
+            const { value, done } = this._iterator.next();
+            if (done) {
+                this._exhausted = true;
+                break;
+            }
+            let result = value;
+            for (const fn of this._mapFns) {
+                result = fn(result);
+            }
+            this._buffer.push(result);
+        }
+    }
+}
+
+module.exports = Cursor;
@@ -1,73 +1,89 @@
 // wise-json/collection/data-exchange.js
 
 const fs = require('fs/promises'); // Для асинхронной работы с файлами
-// Утилита flattenDocToCsv теперь находится в collection/utils.js основного модуля
-// Мы предполагаем, что она будет доступна через `this.flattenDocToCsv`
-// или импортирована здесь, если она полностью независима.
-// Для текущей структуры, где методы "подмешиваются" в Collection,
-// и utils.js является частью основного модуля, мы можем ожидать, что
-// flattenDocToCsv будет доступна как this.flattenDocToCsv, если она добавлена в прототип Collection,
-// или мы можем импортировать ее здесь явно, если она экспортируется из utils.js.
-// Давайте предположим, что она будет импортирована, если не является методом Collection.
-// Однако, она используется в Collection.exportCsv в core.js, так что может быть уже там.
-// Если нет, нужно будет ее импортировать:
-// const { flattenDocToCsv } = require('./utils.js'); // Или из '../utils.js' если структура изменится
+const { docToCsvRow } = require('./utils.js');
 const logger = require('../logger');
+
+// Порог размера буфера, после которого накопленный текст сбрасывается в файл.
+const WRITE_CHUNK_SIZE = 64 * 1024;
+
 /**
  * Экспортирует все "живые" документы коллекции в JSON-файл.
+ * Документы читаются через курсор и пишутся в файл порциями,
+ * поэтому полный массив документов в памяти не создаётся.
  * @param {string} filePath - Путь к файлу для экспорта.
- * @param {object} [options] - Опции (в данный момент не используются, но зарезервированы).
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Размер порции курсора.
  * @returns {Promise<void>}
  * @throws {Error} если произошла ошибка записи файла.
  */
 async function exportJson(filePath, options = {}) {
-  // `this.getAll()` уже вызывает cleanupExpiredDocs и возвращает "живые" документы.
-  const docs = await this.getAll();
+  const cursor = this.findCursor({}, { batchSize: options.batchSize });
+  let fileHandle;
   try {
-    await fs.writeFile(filePath, JSON.stringify(docs, null, 2), 'utf8');
-    // logger.log(`[Data Exchange] Exported ${docs.length} documents to ${filePath}`);
+    fileHandle = await fs.open(filePath, 'w');
+    let count = 0;
+    let chunk = '';
+    for await (const doc of cursor) {
+      // Формат совпадает с JSON.stringify(docs, null, 2): каждый документ сдвинут на 2 пробела.
+      chunk += (count === 0 ? '[\n  ' : ',\n  ') + JSON.stringify(doc, null, 2).replace(/\n/g, '\n  ');
+      count++;
+      if (chunk.length >= WRITE_CHUNK_SIZE) {
+        await fileHandle.write(chunk);
+        chunk = '';
+      }
+    }
+    chunk += count === 0 ? '[]' : '\n]';
+    await fileHandle.write(chunk);
   } catch (error) {
     logger.error(`[Data Exchange] Error exporting JSON to ${filePath}:`, error);
     throw error; // Пробрасываем ошибку дальше
+  } finally {
+    cursor.close();
+    if (fileHandle) await fileHandle.close();
   }
 }
 
 /**
  * Экспортирует все "живые" документы коллекции в CSV-файл.
+ * Документы читаются одним проходом курсора, поэтому заголовок (объединение полей) и строки
+ * строятся из одних и тех же версий документов, даже если коллекция меняется во время экспорта.
+ * Курсор отдает сами документы коллекции, без копий; строки пишутся в файл порциями.
  * @param {string} filePath - Путь к файлу для экспорта.
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Размер порции курсора.
  * @returns {Promise<void>}
  * @throws {Error} если произошла ошибка записи файла.
  */
-async function exportCsv(filePath) {
-  const docs = await this.getAll(); // Получаем "живые" документы
-
-  if (docs.length === 0) {
-    try {
-      await fs.writeFile(filePath, '', 'utf8'); // Создаем пустой файл
-      // logger.log(`[Data Exchange] No documents to export. Created empty CSV file: ${filePath}`);
-    } catch (error) {
-      logger.error(`[Data Exchange] Error creating empty CSV file ${filePath}:`, error);
-      throw error;
+async function exportCsv(filePath, options = {}) {
+  let fileHandle;
+  try {
+    const docs = [];
+    const fieldSet = new Set();
+    for await (const doc of this.findCursor({}, { batchSize: options.batchSize })) {
+      docs.push(doc);
+      for (const key of Object.keys(doc)) fieldSet.add(key);
     }
-    return;
-  }
-
-  // Предполагаем, что flattenDocToCsv доступна.
-  // Если она не метод `this`, ее нужно импортировать:
-  // const { flattenDocToCsv } = require('./utils.js'); // или require('../utils') если она там
-  // В текущей структуре core.js она импортируется и используется,
-  // так что если data-exchange.js станет частью Collection, this.flattenDocToCsv может не существовать.
-  // Безопаснее импортировать напрямую, если она не в прототипе Collection.
-  // Давайте предположим, что она должна быть импортирована:
-  const { flattenDocToCsv } = require('./utils.js'); // Путь может потребовать корректировки
+    const fields = Array.from(fieldSet);
 
-  try {
-    const csvData = flattenDocToCsv(docs);
-    await fs.writeFile(filePath, csvData, 'utf8');
-    // logger.log(`[Data Exchange] Exported ${docs.length} documents to ${filePath} (CSV)`);
+    fileHandle = await fs.open(filePath, 'w');
+    if (fields.length === 0) {
+      return; // Нет документов — оставляем пустой файл
+    }
+    let chunk = fields.join(',');
+    for (const doc of docs) {
+      chunk += '\n' + docToCsvRow(doc, fields);
+      if (chunk.length >= WRITE_CHUNK_SIZE) {
+        await fileHandle.write(chunk);
+        chunk = '';
+      }
+    }
+    await fileHandle.write(chunk);
   } catch (error) {
     logger.error(`[Data Exchange] Error exporting CSV to ${filePath}:`, error);
     throw error;
+  } finally {
+    if (fileHandle) await fileHandle.close();
   }
 }
 
@@ -0,0 +1,97 @@
+// wise-json/collection/dates.js
+
+/**
+ * Поля, которые всегда считаются датами: служебные метки времени и срок жизни документа.
+ */
+const DEFAULT_DATE_FIELDS = ['createdAt', 'updatedAt', 'expireAt'];
+
+/**
+ * Строка даты в формате ISO 8601: '2024-05-01', '2024-05-01T10:00', '2024-05-01T10:00:00.000Z',
+ * '2024-05-01T13:00:00+03:00'. Другие строки датами не считаются, даже если их понимает Date.parse.
+ */
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const LIST_OPERATORS = ['$in', '$nin'];
+
+const normalizedConditions = new WeakMap();
+
+/**
+ * Момент времени (ms с начала эпохи) для значения-даты: объекта Date, ISO-строки или числа.
+ * @param {any} value
+ * @returns {number|null} null, если значение не является датой.
+ */
+function toTimestamp(value) {
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return isNaN(time) ? null : time;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'string' && ISO_DATE_RE.test(value)) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+    return null;
+}
+
+/**
+ * Значение поля-даты для сравнения, сортировки и ключа индекса: дата заменяется числом ms,
+ * остальные значения (например, строка не в формате ISO) возвращаются как есть.
+ * @param {any} value
+ * @returns {any}
+ */
+function toDateKey(value) {
+    const time = toTimestamp(value);
+    return time === null ? value : time;
+}
+
+/**
+ * Приводит условие на поле-дату к числам ms: точное значение, границы диапазона, `$eq`/`$ne`
+ * и списки `$in`/`$nin`. Остальные операторы (`$regex`, `$exists`, ...) не меняются.
+ * Результат кэшируется для объекта условия.
+ * @param {any} cond
+ * @returns {any}
+ */
+function normalizeDateCondition(cond) {
+    if (cond === null || typeof cond !== 'object' || cond instanceof Date) return toDateKey(cond);
+    if (Array.isArray(cond) || cond instanceof RegExp) return cond;
+    const keys = Object.keys(cond);
+    if (keys.length === 0 || !keys.every(key => key.charAt(0) === '$')) return cond;
+
+    let normalized = normalizedConditions.get(cond);
+    if (!normalized) {
+        normalized = {};
+        for (const op of keys) {
+            if (COMPARISON_OPERATORS.includes(op)) normalized[op] = toDateKey(cond[op]);
+            else if (LIST_OPERATORS.includes(op) && Array.isArray(cond[op])) normalized[op] = cond[op].map(toDateKey);
+            else if (op === '$not') normalized[op] = normalizeDateCondition(cond[op]);
+            else normalized[op] = cond[op];
+        }
+        normalizedConditions.set(cond, normalized);
+    }
+    return normalized;
+}
+
+/**
+ * Проверяет список полей-дат из опций коллекции и дополняет его полями по умолчанию.
+ * @param {string[]} [dateFields]
+ * @returns {string[]}
+ * @throws {Error} если список задан неверно.
+ */
+function normalizeDateFields(dateFields) {
+    if (dateFields === undefined || dateFields === null) return DEFAULT_DATE_FIELDS.slice();
+    if (!Array.isArray(dateFields) || !dateFields.every(field => typeof field === 'string' && field.length > 0)) {
+        throw new Error('dateFields: must be an array of field paths.');
+    }
+    return Array.from(new Set(DEFAULT_DATE_FIELDS.concat(dateFields)));
+}
+
+module.exports = {
+    DEFAULT_DATE_FIELDS,
+    toTimestamp,
+    toDateKey,
+    normalizeDateCondition,
+    normalizeDateFields,
+};
@@ -1,6 +1,85 @@
 // wise-json/collection/indexes.js
 
 // const logger = require('../logger'); // --- УДАЛЕНО: Глобальный импорт больше не нужен.
+const { getValueByPath, compareValues, typeOrder, matchFilter, validateFilter, isPlainObject, isDeepEqual } = require('./utils.js');
+const SkipList = require('./sorted-index.js');
+const { TEXT_LANGUAGES, normalizeText, tokenize, parseSearch } = require('./text-search.js');
+const { normalizeCollation, isSameCollation, getCollator, collationKey } = require('./collation.js');
+const { toDateKey } = require('./dates.js');
+
+/**
+ * Приводит описание индекса к имени и списку полей.
+ * Составной индекс задаётся массивом полей и именуется через запятую: ['tenantId', 'status'] -> 'tenantId,status'.
+ * @param {string|string[]} fieldOrFields
+ * @returns {{name: string, fields: string[]|null}} fields = null для индекса по одному полю.
+ */
+function normalizeIndexSpec(fieldOrFields) {
+    if (Array.isArray(fieldOrFields)) {
+        if (fieldOrFields.length === 0 || !fieldOrFields.every(f => typeof f === 'string' && f.length > 0 && !f.includes(','))) {
+            throw new Error('IndexManager: составной индекс должен задаваться массивом непустых имен полей (без запятых).');
+        }
+        if (new Set(fieldOrFields).size !== fieldOrFields.length) {
+            throw new Error('IndexManager: поля составного индекса не должны повторяться.');
+        }
+        if (fieldOrFields.length === 1) {
+            return { name: fieldOrFields[0], fields: null };
+        }
+        return { name: fieldOrFields.join(','), fields: fieldOrFields.slice() };
+    }
+    return { name: fieldOrFields, fields: null };
+}
+
+/**
+ * Кодирует значения полей составного индекса в ключ Map.
+ * JSON-массив сохраняет префиксы: ключ ['t1', 'open'] начинается с префикса ['t1'] без закрывающей скобки.
+ * @param {Array<any>} values
+ * @returns {string}
+ */
+function encodeCompoundKey(values) {
+    return JSON.stringify(values.map(v => (v === undefined ? null : v)));
+}
+
+/**
+ * Значения поля для индекса. Элементы массива индексируются по отдельности (multikey-индекс),
+ * пустой массив индексируется как отсутствующее значение.
+ * @param {object} doc
+ * @param {string} path
+ * @returns {Array<any>}
+ */
+function indexValuesOf(doc, path) {
+    const value = getValueByPath(doc, path);
+    if (!Array.isArray(value)) return [value];
+    if (value.length === 0) return [undefined];
+    return Array.from(new Set(value));
+}
+
+/**
+ * Ключ индекса для значения поля: у полей-дат — время в ms (см. dates.js), у строк в индексе
+ * с collation — их collationKey.
+ * @param {object} def - Описание индекса.
+ * @param {string} path - Поле индекса.
+ * @param {any} value
+ * @returns {any}
+ */
+function indexKeyOf(def, path, value) {
+    if (def.dateFields && def.dateFields.includes(path)) return toDateKey(value);
+    return collationKey(value, def.collation);
+}
+
+/**
+ * Порядок ключей индекса: "undefined"-корзина (документы без поля) идёт первой,
+ * остальные значения — в порядке compareValues.
+ * @param {any} a
+ * @param {any} b
+ * @param {Intl.Collator} [collator] - Правила сравнения строк индекса с collation.
+ * @returns {number}
+ */
+function compareIndexKeys(a, b, collator) {
+    if (a === undefined || b === undefined) {
+        return (a === undefined ? 0 : 1) - (b === undefined ? 0 : 1);
+    }
+    return compareValues(a, b, collator);
+}
 
 /**
  * Управляет индексами коллекции.
@@ -14,41 +93,83 @@ class IndexManager {
         this.collectionName = collectionName;
         // +++ ИЗМЕНЕНИЕ: Сохраняем переданный логгер или используем фоллбэк.
         this.logger = logger || require('../logger');
-        this.indexes = new Map();     // fieldName -> { type, data, fieldName }
+        this.indexes = new Map();     // fieldName -> { type, data, fieldName, sortedKeys }
         this.indexedFields = new Set();
     }
 
     /**
      * Создаёт индекс.
-     * @param {string} fieldName
-     * @param {{unique?: boolean}} [options]
+     * @param {string|string[]} fieldOrFields - Имя поля или путь в точечной нотации ('address.city');
+     *   массив полей создаёт составной индекс (['tenantId', 'status']).
+     * @param {{unique?: boolean, ordered?: boolean, sparse?: boolean, partialFilterExpression?: object}} [options]
+     *   - ordered: true хранит ключи в skip list, что делает запросы по диапазону и упорядоченный обход логарифмическими;
+     *   - sparse: true не индексирует документы без значения поля;
+     *   - partialFilterExpression: индексируются только документы, подходящие под фильтр
+     *     (для уникального индекса ограничение действует только среди них);
+     *   - collation: правила сравнения строк (см. collation.js); строки, равные по ним, дают один ключ
+     *     (например, уникальный индекс по email без учёта регистра при strength 2);
+     *   - dateFields: поля-даты коллекции; если индекс строится по ним, Date, ISO-строки и числа ms
+     *     хранятся под одним ключом — временем в ms;
+     *   - text: true создаёт текстовый индекс для `$text` (см. _createTextIndex).
      */
-    createIndex(fieldName, options = {}) {
+    createIndex(fieldOrFields, options = {}) {
+        const { name: fieldName, fields } = normalizeIndexSpec(fieldOrFields);
         if (!fieldName || typeof fieldName !== 'string') {
             this.logger.error(`[IndexManager] fieldName должен быть строкой для коллекции '${this.collectionName}', получено: ${typeof fieldName} ('${fieldName}')`);
             throw new Error(`IndexManager: fieldName должен быть непустой строкой`);
         }
+        const partialFilter = options.partialFilterExpression;
+        if (partialFilter !== undefined && partialFilter !== null) {
+            if (!isPlainObject(partialFilter) || Object.keys(partialFilter).length === 0) {
+                throw new Error(`IndexManager: partialFilterExpression для индекса '${fieldName}' должен быть непустым объектом-фильтром`);
+            }
+            validateFilter(partialFilter, true);
+        }
+        const collation = normalizeCollation(options.collation);
+        if (collation && options.text === true) {
+            throw new Error(`IndexManager: текстовый индекс '${fieldName}' не поддерживает collation`);
+        }
 
         if (this.indexes.has(fieldName)) {
             const existingIndex = this.indexes.get(fieldName);
             const newIsUnique = options.unique === true;
             const existingIsUnique = existingIndex.type === 'unique';
+            const sameOptions = (options.text === true) === (existingIndex.type === 'text')
+                && (options.ordered === true) === Boolean(existingIndex.sorted)
+                && (options.sparse === true) === existingIndex.sparse
+                && isDeepEqual(partialFilter || null, existingIndex.partialFilter)
+                && isSameCollation(collation, existingIndex.collation || null);
 
-            if (newIsUnique === existingIsUnique) {
+            if (newIsUnique === existingIsUnique && sameOptions) {
                 this.logger.warn(`[IndexManager] Индекс по полю '${fieldName}' (type: ${existingIndex.type}) для коллекции '${this.collectionName}' уже существует — создание пропускается.`);
                 return;
             } else {
-                this.logger.error(`[IndexManager] Попытка изменить тип существующего индекса для поля '${fieldName}' в коллекции '${this.collectionName}'. Существующий: ${existingIndex.type}, Новый: ${newIsUnique ? 'unique' : 'standard'}. Удалите старый индекс перед созданием нового с другим типом.`);
+                this.logger.error(`[IndexManager] Попытка изменить тип существующего индекса для поля '${fieldName}' в коллекции '${this.collectionName}'. Существующий: ${existingIndex.type}${existingIndex.sorted ? ' (ordered)' : ''}, Новый: ${newIsUnique ? 'unique' : 'standard'}${options.ordered === true ? ' (ordered)' : ''}. Удалите старый индекс перед созданием нового с другим типом.`);
                 throw new Error(`IndexManager: индекс по полю '${fieldName}' уже существует с другим типом. Удалите его перед повторным созданием.`);
             }
         }
 
+        if (options.text === true) {
+            this._createTextIndex(fieldName, fields || [fieldName], options);
+            return;
+        }
+
         const isUnique = options.unique === true;
+        const collator = getCollator(collation);
 
         const index = {
             type: isUnique ? 'unique' : 'standard',
             data: isUnique ? new Map() : new Map(), // value -> ID или Set<ID>
             fieldName,
+            fields, // Для составного индекса — список полей, ключи data закодированы encodeCompoundKey
+            sortedKeys: null, // Кэш отсортированных значений, сбрасывается при изменении индекса
+            sorted: options.ordered === true ? new SkipList((a, b) => compareIndexKeys(a, b, collator)) : null, // Упорядоченные ключи (ordered-индекс)
+            multikey: false, // true, если хотя бы один документ хранит в поле массив
+            sparse: options.sparse === true, // Документы без значения поля не индексируются
+            partialFilter: partialFilter || null, // Индексируются только документы, подходящие под фильтр
+            collation, // Правила сравнения строк; строковые ключи хранятся в виде collationKey
+            collator,
+            dateFields: (fields || [fieldName]).filter(field => (options.dateFields || []).includes(field)), // Поля, ключи которых — время в ms
         };
 
         this.indexes.set(fieldName, index);
@@ -56,11 +177,142 @@ class IndexManager {
         this.logger.log(`[IndexManager] Индекс по полю '${fieldName}' (type: ${index.type}) для коллекции '${this.collectionName}' успешно создан.`);
     }
 
+    /**
+     * Создаёт текстовый индекс: для каждого терма (см. text-search.js) хранит документы и вклад терма
+     * в их релевантность. В коллекции может быть только один текстовый индекс.
+     * @private
+     * @param {string} fieldName - Имя индекса.
+     * @param {string[]} textFields - Индексируемые строковые поля.
+     * @param {{unique?: boolean, language?: string, weights?: Object<string, number>}} options -
+     *   language: 'none' (по умолчанию), 'english' или 'russian'; weights: вес поля в релевантности (по умолчанию 1).
+     */
+    _createTextIndex(fieldName, textFields, options) {
+        if (options.unique === true || options.ordered === true) {
+            throw new Error(`IndexManager: текстовый индекс '${fieldName}' не может быть уникальным или упорядоченным`);
+        }
+        const language = options.language === undefined ? 'none' : options.language;
+        if (!TEXT_LANGUAGES.includes(language)) {
+            throw new Error(`IndexManager: язык текстового индекса должен быть одним из: ${TEXT_LANGUAGES.join(', ')}`);
+        }
+        const weights = options.weights || null;
+        if (weights !== null) {
+            const valid = isPlainObject(weights) && Object.keys(weights).every(field => textFields.includes(field)
+                && typeof weights[field] === 'number' && weights[field] > 0);
+            if (!valid) {
+                throw new Error(`IndexManager: weights текстового индекса '${fieldName}' должны задавать положительные числа для его полей`);
+            }
+        }
+
+        const existing = Array.from(this.indexes.values()).find(def => def.type === 'text');
+        if (existing) {
+            throw new Error(`IndexManager: в коллекции '${this.collectionName}' уже есть текстовый индекс '${existing.fieldName}'. Удалите его перед созданием нового.`);
+        }
+
+        this.indexes.set(fieldName, {
+            type: 'text',
+            data: new Map(), // терм -> Map<ID, вклад в релевантность>
+            fieldName,
+            fields: null,
+            textFields,
+            language,
+            weights,
+            docTerms: new Map(), // ID -> термы документа (для удаления)
+        });
+        this.indexedFields.add(fieldName);
+        this.logger.log(`[IndexManager] Текстовый индекс '${fieldName}' (language: ${language}) для коллекции '${this.collectionName}' успешно создан.`);
+    }
+
+    /**
+     * Добавляет документ в текстовый индекс. Вклад терма — доля терма среди слов поля,
+     * умноженная на вес поля (суммируется по полям).
+     * @private
+     */
+    _addText(def, doc) {
+        const contributions = new Map();
+        for (const field of def.textFields) {
+            const value = getValueByPath(doc, field);
+            const strings = (Array.isArray(value) ? value : [value]).filter(v => typeof v === 'string');
+            const terms = [].concat(...strings.map(text => tokenize(text, def.language)));
+            if (terms.length === 0) continue;
+            const weight = (def.weights && def.weights[field]) || 1;
+            for (const term of terms) {
+                contributions.set(term, (contributions.get(term) || 0) + weight / terms.length);
+            }
+        }
+        if (contributions.size === 0) return;
+        for (const [term, score] of contributions) {
+            let postings = def.data.get(term);
+            if (!postings) {
+                postings = new Map();
+                def.data.set(term, postings);
+            }
+            postings.set(doc._id, score);
+        }
+        def.docTerms.set(doc._id, Array.from(contributions.keys()));
+    }
+
+    /**
+     * Удаляет документ из текстового индекса.
+     * @private
+     */
+    _removeText(def, id) {
+        const terms = def.docTerms.get(id);
+        if (!terms) return;
+        for (const term of terms) {
+            const postings = def.data.get(term);
+            if (!postings) continue;
+            postings.delete(id);
+            if (postings.size === 0) def.data.delete(term);
+        }
+        def.docTerms.delete(id);
+    }
+
+    /**
+     * Полнотекстовый поиск по текстовому индексу коллекции.
+     * Документ подходит, если содержит хотя бы одно слово запроса, все фразы в кавычках
+     * и ни одного слова с '-'. Релевантность — сумма вкладов найденных термов, умноженных на
+     * их IDF (редкие термы весят больше).
+     * @param {{$search: string, $language?: string}} textQuery
+     * @param {Map<string, object>} documents - Документы коллекции (для проверки фраз).
+     * @returns {Map<string, number>|null} ID -> релевантность; null, если текстового индекса нет.
+     */
+    searchText(textQuery, documents) {
+        const def = Array.from(this.indexes.values()).find(index => index.type === 'text');
+        if (!def) return null;
+        const { terms, negated, phrases } = parseSearch(textQuery.$search, textQuery.$language || def.language);
+
+        const scores = new Map();
+        for (const term of new Set(terms)) {
+            const postings = def.data.get(term);
+            if (!postings) continue;
+            const idf = Math.log(1 + def.docTerms.size / postings.size);
+            for (const [id, contribution] of postings) {
+                scores.set(id, (scores.get(id) || 0) + contribution * idf);
+            }
+        }
+        for (const term of negated) {
+            const postings = def.data.get(term);
+            if (postings) postings.forEach((contribution, id) => scores.delete(id));
+        }
+        if (phrases.length > 0) {
+            for (const id of Array.from(scores.keys())) {
+                const doc = documents.get(id);
+                const text = doc ? def.textFields.map(field => {
+                    const value = getValueByPath(doc, field);
+                    return (Array.isArray(value) ? value : [value]).filter(v => typeof v === 'string').join('\n');
+                }).map(normalizeText).join('\n') : '';
+                if (!phrases.every(phrase => text.includes(phrase))) scores.delete(id);
+            }
+        }
+        return scores;
+    }
+
     /**
      * Удаляет индекс.
-     * @param {string} fieldName
+     * @param {string|string[]} fieldOrFields - Имя индекса или список полей составного индекса.
      */
-    dropIndex(fieldName) {
+    dropIndex(fieldOrFields) {
+        const { name: fieldName } = normalizeIndexSpec(fieldOrFields);
         if (!this.indexes.has(fieldName)) {
             this.logger.warn(`[IndexManager] Попытка удалить несуществующий индекс по полю '${fieldName}' для коллекции '${this.collectionName}'. Операция пропущена.`);
             return;
@@ -72,13 +324,138 @@ class IndexManager {
 
     /**
      * Возвращает мета-информацию об индексах.
-     * @returns {Array<{fieldName: string, type: string}>}
+     * @returns {Array<{fieldName: string, type: string, fields?: string[], ordered?: boolean, multikey?: boolean,
+     *   sparse?: boolean, partialFilterExpression?: object, collation?: object, language?: string, weights?: object}>}
      */
     getIndexesMeta() {
-        return Array.from(this.indexes.values()).map(index => ({
-            fieldName: index.fieldName,
-            type: index.type,
-        }));
+        return Array.from(this.indexes.values()).map(index => {
+            if (index.type === 'text') {
+                const meta = { fieldName: index.fieldName, type: 'text', language: index.language };
+                if (index.textFields.length > 1) meta.fields = index.textFields.slice();
+                if (index.weights) meta.weights = { ...index.weights };
+                return meta;
+            }
+            const meta = { fieldName: index.fieldName, type: index.type };
+            if (index.fields) meta.fields = index.fields.slice();
+            if (index.sorted) meta.ordered = true;
+            if (index.multikey) meta.multikey = true;
+            if (index.sparse) meta.sparse = true;
+            if (index.partialFilter) meta.partialFilterExpression = index.partialFilter;
+            if (index.collation) meta.collation = { ...index.collation };
+            return meta;
+        });
+    }
+
+    /**
+     * Вычисляет ключи индекса для документа. Обычно ключ один; если значение поля — массив,
+     * ключом становится каждый его элемент, а для составного индекса — каждая комбинация значений.
+     * Уникальный индекс не хранит ключи с null/undefined (для составного — если пусто хотя бы одно поле).
+     * Документ, не подходящий под partialFilterExpression, ключей не имеет; разреженный (sparse) индекс
+     * пропускает документы без значения поля (для составного — без значений всех его полей).
+     * Строки в индексе с collation заменяются их collationKey, значения полей-дат — временем в ms.
+     * @private
+     * @returns {Array<any>}
+     */
+    _keysOf(def, doc) {
+        if (def.partialFilter && !matchFilter(doc, def.partialFilter)) return [];
+        const valuesOf = path => {
+            const values = indexValuesOf(doc, path);
+            return def.collation || def.dateFields.includes(path)
+                ? Array.from(new Set(values.map(value => indexKeyOf(def, path, value))))
+                : values;
+        };
+        if (!def.fields) {
+            const keys = valuesOf(def.fieldName);
+            if (def.type === 'unique') return keys.filter(key => key !== undefined && key !== null);
+            return def.sparse ? keys.filter(key => key !== undefined) : keys;
+        }
+        let combinations = [[]];
+        for (const field of def.fields) {
+            const values = valuesOf(field);
+            combinations = [].concat(...combinations.map(prefix => values.map(value => prefix.concat([value]))));
+        }
+        if (def.sparse && combinations.every(values => values.every(v => v === undefined))) return [];
+        if (def.type === 'unique') {
+            combinations = combinations.filter(values => !values.some(v => v === undefined || v === null));
+        }
+        return Array.from(new Set(combinations.map(encodeCompoundKey)));
+    }
+
+    /**
+     * Помечает индекс как multikey, если документ хранит массив в одном из индексируемых полей.
+     * Флаг сбрасывается только при перестроении индекса.
+     * @private
+     */
+    _trackMultikey(def, doc) {
+        if (!def.multikey) {
+            def.multikey = (def.fields || [def.fieldName]).some(field => Array.isArray(getValueByPath(doc, field)));
+        }
+    }
+
+    /**
+     * Ключи уникального индекса для проверки ограничения перед записью.
+     * @param {string} fieldName - Имя индекса.
+     * @param {object} doc
+     * @returns {Array<{key: any, value: any}>} Пустой массив, если документ не попадает в индекс
+     *   (значение отсутствует). value — значение поля (элемент массива) или массив значений составного индекса.
+     */
+    getUniqueKeys(fieldName, doc) {
+        const def = this.indexes.get(fieldName);
+        if (!def || def.type !== 'unique') return [];
+        return this._keysOf(def, doc).map(key => ({ key, value: def.fields ? JSON.parse(key) : key }));
+    }
+
+    /**
+     * Добавляет ID документа под ключом в индекс (и в упорядоченную структуру, если она есть).
+     * @private
+     */
+    _addEntry(def, key, id) {
+        def.sortedKeys = null;
+        if (def.type === 'unique') {
+            if (!def.data.has(key)) this._addSortedKey(def, key);
+            def.data.set(key, id);
+            return;
+        }
+        let set = def.data.get(key);
+        if (!set) {
+            set = new Set();
+            def.data.set(key, set);
+            this._addSortedKey(def, key);
+        }
+        set.add(id);
+    }
+
+    /**
+     * Удаляет ID документа из-под ключа индекса.
+     * @private
+     */
+    _removeEntry(def, key, id) {
+        def.sortedKeys = null;
+        if (def.type === 'unique') {
+            if (def.data.get(key) === id) {
+                def.data.delete(key);
+                this._removeSortedKey(def, key);
+            }
+            return;
+        }
+        const set = def.data.get(key);
+        if (set) {
+            set.delete(id);
+            if (set.size === 0) {
+                def.data.delete(key);
+                this._removeSortedKey(def, key);
+            }
+        }
+    }
+
+    /** @private */
+    _addSortedKey(def, key) {
+        if (def.sorted) def.sorted.add(def.fields ? JSON.parse(key) : key, key);
+    }
+
+    /** @private */
+    _removeSortedKey(def, key) {
+        if (def.sorted) def.sorted.remove(def.fields ? JSON.parse(key) : key, key);
     }
 
     /**
@@ -93,25 +470,25 @@ class IndexManager {
                 continue;
             }
             def.data.clear();
+            def.sortedKeys = null;
+            def.multikey = false;
+            if (def.sorted) def.sorted.clear();
+            if (def.docTerms) def.docTerms.clear();
 
             for (const [id, doc] of documents.entries()) {
                 if (typeof doc !== 'object' || doc === null) continue;
+                if (def.type === 'text') {
+                    this._addText(def, doc);
+                    continue;
+                }
+                this._trackMultikey(def, doc);
 
-                const value = doc[fieldName];
-
-                if (def.type === 'unique') {
-                    if (value !== undefined && value !== null) {
-                        if (def.data.has(value)) {
-                            this.logger.warn(`[IndexManager] Нарушение уникальности при перестроении индекса '${fieldName}' в коллекции '${this.collectionName}'. Значение '${value}' уже привязано к ID '${def.data.get(value)}', новый ID '${id}' будет проигнорирован для этого значения.`);
-                        } else {
-                            def.data.set(value, id);
-                        }
+                for (const value of this._keysOf(def, doc)) {
+                    if (def.type === 'unique' && def.data.has(value)) {
+                        this.logger.warn(`[IndexManager] Нарушение уникальности при перестроении индекса '${fieldName}' в коллекции '${this.collectionName}'. Значение '${value}' уже привязано к ID '${def.data.get(value)}', новый ID '${id}' будет проигнорирован для этого значения.`);
+                        continue;
                     }
-                } else { // standard
-                    if (!def.data.has(value)) {
-                        def.data.set(value, new Set());
-                    }
-                    def.data.get(value).add(id);
+                    this._addEntry(def, value, id);
                 }
             }
         }
@@ -126,18 +503,17 @@ class IndexManager {
         for (const fieldName of this.indexedFields) {
             const def = this.indexes.get(fieldName);
             if (!def) continue;
-            const value = doc[fieldName];
+            if (def.type === 'text') {
+                this._addText(def, doc);
+                continue;
+            }
+            this._trackMultikey(def, doc);
 
-            if (def.type === 'unique') {
-                if (value !== undefined && value !== null) {
-                    if (def.data.has(value) && def.data.get(value) !== doc._id) {
-                         this.logger.error(`[IndexManager] КРИТИЧЕСКАЯ ОШИБКА: Дубликат значения '${value}' в уникальном индексе '${fieldName}' (коллекция '${this.collectionName}') обнаружен ПОСЛЕ вставки документа ID '${doc._id}'. Этого не должно было произойти.`);
-                    }
-                    def.data.set(value, doc._id);
+            for (const value of this._keysOf(def, doc)) {
+                if (def.type === 'unique' && def.data.has(value) && def.data.get(value) !== doc._id) {
+                    this.logger.error(`[IndexManager] КРИТИЧЕСКАЯ ОШИБКА: Дубликат значения '${value}' в уникальном индексе '${fieldName}' (коллекция '${this.collectionName}') обнаружен ПОСЛЕ вставки документа ID '${doc._id}'. Этого не должно было произойти.`);
                 }
-            } else { // standard
-                if (!def.data.has(value)) def.data.set(value, new Set());
-                def.data.get(value).add(doc._id);
+                this._addEntry(def, value, doc._id);
             }
         }
     }
@@ -151,20 +527,12 @@ class IndexManager {
         for (const fieldName of this.indexedFields) {
             const def = this.indexes.get(fieldName);
             if (!def) continue;
-            const value = doc[fieldName];
-
-            if (def.type === 'unique') {
-                if (value !== undefined && value !== null) {
-                    if (def.data.get(value) === doc._id) {
-                        def.data.delete(value);
-                    }
-                }
-            } else { // standard
-                const set = def.data.get(value);
-                if (set) {
-                    set.delete(doc._id);
-                    if (set.size === 0) def.data.delete(value);
-                }
+            if (def.type === 'text') {
+                this._removeText(def, doc._id);
+                continue;
+            }
+            for (const value of this._keysOf(def, doc)) {
+                this._removeEntry(def, value, doc._id);
             }
         }
     }
@@ -180,40 +548,29 @@ class IndexManager {
         for (const fieldName of this.indexedFields) {
             const def = this.indexes.get(fieldName);
             if (!def) continue;
+            if (def.type === 'text') {
+                this._removeText(def, oldDoc._id);
+                this._addText(def, newDoc);
+                continue;
+            }
+            this._trackMultikey(def, newDoc);
 
-            const oldVal = oldDoc[fieldName];
-            const newVal = newDoc[fieldName];
+            const oldKeys = this._keysOf(def, oldDoc);
+            const newKeys = this._keysOf(def, newDoc);
 
-            if (oldVal !== newVal || (newDoc.hasOwnProperty(fieldName) && oldDoc[fieldName] === undefined) || (oldDoc.hasOwnProperty(fieldName) && newDoc[fieldName] === undefined)) {
-                // Удаляем старое значение из индекса
-                if (def.type === 'unique') {
-                    if (oldVal !== undefined && oldVal !== null) {
-                        if (def.data.get(oldVal) === oldDoc._id) {
-                            def.data.delete(oldVal);
-                        }
-                    }
-                } else { // standard
-                    const oldSet = def.data.get(oldVal);
-                    if (oldSet) {
-                        oldSet.delete(oldDoc._id);
-                        if (oldSet.size === 0) def.data.delete(oldVal);
-                    }
-                }
+            // Удаляем ключи, которых больше нет в документе
+            for (const oldVal of oldKeys) {
+                if (!newKeys.includes(oldVal)) this._removeEntry(def, oldVal, oldDoc._id);
+            }
 
-                // Добавляем новое значение в индекс
-                if (def.type === 'unique') {
-                    if (newVal !== undefined && newVal !== null) {
-                        if (def.data.has(newVal) && def.data.get(newVal) !== newDoc._id) {
-                            this.logger.error(`[IndexManager] КРИТИЧЕСКАЯ ОШИБКА: Дубликат значения '${newVal}' в уникальном индексе '${fieldName}' (коллекция '${this.collectionName}') обнаружен ПОСЛЕ обновления документа ID '${newDoc._id}'.`);
-                        }
-                        def.data.set(newVal, newDoc._id);
-                    }
-                } else { // standard
-                    if (newVal !== undefined || newVal === null) {
-                        if (!def.data.has(newVal)) def.data.set(newVal, new Set());
-                        def.data.get(newVal).add(newDoc._id);
-                    }
+            // Добавляем новые ключи. Как и при вставке, в стандартном индексе документы без значения
+            // попадают в "undefined"-корзину, чтобы индекс покрывал все документы коллекции.
+            for (const newVal of newKeys) {
+                if (oldKeys.includes(newVal)) continue;
+                if (def.type === 'unique' && def.data.has(newVal) && def.data.get(newVal) !== newDoc._id) {
+                    this.logger.error(`[IndexManager] КРИТИЧЕСКАЯ ОШИБКА: Дубликат значения '${newVal}' в уникальном индексе '${fieldName}' (коллекция '${this.collectionName}') обнаружен ПОСЛЕ обновления документа ID '${newDoc._id}'.`);
                 }
+                this._addEntry(def, newVal, newDoc._id);
             }
         }
     }
@@ -229,7 +586,7 @@ class IndexManager {
         if (!def || def.type !== 'unique') {
             return null;
         }
-        return def.data.get(value) || null;
+        return def.data.get(indexKeyOf(def, fieldName, value)) || null;
     }
 
     /**
@@ -243,7 +600,168 @@ class IndexManager {
         if (!def || def.type !== 'standard') {
             return new Set();
         }
-        return def.data.get(value) || new Set();
+        return def.data.get(indexKeyOf(def, fieldName, value)) || new Set();
+    }
+
+    /**
+     * Число документов под ключом индекса (без выборки ID) — для оценки селективности в планировщике.
+     * @param {string} fieldName
+     * @param {any} value - Значение поля; для составного индекса — массив значений всех его полей.
+     * @returns {number}
+     */
+    countByKey(fieldName, value) {
+        const def = this.indexes.get(fieldName);
+        if (!def || def.type === 'text') {
+            return 0;
+        }
+        const idsOrId = def.data.get(def.fields
+            ? encodeCompoundKey(value.map((v, i) => indexKeyOf(def, def.fields[i], v)))
+            : indexKeyOf(def, fieldName, value));
+        if (idsOrId === undefined) return 0;
+        return def.type === 'unique' ? 1 : idsOrId.size;
+    }
+
+    /**
+     * Поиск по составному индексу: по значениям всех полей или их префикса
+     * (например, только `tenantId` для индекса ['tenantId', 'status']).
+     * Префикс в упорядоченном (ordered) индексе находится диапазоном skip list, в обычном —
+     * перебором всех ключей индекса.
+     * @param {string} fieldName - Имя составного индекса.
+     * @param {Array<any>} values - Значения первых полей индекса, по порядку.
+     * @returns {Set<string>} - множество ID (может быть пустым)
+     */
+    findIdsByCompoundPrefix(fieldName, values) {
+        const def = this.indexes.get(fieldName);
+        const ids = new Set();
+        if (!def || !def.fields || values.length === 0 || values.length > def.fields.length) {
+            return ids;
+        }
+        const keyValues = values.map((value, i) => indexKeyOf(def, def.fields[i], value));
+        const addIds = idsOrId => {
+            if (def.type === 'unique') ids.add(idsOrId);
+            else idsOrId.forEach(id => ids.add(id));
+        };
+
+        if (values.length === def.fields.length) {
+            const idsOrId = def.data.get(encodeCompoundKey(keyValues));
+            if (idsOrId !== undefined) addIds(idsOrId);
+            return ids;
+        }
+        const prefix = encodeCompoundKey(keyValues).slice(0, -1) + ',';
+        if (def.sorted) {
+            // Префикс меньше всех своих продолжений, а ключи с ним идут в skip list подряд.
+            const prefixKey = JSON.parse(encodeCompoundKey(keyValues));
+            for (const [sortKey, key] of def.sorted.range({ gte: prefixKey })) {
+                if (compareValues(sortKey.slice(0, values.length), prefixKey, def.collator) !== 0) break;
+                if (key.startsWith(prefix)) addIds(def.data.get(key));
+            }
+            return ids;
+        }
+        for (const [key, idsOrId] of def.data.entries()) {
+            if (key.startsWith(prefix)) addIds(idsOrId);
+        }
+        return ids;
+    }
+
+    /**
+     * Поиск по диапазону в упорядоченном (ordered) индексе по одному полю.
+     * Семантика совпадает с операторами `$gt`/`$gte`/`$lt`/`$lte` в `find`: сравниваются только
+     * значения того же типа, что и границы, а массив попадает в диапазон, если в него попадает
+     * хотя бы один его элемент (элементы индексируются по отдельности).
+     * @param {string} fieldName - Имя индекса.
+     * @param {{$gt?: any, $gte?: any, $lt?: any, $lte?: any}} range - Условие диапазона.
+     * @returns {Set<string>|null} - ID документов или null, если упорядоченного индекса по полю нет.
+     */
+    findIdsInRange(fieldName, range) {
+        const def = this.indexes.get(fieldName);
+        if (!def || !def.sorted || def.fields) {
+            return null;
+        }
+        const ids = new Set();
+        const addIds = (key) => {
+            const idsOrId = def.data.get(key);
+            if (idsOrId === undefined) return;
+            if (def.type === 'unique') ids.add(idsOrId);
+            else idsOrId.forEach(id => ids.add(id));
+        };
+
+        const bounds = {};
+        for (const op of ['$gt', '$gte', '$lt', '$lte']) {
+            if (Object.prototype.hasOwnProperty.call(range, op)) bounds[op.slice(1)] = indexKeyOf(def, fieldName, range[op]);
+        }
+        const boundValues = Object.keys(bounds).map(name => bounds[name]);
+        const boundType = typeOrder(boundValues[0]);
+
+        // Границы разных типов не пропускают ни одного скаляра.
+        if (boundValues.length > 0 && boundValues.every(value => typeOrder(value) === boundType)) {
+            // Идём от заданной границы и останавливаемся на значениях другого типа.
+            const hasLower = 'gt' in bounds || 'gte' in bounds;
+            for (const [sortKey, key] of def.sorted.range(bounds, hasLower ? 1 : -1)) {
+                if (typeOrder(sortKey) !== boundType) break;
+                addIds(key);
+            }
+        }
+
+        return ids;
+    }
+
+    /**
+     * Возвращает ID документов в порядке значений индексированного поля
+     * (для составного индекса — в лексикографическом порядке значений его полей).
+     * Для обычного индекса отсортированный список значений кэшируется до следующего изменения индекса,
+     * упорядоченный (ordered) индекс обходится без сортировки.
+     * В multikey-индексе документ встречается под каждым своим ключом, то есть может повторяться.
+     * @param {string} fieldName - Имя индекса.
+     * @param {1|-1} [direction=1] - 1 по возрастанию, -1 по убыванию.
+     * @returns {Iterable<string>|null} - итератор ID или null, если индекса нет
+     */
+    iterateIdsInOrder(fieldName, direction = 1) {
+        const def = this.indexes.get(fieldName);
+        if (!def) {
+            return null;
+        }
+        if (def.sorted) {
+            // Упорядоченный индекс уже хранит ключи в нужном порядке.
+            return (function* () {
+                for (const [, key] of def.sorted.range({}, direction)) {
+                    const idsOrId = def.data.get(key);
+                    if (idsOrId === undefined) continue;
+                    if (def.type === 'unique') {
+                        yield idsOrId;
+                    } else {
+                        yield* idsOrId;
+                    }
+                }
+            })();
+        }
+        if (!def.sortedKeys) {
+            if (def.fields) {
+                // Ключи составного индекса сравниваются как массивы значений полей.
+                def.sortedKeys = Array.from(def.data.keys())
+                    .map(key => [JSON.parse(key), key])
+                    .sort((a, b) => compareValues(a[0], b[0], def.collator))
+                    .map(pair => pair[1]);
+            } else {
+                // Array#sort всегда ставит undefined в конец, не вызывая компаратор,
+                // поэтому "undefined"-корзину добавляем в начало вручную.
+                const definedKeys = Array.from(def.data.keys()).filter(key => key !== undefined)
+                    .sort((a, b) => compareValues(a, b, def.collator));
+                def.sortedKeys = def.data.has(undefined) ? [undefined, ...definedKeys] : definedKeys;
+            }
+        }
+        const keys = def.sortedKeys;
+        return (function* () {
+            for (let i = 0; i < keys.length; i++) {
+                const key = keys[direction === -1 ? keys.length - 1 - i : i];
+                const idsOrId = def.data.get(key);
+                if (idsOrId === undefined) continue;
+                if (def.type === 'unique') {
+                    yield idsOrId;
+                } else {
+                    yield* idsOrId;
+                }
+            }
+        })();
     }
 
     /**
@@ -252,6 +770,9 @@ class IndexManager {
     clearAllData() {
         for (const def of this.indexes.values()) {
             def.data.clear();
+            def.sortedKeys = null;
+            if (def.sorted) def.sorted.clear();
+            if (def.docTerms) def.docTerms.clear();
         }
     }
 }
@@ -3,30 +3,45 @@
 const { isAlive } = require('./ttl.js'); 
 const logger = require('../logger'); // Убедитесь, что logger импортирован
 
-async function insert(doc) {
+/**
+ * Тело insert: вызывается внутри задачи `_enqueue` (его же использует bulkWrite).
+ * @param {import('./core')} collection
+ * @param {object} doc
+ * @returns {Promise<object>} Вставленный документ.
+ */
+async function insertInTask(collection, doc) {
+  const _id = doc._id || collection._idGenerator();
+  const now = new Date().toISOString();
+  const finalDoc = {
+    ...doc,
+    _id,
+    createdAt: doc.createdAt || now,
+    updatedAt: now,
+  };
+  const result = await collection._enqueueDataModification(
+    { op: 'INSERT', doc: finalDoc },
+    'INSERT',
+    (_prev, insertedDoc) => insertedDoc
+  );
+  collection._stats.inserts++;
+  return result;
+}
+
+/**
+ * Вставляет документ.
+ * @param {object} doc
+ * @param {{durability?: string}} [options] - durability: уровень надежности записи для этого вызова
+ *   ('fsync', 'batched', 'os-buffered', 'none'); остальные методы записи принимают ту же опцию.
+ * @returns {Promise<object>}
+ */
+async function insert(doc, options = {}) {
   if (!this.isPlainObject(doc)) {
     throw new Error('insert: аргумент должен быть объектом.');
   }
-  return this._enqueue(async () => {
-    const _id = doc._id || this._idGenerator(); 
-    const now = new Date().toISOString();
-    const finalDoc = {
-      ...doc,
-      _id,
-      createdAt: doc.createdAt || now,
-      updatedAt: now,
-    };
-    const result = await this._enqueueDataModification(
-      { op: 'INSERT', doc: finalDoc },
-      'INSERT',
-      (_prev, insertedDoc) => insertedDoc
-    );
-    this._stats.inserts++; 
-    return result;
-  });
+  return this._enqueue(() => insertInTask(this, doc), options);
 }
 
-async function insertMany(docs) {
+async function insertMany(docs, options = {}) {
     if (!Array.isArray(docs)) {
         throw new Error('insertMany: аргумент должен быть массивом.');
     }
@@ -92,11 +107,11 @@ async function insertMany(docs) {
         } finally {
             await this._releaseLockIfHeld(); // Освобождаем блокировку в конце
         }
-    });
+    }, options);
 }
 
 
-async function update(id, updates) {
+async function update(id, updates, options = {}) {
   if (typeof id !== 'string' || id.length === 0) {
     throw new Error('update: id должен быть непустой строкой.');
   }
@@ -119,10 +134,10 @@ async function update(id, updates) {
         this._stats.updates++;
     }
     return result;
-  });
+  }, options);
 }
 
-async function updateMany(queryFn, updates) {
+async function updateMany(queryFn, updates, options = {}) {
   if (typeof queryFn !== 'function') {
     throw new Error('updateMany: queryFn должен быть функцией.');
   }
@@ -130,48 +145,31 @@ async function updateMany(queryFn, updates) {
     throw new Error('updateMany: обновления должны быть объектом.');
   }
 
-  // Собираем ID ДО постановки в очередь, чтобы не итерировать по изменяемой коллекции.
-  const idsToUpdate = [];
-  // Эта часть выполняется вне _enqueue, читая текущее состояние this.documents.
-  // Это нормально, так как фактические изменения будут в _enqueue.
-  for (const [id, doc] of this.documents.entries()) {
-      if (isAlive(doc) && queryFn(doc)) { 
-          idsToUpdate.push(id);
-      }
-  }
-
-  if (idsToUpdate.length === 0) {
-    return 0; 
-  }
-
-  // Все обновления для updateMany выполняются в рамках одного _enqueue вызова
-  // для обеспечения атомарности на уровне всей операции updateMany, если это возможно.
-  // Однако, this.update внутри цикла сам вызывает _enqueue.
-  // Чтобы сделать updateMany по-настоящему атомарным (все или ничего для всех найденных документов),
-  // потребовалась бы другая архитектура для _enqueueDataModification, принимающая массив обновлений.
-  // Текущая реализация делает каждую отдельную операцию update атомарной, но не весь updateMany.
-
-  // Оставляем текущую реализацию, где каждое обновление - отдельная операция в очереди.
-  // Это проще, но менее атомарно для всего набора.
-  let successfullyUpdatedCount = 0;
-  for (const id of idsToUpdate) { // Этот цикл выполнится вне _enqueue
-    try {
-      // Каждый this.update будет поставлен в очередь и выполнен последовательно.
-      const updatedDoc = await this.update(id, updates); 
-      if (updatedDoc) { 
-            successfullyUpdatedCount++;
+  // Поиск и запись выполняются одной задачей очереди, а все изменения попадают в WAL
+  // одной записью BATCH_UPDATE: после сбоя не может остаться часть обновленных документов.
+  return this._enqueue(async () => {
+    const idsToUpdate = [];
+    for (const [id, doc] of this.documents.entries()) {
+      if (isAlive(doc) && queryFn(doc)) {
+        idsToUpdate.push(id);
       }
-    } catch (error) {
-      // Если один из update падает (например, нарушение уникальности),
-      // то updateMany прерывается здесь, и предыдущие успешные обновления остаются.
-      logger.error(`[Ops] Ошибка при обновлении документа ID '${id}' в updateMany. Прерывание. Ошибка: ${error.message}`);
-      throw error; 
     }
-  }
-  return successfullyUpdatedCount;
+    if (idsToUpdate.length === 0) {
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+    const updatedDocs = await this._enqueueDataModification(
+      { op: 'BATCH_UPDATE', ts: now, updates: idsToUpdate.map(id => ({ id, data: { ...updates, updatedAt: now } })) },
+      'BATCH_UPDATE',
+      (_prev, docs) => docs
+    );
+    this._stats.updates += updatedDocs.length;
+    return updatedDocs.length;
+  }, options);
 }
 
-async function remove(id) {
+async function remove(id, options = {}) {
   if (typeof id !== 'string' || id.length === 0) {
     throw new Error('remove: id должен быть непустой строкой.');
   }
@@ -196,42 +194,38 @@ async function remove(id) {
         this._stats.removes++;
     }
     return success; 
-  });
+  }, options);
 }
 
-async function removeMany(predicate) {
+async function removeMany(predicate, options = {}) {
     if (typeof predicate !== 'function') {
         throw new Error('removeMany: predicate должен быть функцией.');
     }
 
-    const idsToRemove = [];
-    for (const [id, doc] of this.documents.entries()) {
-        if (isAlive(doc) && predicate(doc)) { 
-            idsToRemove.push(id);
-        }
-    }
-
-    if (idsToRemove.length === 0) {
-        return 0;
-    }
-
-    let removedCount = 0;
-    for (const id of idsToRemove) { // Аналогично updateMany, цикл вне _enqueue
-        try {
-            const success = await this.remove(id); // Каждый remove ставится в очередь
-            if (success) {
-                removedCount++;
+    // Как и updateMany: одна задача очереди и одна запись BATCH_REMOVE в WAL.
+    return this._enqueue(async () => {
+        const idsToRemove = [];
+        for (const [id, doc] of this.documents.entries()) {
+            if (isAlive(doc) && predicate(doc)) {
+                idsToRemove.push(id);
             }
-        } catch (error) {
-            logger.error(`[Ops] Ошибка при удалении документа ID '${id}' в removeMany. Прерывание. Ошибка: ${error.message}`);
-            throw error; 
         }
-    }
-    return removedCount;
+        if (idsToRemove.length === 0) {
+            return 0;
+        }
+
+        const removedCount = await this._enqueueDataModification(
+            { op: 'BATCH_REMOVE', ids: idsToRemove, ts: new Date().toISOString() },
+            'BATCH_REMOVE',
+            (_prev, count) => count
+        );
+        this._stats.removes += removedCount;
+        return removedCount;
+    }, options);
 }
 
 
-async function clear() {
+async function clear(options = {}) {
   return this._enqueue(async () => {
     const success = await this._enqueueDataModification(
       { op: 'CLEAR' },
@@ -247,10 +241,11 @@ async function clear() {
         this._stats.walEntriesSinceCheckpoint = 0; 
     }
     return success;
-  });
+  }, options);
 }
 
 module.exports = {
+  insertInTask,
   insert,
   insertMany,
   update,
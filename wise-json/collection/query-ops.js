@@ -1,101 +1,21 @@
 // wise-json/collection/query-ops.js
 
 const { cleanupExpiredDocs, isAlive } = require('./ttl.js');
-const { matchFilter } = require('./utils.js');
+const {
+    matchFilter,
+    validateFilter,
+    normalizeSortSpec,
+    createSortComparator,
+    applyProjection,
+    isDeepEqual,
+    isPlainObject,
+} = require('./utils.js');
+const { validateUpdate, applyUpdateOperators, buildUpsertDocument, buildUpsertReplacement } = require('./update-operators.js');
+const { planQuery, planTextQuery, describePlan } = require('./query-planner.js');
+const { normalizeCollation, getCollator } = require('./collation.js');
+const { WiseJSONError, UniqueConstraintError } = require('../errors.js');
 const logger = require('../logger');
-
-// --- Вспомогательные функции для операций обновления ---
-
-function applyUpdateOperators(doc, updateQuery) {
-    let newDoc = { ...doc };
-    let hasOperators = false;
-    for (const op in updateQuery) {
-        if (op.startsWith('$')) {
-            hasOperators = true;
-            break;
-        }
-    }
-
-    if (!hasOperators) {
-        // Полная замена документа (кроме _id и createdAt)
-        const _id = newDoc._id;
-        const createdAt = newDoc.createdAt;
-        newDoc = { ...updateQuery, _id, createdAt };
-        return newDoc;
-    }
-
-    for (const op in updateQuery) {
-        const opArgs = updateQuery[op];
-        switch (op) {
-            case '$set':
-                Object.assign(newDoc, opArgs);
-                break;
-            case '$inc':
-                for (const field in opArgs) {
-                    newDoc[field] = (newDoc[field] || 0) + opArgs[field];
-                }
-                break;
-            case '$unset':
-                for (const field in opArgs) {
-                    delete newDoc[field];
-                }
-                break;
-            case '$push':
-                for (const field in opArgs) {
-                    if (!Array.isArray(newDoc[field])) newDoc[field] = [];
-                    if (opArgs[field] && opArgs[field].$each) {
-                        newDoc[field].push(...opArgs[field].$each);
-                    } else {
-                        newDoc[field].push(opArgs[field]);
-                    }
-                }
-                break;
-            case '$pull':
-                 for (const field in opArgs) {
-                    if (Array.isArray(newDoc[field])) {
-                       newDoc[field] = newDoc[field].filter(item => item !== opArgs[field]);
-                    }
-                }
-                break;
-        }
-    }
-    return newDoc;
-}
-
-function applyProjection(doc, projection) {
-    if (!projection || Object.keys(projection).length === 0) {
-        return doc;
-    }
-
-    const newDoc = {};
-    const hasInclusion = Object.values(projection).some(v => v === 1);
-    const hasExclusion = Object.values(projection).some(v => v === 0);
-
-    if (hasInclusion && hasExclusion && !projection.hasOwnProperty('_id')) {
-        throw new Error('Projection cannot have a mix of inclusion and exclusion.');
-    }
-    
-    if (hasInclusion) {
-        for (const key in projection) {
-            if (projection[key] === 1 && doc.hasOwnProperty(key)) {
-                newDoc[key] = doc[key];
-            }
-        }
-        if (projection._id !== 0) {
-            newDoc._id = doc._id;
-        }
-    } else { // Режим исключения
-        const excludedKeys = new Set(Object.keys(projection).filter(k => projection[k] === 0));
-        for (const key in doc) {
-            if (!excludedKeys.has(key)) {
-                newDoc[key] = doc[key];
-            }
-        }
-    }
-
-    return newDoc;
-}
-
+const Cursor = require('./cursor.js');
 
 // --- Основные методы API ---
 
@@ -118,161 +38,553 @@ async function count(query) {
     return results.length;
 }
 
-async function find(query, projection = {}) {
-    if (typeof query === 'function') { // Обратная совместимость
-        cleanupExpiredDocs(this.documents, this._indexManager);
-        const docs = Array.from(this.documents.values()).filter(doc => isAlive(doc)).filter(query);
-        return docs.map(doc => applyProjection(doc, projection));
+/**
+ * Проверяет и нормализует опции `find` (sort, skip, limit, collation).
+ * @param {object} [options]
+ * @returns {{sort: object|null, skip: number, limit: number, collation: object|null|undefined}}
+ *   limit = 0 означает "без ограничения"; collation = undefined — не задан (действует collation коллекции).
+ * @throws {WiseJSONError} при неверных опциях.
+ */
+function normalizeFindOptions(options = {}) {
+    const { sort = null, skip = 0, limit = 0, collation } = options || {};
+    if (typeof skip !== 'number' || !Number.isInteger(skip) || skip < 0) {
+        throw new WiseJSONError('find: skip must be a non-negative integer.');
     }
+    if (typeof limit !== 'number' || !Number.isInteger(limit) || limit < 0) {
+        throw new WiseJSONError('find: limit must be a non-negative integer.');
+    }
+    const hasSort = sort !== null && sort !== undefined && Object.keys(sort).length > 0;
+    if (hasSort) normalizeSortSpec(sort);
+    return {
+        sort: hasSort ? sort : null,
+        skip,
+        limit,
+        collation: collation === undefined ? undefined : normalizeCollation(collation),
+    };
+}
 
-    if (typeof query === 'object' && query !== null) {
-        cleanupExpiredDocs(this.documents, this._indexManager);
-        
-        let initialDocIds = null;
-        let bestIndexField = null;
-
-        for (const fieldName in query) {
-            const condition = query[fieldName];
-            if (this._indexManager.indexes.has(fieldName)) {
-                if (typeof condition !== 'object') {
-                    bestIndexField = { field: fieldName, type: 'exact' };
-                    break;
-                }
-                if (typeof condition === 'object' && Object.keys(condition).some(op => ['$gt', '$gte', '$lt', '$lte'].includes(op))) {
-                    if (!bestIndexField) {
-                        bestIndexField = { field: fieldName, type: 'range' };
-                    }
-                }
-            }
+/**
+ * Генератор документов, удовлетворяющих запросу, в итоговом порядке с учётом sort/skip/limit.
+ * Кандидаты выбираются планом из `planQuery` (поиск по индексам или полный просмотр).
+ * Когда сортировку можно выполнить обходом индекса, документы не материализуются целиком:
+ * обход останавливается, как только набрано `skip + limit` совпадений.
+ * Запрос с `$text` выбирает кандидатов по текстовому индексу; их релевантность доступна
+ * для сортировки и проекции через `{ $meta: 'textScore' }`.
+ * Строки в фильтре и сортировке сравниваются по collation запроса, а без него — по collation коллекции.
+ * @param {import('./core')} collection
+ * @param {object|function} query - Объект-фильтр или функция-предикат.
+ * @param {object} [options] - { sort, skip, limit, collation }
+ * @param {object} [projection] - Проекция, применяемая к выдаваемым документам.
+ * @param {{plan: object|null, docsExamined: number}} [stats] - Если передан, сюда записываются
+ *   выбранный план и число проверенных фильтром документов (для explain).
+ * @returns {Generator<object>}
+ */
+function* iterateMatchingDocs(collection, query, options = {}, projection = null, stats = null) {
+    const findOptions = normalizeFindOptions(options);
+    const { sort, skip, limit } = findOptions;
+    const collation = findOptions.collation !== undefined ? findOptions.collation : collection.options.collation;
+    const collator = getCollator(collation);
+    const isFunctionQuery = typeof query === 'function';
+    if (!isFunctionQuery) validateFilter(query);
+
+    cleanupExpiredDocs(collection.documents, collection._indexManager);
+
+    let filter = query;
+    let textScores = null;
+    if (!isFunctionQuery && Object.prototype.hasOwnProperty.call(query, '$text')) {
+        textScores = collection._indexManager.searchText(query.$text, collection.documents);
+        if (!textScores) {
+            throw new WiseJSONError('$text requires a text index on the collection.');
         }
-
-        if (bestIndexField) {
-            initialDocIds = new Set();
-            const index = this._indexManager.indexes.get(bestIndexField.field);
-            const condition = query[bestIndexField.field];
-            
-            if (bestIndexField.type === 'exact') {
-                const ids = index.type === 'unique' 
-                    ? [this._indexManager.findOneIdByIndex(bestIndexField.field, condition)].filter(Boolean)
-                    : this._indexManager.findIdsByIndex(bestIndexField.field, condition);
-                ids.forEach(id => initialDocIds.add(id));
-            } else if (bestIndexField.type === 'range') {
-                for (const [indexedValue, idsOrId] of index.data.entries()) {
-                    const pseudoDoc = { [bestIndexField.field]: indexedValue };
-                    if (matchFilter(pseudoDoc, { [bestIndexField.field]: condition })) {
-                        if (index.type === 'unique') initialDocIds.add(idsOrId);
-                        else idsOrId.forEach(id => initialDocIds.add(id));
-                    }
-                }
+        filter = { ...query };
+        delete filter.$text;
+    }
+    const matchesFilter = doc => isAlive(doc) && (isFunctionQuery ? query(doc) : matchFilter(doc, filter, collator, collection.options.dateFields));
+    const matches = stats
+        ? doc => {
+            stats.docsExamined++;
+            return matchesFilter(doc);
+        }
+        : matchesFilter;
+    const project = textScores
+        ? doc => applyProjection(doc, projection, textScores.get(doc._id))
+        : doc => applyProjection(doc, projection);
+
+    const plan = textScores
+        ? planTextQuery(collection, textScores)
+        : planQuery(collection, isFunctionQuery ? {} : filter, sort, collation);
+    if (stats) stats.plan = plan;
+    const { winningPlan } = plan;
+    const orderedIds = winningPlan.iterate ? winningPlan.iterate() : null;
+    const candidateIds = orderedIds ? null : winningPlan.execute();
+
+    if (orderedIds) {
+        let skipped = 0;
+        let returned = 0;
+        for (const id of orderedIds) {
+            const doc = collection.documents.get(id);
+            if (!doc || !matches(doc)) continue;
+            if (skipped < skip) {
+                skipped++;
+                continue;
             }
+            yield project(doc);
+            returned++;
+            if (limit > 0 && returned >= limit) return;
         }
+        return;
+    }
 
-        const results = [];
-        const source = initialDocIds !== null
-          ? Array.from(initialDocIds).map(id => this.documents.get(id)).filter(Boolean)
-          : this.documents.values();
+    const source = candidateIds !== null
+        ? Array.from(candidateIds).map(id => collection.documents.get(id)).filter(Boolean)
+        : collection.documents.values();
 
+    if (!sort) {
+        let skipped = 0;
+        let returned = 0;
         for (const doc of source) {
-          if (isAlive(doc) && matchFilter(doc, query)) {
-            results.push(applyProjection(doc, projection));
-          }
+            if (!matches(doc)) continue;
+            if (skipped < skip) {
+                skipped++;
+                continue;
+            }
+            yield project(doc);
+            returned++;
+            if (limit > 0 && returned >= limit) return;
         }
-        return results;
+        return;
     }
 
-    throw new Error('find: query must be a function or a filter object.');
+    const matched = [];
+    for (const doc of source) {
+        if (matches(doc)) matched.push(doc);
+    }
+    matched.sort(createSortComparator(sort, textScores ? doc => textScores.get(doc._id) : undefined, collator, collection.options.dateFields));
+    const end = limit > 0 ? skip + limit : matched.length;
+    for (let i = skip; i < Math.min(end, matched.length); i++) {
+        yield project(matched[i]);
+    }
 }
 
-async function findOne(query, projection = {}) {
-    if (typeof query === 'function') { // Обратная совместимость
-        cleanupExpiredDocs(this.documents, this._indexManager);
-        for (const doc of this.documents.values()) {
-            if (isAlive(doc) && query(doc)) {
-                return applyProjection(doc, projection);
-            }
-        }
-        return null;
+/**
+ * Находит документы по фильтру.
+ * @param {object|function} query - Объект-фильтр (в стиле MongoDB) или функция-предикат.
+ * @param {object} [projection={}] - Проекция полей.
+ * @param {object} [options={}]
+ * @param {object} [options.sort] - Сортировка, например `{ createdAt: -1, name: 1 }`.
+ * @param {number} [options.skip=0] - Сколько документов пропустить.
+ * @param {number} [options.limit=0] - Максимум документов в результате (0 — без ограничения).
+ * @param {object} [options.collation] - Правила сравнения строк, например `{ locale: 'ru', strength: 2 }`
+ *   (по умолчанию — collation коллекции).
+ * @returns {Promise<Array<object>>}
+ */
+async function find(query, projection = {}, options = {}) {
+    if (typeof query !== 'function' && (typeof query !== 'object' || query === null)) {
+        throw new Error('find: query must be a function or a filter object.');
+    }
+    return Array.from(iterateMatchingDocs(this, query, options, projection));
+}
+
+async function findOne(query, projection = {}, options = {}) {
+    if (typeof query !== 'function' && (typeof query !== 'object' || query === null)) {
+        throw new Error('findOne: query must be a function or a filter object.');
+    }
+    for (const doc of iterateMatchingDocs(this, query, { ...options, limit: 1 }, projection)) {
+        return doc;
+    }
+    return null;
+}
+
+/**
+ * Возвращает курсор для потокового чтения результатов запроса.
+ * Запрос выполняется лениво — при первом чтении из курсора.
+ * @param {object|function} [query={}] - Объект-фильтр или функция-предикат.
+ * @param {object} [options={}]
+ * @param {object} [options.projection] - Проекция полей.
+ * @param {object} [options.sort] - Сортировка, например `{ createdAt: -1 }`.
+ * @param {number} [options.skip=0]
+ * @param {number} [options.limit=0]
+ * @param {object} [options.collation]
+ * @param {number} [options.batchSize=100] - Сколько документов извлекать за один шаг.
+ * @returns {Cursor}
+ */
+function findCursor(query = {}, options = {}) {
+    if (typeof query !== 'function' && (typeof query !== 'object' || query === null)) {
+        throw new Error('findCursor: query must be a function or a filter object.');
+    }
+    const { projection, batchSize, ...findOptions } = options || {};
+    // Проверяем фильтр и опции сразу, чтобы ошибка не откладывалась до первого чтения.
+    if (typeof query !== 'function') validateFilter(query);
+    normalizeFindOptions(findOptions);
+    return new Cursor(() => iterateMatchingDocs(this, query, findOptions, projection), { batchSize });
+}
+
+/**
+ * Выполняет запрос и описывает, как он был выполнен: выбранный план, все рассмотренные
+ * планы с оценками стоимости и фактическую статистику выполнения.
+ * @param {object|function} [query={}] - Объект-фильтр или функция-предикат.
+ * @param {object} [options={}] - { sort, skip, limit, collation }, как в `find`.
+ * @returns {Promise<{winningPlan: object, candidatePlans: Array<object>,
+ *   executionStats: {nReturned: number, docsExamined: number, executionTimeMs: number}}>}
+ */
+async function explain(query = {}, options = {}) {
+    if (typeof query !== 'function' && (typeof query !== 'object' || query === null)) {
+        throw new Error('explain: query must be a function or a filter object.');
     }
+    const stats = { plan: null, docsExamined: 0 };
+    const startedAt = process.hrtime();
+    let nReturned = 0;
+    const docs = iterateMatchingDocs(this, query, options, null, stats);
+    while (!docs.next().done) nReturned++;
+    const [seconds, nanoseconds] = process.hrtime(startedAt);
+    return {
+        winningPlan: describePlan(stats.plan.winningPlan),
+        candidatePlans: stats.plan.candidatePlans.map(describePlan),
+        executionStats: {
+            nReturned,
+            docsExamined: stats.docsExamined,
+            executionTimeMs: seconds * 1e3 + nanoseconds / 1e6,
+        },
+    };
+}
+
+/**
+ * Записывает новую версию документа, полученную применением обновления.
+ * Вызывается внутри задачи `_enqueue`.
+ * Поля, которых в новой версии нет, перечисляются в `unset` записи WAL, поэтому удаления
+ * (`$unset`, `$rename`) сохраняются и после перезапуска. Документ без изменений не перезаписывается.
+ * @private
+ * @param {import('./core')} collection
+ * @param {object} prevDoc - Документ, к которому применялось обновление.
+ * @param {object} newDoc - Новая версия документа.
+ * @returns {Promise<object|null>} Обновлённый документ или null, если изменений нет.
+ */
+async function writeUpdatedDoc(collection, prevDoc, newDoc) {
+    if (isDeepEqual(prevDoc, newDoc)) return null;
+    const entry = { op: 'UPDATE', ...buildUpdateItem(prevDoc, newDoc, new Date().toISOString()) };
+    const result = await collection._enqueueDataModification(entry, 'UPDATE', (_prev, updatedDoc) => updatedDoc);
+    if (result) collection._stats.updates++;
+    return result;
+}
+
+/**
+ * Элемент записи UPDATE / BATCH_UPDATE: новая версия документа и список удаленных полей.
+ * @private
+ * @param {object} prevDoc
+ * @param {object} newDoc
+ * @param {string} now - Значение updatedAt.
+ * @returns {{id: string, data: object, unset?: string[]}}
+ */
+function buildUpdateItem(prevDoc, newDoc, now) {
+    const item = { id: prevDoc._id, data: { ...newDoc, updatedAt: now } };
+    const unset = Object.keys(prevDoc).filter(field => !Object.prototype.hasOwnProperty.call(item.data, field));
+    if (unset.length > 0) item.unset = unset;
+    return item;
+}
+
+/**
+ * Записывает новые версии нескольких документов одной записью BATCH_UPDATE: после сбоя
+ * в WAL не может остаться только часть изменений. Вызывается внутри задачи `_enqueue`.
+ * @private
+ * @param {import('./core')} collection
+ * @param {object[]} prevDocs
+ * @param {object[]} newDocs - Новые версии в том же порядке.
+ * @returns {Promise<number>} Количество измененных документов.
+ */
+async function writeUpdatedDocs(collection, prevDocs, newDocs) {
+    const now = new Date().toISOString();
+    const updates = [];
+    prevDocs.forEach((prevDoc, i) => {
+        if (!isDeepEqual(prevDoc, newDocs[i])) updates.push(buildUpdateItem(prevDoc, newDocs[i], now));
+    });
+    if (updates.length === 0) return 0;
+    await collection._enqueueDataModification({ op: 'BATCH_UPDATE', updates, ts: now }, 'BATCH_UPDATE');
+    collection._stats.updates += updates.length;
+    return updates.length;
+}
 
-    if (typeof query === 'object' && query !== null) {
-        const results = await this.find(query, projection);
-        return results.length > 0 ? results[0] : null;
+/**
+ * Вставляет документ, когда под фильтр ничего не попало (`upsert: true`). Вызывается внутри
+ * той же задачи `_enqueue`, что и поиск, поэтому между поиском и вставкой другой писатель
+ * не может добавить подходящий документ.
+ * @private
+ * @param {import('./core')} collection
+ * @param {object} doc - Документ, построенный по фильтру (см. buildUpsertDocument).
+ * @returns {Promise<object>} Вставленный документ.
+ * @throws {UniqueConstraintError} если документ с `_id` из фильтра уже существует, но фильтру не подходит.
+ */
+async function insertUpsertedDoc(collection, doc) {
+    const _id = doc._id !== undefined ? doc._id : collection._idGenerator();
+    if (collection.documents.has(_id)) {
+        throw new UniqueConstraintError('_id', _id);
     }
+    const now = new Date().toISOString();
+    const finalDoc = { ...doc, _id, createdAt: doc.createdAt || now, updatedAt: now };
+    const inserted = await collection._enqueueDataModification(
+        { op: 'INSERT', doc: finalDoc },
+        'INSERT',
+        (_prev, insertedDoc) => insertedDoc
+    );
+    collection._stats.inserts++;
+    return inserted;
+}
 
-    throw new Error('findOne: query must be a function or a filter object.');
+/**
+ * Проверяет документ-замену для replaceOne: объект без операторов обновления.
+ * @private
+ * @param {object} replacement
+ * @throws {WiseJSONError}
+ */
+function validateReplacement(replacement) {
+    if (!isPlainObject(replacement)) {
+        throw new WiseJSONError('replaceOne: replacement must be an object.');
+    }
+    const operator = Object.keys(replacement).find(key => key.charAt(0) === '$');
+    if (operator) {
+        throw new WiseJSONError(`replaceOne: replacement must not contain update operators (found '${operator}').`);
+    }
 }
 
-async function updateOne(filter, updateQuery) {
-    const docToUpdate = await this.findOne(filter);
+// --- Тела записывающих методов. Выполняются внутри задачи `_enqueue` (их же использует bulkWrite). ---
+
+async function updateOneInTask(collection, filter, updateQuery, options) {
+    const docToUpdate = await collection.findOne(filter);
     if (!docToUpdate) {
+        if (options.upsert === true) {
+            const inserted = await insertUpsertedDoc(collection, buildUpsertDocument(filter, updateQuery, { arrayFilters: options.arrayFilters }));
+            return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+        }
         return { matchedCount: 0, modifiedCount: 0 };
     }
-    
-    const newDocData = applyUpdateOperators(docToUpdate, updateQuery);
-    
-    const updatedDoc = await this.update(docToUpdate._id, newDocData);
-    
+
+    const newDocData = applyUpdateOperators(docToUpdate, updateQuery, { filter, arrayFilters: options.arrayFilters });
+    const updatedDoc = await writeUpdatedDoc(collection, docToUpdate, newDocData);
+
     return { matchedCount: 1, modifiedCount: updatedDoc ? 1 : 0 };
 }
 
-async function updateMany(filter, updateQuery) {
-    // ВАЖНО: `updateMany` из ops.js вызывает `this.update` для каждого документа.
-    // Нам нужно, чтобы `update` мог принимать не только полную замену, но и операторы.
-    // Поэтому мы делегируем логику нашему внутреннему `updateOne`, который знает про операторы.
-    const docsToUpdate = await this.find(filter);
+async function updateManyInTask(collection, filter, updateQuery, options) {
+    const docsToUpdate = await collection.find(filter);
     if (docsToUpdate.length === 0) {
+        if (options.upsert === true) {
+            const inserted = await insertUpsertedDoc(collection, buildUpsertDocument(filter, updateQuery, { arrayFilters: options.arrayFilters }));
+            return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+        }
         return { matchedCount: 0, modifiedCount: 0 };
     }
 
-    let modifiedCount = 0;
-    for (const doc of docsToUpdate) {
-        // Мы не можем просто вызвать updateMany из ops.js, так как он не знает про операторы.
-        // Поэтому мы итерируем здесь и обновляем по одному.
-        const result = await this.updateOne({ _id: doc._id }, updateQuery);
-        if (result.modifiedCount > 0) {
-            modifiedCount++;
-        }
-    }
+    // Новые версии вычисляются до записи: если оператор неприменим к одному из документов
+    // (например, $inc по строке), не изменяется ни один.
+    const newDocs = docsToUpdate.map(doc => applyUpdateOperators(doc, updateQuery, { filter, arrayFilters: options.arrayFilters }));
+    const modifiedCount = await writeUpdatedDocs(collection, docsToUpdate, newDocs);
 
     return { matchedCount: docsToUpdate.length, modifiedCount };
 }
 
+async function replaceOneInTask(collection, filter, replacement, options) {
+    const docToReplace = await collection.findOne(filter);
+    if (!docToReplace) {
+        if (options.upsert === true) {
+            const inserted = await insertUpsertedDoc(collection, buildUpsertReplacement(filter, replacement));
+            return { matchedCount: 0, modifiedCount: 0, upsertedId: inserted._id };
+        }
+        return { matchedCount: 0, modifiedCount: 0 };
+    }
+    const replacedDoc = await writeReplacedDoc(collection, docToReplace, replacement);
+    return { matchedCount: 1, modifiedCount: replacedDoc ? 1 : 0 };
+}
+
+/**
+ * Заменяет документ целиком, сохраняя `_id` и `createdAt`. Вызывается внутри задачи `_enqueue`.
+ * @private
+ * @param {import('./core')} collection
+ * @param {object} docToReplace
+ * @param {object} replacement - Проверенный validateReplacement документ-замена.
+ * @returns {Promise<object|null>} Новая версия документа или null, если замена ничего не изменила.
+ * @throws {WiseJSONError} если замена меняет `_id`.
+ */
+async function writeReplacedDoc(collection, docToReplace, replacement) {
+    if (replacement._id !== undefined && replacement._id !== docToReplace._id) {
+        throw new WiseJSONError("replaceOne: the '_id' field cannot be modified.");
+    }
+    // Служебные поля сохраняются; updatedAt обновит writeUpdatedDoc, если документ изменился.
+    const newDoc = { ...replacement, _id: docToReplace._id, createdAt: docToReplace.createdAt, updatedAt: docToReplace.updatedAt };
+    return writeUpdatedDoc(collection, docToReplace, newDoc);
+}
 
-async function findOneAndUpdate(filter, updateQuery, options = {}) {
-    const { returnOriginal = false } = options;
-    const docToUpdate = await this.findOne(filter);
-    if (!docToUpdate) return null;
-    
-    // Здесь мы не используем this.update, а напрямую вызываем _enqueueDataModification
-    // чтобы получить и старый, и новый документ в одной атомарной операции.
-    // Но для простоты пока оставим вызов this.update
-    const newDocData = applyUpdateOperators(docToUpdate, updateQuery);
-    const updatedDoc = await this.update(docToUpdate._id, newDocData);
-
-    return returnOriginal ? docToUpdate : updatedDoc;
+/**
+ * Первый документ, подходящий под фильтр, с учетом сортировки (для findOneAnd*).
+ * @private
+ * @param {import('./core')} collection
+ * @param {object|function} filter
+ * @param {object} [sort]
+ * @returns {object|null}
+ */
+function findFirstForWrite(collection, filter, sort) {
+    const next = iterateMatchingDocs(collection, filter, { sort, limit: 1 }).next();
+    return next.done ? null : next.value;
 }
 
-async function deleteOne(filter) {
-    const docToRemove = await this.findOne(filter);
+async function deleteOneInTask(collection, filter) {
+    const docToRemove = await collection.findOne(filter);
     if (!docToRemove) {
         return { deletedCount: 0 };
     }
-    const success = await this.remove(docToRemove._id);
-    return { deletedCount: success ? 1 : 0 };
+    await collection._enqueueDataModification({ op: 'REMOVE', id: docToRemove._id }, 'REMOVE');
+    collection._stats.removes++;
+    return { deletedCount: 1 };
 }
 
-async function deleteMany(filter) {
-    const docsToRemove = await this.find(filter);
-    const idsToRemove = docsToRemove.map(d => d._id);
-    if (idsToRemove.length === 0) {
+async function deleteManyInTask(collection, filter) {
+    const docsToRemove = await collection.find(filter);
+    if (docsToRemove.length === 0) {
         return { deletedCount: 0 };
     }
-
-    // Используем removeMany из ops.js, который итерирует и удаляет по одному
-    const deletedCount = await this.removeMany(doc => idsToRemove.includes(doc._id));
+    const deletedCount = await collection._enqueueDataModification(
+        { op: 'BATCH_REMOVE', ids: docsToRemove.map(d => d._id), ts: new Date().toISOString() },
+        'BATCH_REMOVE',
+        (_prev, count) => count
+    );
+    collection._stats.removes += deletedCount;
     return { deletedCount };
 }
 
+/**
+ * Обновляет первый документ, подходящий под фильтр. Поиск и запись выполняются одной задачей очереди записи.
+ * @param {object|function} filter
+ * @param {object} updateQuery - Операторы обновления (см. update-operators.js) или объект полей.
+ * @param {{arrayFilters?: Array<object>, upsert?: boolean, durability?: string}} [options]
+ *   arrayFilters: фильтры для позиционных сегментов `$[<id>]`;
+ *   upsert: если документ не найден, вставить новый (поля-равенства фильтра + обновление с `$setOnInsert`);
+ *   durability: уровень надежности записи для этого вызова ('fsync', 'batched', 'os-buffered', 'none').
+ * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedId?: string}>}
+ */
+async function updateOne(filter, updateQuery, options = {}) {
+    validateUpdate(updateQuery, options.arrayFilters);
+    return this._enqueue(() => updateOneInTask(this, filter, updateQuery, options), options);
+}
+
+/**
+ * Обновляет все документы, подходящие под фильтр. Поиск и запись выполняются одной задачей очереди записи,
+ * а изменения попадают в WAL одной записью BATCH_UPDATE.
+ * @param {object|function} filter
+ * @param {object} updateQuery
+ * @param {{arrayFilters?: Array<object>, upsert?: boolean, durability?: string}} [options] - Как в `updateOne`.
+ * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedId?: string}>}
+ */
+async function updateMany(filter, updateQuery, options = {}) {
+    validateUpdate(updateQuery, options.arrayFilters);
+    return this._enqueue(() => updateManyInTask(this, filter, updateQuery, options), options);
+}
+
+/**
+ * Заменяет первый документ, подходящий под фильтр, документом `replacement`
+ * (`_id` и `createdAt` сохраняются, остальные поля заменяются целиком).
+ * @param {object|function} filter
+ * @param {object} replacement - Документ без операторов обновления.
+ * @param {{upsert?: boolean, durability?: string}} [options]
+ *   upsert: если документ не найден, вставить замену (с `_id` из фильтра, если он задан равенством);
+ *   durability: как в `updateOne`.
+ * @returns {Promise<{matchedCount: number, modifiedCount: number, upsertedId?: string}>}
+ */
+async function replaceOne(filter, replacement, options = {}) {
+    validateReplacement(replacement);
+    return this._enqueue(() => replaceOneInTask(this, filter, replacement, options), options);
+}
+
+/**
+ * Обновляет первый документ, подходящий под фильтр, и возвращает его.
+ * Поиск и запись выполняются одной задачей очереди записи.
+ * @param {object|function} filter
+ * @param {object} updateQuery
+ * @param {{returnOriginal?: boolean, arrayFilters?: Array<object>, upsert?: boolean, sort?: object, projection?: object,
+ *   durability?: string}} [options]
+ *   returnOriginal: вернуть документ до обновления (по умолчанию — после; при вставке через upsert — null);
+ *   sort: какой документ выбрать, если под фильтр подходит несколько;
+ *   projection: проекция возвращаемого документа;
+ *   durability: как в `updateOne`.
+ * @returns {Promise<object|null>}
+ */
+async function findOneAndUpdate(filter, updateQuery, options = {}) {
+    const { returnOriginal = false, arrayFilters, sort, projection } = options;
+    validateUpdate(updateQuery, arrayFilters);
+    return this._enqueue(async () => {
+        const docToUpdate = findFirstForWrite(this, filter, sort);
+        if (!docToUpdate) {
+            if (options.upsert !== true) return null;
+            const inserted = await insertUpsertedDoc(this, buildUpsertDocument(filter, updateQuery, { arrayFilters }));
+            return returnOriginal ? null : applyProjection(inserted, projection);
+        }
+
+        const newDocData = applyUpdateOperators(docToUpdate, updateQuery, { filter, arrayFilters });
+        const updatedDoc = await writeUpdatedDoc(this, docToUpdate, newDocData);
+
+        return applyProjection(returnOriginal ? docToUpdate : (updatedDoc || docToUpdate), projection);
+    }, options);
+}
+
+/**
+ * Заменяет первый документ, подходящий под фильтр, и возвращает его.
+ * Поиск и запись выполняются одной задачей очереди записи.
+ * @param {object|function} filter
+ * @param {object} replacement - Документ без операторов обновления.
+ * @param {{returnOriginal?: boolean, upsert?: boolean, sort?: object, projection?: object, durability?: string}} [options] - Как в `findOneAndUpdate`.
+ * @returns {Promise<object|null>}
+ */
+async function findOneAndReplace(filter, replacement, options = {}) {
+    const { returnOriginal = false, sort, projection } = options;
+    validateReplacement(replacement);
+    return this._enqueue(async () => {
+        const docToReplace = findFirstForWrite(this, filter, sort);
+        if (!docToReplace) {
+            if (options.upsert !== true) return null;
+            const inserted = await insertUpsertedDoc(this, buildUpsertReplacement(filter, replacement));
+            return returnOriginal ? null : applyProjection(inserted, projection);
+        }
+
+        const replacedDoc = await writeReplacedDoc(this, docToReplace, replacement);
+        return applyProjection(returnOriginal ? docToReplace : (replacedDoc || docToReplace), projection);
+    }, options);
+}
+
+/**
+ * Удаляет первый документ, подходящий под фильтр, и возвращает его.
+ * Поиск и удаление выполняются одной задачей очереди записи.
+ * @param {object|function} filter
+ * @param {{sort?: object, projection?: object, durability?: string}} [options] - Как в `findOneAndUpdate`.
+ * @returns {Promise<object|null>} Удаленный документ или null, если ничего не найдено.
+ */
+async function findOneAndDelete(filter, options = {}) {
+    const { sort, projection } = options;
+    return this._enqueue(async () => {
+        const docToRemove = findFirstForWrite(this, filter, sort);
+        if (!docToRemove) return null;
+        await this._enqueueDataModification({ op: 'REMOVE', id: docToRemove._id }, 'REMOVE');
+        this._stats.removes++;
+        return applyProjection(docToRemove, projection);
+    }, options);
+}
+
+/**
+ * Удаляет первый документ, подходящий под фильтр.
+ * @param {object|function} filter
+ * @param {{durability?: string}} [options] - durability: как в `updateOne`.
+ * @returns {Promise<{deletedCount: number}>}
+ */
+async function deleteOne(filter, options = {}) {
+    return this._enqueue(() => deleteOneInTask(this, filter), options);
+}
+
+/**
+ * Удаляет все документы, подходящие под фильтр, одной записью BATCH_REMOVE.
+ * @param {object|function} filter
+ * @param {{durability?: string}} [options] - durability: как в `updateOne`.
+ * @returns {Promise<{deletedCount: number}>}
+ */
+async function deleteMany(filter, options = {}) {
+    return this._enqueue(() => deleteManyInTask(this, filter), options);
+}
+
 
 // --- СТАРЫЕ МЕТОДЫ ДЛЯ ОБРАТНОЙ СОВМЕСТИМОСТИ ---
 
@@ -335,14 +647,27 @@ module.exports = {
   count,
   find,
   findOne,
+  findCursor,
+  explain,
 
   // Расширенные (в стиле MongoDB)
   updateOne,
   updateMany,
+  replaceOne,
   findOneAndUpdate,
+  findOneAndReplace,
+  findOneAndDelete,
   deleteOne,
   deleteMany,
 
+  // Тела записывающих методов для вызова внутри задачи очереди (bulkWrite)
+  validateReplacement,
+  updateOneInTask,
+  updateManyInTask,
+  replaceOneInTask,
+  deleteOneInTask,
+  deleteManyInTask,
+
   // Старые методы для обратной совместимости
   findByIndexedValue,
   findOneByIndexedValue,
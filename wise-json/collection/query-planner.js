@@ -0,0 +1,474 @@
+// wise-json/collection/query-planner.js
+
+const { matchCondition, normalizeSortSpec, isDeepEqual } = require('./utils.js');
+const { isSameCollation, getCollator } = require('./collation.js');
+const { normalizeDateCondition } = require('./dates.js');
+
+/**
+ * Условные стоимости для сравнения планов: просмотр ключа индекса и перенос ID между
+ * множествами обходятся дешевле, чем загрузка документа и проверка его фильтром.
+ */
+const KEY_COST = 0.1;
+const ID_COST = 0.1;
+const DOC_COST = 1;
+
+/**
+ * Доля документов в диапазоне, когда распределение значений неизвестно:
+ * для диапазона с двумя границами и с одной.
+ */
+const CLOSED_RANGE_SELECTIVITY = 0.1;
+const OPEN_RANGE_SELECTIVITY = 0.3;
+
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * План выборки кандидатов.
+ * @typedef {object} QueryPlan
+ * @property {string} stage - 'IXSCAN', 'INTERSECTION', 'OR', 'COLLSCAN' или 'TEXT'.
+ * @property {string} [indexName] - Индекс, по которому идёт поиск (для IXSCAN и TEXT).
+ * @property {string} [lookup] - Способ поиска по индексу: 'eq', 'in', 'all', 'prefix', 'range', 'keyScan' или 'sort'.
+ * @property {number} estimatedKeys - Оценка числа просматриваемых ключей индекса.
+ * @property {number} estimatedDocs - Оценка числа документов, которые придётся проверить фильтром.
+ * @property {number} cost - Условная стоимость, по которой выбирается план.
+ * @property {QueryPlan[]} [inputs] - Планы-слагаемые для INTERSECTION и OR.
+ * @property {function(): (Set<string>|null)} execute - Возвращает ID кандидатов (null — все документы).
+ */
+
+/**
+ * Условие на точное совпадение, которое можно искать в индексе по ключу.
+ * @private
+ */
+function isExactCondition(condition) {
+    return typeof condition !== 'object';
+}
+
+/**
+ * Значения из `$in` или `$all`, которые можно искать в индексе по ключу:
+ * непустой список скаляров без null. Иначе null.
+ * @private
+ */
+function getIndexableList(list) {
+    if (!Array.isArray(list) || list.length === 0) return null;
+    return list.every(value => value !== null && value !== undefined && typeof value !== 'object') ? list : null;
+}
+
+/**
+ * Переводит условие на поле в диапазон для упорядоченного индекса: границы `$gt`/`$gte`/`$lt`/`$lte`
+ * (числа или строки одного типа) либо `$regex` с якорем `^` и буквальным префиксом, который
+ * заменяется диапазоном [префикс, префикс с увеличенным последним символом); шаблоны с `|` не планируются.
+ * Возвращает null, если условие так не выражается.
+ * @private
+ */
+function getOrderedIndexRange(condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return null;
+
+    const rangeOps = Object.keys(condition).filter(op => RANGE_OPERATORS.includes(op));
+    if (rangeOps.length > 0) {
+        const boundType = typeof condition[rangeOps[0]];
+        if ((boundType !== 'number' && boundType !== 'string')
+            || rangeOps.some(op => typeof condition[op] !== boundType)) {
+            return null;
+        }
+        const range = {};
+        rangeOps.forEach(op => { range[op] = condition[op]; });
+        return range;
+    }
+
+    if (condition.$regex === undefined) return null;
+    const source = condition.$regex instanceof RegExp ? condition.$regex.source : condition.$regex;
+    const flags = (condition.$regex instanceof RegExp ? condition.$regex.flags : '') + (condition.$options || '');
+    if (typeof source !== 'string' || source.charAt(0) !== '^' || /[im]/.test(flags)) return null;
+    // Альтернатива (`^abc|xyz`) не ограничена префиксом первой ветки.
+    if (/(^|[^\\])(\\\\)*\|/.test(source)) return null;
+
+    let prefix = '';
+    for (let i = 1; i < source.length; i++) {
+        const ch = source.charAt(i);
+        if ('\\^$.|?*+()[]{}'.includes(ch)) {
+            // Квантификатор делает предыдущий символ необязательным.
+            if ('?*{'.includes(ch)) prefix = prefix.slice(0, -1);
+            break;
+        }
+        prefix += ch;
+    }
+    if (prefix.length === 0) return null;
+    const upper = prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+    return { $gte: prefix, $lt: upper };
+}
+
+/**
+ * Индекс применим, только если его collation совпадает с collation запроса: ключи индекса
+ * группируют строки по его правилам сравнения.
+ * Частичный индекс (partialFilterExpression) содержит не все документы, поэтому применим, только
+ * если фильтр запроса повторяет каждое условие его фильтра (например, `{ deleted: false }`).
+ * @private
+ */
+function isIndexApplicable(index, query, collation) {
+    if (!isSameCollation(index.collation || null, collation)) return false;
+    if (!index.partialFilter) return true;
+    return Object.keys(index.partialFilter).every(key => Object.prototype.hasOwnProperty.call(query, key)
+        && isDeepEqual(query[key], index.partialFilter[key]));
+}
+
+/**
+ * Оценка числа документов в диапазоне по числу документов в коллекции.
+ * @private
+ */
+function estimateRange(range, total) {
+    const hasLower = range.$gt !== undefined || range.$gte !== undefined;
+    const hasUpper = range.$lt !== undefined || range.$lte !== undefined;
+    const selectivity = hasLower && hasUpper ? CLOSED_RANGE_SELECTIVITY : OPEN_RANGE_SELECTIVITY;
+    return Math.ceil(total * selectivity);
+}
+
+/** @private */
+function makeIndexPlan(props, estimatedKeys, estimatedDocs, execute) {
+    return {
+        stage: 'IXSCAN',
+        ...props,
+        estimatedKeys,
+        estimatedDocs,
+        cost: estimatedKeys * KEY_COST + estimatedDocs * DOC_COST,
+        execute,
+    };
+}
+
+/**
+ * Стоимость получения множества ID по плану без проверки документов —
+ * так планы участвуют в пересечении и объединении.
+ * @private
+ */
+function idSetCost(plan) {
+    return plan.estimatedKeys * KEY_COST + plan.estimatedDocs * ID_COST;
+}
+
+/**
+ * План поиска по индексу одного поля для условия на это поле или null.
+ * @private
+ */
+function planFieldCondition(collection, fieldName, condition, query, collation) {
+    const indexManager = collection._indexManager;
+    const index = indexManager.indexes.get(fieldName);
+    if (!index || index.type === 'text' || index.fields || !isIndexApplicable(index, query, collation)) return null;
+
+    // Ключи индекса по полю-дате — время в ms, поэтому условие приводится к тем же числам;
+    // `$regex` проверяет исходные строки и по такому индексу не ищется.
+    if (index.dateFields.length > 0) {
+        if (condition !== null && typeof condition === 'object' && condition.$regex !== undefined) return null;
+        condition = normalizeDateCondition(condition);
+    }
+
+    // Разреженный индекс не хранит документы без поля, а именно их находят
+    // { field: undefined } и границы диапазона, равные null.
+    const needsMissing = condition === undefined || (condition !== null && typeof condition === 'object'
+        && RANGE_OPERATORS.some(op => condition[op] === null));
+    if (index.sparse && needsMissing) return null;
+
+    const total = collection.documents.size;
+    const base = { indexName: fieldName, fields: [fieldName] };
+    const lookup = value => (index.type === 'unique'
+        ? [indexManager.findOneIdByIndex(fieldName, value)].filter(Boolean)
+        : indexManager.findIdsByIndex(fieldName, value));
+
+    if (isExactCondition(condition)) {
+        return makeIndexPlan({ ...base, lookup: 'eq', value: condition }, 1,
+            indexManager.countByKey(fieldName, condition), () => new Set(lookup(condition)));
+    }
+    if (condition === null) return null;
+
+    // $in — объединение, $all — пересечение выборок по каждому значению (для multikey-индекса
+    // ключами служат элементы массивов, поэтому { tags: { $all: ['a', 'b'] } } тоже ищется по ключам).
+    const allValues = getIndexableList(condition.$all);
+    if (allValues) {
+        const estimate = Math.min(...allValues.map(value => indexManager.countByKey(fieldName, value)));
+        return makeIndexPlan({ ...base, lookup: 'all', values: allValues }, allValues.length, estimate, () => {
+            const [first, ...rest] = allValues;
+            const restIds = rest.map(value => new Set(lookup(value)));
+            const ids = new Set();
+            lookup(first).forEach(id => {
+                if (restIds.every(set => set.has(id))) ids.add(id);
+            });
+            return ids;
+        });
+    }
+    const inValues = getIndexableList(condition.$in);
+    if (inValues) {
+        const estimate = inValues.reduce((sum, value) => sum + indexManager.countByKey(fieldName, value), 0);
+        return makeIndexPlan({ ...base, lookup: 'in', values: inValues }, inValues.length, Math.min(estimate, total), () => {
+            const ids = new Set();
+            inValues.forEach(value => lookup(value).forEach(id => ids.add(id)));
+            return ids;
+        });
+    }
+
+    // Префикс `$regex` сравнивается по кодам символов, поэтому в индексе с collation диапазоном не выражается.
+    const orderedRange = index.sorted && !(index.collation && condition.$regex !== undefined)
+        ? getOrderedIndexRange(condition)
+        : null;
+    if (orderedRange) {
+        const estimate = estimateRange(orderedRange, total);
+        return makeIndexPlan({ ...base, lookup: 'range', range: orderedRange }, estimate, estimate,
+            () => indexManager.findIdsInRange(fieldName, orderedRange));
+    }
+
+    // Диапазон по неупорядоченному индексу: перебор всех его ключей. Ключ проверяется только
+    // операторами сравнения: ключи многоключевого индекса — отдельные элементы массивов, к которым
+    // не применимы $size/$elemMatch и т.п., а полный фильтр все равно проверяется на документах.
+    if (Object.keys(condition).some(op => RANGE_OPERATORS.includes(op))) {
+        const keyCondition = {};
+        Object.keys(condition)
+            .filter(op => op === '$eq' || RANGE_OPERATORS.includes(op))
+            .forEach(op => { keyCondition[op] = condition[op]; });
+        const collator = getCollator(collation);
+        const isDateField = index.dateFields.includes(fieldName);
+        return makeIndexPlan({ ...base, lookup: 'keyScan' }, index.data.size, estimateRange(condition, total), () => {
+            const ids = new Set();
+            for (const [indexedValue, idsOrId] of index.data.entries()) {
+                if (matchCondition([indexedValue], keyCondition, collator, isDateField)) {
+                    if (index.type === 'unique') ids.add(idsOrId);
+                    else idsOrId.forEach(id => ids.add(id));
+                }
+            }
+            return ids;
+        });
+    }
+    return null;
+}
+
+/**
+ * Планы по составным индексам, для первых полей (префикса) которых в фильтре заданы точные значения.
+ * Число документов под префиксом из p полей индекса из n полей с K различными ключами
+ * оценивается как total / K^(p/n).
+ * @private
+ */
+function planCompoundIndexes(collection, query, collation) {
+    const indexManager = collection._indexManager;
+    const total = collection.documents.size;
+    const plans = [];
+    for (const index of indexManager.indexes.values()) {
+        if (!index.fields || !isIndexApplicable(index, query, collation)) continue;
+        const values = [];
+        for (const field of index.fields) {
+            if (!Object.prototype.hasOwnProperty.call(query, field)) break;
+            const condition = index.dateFields.includes(field) ? normalizeDateCondition(query[field]) : query[field];
+            if (!isExactCondition(condition)) break;
+            values.push(condition);
+        }
+        // Уникальный составной индекс не содержит документов без значения какого-либо из полей,
+        // поэтому по префиксу он не покрывает все подходящие документы.
+        if (values.length === 0 || (index.type === 'unique' && values.length < index.fields.length)) continue;
+
+        const props = { indexName: index.fieldName, fields: index.fields.slice(0, values.length), lookup: 'prefix', values };
+        const execute = () => indexManager.findIdsByCompoundPrefix(index.fieldName, values);
+        if (values.length === index.fields.length) {
+            plans.push(makeIndexPlan(props, 1, indexManager.countByKey(index.fieldName, values), execute));
+        } else {
+            const keys = index.data.size;
+            const share = keys === 0 ? 0 : 1 / Math.pow(keys, values.length / index.fields.length);
+            const estimate = Math.ceil(total * share);
+            // Упорядоченный индекс находит префикс диапазоном, обычный перебирает все свои ключи.
+            const scannedKeys = index.sorted ? Math.ceil(Math.log2(keys + 1) + keys * share) : keys;
+            plans.push(makeIndexPlan(props, scannedKeys, estimate, execute));
+        }
+    }
+    return plans;
+}
+
+/**
+ * План для `$or`: объединение выборок лучших планов каждой ветви.
+ * Возможен, только если каждая ветвь ищется по индексу.
+ * @private
+ */
+function planOr(collection, branches, collation) {
+    const total = collection.documents.size;
+    const inputs = [];
+    for (const branch of branches) {
+        const branchPlans = withIntersection(collectIndexPlans(collection, branch, collation), total);
+        if (branchPlans.length === 0) return null;
+        inputs.push(cheapest(branchPlans));
+    }
+    const estimate = Math.min(total, inputs.reduce((sum, plan) => sum + plan.estimatedDocs, 0));
+    return {
+        stage: 'OR',
+        inputs,
+        estimatedKeys: inputs.reduce((sum, plan) => sum + plan.estimatedKeys, 0),
+        estimatedDocs: estimate,
+        cost: inputs.reduce((sum, plan) => sum + idSetCost(plan), 0) + estimate * DOC_COST,
+        execute: () => {
+            const ids = new Set();
+            inputs.forEach(plan => plan.execute().forEach(id => ids.add(id)));
+            return ids;
+        },
+    };
+}
+
+/**
+ * Все планы по индексам для фильтра: условия на отдельные поля, составные индексы,
+ * подфильтры `$and` и `$or`. Каждый план выбирает надмножество подходящих документов.
+ * @private
+ */
+function collectIndexPlans(collection, query, collation) {
+    const plans = [];
+    for (const fieldName of Object.keys(query)) {
+        if (fieldName.charAt(0) === '$') continue;
+        const plan = planFieldCondition(collection, fieldName, query[fieldName], query, collation);
+        if (plan) plans.push(plan);
+    }
+    plans.push(...planCompoundIndexes(collection, query, collation));
+    if (Array.isArray(query.$and)) {
+        query.$and.forEach(subFilter => plans.push(...collectIndexPlans(collection, subFilter, collation)));
+    }
+    if (Array.isArray(query.$or)) {
+        const orPlan = planOr(collection, query.$or, collation);
+        if (orPlan) plans.push(orPlan);
+    }
+    return plans;
+}
+
+/**
+ * Добавляет к планам пересечение двух самых дешёвых поисков по индексам разных полей.
+ * Оценка исходит из независимости условий: estimateA * estimateB / total.
+ * @private
+ */
+function withIntersection(plans, total) {
+    const scans = plans.filter(plan => plan.stage === 'IXSCAN').sort((a, b) => a.cost - b.cost);
+    if (scans.length < 2) return plans;
+    const first = scans[0];
+    const second = scans.find(plan => plan.fields.every(field => !first.fields.includes(field)));
+    if (!second) return plans;
+
+    const estimate = total === 0 ? 0 : Math.ceil(first.estimatedDocs * second.estimatedDocs / total);
+    return plans.concat({
+        stage: 'INTERSECTION',
+        inputs: [first, second],
+        estimatedKeys: first.estimatedKeys + second.estimatedKeys,
+        estimatedDocs: estimate,
+        cost: idSetCost(first) + idSetCost(second) + estimate * DOC_COST,
+        execute: () => {
+            const [small, large] = [first.execute(), second.execute()].sort((a, b) => a.size - b.size);
+            const ids = new Set();
+            small.forEach(id => {
+                if (large.has(id)) ids.add(id);
+            });
+            return ids;
+        },
+    });
+}
+
+/** @private */
+function cheapest(plans) {
+    return plans.reduce((best, plan) => (plan.cost < best.cost ? plan : best));
+}
+
+/**
+ * План обхода индекса в порядке сортировки, если индекс покрывает все документы и сортировка
+ * идёт либо по одному индексированному полю, либо по первым полям составного индекса
+ * в одном направлении. Иначе null.
+ * @private
+ */
+function planIndexSort(collection, sort, collation) {
+    const sortEntries = normalizeSortSpec(sort);
+    if (sortEntries.some(entry => entry[2] === 'textScore')) return null;
+    const direction = sortEntries[0][1];
+    if (sortEntries.some(entry => entry[1] !== direction)) return null;
+    const sortFields = sortEntries.map(entry => entry[0]);
+
+    const indexManager = collection._indexManager;
+    let index = sortFields.length === 1 ? indexManager.indexes.get(sortFields[0]) : null;
+    if (!index) {
+        index = Array.from(indexManager.indexes.values()).find(def => def.fields
+            && sortFields.length <= def.fields.length
+            && sortFields.every((field, i) => def.fields[i] === field)) || null;
+    }
+    // Multikey-индекс содержит документ под каждым элементом массива, так что порядок обхода
+    // не совпадает с порядком сортировки.
+    if (!index || index.multikey || index.type === 'text') return null;
+    // Порядок строк в индексе задаётся его collation.
+    if (!isSameCollation(index.collation || null, collation)) return null;
+    // Разреженный и частичный индексы покрывают не все документы.
+    if (index.sparse || index.partialFilter) return null;
+    // Уникальный индекс не хранит документов без значения поля, поэтому
+    // обход по нему возможен, только если значение есть у каждого документа.
+    if (index.type === 'unique' && index.data.size !== collection.documents.size) return null;
+
+    const total = collection.documents.size;
+    return {
+        stage: 'IXSCAN',
+        indexName: index.fieldName,
+        lookup: 'sort',
+        direction,
+        estimatedKeys: index.data.size,
+        estimatedDocs: total,
+        cost: index.data.size * KEY_COST + total * DOC_COST,
+        execute: () => null,
+        iterate: () => indexManager.iterateIdsInOrder(index.fieldName, direction),
+    };
+}
+
+/**
+ * Выбирает план выполнения фильтра: строит планы по всем применимым индексам (включая
+ * пересечение двух индексов и объединение выборок для `$or`), оценивает их по кардинальности
+ * индексов и берёт самый дешёвый. Если выгоднее полный просмотр, а запрос сортируется по
+ * индексированному полю, документы обходятся в порядке индекса (план с `lookup: 'sort'` и `iterate()`).
+ * @param {import('./core')} collection
+ * @param {object} query - Фильтр без `$text`.
+ * @param {object|null} [sort]
+ * @param {object|null} [collation] - Нормализованный collation запроса; используются только индексы с тем же collation.
+ * @returns {{winningPlan: QueryPlan, candidatePlans: QueryPlan[]}}
+ */
+function planQuery(collection, query, sort = null, collation = null) {
+    const total = collection.documents.size;
+    const collScan = { stage: 'COLLSCAN', estimatedKeys: 0, estimatedDocs: total, cost: total * DOC_COST, execute: () => null };
+    const candidatePlans = withIntersection(collectIndexPlans(collection, query, collation), total);
+    candidatePlans.push(collScan);
+
+    let winningPlan = cheapest(candidatePlans);
+    if (winningPlan === collScan && sort) {
+        const sortPlan = planIndexSort(collection, sort, collation);
+        if (sortPlan) {
+            candidatePlans.push(sortPlan);
+            winningPlan = sortPlan;
+        }
+    }
+    return { winningPlan, candidatePlans };
+}
+
+/**
+ * План для запроса с `$text`: кандидаты выбираются только текстовым индексом.
+ * @param {import('./core')} collection
+ * @param {Map<string, number>} textScores - Результат `searchText`.
+ * @returns {{winningPlan: QueryPlan, candidatePlans: QueryPlan[]}}
+ */
+function planTextQuery(collection, textScores) {
+    const textIndex = Array.from(collection._indexManager.indexes.values()).find(def => def.type === 'text');
+    const plan = {
+        stage: 'TEXT',
+        indexName: textIndex.fieldName,
+        estimatedKeys: 0,
+        estimatedDocs: textScores.size,
+        cost: textScores.size * DOC_COST,
+        execute: () => new Set(textScores.keys()),
+    };
+    return { winningPlan: plan, candidatePlans: [plan] };
+}
+
+/**
+ * Описание плана для explain(): без служебных функций, стоимость округлена.
+ * @param {QueryPlan} plan
+ * @returns {object}
+ */
+function describePlan(plan) {
+    const description = {};
+    for (const key of Object.keys(plan)) {
+        if (typeof plan[key] === 'function') continue;
+        description[key] = key === 'inputs' ? plan.inputs.map(describePlan) : plan[key];
+    }
+    description.cost = Math.round(plan.cost * 100) / 100;
+    return description;
+}
+
+module.exports = {
+    planQuery,
+    planTextQuery,
+    describePlan,
+};
@@ -1,5 +1,7 @@
 // wise-json/collection/queue.js
 
+const { normalizeDurability } = require('../wal-manager.js');
+
 /**
  * Создаёт очередь записи с поддержкой file-lock для коллекции.
  * Все операции выполняются последовательно с гарантией эксклюзивного блокирования.
@@ -8,15 +10,26 @@
 function createWriteQueue(collection) {
   collection._writeQueue = [];
   collection._writing = false;
+  // Ожидания fsync, зарегистрированные текущей задачей при групповой записи WAL (см. _writeWalEntry).
+  collection._durabilityWaits = null;
+  // Уровень надежности записи WAL, заданный вызовом текущей задачи (null — как у коллекции).
+  collection._writeDurability = null;
 
   /**
    * Добавляет операцию в очередь.
    * @param {Function} opFn - функция-операция, возвращающая Promise
+   * @param {{durability?: string}} [options] - durability: уровень надежности записей WAL этой операции.
    * @returns {Promise<any>}
    */
-  collection._enqueue = function (opFn) {
+  collection._enqueue = function (opFn, options) {
+    let durability;
+    try {
+      durability = normalizeDurability(options && options.durability, null);
+    } catch (err) {
+      return Promise.reject(err);
+    }
     return new Promise((resolve, reject) => {
-      collection._writeQueue.push({ opFn, resolve, reject });
+      collection._writeQueue.push({ opFn, durability, resolve, reject });
       collection._processQueue();
     });
   };
@@ -24,19 +37,32 @@ function createWriteQueue(collection) {
   /**
    * Обрабатывает операции по одной, последовательно,
    * с удержанием file-lock на время выполнения операции.
+   * Если операция зарегистрировала ожидания fsync, ее промис разрешается после них,
+   * но следующая операция очереди начинается сразу.
    */
   collection._processQueue = async function () {
     if (collection._writing || collection._writeQueue.length === 0) return;
 
     collection._writing = true;
     const task = collection._writeQueue.shift();
+    const durabilityWaits = [];
+    collection._durabilityWaits = durabilityWaits;
+    collection._writeDurability = task.durability;
     try {
       await collection._acquireLock();
       const result = await task.opFn();
-      task.resolve(result);
+      if (durabilityWaits.length > 0) {
+        Promise.all(durabilityWaits).then(() => task.resolve(result), task.reject);
+      } else {
+        task.resolve(result);
+      }
     } catch (err) {
+      // Ожидания уже зарегистрированных записей не должны давать необработанных отклонений.
+      Promise.all(durabilityWaits).catch(() => {});
       task.reject(err);
     } finally {
+      collection._durabilityWaits = null;
+      collection._writeDurability = null;
       await collection._releaseLockIfHeld();
       collection._writing = false;
       collection._processQueue();
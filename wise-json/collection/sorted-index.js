@@ -0,0 +1,166 @@
+// wise-json/collection/sorted-index.js
+
+const MAX_LEVEL = 32;
+const LEVEL_PROBABILITY = 0.25;
+
+/**
+ * Упорядоченное множество ключей на основе skip list.
+ * Вставка, удаление и поиск границы диапазона выполняются за O(log n), обход диапазона —
+ * за O(log n + k), где k — число ключей в диапазоне. Используется упорядоченными индексами.
+ *
+ * Каждый узел хранит ключ сортировки и множество "членов" — значений, равных по компаратору
+ * (например, ключи Map индекса, которые компаратор считает одинаковыми, или закодированный
+ * ключ составного индекса при сортировке по его раскодированным значениям).
+ */
+class SkipList {
+    /**
+     * @param {function(any, any): number} comparator - Функция сравнения ключей сортировки.
+     */
+    constructor(comparator) {
+        this._compare = comparator;
+        this.clear();
+    }
+
+    /**
+     * @returns {number} Количество различных ключей сортировки.
+     */
+    get size() {
+        return this._size;
+    }
+
+    /**
+     * Удаляет все ключи.
+     */
+    clear() {
+        this._head = { key: undefined, members: null, next: new Array(MAX_LEVEL).fill(null), prev: null };
+        this._tail = null;
+        this._level = 1;
+        this._size = 0;
+    }
+
+    /**
+     * Добавляет член с указанным ключом сортировки.
+     * @param {any} sortKey
+     * @param {any} [member=sortKey]
+     */
+    add(sortKey, member = sortKey) {
+        const update = this._findPredecessors(sortKey);
+        const candidate = update[0].next[0];
+        if (candidate && this._compare(candidate.key, sortKey) === 0) {
+            candidate.members.add(member);
+            return;
+        }
+
+        const level = this._randomLevel();
+        if (level > this._level) {
+            for (let i = this._level; i < level; i++) update[i] = this._head;
+            this._level = level;
+        }
+        const node = { key: sortKey, members: new Set([member]), next: new Array(level).fill(null), prev: update[0] };
+        for (let i = 0; i < level; i++) {
+            node.next[i] = update[i].next[i];
+            update[i].next[i] = node;
+        }
+        if (node.next[0]) node.next[0].prev = node;
+        else this._tail = node;
+        this._size++;
+    }
+
+    /**
+     * Удаляет член с указанным ключом сортировки. Узел удаляется, когда в нём не остаётся членов.
+     * @param {any} sortKey
+     * @param {any} [member=sortKey]
+     * @returns {boolean} true, если член был найден.
+     */
+    remove(sortKey, member = sortKey) {
+        const update = this._findPredecessors(sortKey);
+        const node = update[0].next[0];
+        if (!node || this._compare(node.key, sortKey) !== 0 || !node.members.delete(member)) {
+            return false;
+        }
+        if (node.members.size > 0) return true;
+
+        for (let i = 0; i < this._level; i++) {
+            if (update[i].next[i] !== node) break;
+            update[i].next[i] = node.next[i];
+        }
+        if (node.next[0]) node.next[0].prev = node.prev;
+        else this._tail = node.prev === this._head ? null : node.prev;
+        while (this._level > 1 && this._head.next[this._level - 1] === null) this._level--;
+        this._size--;
+        return true;
+    }
+
+    /**
+     * Обходит ключи в диапазоне. Границы задаются ключами `gt`/`gte` (нижняя) и `lt`/`lte` (верхняя);
+     * отсутствующий ключ означает отсутствие границы.
+     * @param {{gt?: any, gte?: any, lt?: any, lte?: any}} [bounds]
+     * @param {1|-1} [direction=1] - 1 по возрастанию, -1 по убыванию.
+     * @returns {Generator<[any, any]>} Пары [ключ сортировки, член].
+     */
+    *range(bounds = {}, direction = 1) {
+        const has = name => Object.prototype.hasOwnProperty.call(bounds, name);
+        const aboveLower = key => (has('gt') ? this._compare(key, bounds.gt) > 0
+            : (has('gte') ? this._compare(key, bounds.gte) >= 0 : true));
+        const belowUpper = key => (has('lt') ? this._compare(key, bounds.lt) < 0
+            : (has('lte') ? this._compare(key, bounds.lte) <= 0 : true));
+
+        if (direction === -1) {
+            let node;
+            if (has('lt')) node = this._lastBefore(bounds.lt, false);
+            else if (has('lte')) node = this._lastBefore(bounds.lte, true);
+            else node = this._tail;
+            for (; node && node !== this._head && aboveLower(node.key); node = node.prev) {
+                for (const member of Array.from(node.members)) yield [node.key, member];
+            }
+            return;
+        }
+
+        let node;
+        if (has('gt')) node = this._lastBefore(bounds.gt, true).next[0];
+        else if (has('gte')) node = this._lastBefore(bounds.gte, false).next[0];
+        else node = this._head.next[0];
+        for (; node && belowUpper(node.key); node = node.next[0]) {
+            for (const member of Array.from(node.members)) yield [node.key, member];
+        }
+    }
+
+    /**
+     * Последний узел с ключом < key (или <= key при inclusive); head, если такого нет.
+     * @private
+     */
+    _lastBefore(key, inclusive) {
+        let node = this._head;
+        for (let i = this._level - 1; i >= 0; i--) {
+            while (node.next[i]) {
+                const cmp = this._compare(node.next[i].key, key);
+                if (cmp < 0 || (inclusive && cmp === 0)) node = node.next[i];
+                else break;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Для каждого уровня — последний узел с ключом меньше key.
+     * @private
+     */
+    _findPredecessors(key) {
+        const update = new Array(MAX_LEVEL);
+        let node = this._head;
+        for (let i = this._level - 1; i >= 0; i--) {
+            while (node.next[i] && this._compare(node.next[i].key, key) < 0) node = node.next[i];
+            update[i] = node;
+        }
+        return update;
+    }
+
+    /** @private */
+    _randomLevel() {
+        let level = 1;
+        while (level < MAX_LEVEL && Math.random() < LEVEL_PROBABILITY) level++;
+        return level;
+    }
+}
+
+module.exports = SkipList;
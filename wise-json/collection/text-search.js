@@ -0,0 +1,164 @@
+// wise-json/collection/text-search.js
+
+const { WiseJSONError } = require('../errors.js');
+
+/**
+ * Языки текстового индекса. 'none' — только разбиение на слова и нижний регистр,
+ * без стоп-слов и стемминга.
+ */
+const TEXT_LANGUAGES = ['none', 'english', 'russian'];
+
+const STOPWORDS = {
+    english: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+        'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+        'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+        'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your',
+    ]),
+    russian: new Set([
+        'а', 'без', 'бы', 'был', 'была', 'были', 'было', 'быть', 'в', 'вам', 'вас', 'весь', 'во', 'вот', 'все',
+        'всего', 'вы', 'где', 'да', 'даже', 'для', 'до', 'его', 'ее', 'ей', 'если', 'есть', 'еще', 'же', 'за',
+        'и', 'из', 'или', 'им', 'их', 'к', 'как', 'когда', 'кто', 'ли', 'либо', 'мне', 'мы', 'на', 'над', 'нас',
+        'не', 'него', 'нее', 'нет', 'ни', 'но', 'ну', 'о', 'об', 'он', 'она', 'они', 'оно', 'от', 'по', 'под',
+        'при', 'с', 'со', 'так', 'также', 'такой', 'там', 'то', 'тоже', 'только', 'том', 'ты', 'у', 'уже',
+        'чем', 'что', 'чтобы', 'эта', 'эти', 'это', 'этот', 'я',
+    ]),
+};
+
+const ENGLISH_SUFFIXES = [
+    ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'], ['ousness', 'ous'],
+    ['ingly', ''], ['ement', ''], ['ments', ''], ['ment', ''], ['ness', ''], ['edly', ''], ['ies', 'y'],
+    ['ing', ''], ['ers', ''], ['ed', ''], ['ly', ''], ['er', ''], ['s', ''],
+];
+
+const RUSSIAN_ENDINGS = [
+    'иями', 'ями', 'ами', 'ими', 'ыми', 'его', 'ого', 'ему', 'ому', 'ией', 'иях', 'ием', 'ешь', 'ете', 'ите',
+    'ила', 'ыла', 'ена', 'или', 'ыли', 'ило', 'ыло', 'ено', 'ует', 'уют', 'ить', 'ыть', 'ишь', 'ать', 'ять',
+    'ее', 'ие', 'ые', 'ое', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом', 'их', 'ых', 'ую', 'юю', 'ая', 'яя',
+    'ою', 'ею', 'ев', 'ов', 'ье', 'еи', 'ии', 'ям', 'ам', 'ах', 'ях', 'ию', 'ью', 'ия', 'ья', 'ла', 'ли', 'ло',
+    'ет', 'ют', 'ит', 'ят', 'ть',
+    'а', 'е', 'и', 'й', 'о', 'у', 'ы', 'ь', 'ю', 'я',
+];
+
+const RUSSIAN_VOWELS = /[аеиоуыэюя]/;
+
+/**
+ * Облегчённый стеммер для английского: отрезает частые суффиксы словоизменения и словообразования.
+ * @private
+ */
+function stemEnglish(word) {
+    if (word.length <= 3) return word;
+    // boxes -> box, classes -> class; остальные -es обрабатываются как -s (phones -> phone)
+    if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    for (const [suffix, replacement] of ENGLISH_SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+            let stem = word.slice(0, word.length - suffix.length) + replacement;
+            // running -> runn -> run
+            if (/([^aeiouylsz])\1$/.test(stem)) stem = stem.slice(0, -1);
+            return stem;
+        }
+    }
+    return word;
+}
+
+/**
+ * Облегчённый стеммер для русского: отрезает возвратную частицу и одно окончание,
+ * если в оставшейся основе есть гласная.
+ * @private
+ */
+function stemRussian(word) {
+    let stem = word.replace(/(ся|сь)$/, '');
+    if (stem.length < 3) stem = word;
+    for (const ending of RUSSIAN_ENDINGS) {
+        if (stem.endsWith(ending)) {
+            const candidate = stem.slice(0, stem.length - ending.length);
+            if (candidate.length >= 2 && RUSSIAN_VOWELS.test(candidate)) return candidate;
+        }
+    }
+    return stem;
+}
+
+const STEMMERS = {
+    english: stemEnglish,
+    russian: stemRussian,
+};
+
+/**
+ * Приводит текст к виду, в котором выполняется поиск: нижний регистр, «ё» заменяется на «е».
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text).toLowerCase().replace(/ё/g, 'е');
+}
+
+/**
+ * Разбивает текст на термы: слова из букв и цифр в нижнем регистре, без стоп-слов,
+ * приведённые стеммером языка к основе.
+ * @param {string} text
+ * @param {string} [language='none'] - Один из TEXT_LANGUAGES.
+ * @returns {string[]}
+ */
+function tokenize(text, language = 'none') {
+    const stopwords = STOPWORDS[language];
+    const stem = STEMMERS[language];
+    const terms = [];
+    for (const word of normalizeText(text).split(/[^\p{L}\p{N}]+/u)) {
+        if (word.length === 0 || (stopwords && stopwords.has(word))) continue;
+        terms.push(stem ? stem(word) : word);
+    }
+    return terms;
+}
+
+/**
+ * Разбирает строку `$search`: слова через пробел (достаточно любого), фразы в кавычках
+ * (обязательны все) и исключения с префиксом '-'.
+ * @param {string} search
+ * @param {string} [language='none']
+ * @returns {{terms: string[], negated: string[], phrases: string[]}}
+ */
+function parseSearch(search, language = 'none') {
+    const phrases = [];
+    const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim().length > 0) phrases.push(phrase.trim());
+        return ' ';
+    });
+    const terms = [];
+    const negated = [];
+    for (const word of rest.split(/\s+/)) {
+        if (word.length > 1 && word.charAt(0) === '-') negated.push(...tokenize(word.slice(1), language));
+        else terms.push(...tokenize(word, language));
+    }
+    phrases.forEach(phrase => terms.push(...tokenize(phrase, language)));
+    return { terms, negated, phrases: phrases.map(normalizeText) };
+}
+
+/**
+ * Проверяет значение оператора `$text`.
+ * @param {any} textQuery
+ * @throws {WiseJSONError}
+ */
+function validateTextQuery(textQuery) {
+    if (textQuery === null || typeof textQuery !== 'object' || Array.isArray(textQuery)) {
+        throw new WiseJSONError('$text requires an object like { $search: "words" }.');
+    }
+    for (const key of Object.keys(textQuery)) {
+        if (key !== '$search' && key !== '$language') {
+            throw new WiseJSONError(`Unknown $text option '${key}'.`);
+        }
+    }
+    if (typeof textQuery.$search !== 'string') {
+        throw new WiseJSONError('$text.$search must be a string.');
+    }
+    if (textQuery.$language !== undefined && !TEXT_LANGUAGES.includes(textQuery.$language)) {
+        throw new WiseJSONError(`$text.$language must be one of ${TEXT_LANGUAGES.join(', ')}.`);
+    }
+}
+
+module.exports = {
+    TEXT_LANGUAGES,
+    normalizeText,
+    tokenize,
+    parseSearch,
+    validateTextQuery,
+};
@@ -60,6 +60,8 @@ class TransactionManager {
             try {
                 collectionInstance = await this.db.collection(colName);
                 await collectionInstance.initPromise; 
+                // Блок транзакции должен лечь в WAL после уже принятых групповой записью операций.
+                await collectionInstance.flushWal();
                 // opsInCollection теперь содержит операции, каждая из которых имеет свое поле 'ts'
                 await walManager.writeTransactionBlock(collectionInstance.walPath, this.txid, opsInCollection);
             } catch (err) {
@@ -0,0 +1,624 @@
+// wise-json/collection/update-operators.js
+
+const {
+    isPlainObject,
+    getValueByPath,
+    compareValues,
+    createSortComparator,
+    isDeepEqual,
+    matchFilter,
+    matchValue,
+    validateFilter,
+} = require('./utils.js');
+const { WiseJSONError } = require('../errors.js');
+
+/**
+ * Копирует документ вместе с вложенными объектами и массивами, чтобы операторы
+ * не меняли документ, который хранится в коллекции.
+ * @private
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const key of Object.keys(value)) copy[key] = cloneValue(value[key]);
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Позиционные сегменты пути: `$` — элемент, найденный фильтром запроса, `$[]` — все элементы,
+ * `$[<id>]` — элементы, подходящие под фильтр `<id>` из `arrayFilters`.
+ */
+const POSITIONAL_SEGMENT_RE = /^\$(?:\[([a-z][a-zA-Z0-9]*)?\])?$/;
+
+/**
+ * Разбивает путь в точечной нотации на сегменты и проверяет позиционные сегменты.
+ * @private
+ */
+function parsePath(op, path) {
+    const segments = path.split('.');
+    if (segments.some(segment => segment.length === 0)) {
+        throw new WiseJSONError(`${op}: invalid field path '${path}'.`);
+    }
+    segments.forEach((segment, i) => {
+        if (segment.charAt(0) !== '$') return;
+        if (i === 0 || !POSITIONAL_SEGMENT_RE.test(segment)) {
+            throw new WiseJSONError(`${op}: invalid positional element '${segment}' in '${path}'.`);
+        }
+    });
+    if (segments.filter(segment => segment === '$').length > 1) {
+        throw new WiseJSONError(`${op}: path '${path}' may contain only one positional operator '$'.`);
+    }
+    return segments;
+}
+
+/**
+ * Идентификаторы `$[<id>]` в пути.
+ * @private
+ */
+function arrayFilterIdentifiers(path) {
+    return path.split('.')
+        .map(segment => POSITIONAL_SEGMENT_RE.exec(segment))
+        .filter(match => match && match[1])
+        .map(match => match[1]);
+}
+
+/**
+ * Путь, который пересекается с уже обновляемым (совпадает с ним или вложен в него), или undefined.
+ * @private
+ */
+function findConflict(paths, path) {
+    return paths.find(other => other === path || other.startsWith(`${path}.`) || path.startsWith(`${other}.`));
+}
+
+/**
+ * Ключ сегмента пути в контейнере: для массива — индекс элемента.
+ * @private
+ */
+function containerKey(container, segment, path) {
+    if (!Array.isArray(container)) return segment;
+    if (!/^\d+$/.test(segment)) {
+        throw new WiseJSONError(`Cannot use the part '${segment}' of '${path}' to traverse an array.`);
+    }
+    return Number(segment);
+}
+
+/**
+ * Записывает значение в объект или в элемент массива; пропущенные элементы массива заполняются null.
+ * @private
+ */
+function setMember(container, key, value) {
+    if (Array.isArray(container)) {
+        while (container.length < key) container.push(null);
+    }
+    container[key] = value;
+}
+
+/**
+ * Находит объект (или массив), содержащий последнее поле пути.
+ * @private
+ * @param {object} doc
+ * @param {string} path
+ * @param {boolean} create - Создавать недостающие промежуточные объекты.
+ * @returns {{parent: object|Array, key: string|number}|null} null, если путь не существует и create = false.
+ * @throws {WiseJSONError} если на пути встречается скаляр.
+ */
+function resolveTarget(doc, path, create) {
+    const segments = path.split('.');
+    let current = doc;
+    for (let i = 0; i < segments.length - 1; i++) {
+        const key = containerKey(current, segments[i], path);
+        let next = current[key];
+        if (next === undefined || next === null) {
+            if (!create) return null;
+            next = {};
+            setMember(current, key, next);
+        } else if (typeof next !== 'object') {
+            throw new WiseJSONError(`Cannot create field '${segments[i + 1]}' in '${segments.slice(0, i + 1).join('.')}': it is not an object.`);
+        }
+        current = next;
+    }
+    return { parent: current, key: containerKey(current, segments[segments.length - 1], path) };
+}
+
+/** @private */
+function readPath(doc, path) {
+    const target = resolveTarget(doc, path, false);
+    return target ? target.parent[target.key] : undefined;
+}
+
+/** @private */
+function writePath(doc, path, value) {
+    const target = resolveTarget(doc, path, true);
+    setMember(target.parent, target.key, value);
+}
+
+/**
+ * Удаляет поле; элемент массива заменяется null, чтобы не сдвигать остальные элементы.
+ * @private
+ */
+function removePath(doc, path) {
+    const target = resolveTarget(doc, path, false);
+    if (!target || target.parent[target.key] === undefined) return;
+    if (Array.isArray(target.parent)) target.parent[target.key] = null;
+    else delete target.parent[target.key];
+}
+
+/**
+ * Текущее значение поля-массива для `$push`, `$addToSet`, `$pull` и `$pop`.
+ * @private
+ * @throws {WiseJSONError} если поле существует, но не является массивом.
+ */
+function readArray(op, doc, path) {
+    const current = readPath(doc, path);
+    if (current !== undefined && !Array.isArray(current)) {
+        throw new WiseJSONError(`${op}: field '${path}' is not an array.`);
+    }
+    return current;
+}
+
+/**
+ * Значение оператора вида `{ $each: [...], ...модификаторы }` или одиночное значение.
+ * @private
+ */
+function parseEach(op, value, modifiers) {
+    if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, '$each')) {
+        return { $each: [value] };
+    }
+    for (const key of Object.keys(value)) {
+        if (key !== '$each' && !modifiers.includes(key)) {
+            throw new WiseJSONError(`${op}: unknown modifier '${key}'.`);
+        }
+    }
+    if (!Array.isArray(value.$each)) {
+        throw new WiseJSONError(`${op}: $each requires an array.`);
+    }
+    return value;
+}
+
+/** @private */
+function assertInteger(op, name, value) {
+    if (!Number.isInteger(value)) {
+        throw new WiseJSONError(`${op}: ${name} requires an integer.`);
+    }
+}
+
+/** @private */
+function assertNumber(op, path, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new WiseJSONError(`${op}: value for '${path}' must be a number.`);
+    }
+}
+
+/** @private */
+function applyArithmetic(op, doc, path, value, combine, missing) {
+    assertNumber(op, path, value);
+    const current = readPath(doc, path);
+    if (current !== undefined && typeof current !== 'number') {
+        throw new WiseJSONError(`${op}: cannot apply to non-numeric field '${path}'.`);
+    }
+    writePath(doc, path, current === undefined ? missing : combine(current, value));
+}
+
+/**
+ * Компаратор для модификатора `$sort` в `$push`: 1/-1 — по значениям элементов,
+ * объект — по полям элементов-документов.
+ * @private
+ */
+function createPushComparator(spec) {
+    if (spec === 1 || spec === -1) return (a, b) => compareValues(a, b) * spec;
+    if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+        throw new WiseJSONError('$push: $sort requires 1, -1 or a sort specification object.');
+    }
+    let comparator;
+    try {
+        comparator = createSortComparator(spec);
+    } catch (e) {
+        throw new WiseJSONError(`$push: ${e.message}`);
+    }
+    return (a, b) => comparator(isPlainObject(a) ? a : {}, isPlainObject(b) ? b : {});
+}
+
+/**
+ * Подходит ли элемент массива под условие `$pull`: значение (включая массив) сравнивается на равенство,
+ * объект операторов проверяется как условие на элемент, обычный объект — как фильтр по элементу-документу.
+ * @private
+ */
+function matchesPullCondition(item, cond) {
+    if (isPlainObject(cond) && !Object.keys(cond).every(key => key.charAt(0) === '$')) {
+        return isPlainObject(item) && matchFilter(item, cond);
+    }
+    return matchValue(item, cond);
+}
+
+/**
+ * Операторы обновления: (документ, путь, аргумент, контекст) -> void. Документ изменяется на месте.
+ * @private
+ */
+const UPDATE_OPERATORS = {
+    $set(doc, path, value) {
+        writePath(doc, path, cloneValue(value));
+    },
+    $unset(doc, path) {
+        removePath(doc, path);
+    },
+    $inc(doc, path, value) {
+        applyArithmetic('$inc', doc, path, value, (current, by) => current + by, value);
+    },
+    $mul(doc, path, value) {
+        applyArithmetic('$mul', doc, path, value, (current, by) => current * by, 0);
+    },
+    $min(doc, path, value) {
+        const current = readPath(doc, path);
+        if (current === undefined || compareValues(value, current) < 0) writePath(doc, path, cloneValue(value));
+    },
+    $max(doc, path, value) {
+        const current = readPath(doc, path);
+        if (current === undefined || compareValues(value, current) > 0) writePath(doc, path, cloneValue(value));
+    },
+    $rename(doc, path, newPath) {
+        const current = readPath(doc, path);
+        if (current === undefined) return;
+        removePath(doc, path);
+        writePath(doc, newPath, current);
+    },
+    $push(doc, path, value) {
+        const { $each, $position, $sort, $slice } = parseEach('$push', value, ['$position', '$sort', '$slice']);
+        const items = (readArray('$push', doc, path) || []).slice();
+        const added = $each.map(cloneValue);
+        if ($position === undefined) {
+            items.push(...added);
+        } else {
+            assertInteger('$push', '$position', $position);
+            const at = $position < 0 ? Math.max(items.length + $position, 0) : Math.min($position, items.length);
+            items.splice(at, 0, ...added);
+        }
+        if ($sort !== undefined) items.sort(createPushComparator($sort));
+        let result = items;
+        if ($slice !== undefined) {
+            assertInteger('$push', '$slice', $slice);
+            result = $slice >= 0 ? items.slice(0, $slice) : items.slice($slice);
+        }
+        writePath(doc, path, result);
+    },
+    $addToSet(doc, path, value) {
+        const { $each } = parseEach('$addToSet', value, []);
+        const items = (readArray('$addToSet', doc, path) || []).slice();
+        for (const item of $each) {
+            if (!items.some(existing => isDeepEqual(existing, item))) items.push(cloneValue(item));
+        }
+        writePath(doc, path, items);
+    },
+    $pull(doc, path, cond) {
+        const items = readArray('$pull', doc, path);
+        if (items === undefined) return;
+        writePath(doc, path, items.filter(item => !matchesPullCondition(item, cond)));
+    },
+    $pop(doc, path, value) {
+        if (value !== 1 && value !== -1) {
+            throw new WiseJSONError(`$pop: value for '${path}' must be 1 (last element) or -1 (first element).`);
+        }
+        const items = readArray('$pop', doc, path);
+        if (items === undefined || items.length === 0) return;
+        writePath(doc, path, value === 1 ? items.slice(0, -1) : items.slice(1));
+    },
+    $setOnInsert(doc, path, value, context) {
+        if (context.isInsert) writePath(doc, path, cloneValue(value));
+    },
+    $currentDate(doc, path, value, context) {
+        const type = isPlainObject(value) ? value.$type : (value === true ? 'date' : undefined);
+        if (type === 'date') writePath(doc, path, new Date(context.now).toISOString());
+        else if (type === 'timestamp') writePath(doc, path, context.now);
+        else throw new WiseJSONError(`$currentDate: value for '${path}' must be true or { $type: 'date' | 'timestamp' }.`);
+    },
+};
+
+/**
+ * Обновление задано операторами (`{ $set: {...} }`), а не объектом полей.
+ * @param {object} update
+ * @returns {boolean}
+ */
+function isOperatorUpdate(update) {
+    return Object.keys(update).some(key => key.charAt(0) === '$');
+}
+
+/**
+ * Проверяет `arrayFilters` и возвращает фильтры по идентификаторам.
+ * Каждый фильтр относится к одному идентификатору: `{ 'item.qty': { $gt: 0 } }` или `{ x: { $gte: 10 } }`.
+ * @private
+ * @param {Array<object>} [arrayFilters]
+ * @returns {Map<string, object>}
+ */
+function normalizeArrayFilters(arrayFilters) {
+    const filters = new Map();
+    if (arrayFilters === undefined) return filters;
+    if (!Array.isArray(arrayFilters)) {
+        throw new WiseJSONError('arrayFilters must be an array of filter objects.');
+    }
+    for (const filter of arrayFilters) {
+        if (!isPlainObject(filter) || Object.keys(filter).length === 0) {
+            throw new WiseJSONError('arrayFilters: each filter must be a non-empty object.');
+        }
+        const identifiers = new Set(Object.keys(filter).map(key => key.split('.')[0]));
+        const [identifier] = identifiers;
+        if (identifiers.size !== 1 || !/^[a-z][a-zA-Z0-9]*$/.test(identifier)) {
+            throw new WiseJSONError(`arrayFilters: filter ${JSON.stringify(filter)} must refer to a single identifier that starts with a lowercase letter.`);
+        }
+        if (filters.has(identifier)) {
+            throw new WiseJSONError(`arrayFilters: duplicate filter for identifier '${identifier}'.`);
+        }
+        validateFilter(filter, true);
+        filters.set(identifier, filter);
+    }
+    return filters;
+}
+
+/**
+ * Проверяет обновление без обращения к документам, чтобы ошибка (неизвестный оператор,
+ * конфликт путей, изменение `_id`, фильтр для `$[<id>]`) обнаруживалась и когда под фильтр ничего не попало.
+ * @param {object} update - Объект операторов обновления или объект полей для частичного обновления.
+ * @param {Array<object>} [arrayFilters] - Фильтры для позиционных сегментов `$[<id>]`.
+ * @throws {WiseJSONError} если обновление задано неверно.
+ */
+function validateUpdate(update, arrayFilters) {
+    if (!isPlainObject(update) || Object.keys(update).length === 0) {
+        throw new WiseJSONError('Update must be a non-empty object of update operators or fields.');
+    }
+    const filters = normalizeArrayFilters(arrayFilters);
+    const keys = Object.keys(update);
+    if (!isOperatorUpdate(update)) {
+        if (filters.size > 0) throw new WiseJSONError('arrayFilters require an update with operators.');
+        return;
+    }
+    if (!keys.every(key => key.charAt(0) === '$')) {
+        throw new WiseJSONError('Update cannot mix update operators with plain fields.');
+    }
+
+    const paths = [];
+    const usedIdentifiers = new Set();
+    const addPath = (op, path) => {
+        parsePath(op, path);
+        if (path === '_id' || path.startsWith('_id.')) {
+            throw new WiseJSONError(`${op}: the '_id' field cannot be modified.`);
+        }
+        const conflict = findConflict(paths, path);
+        if (conflict !== undefined) {
+            throw new WiseJSONError(`Updating the path '${path}' would conflict with '${conflict}'.`);
+        }
+        for (const identifier of arrayFilterIdentifiers(path)) {
+            if (!filters.has(identifier)) {
+                throw new WiseJSONError(`No array filter found for identifier '${identifier}' in path '${path}'.`);
+            }
+            usedIdentifiers.add(identifier);
+        }
+        paths.push(path);
+    };
+
+    for (const op of keys) {
+        if (!Object.prototype.hasOwnProperty.call(UPDATE_OPERATORS, op)) {
+            throw new WiseJSONError(`Unknown update operator '${op}'. Supported operators: ${Object.keys(UPDATE_OPERATORS).join(', ')}.`);
+        }
+        const args = update[op];
+        if (!isPlainObject(args)) {
+            throw new WiseJSONError(`${op} requires an object like { field: value }.`);
+        }
+        for (const path of Object.keys(args)) {
+            addPath(op, path);
+            if (op === '$rename') {
+                if (typeof args[path] !== 'string' || args[path] === path) {
+                    throw new WiseJSONError(`$rename: new name for '${path}' must be a different field path.`);
+                }
+                addPath(op, args[path]);
+                if (path.includes('$') || args[path].includes('$')) {
+                    throw new WiseJSONError('$rename does not support positional operators.');
+                }
+            } else if (op === '$pull' && isPlainObject(args[path])) {
+                validateFilter({ [path]: args[path] }, true);
+            }
+        }
+    }
+    for (const identifier of filters.keys()) {
+        if (!usedIdentifiers.has(identifier)) {
+            throw new WiseJSONError(`arrayFilters: identifier '${identifier}' is not used in the update.`);
+        }
+    }
+}
+
+/**
+ * Фильтры запроса на массив по пути `arrayPath` (на сам массив или поля его элементов),
+ * в том числе внутри `$and`.
+ * @private
+ */
+function collectArrayConditions(filter, arrayPath, conditions = []) {
+    if (!isPlainObject(filter)) return conditions;
+    for (const key of Object.keys(filter)) {
+        if (key === '$and' && Array.isArray(filter.$and)) {
+            filter.$and.forEach(subFilter => collectArrayConditions(subFilter, arrayPath, conditions));
+        } else if (key === arrayPath || key.startsWith(`${arrayPath}.`)) {
+            conditions.push({ [key]: filter[key] });
+        }
+    }
+    return conditions;
+}
+
+/**
+ * Индекс элемента для позиционного `$`: первый элемент массива, который сам по себе удовлетворяет
+ * условиям фильтра запроса на этот массив. Ищется в документе до обновления.
+ * @private
+ * @returns {number} -1, если такого элемента нет.
+ */
+function findPositionalIndex(context, arrayPath) {
+    if (!context.positional.has(arrayPath)) {
+        const array = getValueByPath(context.original, arrayPath);
+        const conditions = collectArrayConditions(context.filter, arrayPath);
+        let index = -1;
+        if (Array.isArray(array) && conditions.length > 0) {
+            // Документ с единственным элементом на месте массива: { items: [elem] } для пути 'items'.
+            const wrap = elem => arrayPath.split('.').reduceRight((value, segment) => ({ [segment]: value }), [elem]);
+            index = array.findIndex(elem => conditions.every(condition => matchFilter(wrap(elem), condition)));
+        }
+        context.positional.set(arrayPath, index);
+    }
+    return context.positional.get(arrayPath);
+}
+
+/**
+ * Раскрывает позиционные сегменты пути в конкретные пути по текущему документу:
+ * 'items.$[line].qty' -> ['items.0.qty', 'items.2.qty'].
+ * @private
+ * @returns {string[]}
+ * @throws {WiseJSONError} если позиционный сегмент применяется не к массиву или `$` не нашёл элемент.
+ */
+function expandPositionalPath(doc, path, context) {
+    const segments = path.split('.');
+    if (!segments.some(segment => segment.charAt(0) === '$')) return [path];
+
+    let branches = [{ segments: [], value: doc }];
+    for (const segment of segments) {
+        const next = [];
+        for (const branch of branches) {
+            if (segment.charAt(0) !== '$') {
+                const { value } = branch;
+                const child = value !== null && typeof value === 'object' ? value[segment] : undefined;
+                next.push({ segments: branch.segments.concat(segment), value: child });
+                continue;
+            }
+            const arrayPath = branch.segments.join('.');
+            if (!Array.isArray(branch.value)) {
+                throw new WiseJSONError(`Cannot apply the positional operator '${segment}' in '${path}': '${arrayPath}' is not an array.`);
+            }
+            let matches;
+            if (segment === '$') {
+                const index = findPositionalIndex(context, arrayPath);
+                if (index === -1) {
+                    throw new WiseJSONError(`The positional operator '$' in '${path}' did not find a matching element of '${arrayPath}' in the query filter.`);
+                }
+                matches = (elem, i) => i === index;
+            } else if (segment === '$[]') {
+                matches = () => true;
+            } else {
+                const identifier = POSITIONAL_SEGMENT_RE.exec(segment)[1];
+                matches = elem => matchFilter({ [identifier]: elem }, context.arrayFilters.get(identifier));
+            }
+            branch.value.forEach((elem, i) => {
+                if (matches(elem, i)) next.push({ segments: branch.segments.concat(String(i)), value: elem });
+            });
+        }
+        branches = next;
+    }
+    return branches.map(branch => branch.segments.join('.'));
+}
+
+/**
+ * Применяет обновление к документу и возвращает новую версию документа (исходный не изменяется).
+ * Операторы: `$set`, `$unset`, `$inc`, `$mul`, `$min`, `$max`, `$rename`, `$push` (с модификаторами
+ * `$each`, `$position`, `$sort`, `$slice`), `$addToSet` (с `$each`), `$pull` (значение или условие),
+ * `$pop`, `$currentDate` и `$setOnInsert` (только при вставке через upsert). Поля задаются путями в точечной нотации ('address.city', 'items.0.qty')
+ * с позиционными сегментами: `items.$.qty` — элемент, найденный фильтром запроса
+ * (`{ 'items.sku': 'B' }`), `items.$[].qty` — все элементы, `items.$[line].qty` — элементы,
+ * подходящие под фильтр `line` из `arrayFilters` (`[{ 'line.qty': { $lt: 1 } }]`).
+ * Обновление без операторов (`{ status: 'done' }`) перезаписывает перечисленные поля верхнего уровня,
+ * как `update(id, data)`; `_id` и `createdAt` не меняются.
+ * @param {object} doc - Текущий документ.
+ * @param {object} update - Объект операторов обновления или объект полей для частичного обновления.
+ * @param {{filter?: object, arrayFilters?: Array<object>, isInsert?: boolean}} [options]
+ *   filter: фильтр запроса, которым найден документ (для позиционного `$`);
+ *   arrayFilters: фильтры для сегментов `$[<id>]`;
+ *   isInsert: документ создаётся через upsert (применяется `$setOnInsert`).
+ * @returns {object} Новая версия документа.
+ * @throws {WiseJSONError} при неверном обновлении или если оператор неприменим к значению поля.
+ */
+function applyUpdateOperators(doc, update, options = {}) {
+    validateUpdate(update, options.arrayFilters);
+    if (!isOperatorUpdate(update)) {
+        return { ...cloneValue(doc), ...cloneValue(update), _id: doc._id, createdAt: doc.createdAt };
+    }
+    const newDoc = cloneValue(doc);
+    const context = {
+        now: Date.now(),
+        original: doc,
+        filter: options.filter,
+        arrayFilters: normalizeArrayFilters(options.arrayFilters),
+        positional: new Map(),
+        isInsert: options.isInsert === true,
+    };
+    const updatedPaths = [];
+    for (const op of Object.keys(update)) {
+        const args = update[op];
+        for (const path of Object.keys(args)) {
+            for (const concretePath of expandPositionalPath(newDoc, path, context)) {
+                const conflict = findConflict(updatedPaths, concretePath);
+                if (conflict !== undefined) {
+                    throw new WiseJSONError(`Updating the path '${concretePath}' would conflict with '${conflict}'.`);
+                }
+                updatedPaths.push(concretePath);
+                UPDATE_OPERATORS[op](newDoc, concretePath, args[path], context);
+            }
+        }
+    }
+    return newDoc;
+}
+
+/**
+ * Переносит в документ поля из условий на равенство фильтра (`{ sku: 'A' }`, `{ 'dims.w': 2 }`,
+ * `{ n: { $eq: 1 } }`, в том числе внутри `$and`). Остальные условия не задают значения и пропускаются.
+ * @private
+ */
+function collectEqualityFields(filter, target) {
+    if (!isPlainObject(filter)) return target;
+    for (const key of Object.keys(filter)) {
+        const cond = filter[key];
+        if (key === '$and' && Array.isArray(cond)) {
+            cond.forEach(subFilter => collectEqualityFields(subFilter, target));
+        } else if (key.charAt(0) === '$' || cond instanceof RegExp) {
+            continue;
+        } else if (isPlainObject(cond) && Object.keys(cond).some(op => op.charAt(0) === '$')) {
+            if (Object.prototype.hasOwnProperty.call(cond, '$eq')) writePath(target, key, cloneValue(cond.$eq));
+        } else {
+            writePath(target, key, cloneValue(cond));
+        }
+    }
+    return target;
+}
+
+/**
+ * Строит документ для вставки через upsert: поля из условий на равенство фильтра,
+ * к которым применено обновление (вместе с `$setOnInsert`). `_id` берётся из фильтра, если задан.
+ * @param {object|function} filter - Фильтр запроса (у функции-фильтра полей нет).
+ * @param {object} update - Объект операторов обновления или объект полей.
+ * @param {{arrayFilters?: Array<object>}} [options]
+ * @returns {object} Документ без служебных полей `createdAt`/`updatedAt`.
+ * @throws {WiseJSONError} при неверном обновлении.
+ */
+function buildUpsertDocument(filter, update, options = {}) {
+    validateUpdate(update, options.arrayFilters);
+    const base = collectEqualityFields(filter, {});
+    if (!isOperatorUpdate(update)) {
+        return { ...base, ...cloneValue(update), ...(base._id !== undefined ? { _id: base._id } : {}) };
+    }
+    return applyUpdateOperators(base, update, { ...options, filter, isInsert: true });
+}
+
+/**
+ * Строит документ для вставки через upsert при замене (replaceOne): сама замена и `_id`
+ * из условия на равенство фильтра, если в замене его нет. Остальные поля фильтра не копируются.
+ * @param {object|function} filter
+ * @param {object} replacement
+ * @returns {object}
+ */
+function buildUpsertReplacement(filter, replacement) {
+    const doc = cloneValue(replacement);
+    const base = collectEqualityFields(filter, {});
+    if (doc._id === undefined && base._id !== undefined) doc._id = base._id;
+    return doc;
+}
+
+module.exports = {
+    isOperatorUpdate,
+    validateUpdate,
+    applyUpdateOperators,
+    buildUpsertDocument,
+    buildUpsertReplacement,
+};
@@ -3,6 +3,10 @@
  * Утилиты для работы с коллекциями WiseJSON (id, типы, сериализация и др.)
  */
 
+const { WiseJSONError } = require('../errors.js');
+const { validateTextQuery } = require('./text-search.js');
+const { toTimestamp, toDateKey } = require('./dates.js');
+
 /**
  * Генерирует уникальный id (короткий, простой).
  * @returns {string}
@@ -47,11 +51,30 @@ function validateOptions(opts = {}) {
     return Object.assign({
         maxSegmentSizeBytes: 2 * 1024 * 1024,
         checkpointIntervalMs: 60000,
-        ttlCleanupIntervalMs: 60000,
-        walSync: false
+        ttlCleanupIntervalMs: 60000
     }, opts || {});
 }
 
+/**
+ * Экранирует значение для CSV.
+ * @private
+ */
+function escapeCsvValue(v) {
+    return (typeof v === 'string' && (v.includes(',') || v.includes('"') || v.includes('\n')))
+        ? `"${String(v).replace(/"/g, '""')}"`
+        : v;
+}
+
+/**
+ * Формирует строку CSV для одного документа по заданному списку полей.
+ * @param {Object} doc
+ * @param {Array<string>} fields
+ * @returns {string}
+ */
+function docToCsvRow(doc, fields) {
+    return fields.map(f => escapeCsvValue(doc[f] ?? '')).join(',');
+}
+
 /**
  * Преобразует массив документов в CSV-строку.
  * @param {Array<Object>} docs
@@ -60,103 +83,782 @@ function validateOptions(opts = {}) {
 function flattenDocToCsv(docs) {
     if (!Array.isArray(docs) || docs.length === 0) return '';
     const fields = Array.from(new Set(docs.flatMap(doc => Object.keys(doc))));
-    const escape = v => (typeof v === 'string' && (v.includes(',') || v.includes('"') || v.includes('\n')))
-        ? `"${String(v).replace(/"/g, '""')}"`
-        : v;
     const csv = [
         fields.join(','),
-        ...docs.map(doc => fields.map(f => escape(doc[f] ?? '')).join(','))
+        ...docs.map(doc => docToCsvRow(doc, fields))
     ];
     return csv.join('\n');
 }
 
+/**
+ * Возвращает значение по пути в точечной нотации (например, 'address.city').
+ * Числовой сегмент пути обращается к элементу массива по индексу ('items.0.sku').
+ * Если на пути встречается массив, а следующий сегмент не является индексом,
+ * путь "раскрывается" по элементам массива и возвращается массив найденных значений
+ * ('items.sku' -> ['A1', 'B2']).
+ * @param {object} obj - Документ или вложенный объект.
+ * @param {string} path - Путь к полю.
+ * @returns {any} Найденное значение или undefined.
+ */
+function getValueByPath(obj, path) {
+    if (obj === null || typeof obj !== 'object') return undefined;
+    if (typeof path !== 'string' || path.indexOf('.') === -1) return obj[path];
+    return resolvePathSegments(obj, path.split('.'), 0).value;
+}
+
+/**
+ * Рекурсивно проходит по сегментам пути.
+ * @private
+ * @returns {{value: any, fanned: boolean}} fanned = true, если путь раскрывался по массиву.
+ */
+function resolvePathSegments(current, segments, i) {
+    if (i === segments.length) return { value: current, fanned: false };
+    if (current === null || typeof current !== 'object') return { value: undefined, fanned: false };
+
+    const segment = segments[i];
+    if (Array.isArray(current) && !/^\d+$/.test(segment)) {
+        const collected = [];
+        for (const item of current) {
+            const { value, fanned } = resolvePathSegments(item, segments, i);
+            if (value === undefined) continue;
+            if (fanned || Array.isArray(value)) collected.push(...value);
+            else collected.push(value);
+        }
+        return { value: collected.length > 0 ? collected : undefined, fanned: true };
+    }
+    return resolvePathSegments(current[segment], segments, i + 1);
+}
+
+/**
+ * Возвращает список значений-кандидатов для сравнения с условием фильтра.
+ * Для обычного пути это одно значение, для пути, проходящего через массив, —
+ * значения из всех элементов массива (условие выполняется, если подходит любой из них).
+ * @private
+ * @param {object} doc
+ * @param {string} path
+ * @returns {Array<any>}
+ */
+function getPathCandidates(doc, path) {
+    if (path.indexOf('.') === -1) return [doc[path]];
+    const { value, fanned } = resolvePathSegments(doc, path.split('.'), 0);
+    if (fanned) return value === undefined ? [undefined] : value;
+    return [value];
+}
+
+/**
+ * Ранг типа значения для сортировки значений разных типов
+ * (порядок как в MongoDB: отсутствующее/null < числа < строки < объекты < массивы < boolean < даты).
+ * Операторы диапазона ($gt, $lt, ...) сравнивают только значения одного ранга.
+ * @param {any} value
+ * @returns {number}
+ */
+function typeOrder(value) {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (Array.isArray(value)) return 4;
+    if (typeof value === 'boolean') return 5;
+    if (value instanceof Date) return 6;
+    return 3;
+}
+
+/**
+ * Сравнивает два значения для сортировки.
+ * Значения разных типов упорядочиваются по типу, одного типа — по значению.
+ * @param {any} a
+ * @param {any} b
+ * @param {Intl.Collator} [collator] - Правила сравнения строк (см. collation.js); без него — по кодам символов.
+ * @returns {number} Отрицательное число, 0 или положительное число.
+ */
+function compareValues(a, b, collator) {
+    const typeA = typeOrder(a);
+    const typeB = typeOrder(b);
+    if (typeA !== typeB) return typeA - typeB;
+
+    switch (typeA) {
+        case 0:
+            return 0;
+        case 2:
+            if (collator) return collator.compare(a, b);
+            return a < b ? -1 : (a > b ? 1 : 0);
+        case 1:
+        case 5:
+            return a < b ? -1 : (a > b ? 1 : 0);
+        case 6:
+            return a.getTime() - b.getTime();
+        case 4: {
+            const len = Math.min(a.length, b.length);
+            for (let i = 0; i < len; i++) {
+                const cmp = compareValues(a[i], b[i], collator);
+                if (cmp !== 0) return cmp;
+            }
+            return a.length - b.length;
+        }
+        default: {
+            const strA = JSON.stringify(a);
+            const strB = JSON.stringify(b);
+            return strA < strB ? -1 : (strA > strB ? 1 : 0);
+        }
+    }
+}
+
+/**
+ * Значение `{ $meta: 'textScore' }` в сортировке или проекции — релевантность документа для `$text`.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTextScoreMeta(value) {
+    return isPlainObject(value) && Object.keys(value).length === 1 && value.$meta === 'textScore';
+}
+
+/**
+ * Приводит спецификацию сортировки `{ field: 1, other: -1 }` к массиву пар [путь, направление].
+ * Сортировка по `{ $meta: 'textScore' }` даёт тройку [поле, -1, 'textScore'] (по убыванию релевантности).
+ * @param {object} sortSpec
+ * @returns {Array<[string, number]|[string, number, string]>}
+ * @throws {WiseJSONError} если направление сортировки не равно 1 или -1.
+ */
+function normalizeSortSpec(sortSpec) {
+    if (!isPlainObject(sortSpec)) {
+        throw new WiseJSONError('sort: sort specification must be an object like { field: 1 | -1 }.');
+    }
+    return Object.keys(sortSpec).map(field => {
+        const direction = sortSpec[field];
+        if (isTextScoreMeta(direction)) {
+            return [field, -1, 'textScore'];
+        }
+        if (direction !== 1 && direction !== -1) {
+            throw new WiseJSONError(`sort: direction for field '${field}' must be 1 or -1.`);
+        }
+        return [field, direction];
+    });
+}
+
+/**
+ * Создаёт функцию-компаратор документов по спецификации сортировки (поддерживает несколько ключей
+ * и пути в точечной нотации).
+ * @param {object} sortSpec - Например, `{ createdAt: -1, name: 1 }`.
+ * @param {function(object): number} [getTextScore] - Релевантность документа для ключей `{ $meta: 'textScore' }`.
+ * @param {Intl.Collator} [collator] - Правила сравнения строк.
+ * @param {string[]} [dateFields] - Поля-даты: ISO-строки, числа и Date в них упорядочиваются по времени.
+ * @returns {function(object, object): number}
+ * @throws {Error} если сортировка по релевантности запрошена без `getTextScore`.
+ */
+function createSortComparator(sortSpec, getTextScore, collator, dateFields) {
+    const entries = normalizeSortSpec(sortSpec);
+    if (!getTextScore && entries.some(entry => entry[2] === 'textScore')) {
+        throw new WiseJSONError("sort: { $meta: 'textScore' } requires a $text query.");
+    }
+    const isDateField = field => Boolean(dateFields) && dateFields.includes(field);
+    return (docA, docB) => {
+        for (const [field, direction, meta] of entries) {
+            let cmp;
+            if (meta) {
+                cmp = getTextScore(docA) - getTextScore(docB);
+            } else if (isDateField(field)) {
+                cmp = compareValues(toDateKey(getValueByPath(docA, field)), toDateKey(getValueByPath(docB, field)), collator);
+            } else {
+                cmp = compareValues(getValueByPath(docA, field), getValueByPath(docB, field), collator);
+            }
+            if (cmp !== 0) return cmp * direction;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Глубокое сравнение значений на равенство (массивы — поэлементно, объекты — по набору ключей,
+ * даты — по времени).
+ * @param {any} a
+ * @param {any} b
+ * @param {Intl.Collator} [collator] - Правила сравнения строк (например, без учёта регистра).
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b, collator) {
+    if (a === b) return true;
+    if (collator && typeof a === 'string' && typeof b === 'string') return collator.compare(a, b) === 0;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+        return a.every((item, i) => isDeepEqual(item, b[i], collator));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keysA = Object.keys(a);
+        if (keysA.length !== Object.keys(b).length) return false;
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key], collator));
+    }
+    return false;
+}
+
+/** Операторы верхнего уровня фильтра: применяются к документу, а не к полю. */
+const TOP_LEVEL_OPERATORS = ['$and', '$or', '$nor', '$expr', '$text'];
+
+/** Операторы условия на поле. */
+const CONDITION_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options',
+    '$elemMatch', '$all', '$size', '$not', '$type', '$mod',
+];
+
+/**
+ * Проверки для `$type`. Все числа в JS — double, поэтому 'double' и 'number' совпадают.
+ * @private
+ */
+const TYPE_CHECKS = {
+    double: value => typeof value === 'number',
+    number: value => typeof value === 'number',
+    int: value => Number.isInteger(value),
+    string: value => typeof value === 'string',
+    bool: value => typeof value === 'boolean',
+    boolean: value => typeof value === 'boolean',
+    object: value => isPlainObject(value),
+    array: value => Array.isArray(value),
+    null: value => value === null,
+    date: value => value instanceof Date,
+};
+
+/**
+ * Является ли условие объектом операторов (`{ $gt: 5, $lt: 10 }`), а не значением
+ * для сравнения на равенство (`{ city: 'Berlin' }`).
+ * @private
+ */
+function isOperatorObject(cond) {
+    if (!isPlainObject(cond)) return false;
+    const keys = Object.keys(cond);
+    return keys.length > 0 && keys.every(key => key.charAt(0) === '$');
+}
+
+/**
+ * Добавляет к кандидатам элементы массивов: условие на поле-массив выполняется,
+ * если ему удовлетворяет сам массив или любой его элемент (как в MongoDB).
+ * @private
+ */
+function expandArrayCandidates(candidates) {
+    const expanded = [];
+    for (const value of candidates) {
+        expanded.push(value);
+        if (Array.isArray(value)) expanded.push(...value);
+    }
+    return expanded;
+}
+
+/**
+ * Скомпилированные `$regex` по объекту условия.
+ * @private
+ */
+const regexCache = new WeakMap();
+
+/**
+ * Проверяет условие для одного поля.
+ * @private
+ * @param {Array<any>} candidates - Значения поля (см. getPathCandidates).
+ * @param {any} cond - Значение для равенства или объект операторов.
+ * @param {Intl.Collator} [collator] - Правила сравнения строк для равенства и диапазонов.
+ * @param {boolean} [isDateField=false] - Поле объявлено датой (см. опцию коллекции `dateFields`).
+ * @returns {boolean}
+ */
+function matchCondition(candidates, cond, collator, isDateField = false) {
+    const expanded = expandArrayCandidates(candidates);
+    // Даты сравниваются по времени: значение-Date совпадает с ISO-строкой или числом ms того же момента,
+    // а в полях-датах так же сравниваются строки и числа между собой. Прочие значения — как обычно.
+    const timestamps = (value, other) => {
+        if (!isDateField && !(value instanceof Date) && !(other instanceof Date)) return null;
+        const a = toTimestamp(value);
+        const b = a === null ? null : toTimestamp(other);
+        return b === null ? null : [a, b];
+    };
+    const equals = target => expanded.some(value => {
+        const times = timestamps(value, target);
+        return times ? times[0] === times[1] : isDeepEqual(value, target, collator);
+    });
+
+    if (!isOperatorObject(cond)) {
+        return equals(cond);
+    }
+
+    // Сравнения по диапазону применяются к скалярам и к элементам массивов, но не к массиву целиком.
+    const scalars = expanded.filter(value => !Array.isArray(value));
+    // Значения разных типов диапазону не удовлетворяют: { $lt: 5 } не находит ни '3', ни null.
+    const inRange = (bound, test) => scalars.some(value => {
+        const times = timestamps(value, bound);
+        if (times) return test(times[0] - times[1]);
+        return typeOrder(value) === typeOrder(bound) && test(compareValues(value, bound, collator));
+    });
+
+    for (const op of Object.keys(cond)) {
+        const opVal = cond[op];
+        let match = true;
+        switch (op) {
+            case '$eq':   match = equals(opVal); break;
+            case '$gt':   match = inRange(opVal, cmp => cmp > 0); break;
+            case '$gte':  match = inRange(opVal, cmp => cmp >= 0); break;
+            case '$lt':   match = inRange(opVal, cmp => cmp < 0); break;
+            case '$lte':  match = inRange(opVal, cmp => cmp <= 0); break;
+            case '$ne':   match = !equals(opVal); break;
+            case '$in':   match = Array.isArray(opVal) && opVal.some(equals); break;
+            case '$nin':  match = Array.isArray(opVal) && !opVal.some(equals); break;
+            case '$exists': match = candidates.some(value => value !== undefined) === opVal; break;
+            case '$regex': {
+                // Выражение компилируется один раз на объект условия, а не для каждого документа.
+                let cached = regexCache.get(cond);
+                if (!cached || cached.pattern !== opVal || cached.options !== cond.$options) {
+                    let compiled;
+                    try {
+                        compiled = new RegExp(opVal, cond.$options || '');
+                    } catch (e) {
+                        compiled = null;
+                    }
+                    cached = { pattern: opVal, options: cond.$options, re: compiled };
+                    regexCache.set(cond, cached);
+                }
+                const re = cached.re;
+                if (!re) {
+                    match = false;
+                    break;
+                }
+                match = scalars.some(value => {
+                    re.lastIndex = 0;
+                    return typeof value === 'string' && re.test(value);
+                });
+                break;
+            }
+            case '$options':
+                break;
+            case '$elemMatch': {
+                if (!isPlainObject(opVal)) {
+                    match = false;
+                    break;
+                }
+                // { $elemMatch: { $gte: 80, $lt: 85 } } — условие на сам элемент,
+                // { $elemMatch: { sku: 'A1', qty: { $gt: 1 } } } — фильтр по поддокументу.
+                const onElementValue = isElementCondition(opVal);
+                match = candidates.some(value => Array.isArray(value) && value.some(elem => (onElementValue
+                    ? matchCondition([elem], opVal, collator)
+                    : isPlainObject(elem) && matchFilter(elem, opVal, collator))));
+                break;
+            }
+            case '$all':
+                match = Array.isArray(opVal) && opVal.length > 0 && opVal.every(item => (
+                    isPlainObject(item) && Object.prototype.hasOwnProperty.call(item, '$elemMatch')
+                        ? matchCondition(candidates, item, collator, isDateField)
+                        : equals(item)));
+                break;
+            case '$size':
+                match = candidates.some(value => Array.isArray(value) && value.length === opVal);
+                break;
+            case '$not':
+                // Документы без поля тоже удовлетворяют $not (как в MongoDB).
+                if (opVal instanceof RegExp) {
+                    match = !scalars.some(value => typeof value === 'string' && opVal.test(value));
+                } else if (isOperatorObject(opVal)) {
+                    match = !matchCondition(candidates, opVal, collator, isDateField);
+                } else {
+                    throw new WiseJSONError('$not requires an operator object (e.g. { $not: { $gt: 5 } }) or a regular expression.');
+                }
+                break;
+            case '$type': {
+                const types = Array.isArray(opVal) ? opVal : [opVal];
+                const checks = types.map(type => {
+                    if (!Object.prototype.hasOwnProperty.call(TYPE_CHECKS, type)) {
+                        throw new WiseJSONError(`$type: unknown type '${type}'. Supported types: ${Object.keys(TYPE_CHECKS).join(', ')}.`);
+                    }
+                    return TYPE_CHECKS[type];
+                });
+                match = expanded.some(value => value !== undefined && checks.some(check => check(value)));
+                break;
+            }
+            case '$mod': {
+                if (!Array.isArray(opVal) || opVal.length !== 2 || typeof opVal[0] !== 'number'
+                    || typeof opVal[1] !== 'number' || opVal[0] === 0) {
+                    throw new WiseJSONError('$mod requires an array [divisor, remainder] with a non-zero numeric divisor.');
+                }
+                const [divisor, remainder] = opVal;
+                match = scalars.some(value => typeof value === 'number' && Math.trunc(value) % divisor === remainder);
+                break;
+            }
+            default:
+                throw new WiseJSONError(`Unknown query operator '${op}'.`);
+        }
+        if (!match) return false;
+    }
+    return true;
+}
+
+/**
+ * Условие `$elemMatch` применяется к самому элементу (`{ $gte: 80 }`), а не является
+ * фильтром по поддокументу (`{ sku: 'A1' }`, `{ $or: [...] }`).
+ * @private
+ */
+function isElementCondition(cond) {
+    return isOperatorObject(cond) && !Object.keys(cond).some(key => TOP_LEVEL_OPERATORS.includes(key));
+}
+
+/**
+ * Проверяет, что логический оператор получил непустой массив фильтров.
+ * @private
+ */
+function assertFilterArray(op, value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new WiseJSONError(`${op} requires a non-empty array of filters.`);
+    }
+}
+
 /**
  * Проверяет, соответствует ли документ декларативному фильтру (в стиле MongoDB).
+ * Ключи фильтра могут быть путями в точечной нотации ('address.city', 'items.sku').
+ * Условие на поле-массив выполняется, если ему удовлетворяет массив целиком или любой
+ * его элемент; для массивов также доступны `$elemMatch`, `$all` и `$size`.
+ * На верхнем уровне поддерживаются `$and`, `$or`, `$nor` и `$expr`; они комбинируются
+ * с условиями на поля через "И". `$text` обрабатывается в find по текстовому индексу.
  * @param {object} doc - Документ для проверки.
  * @param {object} filter - Объект фильтра.
+ * @param {Intl.Collator} [collator] - Правила сравнения строк (collation); без него строки сравниваются побайтово.
+ * @param {string[]} [dateFields] - Поля-даты: ISO-строки, числа (ms) и Date в них сравниваются по времени.
  * @returns {boolean}
+ * @throws {WiseJSONError} при неизвестном операторе или неверном аргументе оператора.
  */
-function matchFilter(doc, filter) {
+function matchFilter(doc, filter, collator, dateFields) {
     if (typeof filter !== 'object' || filter == null || doc === null || typeof doc !== 'object') {
         return false;
     }
 
-    if (Array.isArray(filter.$or)) {
-        return filter.$or.some(f => matchFilter(doc, f));
-    }
-    if (Array.isArray(filter.$and)) {
-        return filter.$and.every(f => matchFilter(doc, f));
+    for (const key of Object.keys(filter)) {
+        const cond = filter[key];
+        switch (key) {
+            case '$and':
+                assertFilterArray(key, cond);
+                if (!cond.every(f => matchFilter(doc, f, collator, dateFields))) return false;
+                break;
+            case '$or':
+                assertFilterArray(key, cond);
+                if (!cond.some(f => matchFilter(doc, f, collator, dateFields))) return false;
+                break;
+            case '$nor':
+                assertFilterArray(key, cond);
+                if (cond.some(f => matchFilter(doc, f, collator, dateFields))) return false;
+                break;
+            case '$expr':
+                if (!evaluateExpression(cond, doc)) return false;
+                break;
+            case '$text':
+                // $text выполняется по текстовому индексу в find и до matchFilter не доходит.
+                throw new WiseJSONError('$text is only supported at the top level of find/findOne/count queries and in the first $match stage.');
+            default:
+                if (key.charAt(0) === '$') {
+                    throw new WiseJSONError(`Unknown top-level query operator '${key}'.`);
+                }
+                if (!matchCondition(getPathCandidates(doc, key), cond, collator, Boolean(dateFields) && dateFields.includes(key))) {
+                    return false;
+                }
+        }
     }
+    return true;
+}
 
-    for (const key of Object.keys(filter)) {
-        if (key === '$or' || key === '$and') continue;
+/**
+ * Проверяет одно значение (например, элемент массива в `$pull`) по условию на поле:
+ * значению для равенства или объекту операторов.
+ * @param {any} value
+ * @param {any} cond
+ * @returns {boolean}
+ * @throws {WiseJSONError} при неизвестном операторе или неверном аргументе оператора.
+ */
+function matchValue(value, cond) {
+    return matchCondition([value], cond);
+}
 
+/**
+ * Проверяет структуру фильтра без обращения к документам, чтобы ошибка в запросе
+ * (например, опечатка в имени оператора) обнаруживалась и на пустой коллекции.
+ * @param {object} filter
+ * @param {boolean} [nested=false] - Фильтр вложен в `$and`/`$or`/`$nor`/`$elemMatch` (там `$text` запрещён).
+ * @throws {WiseJSONError} при неизвестном операторе или неверной структуре фильтра.
+ */
+function validateFilter(filter, nested = false) {
+    if (!isPlainObject(filter)) {
+        throw new WiseJSONError('Query filter must be an object.');
+    }
+    for (const key of Object.keys(filter)) {
         const cond = filter[key];
-        const value = doc[key];
-
-        if (typeof cond === 'object' && cond !== null && !Array.isArray(cond)) {
-            for (const op of Object.keys(cond)) {
-                const opVal = cond[op];
-                let match = true;
-                switch (op) {
-                    case '$gt':   if (!(value > opVal)) match = false; break;
-                    case '$gte':  if (!(value >= opVal)) match = false; break;
-                    case '$lt':   if (!(value < opVal)) match = false; break;
-                    case '$lte':  if (!(value <= opVal)) match = false; break;
-                    case '$ne':   if (value === opVal) match = false; break;
-                    
-                    // --- ИЗМЕНЕНИЕ ЗДЕСЬ ---
-                    case '$in': {
-                        if (!Array.isArray(opVal)) {
-                            match = false;
-                        } else if (Array.isArray(value)) {
-                            // Если поле в документе - массив, проверяем пересечение
-                            match = value.some(item => opVal.includes(item));
-                        } else {
-                            // Если поле в документе - простое значение
-                            match = opVal.includes(value);
-                        }
-                        break;
-                    }
-                    case '$nin': {
-                        if (!Array.isArray(opVal)) {
-                            match = false;
-                        } else if (Array.isArray(value)) {
-                            // Если поле в документе - массив, проверяем отсутствие пересечений
-                            match = !value.some(item => opVal.includes(item));
-                        } else {
-                            // Если поле в документе - простое значение
-                            match = !opVal.includes(value);
-                        }
-                        break;
-                    }
-                    // --- КОНЕЦ ИЗМЕНЕНИЯ ---
-
-                    case '$exists': if ((value !== undefined) !== opVal) match = false; break;
-                    case '$regex': {
-                        if (typeof value !== 'string') {
-                            match = false;
-                        } else {
-                            try {
-                                const re = new RegExp(opVal, cond.$options || '');
-                                if (!re.test(value)) match = false;
-                            } catch (e) {
-                                match = false;
-                            }
-                        }
-                        break;
-                    }
-                    default:
-                        match = false;
-                        break;
-                }
-                if (!match) return false;
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            assertFilterArray(key, cond);
+            cond.forEach(f => validateFilter(f, true));
+        } else if (key === '$expr') {
+            validateExpression(cond);
+        } else if (key === '$text') {
+            if (nested) {
+                throw new WiseJSONError('$text is only allowed at the top level of a query.');
             }
+            validateTextQuery(cond);
+        } else if (key.charAt(0) === '$') {
+            throw new WiseJSONError(`Unknown top-level query operator '${key}'.`);
         } else {
-            if (value !== cond) return false;
+            validateCondition(cond);
         }
     }
-    return true;
+}
+
+/**
+ * Проверяет условие на поле (см. validateFilter).
+ * @private
+ */
+function validateCondition(cond) {
+    if (!isOperatorObject(cond)) return;
+    for (const op of Object.keys(cond)) {
+        const opVal = cond[op];
+        if (!CONDITION_OPERATORS.includes(op)) {
+            throw new WiseJSONError(`Unknown query operator '${op}'.`);
+        }
+        if (op === '$not' && !(opVal instanceof RegExp)) {
+            if (!isOperatorObject(opVal)) {
+                throw new WiseJSONError('$not requires an operator object (e.g. { $not: { $gt: 5 } }) or a regular expression.');
+            }
+            validateCondition(opVal);
+        } else if (op === '$elemMatch' && isPlainObject(opVal)) {
+            if (isElementCondition(opVal)) validateCondition(opVal);
+            else validateFilter(opVal, true);
+        } else if (op === '$all' && Array.isArray(opVal)) {
+            opVal.filter(item => isPlainObject(item) && item.$elemMatch).forEach(validateCondition);
+        }
+    }
+}
+
+/**
+ * Копирует в `target` поле по пути `segments` из `source` (режим включения проекции).
+ * Для массивов поддокументов путь применяется к каждому элементу.
+ * @private
+ */
+function includePath(source, target, segments) {
+    const [head, ...rest] = segments;
+    if (!Object.prototype.hasOwnProperty.call(source, head)) return;
+    const value = source[head];
+
+    if (rest.length === 0) {
+        target[head] = value;
+    } else if (Array.isArray(value)) {
+        const prev = Array.isArray(target[head]) ? target[head] : [];
+        const projected = [];
+        for (const item of value) {
+            if (!isPlainObject(item)) continue;
+            const itemTarget = isPlainObject(prev[projected.length]) ? prev[projected.length] : {};
+            includePath(item, itemTarget, rest);
+            projected.push(itemTarget);
+        }
+        target[head] = projected;
+    } else if (isPlainObject(value)) {
+        const nestedTarget = isPlainObject(target[head]) ? target[head] : {};
+        includePath(value, nestedTarget, rest);
+        target[head] = nestedTarget;
+    }
+}
+
+/**
+ * Возвращает копию значения без поля по пути `segments` (режим исключения проекции).
+ * Исходный объект не изменяется.
+ * @private
+ */
+function omitPath(value, segments) {
+    if (Array.isArray(value)) {
+        return value.map(item => omitPath(item, segments));
+    }
+    if (!isPlainObject(value)) return value;
+
+    const [head, ...rest] = segments;
+    if (!Object.prototype.hasOwnProperty.call(value, head)) return value;
+
+    const copy = { ...value };
+    if (rest.length === 0) {
+        delete copy[head];
+    } else {
+        copy[head] = omitPath(value[head], rest);
+    }
+    return copy;
+}
+
+/**
+ * Применяет проекцию (`{ field: 1 }` — включение, `{ field: 0 }` — исключение) к документу.
+ * Поле со значением `{ $meta: 'textScore' }` получает релевантность документа для `$text`
+ * и не влияет на режим проекции. Исходный документ не изменяется.
+ * @param {object} doc
+ * @param {object} projection
+ * @param {number} [textScore] - Релевантность документа (только для запросов с `$text`).
+ * @returns {object}
+ */
+function applyProjection(doc, projection, textScore) {
+    if (!projection || Object.keys(projection).length === 0) {
+        return doc;
+    }
+
+    const metaFields = Object.keys(projection).filter(key => isTextScoreMeta(projection[key]));
+    if (metaFields.length > 0) {
+        if (typeof textScore !== 'number') {
+            throw new WiseJSONError("projection: { $meta: 'textScore' } requires a $text query.");
+        }
+        const rest = { ...projection };
+        metaFields.forEach(key => delete rest[key]);
+        const projected = applyProjection(doc, rest);
+        const out = projected === doc ? { ...doc } : projected;
+        metaFields.forEach(key => { out[key] = textScore; });
+        return out;
+    }
+
+    const hasInclusion = Object.values(projection).some(v => v === 1);
+    const hasExclusion = Object.values(projection).some(v => v === 0);
+
+    if (hasInclusion && hasExclusion && !projection.hasOwnProperty('_id')) {
+        throw new WiseJSONError('Projection cannot have a mix of inclusion and exclusion.');
+    }
+    
+    if (hasInclusion) {
+        const newDoc = {};
+        for (const key in projection) {
+            if (projection[key] === 1) {
+                includePath(doc, newDoc, key.split('.'));
+            }
+        }
+        if (projection._id !== 0) {
+            newDoc._id = doc._id;
+        }
+        return newDoc;
+    }
+
+    // Режим исключения
+    let newDoc = doc;
+    for (const key in projection) {
+        if (projection[key] === 0) {
+            newDoc = omitPath(newDoc, key.split('.'));
+        }
+    }
+    return newDoc === doc ? { ...doc } : newDoc;
+}
+
+/**
+ * Числовые аргументы выражения; null/undefined дают null (как в MongoDB).
+ * @private
+ */
+function numericArgs(op, args) {
+    if (args.some(v => v === null || v === undefined)) return null;
+    if (!args.every(v => typeof v === 'number')) {
+        throw new WiseJSONError(`${op}: arguments must be numbers.`);
+    }
+    return args;
+}
+
+const EXPRESSION_OPERATORS = {
+    $add: args => { const n = numericArgs('$add', args); return n && n.reduce((a, b) => a + b, 0); },
+    $subtract: ([a, b]) => { const n = numericArgs('$subtract', [a, b]); return n && n[0] - n[1]; },
+    $multiply: args => { const n = numericArgs('$multiply', args); return n && n.reduce((a, b) => a * b, 1); },
+    $divide: ([a, b]) => {
+        const n = numericArgs('$divide', [a, b]);
+        if (n && n[1] === 0) throw new WiseJSONError('$divide: division by zero.');
+        return n && n[0] / n[1];
+    },
+    $mod: ([a, b]) => { const n = numericArgs('$mod', [a, b]); return n && n[0] % n[1]; },
+    $abs: ([a]) => { const n = numericArgs('$abs', [a]); return n && Math.abs(n[0]); },
+    $concat: args => (args.some(v => v === null || v === undefined) ? null : args.map(String).join('')),
+    $toUpper: ([s]) => (s === null || s === undefined ? '' : String(s).toUpperCase()),
+    $toLower: ([s]) => (s === null || s === undefined ? '' : String(s).toLowerCase()),
+    $size: ([arr]) => {
+        if (!Array.isArray(arr)) throw new WiseJSONError('$size: argument must be an array.');
+        return arr.length;
+    },
+    $eq: ([a, b]) => compareValues(a, b) === 0,
+    $ne: ([a, b]) => compareValues(a, b) !== 0,
+    $gt: ([a, b]) => compareValues(a, b) > 0,
+    $gte: ([a, b]) => compareValues(a, b) >= 0,
+    $lt: ([a, b]) => compareValues(a, b) < 0,
+    $lte: ([a, b]) => compareValues(a, b) <= 0,
+    $and: args => args.every(Boolean),
+    $or: args => args.some(Boolean),
+    $not: ([a]) => !a,
+    $ifNull: ([a, b]) => (a === null || a === undefined ? b : a),
+};
+
+/**
+ * Вычисляет выражение агрегации над документом.
+ * - `'$field.path'` — значение поля документа (поддерживается точечная нотация);
+ * - `'$$ROOT'` — сам документ;
+ * - `{ $op: [args] }` — оператор (`$add`, `$concat`, `$eq`, `$cond`, `$ifNull`, ...);
+ * - `{ $literal: value }` — значение без интерпретации;
+ * - обычный объект или массив — вычисляется поэлементно;
+ * - остальные значения возвращаются как есть.
+ * @param {any} expr
+ * @param {object} doc
+ * @returns {any}
+ * @throws {WiseJSONError} при неизвестном операторе или неверных аргументах оператора.
+ */
+function evaluateExpression(expr, doc) {
+    if (typeof expr === 'string' && expr.charAt(0) === '$') {
+        if (expr === '$$ROOT') return doc;
+        return getValueByPath(doc, expr.slice(1));
+    }
+    if (Array.isArray(expr)) {
+        return expr.map(item => evaluateExpression(item, doc));
+    }
+    if (!isPlainObject(expr)) {
+        return expr;
+    }
+
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+        const op = keys[0];
+        const rawArgs = expr[op];
+        if (op === '$literal') return rawArgs;
+        if (op === '$cond') {
+            const [ifExpr, thenExpr, elseExpr] = Array.isArray(rawArgs)
+                ? rawArgs
+                : [rawArgs.if, rawArgs.then, rawArgs.else];
+            return evaluateExpression(ifExpr, doc)
+                ? evaluateExpression(thenExpr, doc)
+                : evaluateExpression(elseExpr, doc);
+        }
+        const handler = EXPRESSION_OPERATORS[op];
+        if (!handler) {
+            throw new WiseJSONError(`Unknown expression operator '${op}'.`);
+        }
+        const args = Array.isArray(rawArgs) ? rawArgs : [rawArgs];
+        return handler(args.map(arg => evaluateExpression(arg, doc)));
+    }
+
+    const result = {};
+    for (const key of keys) {
+        result[key] = evaluateExpression(expr[key], doc);
+    }
+    return result;
+}
+
+/**
+ * Проверяет операторы выражения без вычисления (см. evaluateExpression), чтобы опечатка
+ * в `$expr` обнаруживалась и на пустой коллекции.
+ * @private
+ * @param {any} expr
+ * @throws {WiseJSONError} при неизвестном операторе или неверной форме `$cond`.
+ */
+function validateExpression(expr) {
+    if (Array.isArray(expr)) {
+        expr.forEach(validateExpression);
+        return;
+    }
+    if (!isPlainObject(expr)) return;
+
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+        const op = keys[0];
+        const rawArgs = expr[op];
+        if (op === '$literal') return;
+        if (op === '$cond') {
+            if (!Array.isArray(rawArgs) && !isPlainObject(rawArgs)) {
+                throw new WiseJSONError('$cond requires an array [if, then, else] or an object { if, then, else }.');
+            }
+            validateExpression(Array.isArray(rawArgs) ? rawArgs : [rawArgs.if, rawArgs.then, rawArgs.else]);
+            return;
+        }
+        if (!EXPRESSION_OPERATORS[op]) {
+            throw new WiseJSONError(`Unknown expression operator '${op}'.`);
+        }
+        validateExpression(rawArgs);
+        return;
+    }
+    keys.forEach(key => validateExpression(expr[key]));
 }
 
 module.exports = {
@@ -166,5 +868,18 @@ module.exports = {
     makeAbsolutePath,
     validateOptions,
     flattenDocToCsv,
+    docToCsvRow,
+    getValueByPath,
+    typeOrder,
+    compareValues,
+    normalizeSortSpec,
+    createSortComparator,
+    isTextScoreMeta,
+    isDeepEqual,
+    matchCondition,
     matchFilter,
+    matchValue,
+    validateFilter,
+    applyProjection,
+    evaluateExpression,
 };
\ No newline at end of file
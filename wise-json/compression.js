@@ -0,0 +1,77 @@
+// wise-json/compression.js
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Поддерживаемые алгоритмы сжатия файлов (чекпоинтов и архивов WAL) и расширения их файлов.
+ */
+const COMPRESSION_EXTENSIONS = {
+    gzip: '.gz',
+    brotli: '.br',
+};
+
+const compressors = {
+    gzip: promisify(zlib.gzip),
+    brotli: promisify(zlib.brotliCompress),
+};
+
+const decompressors = {
+    gzip: promisify(zlib.gunzip),
+    brotli: promisify(zlib.brotliDecompress),
+};
+
+/**
+ * Проверяет значение опции `compression`.
+ * @param {string|boolean|undefined|null} value
+ * @returns {string|null} 'gzip', 'brotli' или null (без сжатия).
+ */
+function normalizeCompression(value) {
+    if (value === undefined || value === null || value === false || value === 'none') return null;
+    if (!Object.prototype.hasOwnProperty.call(COMPRESSION_EXTENSIONS, value)) {
+        throw new Error(`compression: must be one of ${Object.keys(COMPRESSION_EXTENSIONS).map(c => `'${c}'`).join(', ')} or false.`);
+    }
+    return value;
+}
+
+/**
+ * Определяет алгоритм сжатия по расширению файла.
+ * @param {string} fileName
+ * @returns {string|null} null — файл не сжат.
+ */
+function compressionFromFileName(fileName) {
+    for (const [compression, ext] of Object.entries(COMPRESSION_EXTENSIONS)) {
+        if (fileName.endsWith(ext)) return compression;
+    }
+    return null;
+}
+
+/**
+ * Сжимает данные.
+ * @param {string|Buffer} data - Строка сжимается в UTF-8.
+ * @param {string|null} compression
+ * @returns {Promise<Buffer|string>} Исходные данные, если `compression` не задан.
+ */
+async function compress(data, compression) {
+    if (!compression) return data;
+    return compressors[compression](typeof data === 'string' ? Buffer.from(data, 'utf8') : data);
+}
+
+/**
+ * Читает содержимое файла, распаковывая его по расширению (`.gz`, `.br`).
+ * @param {string} fileName
+ * @param {Buffer} content - Содержимое файла как есть.
+ * @returns {Promise<Buffer>}
+ */
+async function decompressByFileName(fileName, content) {
+    const compression = compressionFromFileName(fileName);
+    return compression ? decompressors[compression](content) : content;
+}
+
+module.exports = {
+    COMPRESSION_EXTENSIONS,
+    normalizeCompression,
+    compressionFromFileName,
+    compress,
+    decompressByFileName,
+};
@@ -23,11 +23,11 @@ class WiseJSONError extends Error {
  */
 class UniqueConstraintError extends WiseJSONError {
   /**
-   * @param {string} fieldName - Имя поля с уникальным индексом.
-   * @param {*} value - Значение, которое вызвало конфликт.
+   * @param {string} fieldName - Имя поля с уникальным индексом (для составного индекса — 'a,b').
+   * @param {*} value - Значение, которое вызвало конфликт (для составного индекса — массив значений полей).
    */
   constructor(fieldName, value) {
-    const valueStr = typeof value === 'string' ? `'${value}'` : value;
+    const valueStr = typeof value === 'string' ? `'${value}'` : (Array.isArray(value) ? JSON.stringify(value) : value);
     super(`Duplicate value ${valueStr} for unique index on field '${fieldName}'.`);
     this.fieldName = fieldName;
     this.value = value;
@@ -62,10 +62,28 @@ class ConfigurationError extends WiseJSONError {
   }
 }
 
+/**
+ * Ошибка bulkWrite: одна или несколько операций пакета не выполнены.
+ * Успешные операции при этом записаны; их итоги лежат в `result`.
+ */
+class BulkWriteError extends WiseJSONError {
+  /**
+   * @param {Array<{index: number, operation: string, error: Error}>} writeErrors - Ошибки по индексам операций.
+   * @param {object} result - Итог выполненных операций (как у успешного bulkWrite).
+   */
+  constructor(writeErrors, result) {
+    const indices = writeErrors.map(e => e.index).join(', ');
+    super(`bulkWrite: ${writeErrors.length} operation(s) failed at index ${indices}: ${writeErrors[0].error.message}`);
+    this.writeErrors = writeErrors;
+    this.result = result;
+  }
+}
+
 
 module.exports = {
   WiseJSONError,
   UniqueConstraintError,
   DocumentNotFoundError,
   ConfigurationError,
+  BulkWriteError,
 };
\ No newline at end of file
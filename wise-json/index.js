@@ -74,12 +74,14 @@ class WiseJSON {
     /**
      * Получает или создает экземпляр коллекции, но не дожидается ее полной инициализации.
      * @param {string} name - Имя коллекции.
+     * @param {object} [options] - Опции коллекции поверх опций базы (например, `collation`).
+     *   Учитываются только при первом создании экземпляра коллекции.
      * @returns {Promise<Collection>} Промис, который разрешается экземпляром коллекции.
      */
-    async collection(name) {
+    async collection(name, options = {}) {
         await this._ensureInitialized();
         if (!this.collections[name]) {
-            this.collections[name] = new Collection(name, this.dbRootPath, this.options);
+            this.collections[name] = new Collection(name, this.dbRootPath, { ...this.options, ...options }, this);
         }
         return this.collections[name];
     }
@@ -87,10 +89,11 @@ class WiseJSON {
     /**
      * Асинхронно получает или создает коллекцию и дожидается ее полной инициализации.
      * @param {string} name - Имя коллекции.
+     * @param {object} [options] - Опции коллекции поверх опций базы (см. collection()).
      * @returns {Promise<Collection>} Готовый к работе экземпляр коллекции.
      */
-    async getCollection(name) {
-        const collectionInstance = await this.collection(name);
+    async getCollection(name, options = {}) {
+        const collectionInstance = await this.collection(name, options);
         await collectionInstance.initPromise;
         return collectionInstance;
     }
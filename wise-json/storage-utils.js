@@ -38,22 +38,32 @@ async function ensureDirectoryExists(dirPath) {
 }
 
 /**
- * Безопасно записывает JSON в файл.
+ * Безопасно записывает содержимое в файл.
  * Пишет сначала во временный `.tmp` файл, затем переименовывает.
  * Это защищает от порчи данных при сбое.
- * @param {string} filePath - путь к финальному JSON-файлу
- * @param {any} data - данные для записи
- * @param {number|null} [jsonIndent=null] - отступ в JSON или null
+ * @param {string} filePath - путь к финальному файлу
+ * @param {string|Buffer} content - содержимое (строка пишется в UTF-8)
+ * @param {{sync?: boolean}} [options] - sync: fsync временного файла до переименования
+ *   (переименование станет надежным после syncDirectory для его папки).
  * @returns {Promise<void>}
  * @throws {Error} если запись или переименование не удались
  */
-async function writeJsonFileSafe(filePath, data, jsonIndent = null) {
+async function writeFileSafe(filePath, content, options = {}) {
     const tmpName = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}.tmp`;
     const tmpPath = `${filePath}.${tmpName}`;
 
     try {
-        const json = JSON.stringify(data, null, jsonIndent);
-        await fs.writeFile(tmpPath, json, 'utf-8');
+        if (options.sync) {
+            const handle = await fs.open(tmpPath, 'w');
+            try {
+                await handle.writeFile(content, typeof content === 'string' ? 'utf-8' : undefined);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+        } else {
+            await fs.writeFile(tmpPath, content, typeof content === 'string' ? 'utf-8' : undefined);
+        }
         try {
             await fs.rename(tmpPath, filePath);
         } catch (err) {
@@ -69,7 +79,7 @@ async function writeJsonFileSafe(filePath, data, jsonIndent = null) {
         }
     } catch (err) {
         // ASSUMPTION: Любая ошибка на любом этапе считается критичной, пробрасываем наружу.
-        logger.error(`[StorageUtils] Ошибка записи JSON в "${filePath}": ${err.message}`);
+        logger.error(`[StorageUtils] Ошибка записи в "${filePath}": ${err.message}`);
         if (await pathExists(tmpPath)) {
             try {
                 await fs.unlink(tmpPath);
@@ -81,6 +91,49 @@ async function writeJsonFileSafe(filePath, data, jsonIndent = null) {
     }
 }
 
+/**
+ * Синхронизирует директорию (fsync), чтобы созданные и переименованные в ней файлы пережили сбой питания.
+ * На платформах, где директорию нельзя открыть для fsync (Windows), ничего не делает.
+ * @param {string} dirPath
+ * @returns {Promise<void>}
+ * @throws {Error} при ошибке fsync
+ */
+async function syncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fs.open(dirPath, 'r');
+    } catch (err) {
+        if (['EISDIR', 'EPERM', 'EACCES'].includes(err.code)) return;
+        throw err;
+    }
+    try {
+        await handle.sync();
+    } catch (err) {
+        if (!['EINVAL', 'EPERM', 'EBADF'].includes(err.code)) throw err;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Безопасно записывает JSON в файл (через временный файл, см. writeFileSafe).
+ * @param {string} filePath - путь к финальному JSON-файлу
+ * @param {any} data - данные для записи
+ * @param {number|null} [jsonIndent=null] - отступ в JSON или null
+ * @returns {Promise<void>}
+ * @throws {Error} если сериализация, запись или переименование не удались
+ */
+async function writeJsonFileSafe(filePath, data, jsonIndent = null) {
+    let json;
+    try {
+        json = JSON.stringify(data, null, jsonIndent);
+    } catch (err) {
+        logger.error(`[StorageUtils] Ошибка записи JSON в "${filePath}": ${err.message}`);
+        throw err;
+    }
+    await writeFileSafe(filePath, json);
+}
+
 /**
  * Читает JSON-файл с диска и парсит его.
  * @param {string} filePath
@@ -148,6 +201,8 @@ async function deleteFileIfExists(filePath) {
 module.exports = {
     pathExists,
     ensureDirectoryExists,
+    writeFileSafe,
+    syncDirectory,
     writeJsonFileSafe,
     readJsonFile,
     copyFileSafe,
@@ -51,6 +51,9 @@ class SyncManager extends EventEmitter {
         this._timeoutId = null;
 
         this.lastKnownServerLSN = 0;
+        // Записи WAL не новее этой отметки уже отправлены на сервер. До первого push ею служит
+        // последний чекпоинт коллекции: WAL до него уже компактировался после прошлых отправок.
+        this._pushedUntil = collection._stats.lastCheckpointTimestamp;
         this.currentInterval = this.minSyncIntervalMs;
         this.lastActivityTime = Date.now();
     }
@@ -110,8 +113,7 @@ class SyncManager extends EventEmitter {
             // --- ИСПРАВЛЕННАЯ ЛОГИКА НАЧАЛЬНОЙ СИНХРОНИЗАЦИИ ---
 
             // Проверяем, есть ли у нас локальные изменения, которые нужно отправить ПЕРЕД начальной синхронизацией.
-            const walEntries = await readWal(this.collection.walPath, null, { recover: true, logger: this.logger });
-            const localWalEntries = walEntries.filter(entry => !entry._remote);
+            const localWalEntries = await this._readUnpushedWalEntries();
 
             // Если у нас нет локальных изменений и мы ни разу не синхронизировались,
             // то можно безопасно выполнить начальную полную синхронизацию (snapshot), которая перезатрет локальные данные.
@@ -204,9 +206,20 @@ class SyncManager extends EventEmitter {
         return true;
     }
 
+    /**
+     * Локальные записи WAL новее отметки `_pushedUntil`. WAL хранит записи до самого старого
+     * сохраненного чекпоинта, поэтому без отметки уже отправленные записи ушли бы на сервер повторно.
+     * @private
+     * @returns {Promise<object[]>}
+     */
+    async _readUnpushedWalEntries() {
+        await this.collection.flushWal();
+        const walEntries = await readWal(this.collection.walPath, this._pushedUntil, { recover: true, logger: this.logger });
+        return walEntries.filter(entry => !entry._remote);
+    }
+
     async _performPush() {
-        const allWalEntries = await readWal(this.collection.walPath, null, { recover: true, logger: this.logger });
-        const localWalEntries = allWalEntries.filter(entry => !entry._remote);
+        const localWalEntries = await this._readUnpushedWalEntries();
 
         if (localWalEntries.length === 0) {
             return false;
@@ -238,6 +251,8 @@ class SyncManager extends EventEmitter {
         
         if (allBatchesPushedSuccessfully) {
             await this.collection.compactWalAfterPush();
+            // Отправленные записи покрыты чекпоинтом, сохраненным после push.
+            this._pushedUntil = this.collection._stats.lastCheckpointTimestamp;
         }
         
         return true;
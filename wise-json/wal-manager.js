@@ -2,6 +2,9 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const { crc32Hex } = require('./checksum.js');
+const { COMPRESSION_EXTENSIONS, compress, decompressByFileName } = require('./compression.js');
+const { writeFileSafe } = require('./storage-utils.js');
 // const logger = require('./logger'); // --- УДАЛЕНО
 
 function getWalPath(collectionDirPath, collectionName) {
@@ -27,6 +30,77 @@ async function initializeWal(walPath, collectionDirPath, logger) {
     }
 }
 
+const WAL_RECORD_HEADER = /^(\d+):([0-9a-f]{8}):/;
+
+/**
+ * Кодирует запись WAL в строку `<длина в байтах>:<crc32>:<json>`.
+ * Длина и контрольная сумма считаются по JSON в UTF-8 и позволяют отличить
+ * недописанную или испорченную строку от целой.
+ * @param {object} entry
+ * @returns {string} Строка без перевода строки.
+ */
+function encodeWalRecord(entry) {
+    const json = JSON.stringify(entry);
+    return `${Buffer.byteLength(json, 'utf8')}:${crc32Hex(json)}:${json}`;
+}
+
+/**
+ * Разбирает строку WAL. Строки без заголовка, начинающиеся с `{`, читаются как записи
+ * старого формата (без контрольной суммы).
+ * @param {string} line
+ * @returns {{entry?: object, error?: string}} entry — запись, error — причина, по которой строка не принята.
+ */
+function decodeWalRecord(line) {
+    let json = line;
+    if (!line.startsWith('{')) {
+        const header = WAL_RECORD_HEADER.exec(line);
+        if (!header) return { error: 'missing record header' };
+        json = line.slice(header[0].length);
+        const length = Buffer.byteLength(json, 'utf8');
+        if (length !== Number(header[1])) {
+            return { error: `length mismatch (expected ${header[1]} bytes, got ${length})` };
+        }
+        if (crc32Hex(json) !== header[2]) {
+            return { error: 'checksum mismatch' };
+        }
+    }
+    let entry;
+    try {
+        entry = JSON.parse(json);
+    } catch (e) {
+        return { error: `invalid JSON: ${e.message}` };
+    }
+    if (typeof entry !== 'object' || entry === null) {
+        return { error: 'record is not an object' };
+    }
+    return { entry };
+}
+
+/**
+ * Дописывает испорченные записи WAL в файл карантина коллекции.
+ * @param {string} quarantinePath
+ * @param {string} walPath
+ * @param {Array<{lineNumber: number, raw: string, error: string, tornTail: boolean}>} records
+ * @param {object} log
+ */
+async function quarantineWalRecords(quarantinePath, walPath, records, log) {
+    const quarantinedAt = new Date().toISOString();
+    const text = records.map(record => JSON.stringify({
+        quarantinedAt,
+        source: 'wal',
+        walPath,
+        line: record.lineNumber,
+        tornTail: record.tornTail,
+        raw: record.raw,
+        error: { message: record.error },
+    })).join('\n') + '\n';
+    try {
+        await fs.appendFile(quarantinePath, text, 'utf8');
+    } catch (err) {
+        log.error(`[WAL] Не удалось записать испорченные записи WAL в карантин ${quarantinePath}: ${err.message}`);
+    }
+}
+
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -95,14 +169,170 @@ async function appendAndSyncWalRecord(walPath, text, logger, appendRetries = 5,
 }
 
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
-async function appendWalEntry(walPath, entry, logger) {
+// options.sync: false — дописать без fsync (данные остаются в буфере ОС).
+async function appendWalEntry(walPath, entry, logger, options = {}) {
     try {
-        await appendAndSyncWalRecord(walPath, JSON.stringify(entry), logger);
+        await appendAndSyncWalRecord(walPath, encodeWalRecord(entry), logger, undefined, options.sync === false ? 0 : undefined);
     } catch (err) {
         throw err;
     }
 }
 
+/**
+ * Уровни надежности записи WAL (опция `durability`):
+ * - 'fsync' — запись дописана в WAL и синхронизирована с диском до завершения операции;
+ * - 'batched' — запись уходит в пачку групповой записи, операция не ждет fsync;
+ * - 'os-buffered' — запись дописана в WAL без fsync (в буфер ОС);
+ * - 'none' — запись в WAL не ведется, изменения попадают на диск только с чекпоинтом.
+ */
+const DURABILITY_LEVELS = ['fsync', 'batched', 'os-buffered', 'none'];
+
+/**
+ * Проверяет значение опции `durability`.
+ * @param {string|undefined} value
+ * @param {string|null} [defaultValue='fsync'] - Значение, если `value` не задано.
+ * @returns {string|null}
+ */
+function normalizeDurability(value, defaultValue = 'fsync') {
+    if (value === undefined || value === null) return defaultValue;
+    if (!DURABILITY_LEVELS.includes(value)) {
+        throw new Error(`durability: must be one of ${DURABILITY_LEVELS.map(level => `'${level}'`).join(', ')}.`);
+    }
+    return value;
+}
+
+const GROUP_COMMIT_DEFAULTS = { maxDelayMs: 5, maxBatchSize: 256 };
+
+/**
+ * Нормализует опцию коллекции `walGroupCommit`.
+ * @param {boolean|{maxDelayMs?: number, maxBatchSize?: number}|undefined} value
+ * @returns {{maxDelayMs: number, maxBatchSize: number}|null} null — групповая запись выключена.
+ */
+function normalizeGroupCommitOptions(value) {
+    if (value === undefined || value === null || value === false) return null;
+    if (value === true) return { ...GROUP_COMMIT_DEFAULTS };
+    if (typeof value !== 'object') {
+        throw new Error('walGroupCommit: must be a boolean or an object { maxDelayMs, maxBatchSize }.');
+    }
+    const options = { ...GROUP_COMMIT_DEFAULTS, ...value };
+    if (typeof options.maxDelayMs !== 'number' || !(options.maxDelayMs >= 0)) {
+        throw new Error('walGroupCommit: maxDelayMs must be a non-negative number.');
+    }
+    if (!Number.isInteger(options.maxBatchSize) || options.maxBatchSize < 1) {
+        throw new Error('walGroupCommit: maxBatchSize must be a positive integer.');
+    }
+    return { maxDelayMs: options.maxDelayMs, maxBatchSize: options.maxBatchSize };
+}
+
+/**
+ * Групповая запись в WAL: записи, поступившие в течение `maxDelayMs` (но не больше `maxBatchSize`),
+ * дописываются в файл одним append и одним fsync. Промис `append` разрешается, только когда
+ * запись надежно на диске. Пачки пишутся строго по очереди, порядок записей сохраняется.
+ *
+ * Если пачку записать не удалось, файл обрезается до прежнего размера, а вместе с пачкой той же
+ * ошибкой отклоняются все записи, принятые после нее (ожидающие и уже отрезанные пачки): журнал
+ * не должен продолжаться записями, которые шли за потерянными. Записи, принятые после сбоя,
+ * пишутся как обычно.
+ *
+ * Хуки вызываются синхронно, до разрешения промисов `append`: `onDurable(tokens)` — после
+ * записи пачки, `onFailure(err, tokens)` — со всеми отклоненными записями в порядке поступления.
+ * `tokens` — значения, переданные вторым аргументом `append`.
+ *
+ * @param {string} walPath
+ * @param {{maxDelayMs: number, maxBatchSize: number}} options
+ * @param {object} [logger]
+ * @param {{onDurable?: function(Array<*>): void, onFailure?: function(Error, Array<*>): void}} [hooks]
+ * @returns {{append: function(object, *=): Promise<void>, flush: function(): Promise<void>}}
+ */
+function createGroupCommitter(walPath, options, logger, hooks = {}) {
+    const log = logger || require('./logger');
+    let pending = [];
+    let timer = null;
+    let writing = Promise.resolve();
+    // Записи, которые еще не на диске (отрезанные пачки и pending), в порядке поступления.
+    let unwritten = [];
+    // Меняется при каждом сбое: пачки, отрезанные до сбоя, уже отклонены и не пишутся.
+    let epoch = 0;
+    let lastFailure = null;
+
+    async function walSize() {
+        try {
+            return (await fs.stat(walPath)).size;
+        } catch (err) {
+            if (err.code === 'ENOENT') return 0;
+            throw err;
+        }
+    }
+
+    async function fail(err, sizeBefore) {
+        epoch++;
+        lastFailure = err;
+        const failed = unwritten;
+        unwritten = [];
+        pending = [];
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        log.error(`[WAL] КРИТИЧЕСКАЯ ОШИБКА групповой записи в ${walPath}: ${err.message}. Отклонено записей: ${failed.length}.`);
+        if (hooks.onFailure) hooks.onFailure(err, failed.map(item => item.token));
+        failed.forEach(item => item.reject(err));
+        if (sizeBefore !== null) {
+            // Часть пачки могла попасть в файл: после перезапуска она не должна воскреснуть.
+            await fs.truncate(walPath, sizeBefore).catch(truncateErr => {
+                log.error(`[WAL] Не удалось обрезать ${walPath} после ошибки записи: ${truncateErr.message}`);
+            });
+        }
+    }
+
+    function flush() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        const batch = pending;
+        const batchEpoch = epoch;
+        pending = [];
+        const result = writing.then(async () => {
+            if (batch.length === 0) return;
+            if (batchEpoch !== epoch) throw lastFailure;
+            let sizeBefore = null;
+            try {
+                sizeBefore = await walSize();
+                await appendAndSyncWalRecord(walPath, batch.map(item => item.line).join('\n'), log);
+            } catch (err) {
+                await fail(err, sizeBefore);
+                throw err;
+            }
+            unwritten.splice(0, batch.length);
+            if (hooks.onDurable) hooks.onDurable(batch.map(item => item.token));
+            batch.forEach(item => item.resolve());
+        });
+        writing = result.catch(() => {});
+        return result;
+    }
+
+    // Ошибку фоновой записи получают ожидающие `append`; здесь она уже залогирована.
+    function flushInBackground() {
+        flush().catch(() => {});
+    }
+
+    function append(entry, token) {
+        return new Promise((resolve, reject) => {
+            const item = { line: encodeWalRecord(entry), token, resolve, reject };
+            pending.push(item);
+            unwritten.push(item);
+            if (pending.length >= options.maxBatchSize) {
+                flushInBackground();
+            } else if (!timer) {
+                timer = setTimeout(flushInBackground, options.maxDelayMs);
+            }
+        });
+    }
+
+    return { append, flush };
+}
+
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
 async function writeTransactionBlock(walPath, txid, ops, logger) {
     const nowISO = new Date().toISOString();
@@ -120,7 +350,7 @@ async function writeTransactionBlock(walPath, txid, ops, logger) {
     }
     block.push({ txn: 'commit', id: txid, ts: new Date().toISOString() });
 
-    const fullTextBlock = block.map(e => JSON.stringify(e)).join('\n');
+    const fullTextBlock = block.map(encodeWalRecord).join('\n');
 
     try {
         await appendAndSyncWalRecord(walPath, fullTextBlock, logger);
@@ -130,6 +360,36 @@ async function writeTransactionBlock(walPath, txid, ops, logger) {
 }
 
 
+/**
+ * Обрезает недописанный хвост WAL и добавляет завершающий перевод строки,
+ * чтобы следующая запись не склеилась с оборванной строкой.
+ * @private
+ */
+async function repairWalTail(walPath, rawContent, records, tailStart, log) {
+    try {
+        if (tailStart < records.length) {
+            await fs.truncate(walPath, records[tailStart].offset);
+            log.warn(`[WAL] Недописанный хвост ${walPath} обрезан (записей: ${records.length - tailStart}).`);
+        } else if (rawContent.length > 0 && !rawContent.endsWith('\n')) {
+            await fs.appendFile(walPath, '\n', 'utf8');
+        }
+    } catch (err) {
+        log.error(`[WAL] Не удалось восстановить конец ${walPath}: ${err.message}`);
+    }
+}
+
+/**
+ * Читает WAL и возвращает записи для применения (включая операции завершенных транзакций).
+ * Каждая строка проверяется по длине и контрольной сумме (см. encodeWalRecord).
+ * @param {string} walPath
+ * @param {string|null} [sinceTimestamp] - Пропускать записи не новее этого момента.
+ * @param {{strict?: boolean, recover?: boolean, isInitialLoad?: boolean, logger?: object,
+ *   onError?: function(Error, string, number), quarantinePath?: string, repairTornTail?: boolean}} [options]
+ *   strict: бросать ошибку при поврежденной записи в середине журнала (недописанный хвост допускается);
+ *   quarantinePath: дописывать испорченные записи в этот файл;
+ *   repairTornTail: обрезать недописанный хвост в файле.
+ * @returns {Promise<Array<object>>}
+ */
 async function readWal(walPath, sinceTimestamp = null, options = {}) {
     // +++ ИЗМЕНЕНИЕ: Получаем логгер из опций или используем фоллбэк +++
     const log = options.logger || require('./logger');
@@ -137,13 +397,14 @@ async function readWal(walPath, sinceTimestamp = null, options = {}) {
     
     let rawContent;
     try {
-        rawContent = await fs.readFile(walPath, 'utf8');
+        // Архивы WAL могут быть сжаты (.gz / .br) — распаковываем по расширению.
+        rawContent = (await decompressByFileName(walPath, await fs.readFile(walPath))).toString('utf8');
     } catch (e) {
         if (e.code === 'ENOENT') return [];
         throw e;
     }
 
-    const lines = rawContent.trim().split('\n');
+    const lines = rawContent.split('\n');
     const recoveredEntries = [];
     const transactionStates = {};
 
@@ -161,45 +422,49 @@ async function readWal(walPath, sinceTimestamp = null, options = {}) {
         }
     }
 
+    // Сначала проверяем все строки: испорченные записи, после которых нет ни одной целой,
+    // считаются недописанным хвостом (обрыв записи при сбое), остальные — повреждением.
+    const MAX_LINE_LEN = 20 * 1024 * 1024;
+    const records = [];
+    let offset = 0;
     for (const [idx, line] of lines.entries()) {
-        const currentLineNumber = idx + 1;
+        const lineOffset = offset;
+        offset += Buffer.byteLength(line, 'utf8') + 1;
         if (!line.trim()) continue;
+        const decoded = line.length > MAX_LINE_LEN
+            ? { error: `line exceeds length limit (${line.length} > ${MAX_LINE_LEN})` }
+            : decodeWalRecord(line);
+        records.push({ lineNumber: idx + 1, offset: lineOffset, raw: line, ...decoded });
+    }
+    let tailStart = records.length;
+    while (tailStart > 0 && records[tailStart - 1].error) tailStart--;
 
-        const MAX_LINE_LEN = 20 * 1024 * 1024;
-        if (line.length > MAX_LINE_LEN) {
-            const msg = `[WAL] Строка ${currentLineNumber} в ${walPath} превышает лимит длины (${line.length} > ${MAX_LINE_LEN}), пропускается.`;
-            if (effectiveOptions.strict) {
-                log.error(msg + " (strict mode)");
-                throw new Error(msg);
-            }
-            log.warn(msg);
-            continue;
-        }
-
-        let entry;
-        try {
-            entry = JSON.parse(line);
-        } catch (e) {
-            const errorContext = `Ошибка парсинга JSON на строке ${currentLineNumber} в ${walPath}: ${e.message}.`;
-            const linePreview = line.substring(0, 150) + (line.length > 150 ? '...' : '');
+    const badRecords = [];
+    for (const [recordIdx, record] of records.entries()) {
+        const currentLineNumber = record.lineNumber;
+        if (record.error) {
+            record.tornTail = recordIdx >= tailStart;
+            badRecords.push(record);
+            const linePreview = record.raw.substring(0, 150) + (record.raw.length > 150 ? '...' : '');
 
             if (typeof effectiveOptions.onError === 'function') {
-                try { effectiveOptions.onError(e, line, currentLineNumber); }
+                try { effectiveOptions.onError(new Error(record.error), record.raw, currentLineNumber); }
                 catch (userCallbackError) { log.error(`[WAL] Ошибка в пользовательском onError callback: ${userCallbackError.message}`); }
             }
 
+            if (record.tornTail) {
+                log.warn(`[WAL] Недописанная запись в конце ${walPath} (строка ${currentLineNumber}): ${record.error}. Запись пропущена.`);
+                continue;
+            }
+            const errorContext = `[WAL] Поврежденная запись на строке ${currentLineNumber} в ${walPath}: ${record.error}.`;
             if (effectiveOptions.strict) {
                 log.error(errorContext + ` Содержимое (начало): "${linePreview}" (strict mode).`);
                 throw new Error(errorContext + ` (strict mode).`);
             }
-            log.warn(errorContext + ` Содержимое (начало): "${linePreview}" (строка пропущена).`);
-            continue;
-        }
-
-        if (typeof entry !== 'object' || entry === null) {
-            log.warn(`[WAL] Запись на строке ${currentLineNumber} в ${walPath} не является объектом. Пропущена.`);
+            log.error(errorContext + ` Содержимое (начало): "${linePreview}" (строка пропущена).`);
             continue;
         }
+        const entry = record.entry;
 
         if (entry.txn) {
             const txTimestampStr = entry.ts;
@@ -264,7 +529,14 @@ async function readWal(walPath, sinceTimestamp = null, options = {}) {
         }
     }
 
-    const logMsg = `[WAL] Завершено чтение ${walPath}. Обработано строк: ${lines.length}. Записей для применения: ${recoveredEntries.length}.` +
+    if (badRecords.length > 0 && effectiveOptions.quarantinePath) {
+        await quarantineWalRecords(effectiveOptions.quarantinePath, walPath, badRecords, log);
+    }
+    if (effectiveOptions.repairTornTail) {
+        await repairWalTail(walPath, rawContent, records, tailStart, log);
+    }
+
+    const logMsg = `[WAL] Завершено чтение ${walPath}. Обработано строк: ${records.length}. Записей для применения: ${recoveredEntries.length}.` +
                    (sinceTimestamp ? ` (Фильтр по времени: после ${sinceTimestamp})` : ``);
 
     if (effectiveOptions.isInitialLoad) {
@@ -275,7 +547,9 @@ async function readWal(walPath, sinceTimestamp = null, options = {}) {
 }
 
 // +++ ИЗМЕНЕНИЕ: Добавлен параметр `logger` +++
-async function compactWal(walPath, checkpointTimestamp = null, logger) {
+// options.archivePath: сохранить удаляемые записи в этот файл (к имени добавляется расширение сжатия);
+// options.compression: 'gzip' | 'brotli' | null — сжатие архива.
+async function compactWal(walPath, checkpointTimestamp = null, logger, options = {}) {
     const log = logger || require('./logger');
     if (!checkpointTimestamp) {
         return;
@@ -320,7 +594,28 @@ async function compactWal(walPath, checkpointTimestamp = null, logger) {
         return rest;
     });
 
-    const newWalContent = cleanEntriesToKeep.map(e => JSON.stringify(e)).join('\n') + (cleanEntriesToKeep.length > 0 ? '\n' : '');
+    if (options.archivePath) {
+        const keptSet = new Set(entriesToKeep);
+        const entriesToArchive = allCurrentWalEntries.filter(e => !keptSet.has(e)).map(e => {
+            const { _txn_applied_from_wal, _tx_origin_id, ...rest } = e;
+            return rest;
+        });
+        if (entriesToArchive.length > 0) {
+            const ext = options.compression ? COMPRESSION_EXTENSIONS[options.compression] : '';
+            const archivePath = options.archivePath + ext;
+            try {
+                await fs.mkdir(path.dirname(archivePath), { recursive: true });
+                const text = entriesToArchive.map(encodeWalRecord).join('\n') + '\n';
+                await writeFileSafe(archivePath, await compress(text, options.compression));
+            } catch (err) {
+                // Без архива записи нельзя удалять из WAL: компакция откладывается до следующего чекпоинта.
+                log.error(`[WAL] Не удалось записать архив WAL ${archivePath}: ${err.message}. Компакция ${walPath} отменена.`);
+                return;
+            }
+        }
+    }
+
+    const newWalContent = cleanEntriesToKeep.map(encodeWalRecord).join('\n') + (cleanEntriesToKeep.length > 0 ? '\n' : '');
 
     let attempt = 0;
     const maxAttempts = 3;
@@ -352,11 +647,46 @@ async function compactWal(walPath, checkpointTimestamp = null, logger) {
     }
 }
 
+/**
+ * Удаляет старые архивы WAL коллекции, оставляя `keep` последних.
+ * @param {string} archiveDir
+ * @param {string} collectionName
+ * @param {number} keep
+ * @param {object} [logger]
+ */
+async function cleanupOldWalArchives(archiveDir, collectionName, keep, logger) {
+    const log = logger || require('./logger');
+    let files;
+    try {
+        files = await fs.readdir(archiveDir);
+    } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+    }
+    const archives = files
+        .filter(f => f.startsWith(`wal_archive_${collectionName}_`) && !f.endsWith('.tmp'))
+        .sort();
+    for (const file of archives.slice(0, Math.max(0, archives.length - keep))) {
+        try {
+            await fs.unlink(path.join(archiveDir, file));
+        } catch (err) {
+            log.warn(`[WAL] Не удалось удалить старый архив WAL ${file}: ${err.message}`);
+        }
+    }
+}
+
 module.exports = {
     getWalPath,
     initializeWal,
     readWal,
     compactWal,
+    cleanupOldWalArchives,
     appendWalEntry,
-    writeTransactionBlock
+    writeTransactionBlock,
+    encodeWalRecord,
+    decodeWalRecord,
+    DURABILITY_LEVELS,
+    normalizeDurability,
+    normalizeGroupCommitOptions,
+    createGroupCommitter
 };
\ No newline at end of file